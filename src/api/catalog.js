@@ -0,0 +1,280 @@
+const database = require('./database');
+const keyGenerator = require('../utils/keyGenerator');
+const logger = require('../utils/logger');
+
+// guild_id stored for the default shop's catalog
+const DEFAULT_CATALOG = '';
+
+// app_id of the shop's own KeyAuth application
+const DEFAULT_APP = 'default';
+
+/**
+ * Product policies. Each tenant has its own catalog; guilds without a tenant
+ * share the default shop's catalog.
+ *
+ * A product grants one or more entitlements, each a key in a KeyAuth
+ * application with its own level, expiry and template. Entitlement 1 is the
+ * product's main key; further ones make the product a bundle. Positions are
+ * never renumbered, so issued keys keep pointing at the entitlement they were
+ * made for.
+ */
+class ProductCatalog {
+    /**
+     * Get the catalog entry for a SellAuth product
+     * @param {string|number} productId - SellAuth product ID
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @returns {object|null} - Catalog entry or null if the product is unknown
+     */
+    async getProduct(productId, tenantId = null) {
+        if (productId === undefined || productId === null) {
+            return null;
+        }
+
+        const catalogId = tenantId || DEFAULT_CATALOG;
+        const row = await database.get(
+            'SELECT * FROM products WHERE guild_id = ? AND product_id = ?',
+            [catalogId, String(productId)]
+        );
+        if (!row) {
+            return null;
+        }
+
+        const entitlements = await database.all(
+            'SELECT * FROM product_entitlements WHERE guild_id = ? AND product_id = ? ORDER BY position',
+            [catalogId, String(productId)]
+        );
+
+        return this.formatProduct(row, entitlements);
+    }
+
+    /**
+     * List catalog entries
+     * @param {object} options - Filter options
+     * @param {boolean} options.redeemableOnly - Only include redeemable products
+     * @param {string} options.tenantId - Tenant guild ID (null for the default shop)
+     * @returns {Array<object>} - Catalog entries sorted by name
+     */
+    async listProducts(options = {}) {
+        const catalogId = options.tenantId || DEFAULT_CATALOG;
+        const rows = await database.all(
+            `SELECT * FROM products
+             WHERE guild_id = ? ${options.redeemableOnly ? 'AND redeemable = 1' : ''}
+             ORDER BY name`,
+            [catalogId]
+        );
+        const entitlements = await database.all(
+            'SELECT * FROM product_entitlements WHERE guild_id = ? ORDER BY position',
+            [catalogId]
+        );
+
+        return rows.map(row => this.formatProduct(row, entitlements.filter(entitlement => entitlement.product_id === row.product_id)));
+    }
+
+    /**
+     * Create or update a catalog entry and its main entitlement
+     * @param {object} product - Product policy
+     * @param {string} product.productId - SellAuth product ID
+     * @param {string} product.name - Display name
+     * @param {string} product.appId - KeyAuth application of the main key (defaults to the shop's own)
+     * @param {string} product.level - KeyAuth license level
+     * @param {number} product.expiryDays - License duration in days (0 for lifetime)
+     * @param {string} product.keyTemplate - Key template such as LEXIS-XXXX-XXXX (optional)
+     * @param {boolean} product.redeemable - Whether the product can be redeemed
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     */
+    async upsertProduct(product, tenantId = null) {
+        this.validateTemplate(product.keyTemplate);
+
+        const catalogId = tenantId || DEFAULT_CATALOG;
+        await database.transaction(async (tx) => {
+            await tx.run(
+                `INSERT INTO products (guild_id, product_id, name, redeemable)
+                 VALUES (?, ?, ?, ?)
+                 ON CONFLICT (guild_id, product_id) DO UPDATE SET
+                    name = excluded.name,
+                    redeemable = excluded.redeemable,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [catalogId, String(product.productId), product.name, product.redeemable === false ? 0 : 1]
+            );
+            await this.saveEntitlement(tx, catalogId, product.productId, 1, product);
+        });
+
+        logger.info(`Product catalog entry saved: ${product.name} (${product.productId})`);
+        return this.getProduct(product.productId, tenantId);
+    }
+
+    /**
+     * Add a key to a product, making it a bundle
+     * @param {string} productId - SellAuth product ID
+     * @param {object} entitlement - { appId, level, expiryDays, keyTemplate }
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @returns {object|null} - Updated catalog entry, or null if the product is unknown
+     */
+    async addEntitlement(productId, entitlement, tenantId = null) {
+        this.validateTemplate(entitlement.keyTemplate);
+
+        const catalogId = tenantId || DEFAULT_CATALOG;
+        const added = await database.transaction(async (tx) => {
+            const product = await tx.get(
+                'SELECT product_id FROM products WHERE guild_id = ? AND product_id = ?',
+                [catalogId, String(productId)]
+            );
+            if (!product) {
+                return false;
+            }
+
+            const last = await tx.get(
+                'SELECT MAX(position) AS position FROM product_entitlements WHERE guild_id = ? AND product_id = ?',
+                [catalogId, String(productId)]
+            );
+            await this.saveEntitlement(tx, catalogId, productId, (Number(last?.position) || 0) + 1, entitlement);
+            return true;
+        });
+
+        if (!added) {
+            return null;
+        }
+
+        logger.info(`Entitlement added to product ${productId}: ${entitlement.appId || DEFAULT_APP} level ${entitlement.level}`);
+        return this.getProduct(productId, tenantId);
+    }
+
+    /**
+     * Remove an extra key from a bundle. The main entitlement can only be
+     * changed, not removed.
+     * @param {string} productId - SellAuth product ID
+     * @param {number} position - Entitlement position (2 or higher)
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @returns {boolean} - True if an entitlement was removed
+     */
+    async removeEntitlement(productId, position, tenantId = null) {
+        if (position < 2) {
+            return false;
+        }
+
+        const result = await database.run(
+            'DELETE FROM product_entitlements WHERE guild_id = ? AND product_id = ? AND position = ?',
+            [tenantId || DEFAULT_CATALOG, String(productId), position]
+        );
+
+        if (result.changes > 0) {
+            logger.info(`Entitlement #${position} removed from product ${productId}`);
+        }
+
+        return result.changes > 0;
+    }
+
+    /**
+     * List the products that issue keys in an application
+     * @param {string} appId - Application ID
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @returns {Array<string>} - Product IDs
+     */
+    async getProductsUsingApp(appId, tenantId = null) {
+        const rows = await database.all(
+            'SELECT DISTINCT product_id FROM product_entitlements WHERE guild_id = ? AND app_id = ?',
+            [tenantId || DEFAULT_CATALOG, appId]
+        );
+
+        return rows.map(row => row.product_id);
+    }
+
+    /**
+     * Remove a catalog entry
+     * @param {string} productId - SellAuth product ID
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @returns {boolean} - True if an entry was removed
+     */
+    async removeProduct(productId, tenantId = null) {
+        const catalogId = tenantId || DEFAULT_CATALOG;
+        const result = await database.transaction(async (tx) => {
+            await tx.run('DELETE FROM product_entitlements WHERE guild_id = ? AND product_id = ?', [catalogId, String(productId)]);
+            return tx.run('DELETE FROM products WHERE guild_id = ? AND product_id = ?', [catalogId, String(productId)]);
+        });
+
+        if (result.changes > 0) {
+            logger.info(`Product catalog entry removed: ${productId}`);
+        }
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Check a key template such as LEXIS-UG-XXXX-XXXX-#
+     */
+    isValidKeyTemplate(template) {
+        return keyGenerator.isValidTemplate(template);
+    }
+
+    /**
+     * Throw if a key template is set but not valid
+     */
+    validateTemplate(template) {
+        if (template && !this.isValidKeyTemplate(template)) {
+            throw new Error('Key templates must be dash-separated A-Z/0-9 groups with at least one all-X random group, optionally ending in a # check character');
+        }
+    }
+
+    /**
+     * Whether a key has the shape of one of the catalog's templates with a
+     * check character, but the wrong check character; such a key was mistyped
+     * @param {string} licenseKey - License key as entered
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     */
+    async isMistypedKey(licenseKey, tenantId = null) {
+        const rows = await database.all(
+            'SELECT DISTINCT key_template FROM product_entitlements WHERE guild_id = ? AND key_template LIKE ?',
+            [tenantId || DEFAULT_CATALOG, '%#']
+        );
+
+        return rows.some(row => {
+            const result = keyGenerator.verify(licenseKey, row.key_template);
+            return result.matches && !result.checkValid;
+        });
+    }
+
+    /**
+     * Insert or replace one entitlement inside a transaction
+     */
+    async saveEntitlement(tx, catalogId, productId, position, entitlement) {
+        await tx.run(
+            `INSERT INTO product_entitlements (guild_id, product_id, position, app_id, keyauth_level, expiry_days, key_template)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (guild_id, product_id, position) DO UPDATE SET
+                app_id = excluded.app_id,
+                keyauth_level = excluded.keyauth_level,
+                expiry_days = excluded.expiry_days,
+                key_template = excluded.key_template`,
+            [
+                catalogId,
+                String(productId),
+                position,
+                entitlement.appId || DEFAULT_APP,
+                String(entitlement.level || '1'),
+                entitlement.expiryDays || 0,
+                entitlement.keyTemplate || null
+            ]
+        );
+    }
+
+    /**
+     * Convert a database row and its entitlement rows to a catalog entry
+     */
+    formatProduct(row, entitlementRows) {
+        return {
+            productId: row.product_id,
+            name: row.name,
+            redeemable: !!row.redeemable,
+            entitlements: entitlementRows.map(entitlement => ({
+                position: Number(entitlement.position),
+                appId: entitlement.app_id,
+                level: entitlement.keyauth_level,
+                expiryDays: Number(entitlement.expiry_days) || 0,
+                keyTemplate: entitlement.key_template || null
+            }))
+        };
+    }
+}
+
+module.exports = new ProductCatalog();
+module.exports.DEFAULT_APP = DEFAULT_APP;
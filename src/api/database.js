@@ -1,150 +1,200 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const SqliteDriver = require('./drivers/sqlite');
+const PostgresDriver = require('./drivers/postgres');
+const Migrator = require('./migrator');
+
+/**
+ * Format a date like CURRENT_TIMESTAMP (UTC, no zone marker) so it compares
+ * correctly with stored timestamps on SQLite, where they are plain strings
+ */
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Escape % and _ (and the escape character itself) in user input for a
+ * LIKE pattern; use with ESCAPE '\\'
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Condition limiting redemptions to a scope from tenants.getScope(): the
+ * scope's tenant, or the default shop (guild_id IS NULL)
+ * @returns {object} - { sql, params }, sql empty without a scope
+ */
+function redemptionScope(scope) {
+    if (!scope) {
+        return { sql: '', params: [] };
+    }
+
+    return scope.tenantId
+        ? { sql: 'AND guild_id = ?', params: [scope.tenantId] }
+        : { sql: 'AND guild_id IS NULL', params: [] };
+}
+
+/**
+ * Condition limiting audit entries to a scope: actions in the guild, plus
+ * actions outside any guild when the guild uses the default shop
+ * @returns {object} - { sql, params }, sql empty without a scope
+ */
+function auditScope(scope) {
+    if (!scope) {
+        return { sql: '', params: [] };
+    }
+
+    return scope.tenantId
+        ? { sql: 'AND guild_id = ?', params: [scope.guildId] }
+        : { sql: 'AND (guild_id = ? OR guild_id IS NULL)', params: [scope.guildId] };
+}
+
+/**
+ * Build the WHERE clause for a redemption search
+ * @returns {object} - { where, params }
+ */
+function buildRedemptionFilters({ status, userId, productId, guildId, search, from, to }) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    if (userId) {
+        conditions.push('discord_user_id = ?');
+        params.push(userId);
+    }
+    if (productId) {
+        conditions.push('product_id = ?');
+        params.push(productId);
+    }
+    if (guildId) {
+        conditions.push('guild_id = ?');
+        params.push(guildId);
+    }
+    if (search) {
+        const pattern = `%${escapeLike(search.toLowerCase())}%`;
+        conditions.push(`(LOWER(invoice_id) LIKE ? ESCAPE '\\' OR LOWER(discord_username) LIKE ? ESCAPE '\\' OR discord_user_id = ?
+            OR invoice_id IN (SELECT invoice_id FROM license_keys WHERE LOWER(license_key) LIKE ? ESCAPE '\\'))`);
+        params.push(pattern, pattern, search, pattern);
+    }
+    if (from) {
+        conditions.push('redeemed_at >= ?');
+        params.push(toSqlTimestamp(from));
+    }
+    if (to) {
+        conditions.push('redeemed_at < ?');
+        params.push(toSqlTimestamp(to));
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
 
 class Database {
     constructor() {
-        this.db = null;
         this.isConnected = false;
-        this.dbPath = this.getDatabasePath();
+        this.driver = this.createDriver(config.database.url);
+        this.dialect = this.driver.dialect;
+        this.migrator = new Migrator(this);
     }
 
     /**
-     * Get database path for SQLite
+     * Pick the database driver from the DATABASE_URL scheme
      */
-    getDatabasePath() {
-        if (config.database.url.startsWith('sqlite:')) {
-            return config.database.url.replace('sqlite:', '');
+    createDriver(url) {
+        if (url.startsWith('sqlite:')) {
+            return new SqliteDriver(url);
         }
-        return './licenses.db'; // Default SQLite database file
+
+        if (url.startsWith('postgres://') || url.startsWith('postgresql://')) {
+            return new PostgresDriver(url, { ssl: config.database.ssl });
+        }
+
+        throw new Error(`Unsupported DATABASE_URL scheme: ${url.split(':')[0]}`);
     }
 
     /**
      * Initialize database connection
+     * @param {object} options - Connection options
+     * @param {boolean} options.migrate - Apply pending migrations (default true)
      */
-    async connect() {
-        return new Promise((resolve, reject) => {
-            try {
-                this.db = new sqlite3.Database(this.dbPath, (err) => {
-                    if (err) {
-                        logger.error('Database connection failed:', err);
-                        reject(err);
-                        return;
-                    }
-
-                    this.isConnected = true;
-                    logger.info(`SQLite database connected: ${this.dbPath}`);
-
-                    // Run initial migrations
-                    this.createTables().then(() => {
-                        resolve();
-                    }).catch(reject);
-                });
-            } catch (error) {
-                logger.error('Database connection failed:', error);
-                reject(error);
+    async connect(options = {}) {
+        const { migrate = true } = options;
+
+        try {
+            await this.driver.connect();
+            this.isConnected = true;
+            logger.info(`${this.driver.describe()} connected`);
+
+            if (migrate) {
+                await this.runMigrations();
             }
-        });
-    }
-
-    /**
-     * Create required tables
-     */
-    async createTables() {
-        const queries = [
-            `CREATE TABLE IF NOT EXISTS redeemed_invoices (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                invoice_id TEXT UNIQUE NOT NULL,
-                discord_user_id TEXT NOT NULL,
-                discord_username TEXT,
-                license_key TEXT NOT NULL,
-                product_name TEXT,
-                product_id TEXT,
-                amount REAL,
-                currency TEXT,
-                customer_email TEXT,
-                redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                sellauth_data TEXT,
-                keyauth_response TEXT,
-                user_metadata TEXT
-            )`,
-
-            `CREATE TABLE IF NOT EXISTS rate_limits (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id TEXT NOT NULL,
-                action TEXT NOT NULL,
-                attempts INTEGER DEFAULT 1,
-                first_attempt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                last_attempt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                reset_after DATETIME,
-                UNIQUE(user_id, action)
-            )`,
-
-            `CREATE TABLE IF NOT EXISTS audit_log (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id TEXT NOT NULL,
-                action TEXT NOT NULL,
-                data TEXT,
-                ip_address TEXT,
-                user_agent TEXT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        ];
-
-        for (const query of queries) {
-            await this.run(query);
-        }
-
-        logger.info('Database tables created/verified');
+        } catch (error) {
+            logger.error('Database connection failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply pending schema migrations
+     */
+    async runMigrations() {
+        const applied = await this.migrator.migrate();
+
+        if (applied.length > 0) {
+            logger.info(`Applied ${applied.length} migration(s): ${applied.join(', ')}`);
+        } else {
+            logger.info('Database schema is up to date');
+        }
     }
 
     /**
      * Run a query with parameters
      */
     async run(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.run(sql, params, function(err) {
-                if (err) {
-                    logger.error('Database query failed:', err);
-                    reject(err);
-                } else {
-                    resolve({ lastID: this.lastID, changes: this.changes });
-                }
-            });
-        });
+        try {
+            return await this.driver.run(sql, params);
+        } catch (error) {
+            logger.error('Database query failed:', error);
+            throw error;
+        }
     }
 
     /**
      * Get a single row
      */
     async get(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.get(sql, params, (err, row) => {
-                if (err) {
-                    logger.error('Database query failed:', err);
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-            });
-        });
+        try {
+            return await this.driver.get(sql, params);
+        } catch (error) {
+            logger.error('Database query failed:', error);
+            throw error;
+        }
     }
 
     /**
      * Get multiple rows
      */
     async all(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
-                if (err) {
-                    logger.error('Database query failed:', err);
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
-            });
-        });
+        try {
+            return await this.driver.all(sql, params);
+        } catch (error) {
+            logger.error('Database query failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run a callback inside a transaction. The callback receives an executor
+     * with run/get/all bound to the transaction.
+     */
+    async transaction(callback) {
+        return this.driver.transaction(callback);
     }
 
     /**
@@ -199,77 +249,507 @@ class Database {
     }
 
     /**
-     * Check rate limits for a user
+     * Reserve an invoice by inserting a pending redemption row. The UNIQUE
+     * invoice_id constraint guarantees only one reservation can exist, and
+     * because it lives in the database it holds across process restarts.
+     * @param {string} invoiceId - Invoice to reserve
+     * @param {string} userId - Discord user redeeming it
+     * @param {string} token - Random token identifying this reservation
+     * @param {Date} reservedUntil - When the reservation is considered abandoned
+     * @param {object} userMetadata - Metadata stored with the redemption
+     * @param {string} tenantId - Tenant whose shop the invoice belongs to (null for the default shop)
+     * @returns {boolean} - True if the reservation was created
      */
-    async checkRateLimit(userId, action, maxAttempts, timeWindowHours) {
+    async reserveInvoice(invoiceId, userId, token, reservedUntil, userMetadata, tenantId = null) {
         try {
-            const timeWindow = new Date(Date.now() - timeWindowHours * 60 * 60 * 1000);
+            const result = await this.run(
+                `INSERT INTO redeemed_invoices (
+                    invoice_id, discord_user_id, discord_username, status,
+                    reservation_token, reserved_until, user_metadata, guild_id
+                ) VALUES (?, ?, ?, 'pending', ?, ?, ?, ?)
+                ON CONFLICT (invoice_id) DO NOTHING`,
+                [
+                    invoiceId,
+                    userId,
+                    userMetadata?.username || null,
+                    token,
+                    reservedUntil.toISOString(),
+                    JSON.stringify(userMetadata),
+                    tenantId
+                ]
+            );
 
-            const result = await this.get(
-                'SELECT * FROM rate_limits WHERE user_id = ? AND action = ? AND first_attempt > ?',
-                [userId, action, timeWindow.toISOString()]
+            return result.changes === 1;
+        } catch (error) {
+            logger.error('Error reserving invoice:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reserve a partly delivered invoice again so its owner can receive the
+     * missing units. The row goes back to 'pending' under the new token.
+     * @param {string} invoiceId - Invoice to reserve
+     * @param {string} userId - Discord user redeeming it; must be its owner
+     * @param {string} token - Random token identifying this reservation
+     * @param {Date} reservedUntil - When the reservation is considered abandoned
+     * @returns {boolean} - True if the reservation was taken
+     */
+    async resumeInvoice(invoiceId, userId, token, reservedUntil) {
+        try {
+            const result = await this.run(
+                `UPDATE redeemed_invoices SET status = 'pending', reservation_token = ?, reserved_until = ?
+                 WHERE invoice_id = ? AND status = 'partial' AND discord_user_id = ?`,
+                [token, reservedUntil.toISOString(), invoiceId, userId]
             );
 
-            if (!result) {
-                // No recent attempts, allow and create new record
-                await this.run(
-                    `INSERT OR REPLACE INTO rate_limits
-                     (user_id, action, attempts, first_attempt, last_attempt, reset_after)
-                     VALUES (?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, ?)`,
-                    [userId, action, new Date(Date.now() + timeWindowHours * 60 * 60 * 1000).toISOString()]
+            return result.changes === 1;
+        } catch (error) {
+            logger.error('Error resuming invoice:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the keys and product on a reservation before the keys are created,
+     * so an abandoned reservation can be cleaned up in KeyAuth later
+     * @param {string} invoiceId - Reserved invoice
+     * @param {string} token - Reservation token
+     * @param {Array<object>} keys - { itemIndex, unit, productId, productName, position, appId, appName, licenseKey, level, expiryDays }
+     *                               per key to create
+     * @param {object} invoiceDetails - Invoice details from SellAuth
+     * @returns {boolean} - True if the reservation is still held by this token
+     */
+    async attachReservationKeys(invoiceId, token, keys, invoiceDetails) {
+        try {
+            return await this.transaction(async (tx) => {
+                const result = await tx.run(
+                    `UPDATE redeemed_invoices SET
+                        license_key = COALESCE(license_key, ?),
+                        product_name = ?,
+                        product_id = ?
+                     WHERE invoice_id = ? AND status = 'pending' AND reservation_token = ?`,
+                    [
+                        keys[0]?.licenseKey || null,
+                        invoiceDetails?.productName || null,
+                        invoiceDetails?.productId ? String(invoiceDetails.productId) : null,
+                        invoiceId,
+                        token
+                    ]
+                );
+
+                if (result.changes !== 1) {
+                    return false;
+                }
+
+                for (const key of keys) {
+                    await tx.run(
+                        `INSERT INTO license_keys (
+                            invoice_id, item_index, unit, product_id, product_name, position,
+                            app_id, app_name, license_key, keyauth_level, expiry_days, status
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+                        [
+                            invoiceId,
+                            key.itemIndex,
+                            key.unit,
+                            key.productId,
+                            key.productName || null,
+                            key.position,
+                            key.appId,
+                            key.appName || null,
+                            key.licenseKey,
+                            String(key.level),
+                            key.expiryDays
+                        ]
+                    );
+                }
+
+                return true;
+            });
+        } catch (error) {
+            logger.error('Error updating invoice reservation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn a pending reservation into a redemption: the delivered keys become
+     * active and the reserved keys that were not delivered are dropped
+     * @param {string} invoiceId - Reserved invoice
+     * @param {string} token - Reservation token
+     * @param {object} invoiceDetails - Invoice details from SellAuth
+     * @param {object} keyAuthResponse - KeyAuth response for the first delivered key
+     * @param {Array<string>} deliveredKeys - Keys created in KeyAuth
+     * @param {boolean} complete - Whether every unit of the invoice is now delivered ('redeemed') or not ('partial')
+     * @returns {boolean} - True if the pending row was committed
+     */
+    async completeRedemption(invoiceId, token, invoiceDetails, keyAuthResponse, deliveredKeys, complete) {
+        try {
+            const committed = await this.transaction(async (tx) => {
+                const result = await tx.run(
+                    `UPDATE redeemed_invoices SET
+                        status = ?,
+                        amount = ?,
+                        currency = ?,
+                        customer_email = ?,
+                        sellauth_data = ?,
+                        keyauth_response = ?,
+                        reservation_token = NULL,
+                        reserved_until = NULL,
+                        redeemed_at = CURRENT_TIMESTAMP
+                     WHERE invoice_id = ? AND status = 'pending' AND reservation_token = ?`,
+                    [
+                        complete ? 'redeemed' : 'partial',
+                        invoiceDetails?.amount || null,
+                        invoiceDetails?.currency || null,
+                        invoiceDetails?.customerEmail || null,
+                        JSON.stringify(invoiceDetails),
+                        JSON.stringify(keyAuthResponse),
+                        invoiceId,
+                        token
+                    ]
+                );
+
+                if (result.changes !== 1) {
+                    return false;
+                }
+
+                for (const licenseKey of deliveredKeys) {
+                    await tx.run(
+                        `UPDATE license_keys SET status = 'active' WHERE invoice_id = ? AND license_key = ? AND status = 'pending'`,
+                        [invoiceId, licenseKey]
+                    );
+                }
+                await tx.run(`DELETE FROM license_keys WHERE invoice_id = ? AND status = 'pending'`, [invoiceId]);
+
+                // The invoice row mirrors its first key
+                const first = await tx.get(
+                    `SELECT license_key FROM license_keys WHERE invoice_id = ? AND status = 'active'
+                     ORDER BY item_index, unit, position LIMIT 1`,
+                    [invoiceId]
                 );
+                await tx.run('UPDATE redeemed_invoices SET license_key = ? WHERE invoice_id = ?', [first?.license_key || null, invoiceId]);
 
-                return {
-                    allowed: true,
-                    attempts: 1,
-                    maxAttempts,
-                    resetAfter: new Date(Date.now() + timeWindowHours * 60 * 60 * 1000)
-                };
+                return true;
+            });
+
+            if (committed) {
+                logger.info(`Invoice ${invoiceId} marked as ${complete ? 'redeemed' : 'partly redeemed'}`);
             }
 
-            if (result.attempts >= maxAttempts) {
-                // Rate limit exceeded
-                return {
-                    allowed: false,
-                    attempts: result.attempts,
-                    maxAttempts,
-                    resetAfter: new Date(result.reset_after)
-                };
+            return committed;
+        } catch (error) {
+            logger.error('Error completing redemption:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Drop a pending reservation so the invoice can be redeemed again. A
+     * resumed invoice goes back to 'partial' with the units delivered before.
+     * @returns {boolean} - True if the reservation was removed
+     */
+    async releaseInvoice(invoiceId, token) {
+        try {
+            return await this.transaction(async (tx) => {
+                const resumed = await tx.run(
+                    `UPDATE redeemed_invoices SET status = 'partial', reservation_token = NULL, reserved_until = NULL
+                     WHERE invoice_id = ? AND status = 'pending' AND reservation_token = ?
+                       AND EXISTS (SELECT 1 FROM license_keys WHERE invoice_id = ? AND status = 'active')`,
+                    [invoiceId, token, invoiceId]
+                );
+
+                if (resumed.changes === 1) {
+                    await tx.run(`DELETE FROM license_keys WHERE invoice_id = ? AND status = 'pending'`, [invoiceId]);
+                    return true;
+                }
+
+                const result = await tx.run(
+                    `DELETE FROM redeemed_invoices
+                     WHERE invoice_id = ? AND status = 'pending' AND reservation_token = ?`,
+                    [invoiceId, token]
+                );
+
+                if (result.changes === 1) {
+                    await tx.run('DELETE FROM license_keys WHERE invoice_id = ?', [invoiceId]);
+                }
+
+                return result.changes === 1;
+            });
+        } catch (error) {
+            logger.error('Error releasing invoice reservation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the redemption row for an invoice, whatever its status
+     */
+    async getInvoiceRecord(invoiceId) {
+        try {
+            return await this.get('SELECT * FROM redeemed_invoices WHERE invoice_id = ?', [invoiceId]);
+        } catch (error) {
+            logger.error('Error getting invoice record:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a redemption, complete or partial, as revoked. The row is kept so
+     * the invoice stays used.
+     * @param {string} invoiceId - Sanitized invoice ID
+     * @param {string} revokedBy - Discord user ID of the staff member
+     * @param {string} reason - Revocation reason
+     * @returns {boolean} - True if a redeemed or partial row was revoked
+     */
+    async revokeRedemption(invoiceId, revokedBy, reason) {
+        try {
+            const revoked = await this.transaction(async (tx) => {
+                const result = await tx.run(
+                    `UPDATE redeemed_invoices
+                     SET status = 'revoked', revoked_by = ?, revoked_at = CURRENT_TIMESTAMP, revocation_reason = ?
+                     WHERE invoice_id = ? AND status IN ('redeemed', 'partial')`,
+                    [revokedBy, reason, invoiceId]
+                );
+
+                if (result.changes > 0) {
+                    await tx.run(`UPDATE license_keys SET status = 'revoked' WHERE invoice_id = ?`, [invoiceId]);
+                }
+
+                return result.changes > 0;
+            });
+
+            if (revoked) {
+                logger.info(`Invoice ${invoiceId} revoked by ${revokedBy}`);
             }
 
-            // Increment attempts
+            return revoked;
+        } catch (error) {
+            logger.error('Error revoking redemption:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark one key revoked once KeyAuth has banned or deleted it, so a
+     * revocation that fails part way skips it when retried
+     * @returns {boolean} - True if an active key was marked
+     */
+    async markKeyRevoked(invoiceId, licenseKey) {
+        try {
+            const result = await this.run(
+                `UPDATE license_keys SET status = 'revoked' WHERE invoice_id = ? AND license_key = ? AND status = 'active'`,
+                [invoiceId, licenseKey]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error marking key revoked:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get redeemed invoices due for a refund/chargeback re-check,
+     * least recently checked first
+     * @param {Date} redeemedSince - Only invoices redeemed after this date
+     * @param {number} limit - Maximum number of invoices
+     */
+    async getInvoicesToReconcile(redeemedSince, limit) {
+        try {
+            return await this.all(
+                `SELECT * FROM redeemed_invoices
+                 WHERE status IN ('redeemed', 'partial') AND redeemed_at > ?
+                 ORDER BY COALESCE(last_reconciled_at, redeemed_at) ASC
+                 LIMIT ?`,
+                [toSqlTimestamp(redeemedSince), limit]
+            );
+        } catch (error) {
+            logger.error('Error getting invoices to reconcile:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that an invoice was re-checked against SellAuth, successfully or not
+     */
+    async markInvoiceReconciled(invoiceId) {
+        try {
             await this.run(
-                'UPDATE rate_limits SET attempts = attempts + 1, last_attempt = CURRENT_TIMESTAMP WHERE user_id = ? AND action = ?',
-                [userId, action]
+                'UPDATE redeemed_invoices SET last_reconciled_at = CURRENT_TIMESTAMP WHERE invoice_id = ?',
+                [invoiceId]
             );
+        } catch (error) {
+            logger.error('Error marking invoice reconciled:', error);
+            throw error;
+        }
+    }
 
-            return {
-                allowed: true,
-                attempts: result.attempts + 1,
-                maxAttempts,
-                resetAfter: new Date(result.reset_after)
-            };
+    /**
+     * Get the redemption record a license key was issued for, whichever of
+     * the invoice's keys it is
+     * @param {string} licenseKey - License key
+     */
+    async getInvoiceRecordByKey(licenseKey) {
+        try {
+            return await this.get(
+                'SELECT * FROM redeemed_invoices WHERE invoice_id = (SELECT invoice_id FROM license_keys WHERE license_key = ?)',
+                [licenseKey]
+            );
+        } catch (error) {
+            logger.error('Error getting invoice record by key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a license key with the application it was created in
+     * @param {string} licenseKey - License key
+     */
+    async getLicenseKey(licenseKey) {
+        try {
+            return await this.get('SELECT * FROM license_keys WHERE license_key = ?', [licenseKey]);
+        } catch (error) {
+            logger.error('Error getting license key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a key was ever issued, including keys from before bundles
+     * @param {string} licenseKey - License key
+     */
+    async isLicenseKeyTaken(licenseKey) {
+        try {
+            const row = await this.get(
+                `SELECT 1 AS taken FROM license_keys WHERE license_key = ?
+                 UNION ALL
+                 SELECT 1 AS taken FROM redeemed_invoices WHERE license_key = ?`,
+                [licenseKey, licenseKey]
+            );
+            return !!row;
+        } catch (error) {
+            logger.error('Error checking license key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the keys of an invoice by item, unit and entitlement
+     * @param {string} invoiceId - Sanitized invoice ID
+     */
+    async getInvoiceKeys(invoiceId) {
+        try {
+            return await this.all('SELECT * FROM license_keys WHERE invoice_id = ? ORDER BY item_index, unit, position', [invoiceId]);
+        } catch (error) {
+            logger.error('Error getting invoice keys:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add each record's license_keys rows as record.keys
+     * @param {Array<object>} records - Redemption rows
+     * @returns {Array<object>} - The same rows with keys
+     */
+    async attachKeys(records) {
+        if (records.length === 0) {
+            return records;
+        }
+
+        const invoiceIds = records.map(record => record.invoice_id);
+        const rows = await this.all(
+            `SELECT * FROM license_keys WHERE invoice_id IN (${invoiceIds.map(() => '?').join(', ')}) ORDER BY item_index, unit, position`,
+            invoiceIds
+        );
+
+        for (const record of records) {
+            record.keys = rows.filter(row => row.invoice_id === record.invoice_id);
+        }
+
+        return records;
+    }
+
+    /**
+     * Get every redemption record for a Discord user, including pending ones
+     * @param {string} userId - Discord user ID
+     * @param {number} limit - Maximum number of records
+     * @param {object} scope - Scope from tenants.getScope() (optional, all shops if omitted)
+     */
+    async getUserInvoiceRecords(userId, limit = 10, scope = null) {
+        try {
+            const tenant = redemptionScope(scope);
+
+            return await this.all(
+                `SELECT * FROM redeemed_invoices
+                 WHERE discord_user_id = ? ${tenant.sql}
+                 ORDER BY redeemed_at DESC
+                 LIMIT ?`,
+                [userId, ...tenant.params, limit]
+            );
+        } catch (error) {
+            logger.error('Error getting user invoice records:', error);
+            throw error;
+        }
+    }
 
+    /**
+     * Get a user's most recent audit log entries
+     * @param {string} userId - Discord user ID
+     * @param {number} limit - Maximum number of entries
+     * @param {object} scope - Scope from tenants.getScope() (optional, all guilds if omitted)
+     */
+    async getRecentAuditEntries(userId, limit = 10, scope = null) {
+        try {
+            const guild = auditScope(scope);
+
+            return await this.all(
+                `SELECT action, data, timestamp FROM audit_log
+                 WHERE user_id = ? ${guild.sql}
+                 ORDER BY timestamp DESC, id DESC
+                 LIMIT ?`,
+                [userId, ...guild.params, limit]
+            );
         } catch (error) {
-            logger.error('Error checking rate limit:', error);
+            logger.error('Error getting audit entries:', error);
             throw error;
         }
     }
 
     /**
-     * Log user actions for audit purposes
+     * Get pending reservations whose lease has run out
+     * @param {string} invoiceId - Limit to one invoice (optional)
+     */
+    async getExpiredReservations(invoiceId = null) {
+        try {
+            return await this.all(
+                `SELECT invoice_id, discord_user_id, license_key, reservation_token, reserved_until, guild_id
+                 FROM redeemed_invoices
+                 WHERE status = 'pending' AND reserved_until < ?
+                 ${invoiceId ? 'AND invoice_id = ?' : ''}`,
+                invoiceId ? [new Date().toISOString(), invoiceId] : [new Date().toISOString()]
+            );
+        } catch (error) {
+            logger.error('Error getting expired reservations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Log user actions for audit purposes. data.guildId, when present, is
+     * also stored as the entry's guild so per-guild lookups can find it.
      */
     async logAction(userId, action, data = {}, ipAddress = null, userAgent = null) {
         try {
             await this.run(
-                `INSERT INTO audit_log (user_id, action, data, ip_address, user_agent)
-                 VALUES (?, ?, ?, ?, ?)`,
+                `INSERT INTO audit_log (user_id, action, data, ip_address, user_agent, guild_id)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
                 [
                     userId,
                     action,
                     JSON.stringify(data),
                     ipAddress,
-                    userAgent
+                    userAgent,
+                    data?.guildId ? String(data.guildId) : null
                 ]
             );
 
@@ -281,41 +761,190 @@ class Database {
     }
 
     /**
-     * Get all license keys for a specific Discord user
+     * Get all redeemed invoices of a Discord user, each with its keys
+     * @param {string} userId - Discord user ID
+     * @param {object} scope - Scope from tenants.getScope() (optional, all shops if omitted)
      */
-    async getUserLicenses(userId) {
+    async getUserLicenses(userId, scope = null) {
         try {
+            const tenant = redemptionScope(scope);
+
             const result = await this.all(
                 `SELECT invoice_id, license_key, product_name, product_id,
-                        amount, currency, redeemed_at
+                        amount, currency, redeemed_at, status, revoked_at, guild_id
                  FROM redeemed_invoices
-                 WHERE discord_user_id = ?
+                 WHERE discord_user_id = ? AND status != 'pending' ${tenant.sql}
                  ORDER BY redeemed_at DESC`,
-                [userId]
+                [userId, ...tenant.params]
             );
 
             logger.info(`Retrieved ${result.length} licenses for user ${userId}`);
-            return result;
+            return await this.attachKeys(result);
         } catch (error) {
             logger.error('Error getting user licenses:', error);
             throw error;
         }
     }
 
+    /**
+     * Search redemption records, newest first
+     * @param {object} filters - status, userId, productId, guildId, search (invoice, key, username or user ID), from, to
+     * @param {number} limit - Page size
+     * @param {number} offset - Rows to skip
+     * @returns {object} - { records, total }, each record with its keys
+     */
+    async searchRedemptions(filters, limit, offset) {
+        try {
+            const { where, params } = buildRedemptionFilters(filters);
+
+            const total = await this.get(`SELECT COUNT(*) as count FROM redeemed_invoices ${where}`, params);
+            const records = await this.all(
+                `SELECT * FROM redeemed_invoices ${where}
+                 ORDER BY redeemed_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            return { records: await this.attachKeys(records), total: total.count };
+        } catch (error) {
+            logger.error('Error searching redemptions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Swap one key of a redeemed invoice, if the invoice still has the expected key
+     * @returns {boolean} - True if the key was replaced
+     */
+    async replaceLicenseKey(invoiceId, oldLicenseKey, newLicenseKey) {
+        try {
+            return await this.transaction(async (tx) => {
+                const result = await tx.run(
+                    `UPDATE license_keys SET license_key = ?
+                     WHERE invoice_id = ? AND license_key = ? AND status = 'active'
+                       AND EXISTS (SELECT 1 FROM redeemed_invoices WHERE invoice_id = ? AND status IN ('redeemed', 'partial'))`,
+                    [newLicenseKey, invoiceId, oldLicenseKey, invoiceId]
+                );
+
+                if (result.changes > 0) {
+                    // The invoice row mirrors its first key
+                    await tx.run(
+                        'UPDATE redeemed_invoices SET license_key = ? WHERE invoice_id = ? AND license_key = ?',
+                        [newLicenseKey, invoiceId, oldLicenseKey]
+                    );
+                }
+
+                return result.changes > 0;
+            });
+        } catch (error) {
+            logger.error('Error replacing license key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Page through the audit log, newest first
+     * @param {object} filters - userId, action, invoiceId, guildId
+     * @param {number} limit - Page size
+     * @param {number} offset - Rows to skip
+     * @returns {object} - { entries, total }
+     */
+    async getAuditLog({ userId, action, invoiceId, guildId }, limit, offset) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            if (userId) {
+                conditions.push('user_id = ?');
+                params.push(userId);
+            }
+            if (guildId) {
+                conditions.push('guild_id = ?');
+                params.push(guildId);
+            }
+            if (action) {
+                conditions.push('action = ?');
+                params.push(action);
+            }
+            if (invoiceId) {
+                // Entries store the invoice inside their JSON data
+                conditions.push(`data LIKE ? ESCAPE '\\'`);
+                params.push(`%${escapeLike(`"invoiceId":${JSON.stringify(invoiceId)}`)}%`);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const total = await this.get(`SELECT COUNT(*) as count FROM audit_log ${where}`, params);
+            const entries = await this.all(
+                `SELECT * FROM audit_log ${where}
+                 ORDER BY timestamp DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            return { entries, total: total.count };
+        } catch (error) {
+            logger.error('Error getting audit log:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get redemption statistics
+     * @returns {object} - Counts by status, recent redemptions, top products and revenue
      */
     async getRedemptionStats() {
         try {
-            const totalRedemptions = await this.get('SELECT COUNT(*) as count FROM redeemed_invoices');
-            const todayRedemptions = await this.get(
-                `SELECT COUNT(*) as count FROM redeemed_invoices
-                 WHERE date(redeemed_at) = date('now')`
+            const since = (hours) => toSqlTimestamp(new Date(Date.now() - hours * 60 * 60 * 1000));
+
+            const byStatus = await this.all(
+                'SELECT status, COUNT(*) as count FROM redeemed_invoices GROUP BY status'
+            );
+            const recent = await this.get(
+                `SELECT
+                    SUM(CASE WHEN redeemed_at >= ? THEN 1 ELSE 0 END) as last24h,
+                    SUM(CASE WHEN redeemed_at >= ? THEN 1 ELSE 0 END) as last7d,
+                    SUM(CASE WHEN redeemed_at >= ? THEN 1 ELSE 0 END) as last30d
+                 FROM redeemed_invoices
+                 WHERE status != 'pending'`,
+                [since(24), since(24 * 7), since(24 * 30)]
+            );
+            const products = await this.all(
+                `SELECT product_id, MAX(product_name) as product_name, COUNT(*) as count
+                 FROM redeemed_invoices
+                 WHERE status != 'pending'
+                 GROUP BY product_id
+                 ORDER BY count DESC
+                 LIMIT 10`
+            );
+            const revenue = await this.all(
+                `SELECT COALESCE(currency, 'USD') as currency, SUM(amount) as amount
+                 FROM redeemed_invoices
+                 WHERE status IN ('redeemed', 'partial')
+                 GROUP BY COALESCE(currency, 'USD')`
             );
 
+            const statuses = { pending: 0, redeemed: 0, partial: 0, revoked: 0 };
+            for (const row of byStatus) {
+                statuses[row.status] = row.count;
+            }
+
             return {
-                total: totalRedemptions.count,
-                today: todayRedemptions.count
+                total: statuses.redeemed + statuses.partial + statuses.revoked,
+                byStatus: statuses,
+                last24h: Number(recent?.last24h) || 0,
+                last7d: Number(recent?.last7d) || 0,
+                last30d: Number(recent?.last30d) || 0,
+                topProducts: products.map(row => ({
+                    productId: row.product_id,
+                    productName: row.product_name,
+                    count: row.count
+                })),
+                // Refunded and charged back (revoked) invoices are left out
+                revenue: revenue.map(row => ({
+                    currency: row.currency,
+                    amount: Math.round(Number(row.amount || 0) * 100) / 100
+                }))
             };
         } catch (error) {
             logger.error('Error getting redemption stats:', error);
@@ -327,21 +956,18 @@ class Database {
      * Close database connection
      */
     async disconnect() {
-        return new Promise((resolve) => {
-            if (this.db) {
-                this.db.close((err) => {
-                    if (err) {
-                        logger.error('Error closing database:', err);
-                    } else {
-                        logger.info('Database connection closed');
-                    }
-                    this.isConnected = false;
-                    resolve();
-                });
-            } else {
-                resolve();
-            }
-        });
+        if (!this.isConnected) {
+            return;
+        }
+
+        try {
+            await this.driver.close();
+            logger.info('Database connection closed');
+        } catch (error) {
+            logger.error('Error closing database:', error);
+        }
+
+        this.isConnected = false;
     }
 
     /**
@@ -0,0 +1,160 @@
+const { Pool, types } = require('pg');
+
+// Return COUNT(*) and other BIGINT values as numbers, like SQLite does
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10));
+
+class PostgresDriver {
+    /**
+     * @param {string} url - postgres:// or postgresql:// connection URL
+     * @param {object} options - Driver options
+     * @param {boolean} options.ssl - Connect over TLS (required on Heroku)
+     */
+    constructor(url, options = {}) {
+        this.dialect = 'postgres';
+        this.url = url;
+        this.ssl = options.ssl;
+        this.pool = null;
+    }
+
+    /**
+     * Human readable description for logs (credentials stripped)
+     */
+    describe() {
+        try {
+            const { hostname, port, pathname } = new URL(this.url);
+            return `PostgreSQL database: ${hostname}${port ? `:${port}` : ''}${pathname}`;
+        } catch (error) {
+            return 'PostgreSQL database';
+        }
+    }
+
+    /**
+     * Create the connection pool and check it can reach the server
+     */
+    async connect() {
+        this.pool = new Pool({
+            connectionString: this.url,
+            ssl: this.ssl ? { rejectUnauthorized: false } : false,
+            max: 10
+        });
+
+        const client = await this.pool.connect();
+        client.release();
+    }
+
+    /**
+     * Run a statement that does not return rows
+     */
+    async run(sql, params = []) {
+        return this.execute(this.pool, sql, params);
+    }
+
+    /**
+     * Get a single row
+     */
+    async get(sql, params = []) {
+        const result = await this.pool.query(this.translate(sql), params);
+        return result.rows[0];
+    }
+
+    /**
+     * Get multiple rows
+     */
+    async all(sql, params = []) {
+        const result = await this.pool.query(this.translate(sql), params);
+        return result.rows;
+    }
+
+    /**
+     * Run a callback inside BEGIN/COMMIT on a dedicated pool client,
+     * rolling back if it throws
+     * @param {function} callback - Receives an executor with run/get/all
+     */
+    async transaction(callback) {
+        const client = await this.pool.connect();
+        const executor = {
+            dialect: this.dialect,
+            run: (sql, params = []) => this.execute(client, sql, params),
+            get: async (sql, params = []) => (await client.query(this.translate(sql), params)).rows[0],
+            all: async (sql, params = []) => (await client.query(this.translate(sql), params)).rows
+        };
+
+        try {
+            await client.query('BEGIN');
+            const result = await callback(executor);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Execute a write statement on the pool or a transaction client
+     */
+    async execute(queryable, sql, params) {
+        let text = this.translate(sql);
+
+        // Emulate SQLite's lastID by asking for the inserted row back
+        if (/^\s*INSERT\b/i.test(text) && !/\bRETURNING\b/i.test(text)) {
+            text += ' RETURNING *';
+        }
+
+        const result = await queryable.query(text, params);
+        return {
+            lastID: result.rows?.[0]?.id ?? null,
+            changes: result.rowCount
+        };
+    }
+
+    /**
+     * Close the connection pool
+     */
+    async close() {
+        if (this.pool) {
+            await this.pool.end();
+            this.pool = null;
+        }
+    }
+
+    /**
+     * Convert the SQLite dialect used throughout the codebase to PostgreSQL
+     * @param {string} sql - SQLite flavoured statement
+     * @returns {string} - PostgreSQL statement
+     */
+    translate(sql) {
+        return this.replacePlaceholders(sql)
+            .replace(/\bINTEGER\s+PRIMARY\s+KEY\s+AUTOINCREMENT\b/gi, 'SERIAL PRIMARY KEY')
+            .replace(/\bDATETIME\b/gi, 'TIMESTAMP')
+            .replace(/\bdate\(\s*'now'\s*\)/gi, 'CURRENT_DATE')
+            .replace(/\bdate\(\s*([\w.]+)\s*\)/gi, 'CAST($1 AS DATE)');
+    }
+
+    /**
+     * Replace ? placeholders with $1, $2, ... while leaving quoted strings alone
+     */
+    replacePlaceholders(sql) {
+        let index = 0;
+        let inString = false;
+        let output = '';
+
+        for (const char of sql) {
+            if (char === '\'') {
+                inString = !inString;
+                output += char;
+            } else if (char === '?' && !inString) {
+                index++;
+                output += `$${index}`;
+            } else {
+                output += char;
+            }
+        }
+
+        return output;
+    }
+}
+
+module.exports = PostgresDriver;
@@ -0,0 +1,140 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+
+class SqliteDriver {
+    /**
+     * @param {string} url - Connection URL in the form sqlite:<path>
+     */
+    constructor(url) {
+        this.dialect = 'sqlite';
+        this.path = url.replace(/^sqlite:/, '') || './licenses.db';
+        this.db = null;
+        // SQLite has a single connection, so statements run one at a time; while
+        // a transaction is open, statements from outside it wait for it to end
+        this.queue = Promise.resolve();
+        // Set while the code of an open transaction runs, so its statements skip the queue
+        this.transactionContext = new AsyncLocalStorage();
+    }
+
+    /**
+     * Human readable description for logs
+     */
+    describe() {
+        return `SQLite database: ${this.path}`;
+    }
+
+    /**
+     * Open the database file
+     */
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.path, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Run a statement that does not return rows
+     */
+    async run(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        }));
+    }
+
+    /**
+     * Get a single row
+     */
+    async get(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        }));
+    }
+
+    /**
+     * Get multiple rows
+     */
+    async all(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        }));
+    }
+
+    /**
+     * Run a callback inside BEGIN/COMMIT, rolling back if it throws
+     * @param {function} callback - Receives an executor with run/get/all
+     */
+    async transaction(callback) {
+        return this.schedule(() => this.transactionContext.run(true, async () => {
+            await this.run('BEGIN');
+            try {
+                const result = await callback(this);
+                await this.run('COMMIT');
+                return result;
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        }));
+    }
+
+    /**
+     * Run a task after everything queued before it. Inside a transaction it
+     * runs straight away, as the transaction already holds the queue.
+     */
+    schedule(task) {
+        if (this.transactionContext.getStore()) {
+            return task();
+        }
+
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Close the database file
+     */
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve();
+                return;
+            }
+
+            this.db.close((err) => {
+                this.db = null;
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+module.exports = SqliteDriver;
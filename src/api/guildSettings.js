@@ -0,0 +1,107 @@
+const database = require('./database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Event types a staff log channel can receive
+const STAFF_EVENT_TYPES = ['redemption', 'failure', 'revocation', 'rate_limit', 'outage', 'status'];
+
+// Settings used for guilds that have never been configured
+const DEFAULT_SETTINGS = {
+    requireEmailMatch: false,
+    logChannelId: null,
+    logEvents: STAFF_EVENT_TYPES
+};
+
+class GuildSettings {
+    /**
+     * Get the settings for a guild
+     * @param {string} guildId - Discord guild ID (null outside a guild)
+     * @returns {object} - Guild settings, defaults if the guild is not configured
+     */
+    async getSettings(guildId) {
+        if (!guildId) {
+            return { guildId: null, ...DEFAULT_SETTINGS };
+        }
+
+        const row = await database.get(
+            'SELECT * FROM guild_settings WHERE guild_id = ?',
+            [String(guildId)]
+        );
+
+        return row ? this.formatSettings(row) : { guildId: String(guildId), ...DEFAULT_SETTINGS };
+    }
+
+    /**
+     * Update settings for a guild, keeping any setting not passed in
+     * @param {string} guildId - Discord guild ID
+     * @param {object} changes - Settings to change
+     * @param {boolean} changes.requireEmailMatch - Require the purchase email when redeeming
+     * @param {string} changes.logChannelId - Staff log channel, null to turn the log off
+     * @param {Array<string>} changes.logEvents - Event types posted to the staff log
+     * @param {string} updatedBy - Discord user ID making the change
+     * @returns {object} - Updated guild settings
+     */
+    async updateSettings(guildId, changes, updatedBy) {
+        const settings = { ...(await this.getSettings(guildId)), ...changes };
+
+        await database.run(
+            `INSERT INTO guild_settings (guild_id, require_email_match, log_channel_id, log_events, updated_by)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (guild_id) DO UPDATE SET
+                require_email_match = excluded.require_email_match,
+                log_channel_id = excluded.log_channel_id,
+                log_events = excluded.log_events,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP`,
+            [
+                String(guildId),
+                settings.requireEmailMatch ? 1 : 0,
+                settings.logChannelId || null,
+                settings.logEvents.join(','),
+                updatedBy
+            ]
+        );
+
+        logger.info(`Guild settings updated for ${guildId} by ${updatedBy}`);
+        return this.getSettings(guildId);
+    }
+
+    /**
+     * Get every guild on the default shop that has a staff log channel.
+     * Guilds with their own tenant only hear about their own shop, and guilds
+     * not allowed to use the default shop hear nothing.
+     * @returns {Array<object>} - Guild settings
+     */
+    async getLogChannels() {
+        const guildIds = config.discord.defaultShopGuildIds;
+        if (guildIds.length === 0) {
+            return [];
+        }
+
+        const rows = await database.all(
+            `SELECT * FROM guild_settings
+             WHERE log_channel_id IS NOT NULL
+               AND guild_id IN (${guildIds.map(() => '?').join(', ')})
+               AND guild_id NOT IN (SELECT guild_id FROM tenants)`,
+            guildIds
+        );
+        return rows.map(row => this.formatSettings(row));
+    }
+
+    /**
+     * Convert a database row to guild settings
+     */
+    formatSettings(row) {
+        return {
+            guildId: row.guild_id,
+            requireEmailMatch: !!row.require_email_match,
+            logChannelId: row.log_channel_id || null,
+            logEvents: row.log_events !== null && row.log_events !== undefined
+                ? row.log_events.split(',').filter(type => STAFF_EVENT_TYPES.includes(type))
+                : STAFF_EVENT_TYPES
+        };
+    }
+}
+
+module.exports = new GuildSettings();
+module.exports.STAFF_EVENT_TYPES = STAFF_EVENT_TYPES;
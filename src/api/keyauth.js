@@ -1,18 +1,37 @@
 const axios = require('axios');
-const crypto = require('crypto');
 const config = require('../config/config');
+const database = require('./database');
+const keyGenerator = require('../utils/keyGenerator');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const staffNotifier = require('../services/staffNotifier');
+
+const DEFAULT_KEY_TEMPLATE = keyGenerator.DEFAULT_TEMPLATE;
+
+// A fresh key clashing with an issued one is already unlikely; several in a row means something is wrong
+const MAX_KEY_ATTEMPTS = 5;
 
 class KeyAuthAPI {
-    constructor() {
-        this.name = config.keyauth.name;
-        this.ownerId = config.keyauth.ownerId;
-        this.version = config.keyauth.version;
-        this.url = config.keyauth.url;
-        this.secret = config.keyauth.secret;
+    /**
+     * @param {object} options - Application credentials; anything left out comes from config
+     * @param {string} options.name - Application name
+     * @param {string} options.ownerId - Account owner ID
+     * @param {string} options.secret - Application secret
+     * @param {string} options.version - Application version
+     * @param {string} options.guildId - Guild whose application this is, for outage alerts (null for the default)
+     */
+    constructor(options = {}) {
+        const settings = { ...config.keyauth, ...options };
+
+        this.name = settings.name;
+        this.ownerId = settings.ownerId;
+        this.version = settings.version;
+        this.url = settings.url;
+        this.secret = settings.secret;
+        this.guildId = options.guildId || null;
 
         if (!this.secret) {
-            throw new Error('KeyAuth secret not provided in environment variables');
+            throw new Error('KeyAuth secret not provided');
         }
 
         this.sessionid = null;
@@ -26,6 +45,22 @@ class KeyAuthAPI {
                 'User-Agent': 'Discord-License-Bot/1.0'
             }
         });
+
+        // Every call goes to the same URL; the form's type field says what it does
+        metrics.instrumentAxios(this.client, 'keyauth', (requestConfig) =>
+            new URLSearchParams(String(requestConfig.data || '')).get('type') || 'unknown'
+        );
+
+        // Timeouts, connection errors and 5xx responses mean KeyAuth is down
+        this.client.interceptors.response.use(
+            (response) => response,
+            (error) => {
+                if (!error.response || error.response.status >= 500) {
+                    staffNotifier.notifyOutage('KeyAuth', error.message, this.guildId);
+                }
+                return Promise.reject(error);
+            }
+        );
     }
 
     /**
@@ -36,21 +71,7 @@ class KeyAuthAPI {
         try {
             logger.info('Initializing KeyAuth session...');
 
-            const initData = {
-                type: 'init',
-                name: this.name,
-                ownerid: this.ownerId,
-                ver: this.version
-            };
-
-            const response = await this.client.post(this.url, new URLSearchParams(initData));
-            const result = response.data;
-
-            if (!result.success) {
-                throw new Error(`KeyAuth initialization failed: ${result.message}`);
-            }
-
-            this.sessionid = result.sessionid;
+            this.sessionid = await this.openSession();
             this.initialized = true;
 
             logger.info('KeyAuth initialized successfully');
@@ -63,6 +84,29 @@ class KeyAuthAPI {
         }
     }
 
+    /**
+     * Open a new KeyAuth session
+     * @returns {string} - Session ID
+     * @throws {Error} - If KeyAuth rejects the init request or cannot be reached
+     */
+    async openSession() {
+        const initData = {
+            type: 'init',
+            name: this.name,
+            ownerid: this.ownerId,
+            ver: this.version
+        };
+
+        const response = await this.client.post(this.url, new URLSearchParams(initData));
+        const result = response.data;
+
+        if (!result.success) {
+            throw new Error(`KeyAuth initialization failed: ${result.message}`);
+        }
+
+        return result.sessionid;
+    }
+
     /**
      * Ensure KeyAuth is initialized before making requests
      */
@@ -91,7 +135,7 @@ class KeyAuthAPI {
             logger.info('Creating new KeyAuth license...');
 
             // Generate license key if not provided
-            const licenseKey = options.licenseKey || this.generateLicenseKey();
+            const licenseKey = options.licenseKey || await this.generateUniqueKey(DEFAULT_KEY_TEMPLATE);
 
             const licenseData = {
                 type: 'add',
@@ -167,6 +211,78 @@ class KeyAuthAPI {
         }
     }
 
+    /**
+     * Ban a license key, keeping it in KeyAuth with the ban reason
+     * @param {string} licenseKey - License key to ban
+     * @param {string} reason - Ban reason shown by KeyAuth
+     * @returns {boolean} - True if ban successful
+     */
+    async banLicense(licenseKey, reason) {
+        try {
+            await this.ensureInitialized();
+
+            logger.info(`Banning license: ${licenseKey}`);
+
+            const banData = {
+                type: 'ban',
+                sessionid: this.sessionid,
+                format: 'JSON',
+                key: licenseKey,
+                reason: reason || 'Revoked by staff'
+            };
+
+            const response = await this.client.post(this.url, new URLSearchParams(banData));
+            const result = response.data;
+
+            if (!result.success) {
+                logger.warn(`License ban failed: ${result.message}`);
+                return false;
+            }
+
+            logger.info(`License banned successfully: ${licenseKey}`);
+            return true;
+
+        } catch (error) {
+            logger.error('License ban failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Clear the hardware ID locked to a license so it can be used on a new PC
+     * @param {string} licenseKey - License key; KeyAuth registers license logins under the key as username
+     * @returns {boolean} - True if reset successful
+     */
+    async resetHwid(licenseKey) {
+        try {
+            await this.ensureInitialized();
+
+            logger.info(`Resetting HWID for license: ${licenseKey}`);
+
+            const resetData = {
+                type: 'resetuser',
+                sessionid: this.sessionid,
+                format: 'JSON',
+                user: licenseKey
+            };
+
+            const response = await this.client.post(this.url, new URLSearchParams(resetData));
+            const result = response.data;
+
+            if (!result.success) {
+                logger.warn(`HWID reset failed: ${result.message}`);
+                return false;
+            }
+
+            logger.info(`HWID reset successfully: ${licenseKey}`);
+            return true;
+
+        } catch (error) {
+            logger.error('HWID reset failed:', error.message);
+            return false;
+        }
+    }
+
     /**
      * Verify a license key exists and is valid
      * @param {string} licenseKey - License key to verify
@@ -238,21 +354,40 @@ class KeyAuthAPI {
     }
 
     /**
-     * Generate a secure license key
-     * @param {number} length - Length of the license key
+     * Generate a license key
+     * @param {string} template - Key template such as LEXIS-UG-XXXX-XXXX-#; all-X groups are randomized, # is a check character
      * @returns {string} - Generated license key
      */
-    generateLicenseKey(length = 24) {
-        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-        let result = '';
+    generateLicenseKey(template = DEFAULT_KEY_TEMPLATE) {
+        return keyGenerator.generate(template);
+    }
+
+    /**
+     * Generate a license key that was never issued before
+     * @param {string} template - Key template
+     * @returns {Promise<string>} - Generated license key
+     */
+    async generateUniqueKey(template) {
+        for (let attempt = 1; attempt <= MAX_KEY_ATTEMPTS; attempt++) {
+            const licenseKey = this.generateLicenseKey(template);
+
+            if (!await database.isLicenseKeyTaken(licenseKey)) {
+                return licenseKey;
+            }
 
-        // Generate random characters
-        for (let i = 0; i < length; i++) {
-            result += characters.charAt(Math.floor(Math.random() * characters.length));
+            logger.warn(`Generated license key collided with an issued key (template ${template}, attempt ${attempt})`);
         }
 
-        // Format as groups of 4 characters separated by hyphens
-        return result.replace(/.{4}/g, '$&-').slice(0, -1);
+        throw new Error(`Could not generate an unused license key from template ${template}`);
+    }
+
+    /**
+     * Generate an unused key in the format configured for one of a product's entitlements
+     * @param {object} entitlement - Entitlement from the product catalog
+     * @returns {Promise<string>} - Generated license key
+     */
+    async generateProductKey(entitlement) {
+        return this.generateUniqueKey(entitlement?.keyTemplate || DEFAULT_KEY_TEMPLATE);
     }
 
     /**
@@ -260,17 +395,22 @@ class KeyAuthAPI {
      * @param {string} invoiceId - Invoice ID for tracking
      * @param {string} discordUserId - Discord user ID
      * @param {object} invoiceData - SellAuth invoice data
+     * @param {object} product - Product catalog entry
+     * @param {object} entitlement - The product entitlement this key is for, with level, expiry and key template
+     * @param {string} licenseKey - Pre-generated key to register (optional)
      * @returns {object} - License creation result
      */
-    async createLicenseForRedemption(invoiceId, discordUserId, invoiceData) {
+    async createLicenseForRedemption(invoiceId, discordUserId, invoiceData, product, entitlement, licenseKey = null) {
         try {
-            const licenseKey = this.generateLicenseKey();
+            licenseKey = licenseKey || await this.generateProductKey(entitlement);
 
             const note = JSON.stringify({
                 source: 'discord_bot',
                 invoiceId: invoiceId,
                 discordUserId: discordUserId,
-                productName: invoiceData.product_name || 'Unknown',
+                productId: product.productId,
+                productName: product.name || invoiceData.product_name,
+                entitlement: entitlement.position,
                 amount: invoiceData.amount || 0,
                 currency: invoiceData.currency || 'USD',
                 redeemedAt: new Date().toISOString()
@@ -278,8 +418,8 @@ class KeyAuthAPI {
 
             const result = await this.createLicense({
                 licenseKey: licenseKey,
-                expiry: 0, // Lifetime license as requested
-                level: '1',
+                expiry: entitlement.expiryDays, // 0 = lifetime
+                level: entitlement.level,
                 note: note
             });
 
@@ -300,18 +440,14 @@ class KeyAuthAPI {
     }
 
     /**
-     * Test KeyAuth connection
+     * Test KeyAuth connection. Opens a throwaway session so the one in use is
+     * left alone.
      * @returns {boolean} - True if connection successful
      */
     async testConnection() {
         try {
-            const success = await this.initialize();
-            if (success) {
-                // Reset initialization flag for future use
-                this.initialized = false;
-                this.sessionid = null;
-            }
-            return success;
+            await this.openSession();
+            return true;
         } catch (error) {
             logger.error('KeyAuth connection test failed:', error.message);
             return false;
@@ -321,7 +457,7 @@ class KeyAuthAPI {
     /**
      * Get license information
      * @param {string} licenseKey - License key to look up
-     * @returns {object} - License information
+     * @returns {object} - License information; reachable is false when KeyAuth could not be contacted
      */
     async getLicenseInfo(licenseKey) {
         try {
@@ -340,7 +476,8 @@ class KeyAuthAPI {
             return {
                 success: result.success,
                 info: result.keyinfo || null,
-                message: result.message
+                message: result.message,
+                reachable: true
             };
 
         } catch (error) {
@@ -348,10 +485,12 @@ class KeyAuthAPI {
             return {
                 success: false,
                 info: null,
-                message: error.message
+                message: error.message,
+                reachable: false
             };
         }
     }
 }
 
-module.exports = new KeyAuthAPI();
\ No newline at end of file
+module.exports = KeyAuthAPI;
+module.exports.DEFAULT_KEY_TEMPLATE = DEFAULT_KEY_TEMPLATE;
\ No newline at end of file
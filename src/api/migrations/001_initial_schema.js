@@ -0,0 +1,57 @@
+/**
+ * Baseline schema. Uses IF NOT EXISTS so databases created before
+ * migrations were introduced are adopted without changes.
+ */
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS redeemed_invoices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_id TEXT UNIQUE NOT NULL,
+                discord_user_id TEXT NOT NULL,
+                discord_username TEXT,
+                license_key TEXT NOT NULL,
+                product_name TEXT,
+                product_id TEXT,
+                amount REAL,
+                currency TEXT,
+                customer_email TEXT,
+                redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sellauth_data TEXT,
+                keyauth_response TEXT,
+                user_metadata TEXT
+            )`
+        );
+
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS rate_limits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                attempts INTEGER DEFAULT 1,
+                first_attempt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_attempt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reset_after DATETIME,
+                UNIQUE(user_id, action)
+            )`
+        );
+
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                data TEXT,
+                ip_address TEXT,
+                user_agent TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS audit_log');
+        await db.run('DROP TABLE IF EXISTS rate_limits');
+        await db.run('DROP TABLE IF EXISTS redeemed_invoices');
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * Indexes for per-user license and audit lookups
+ */
+module.exports = {
+    async up(db) {
+        await db.run('CREATE INDEX IF NOT EXISTS idx_redeemed_invoices_user ON redeemed_invoices (discord_user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (user_id, timestamp)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_audit_log_user');
+        await db.run('DROP INDEX IF EXISTS idx_redeemed_invoices_user');
+    }
+};
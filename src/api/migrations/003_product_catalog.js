@@ -0,0 +1,23 @@
+/**
+ * Per-product license policy keyed by SellAuth product ID
+ */
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS products (
+                product_id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                keyauth_level TEXT NOT NULL DEFAULT '1',
+                expiry_days INTEGER NOT NULL DEFAULT 0,
+                key_template TEXT,
+                redeemable INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS products');
+    }
+};
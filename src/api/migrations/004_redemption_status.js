@@ -0,0 +1,14 @@
+/**
+ * Track redemption state so an invoice can be reserved before its key exists
+ */
+module.exports = {
+    async up(db) {
+        await db.run(`ALTER TABLE redeemed_invoices ADD COLUMN status TEXT NOT NULL DEFAULT 'redeemed'`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_redeemed_invoices_status ON redeemed_invoices (status)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_redeemed_invoices_status');
+        await db.run('ALTER TABLE redeemed_invoices DROP COLUMN status');
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * Invoice reservations: a pending row now holds the invoice for the whole
+ * redemption pipeline, before the product (and so the key) is known.
+ * license_key becomes nullable and the row carries a lease token and expiry.
+ */
+
+const COLUMNS = [
+    'id', 'invoice_id', 'discord_user_id', 'discord_username', 'license_key',
+    'product_name', 'product_id', 'amount', 'currency', 'customer_email',
+    'redeemed_at', 'sellauth_data', 'keyauth_response', 'user_metadata', 'status'
+].join(', ');
+
+/**
+ * SQLite cannot change a column's NOT NULL constraint in place,
+ * so the table is rebuilt with the wanted license_key definition
+ */
+async function rebuildSqliteTable(db, licenseKeyDefinition, extraColumns) {
+    await db.run(
+        `CREATE TABLE redeemed_invoices_rebuild (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            invoice_id TEXT UNIQUE NOT NULL,
+            discord_user_id TEXT NOT NULL,
+            discord_username TEXT,
+            license_key ${licenseKeyDefinition},
+            product_name TEXT,
+            product_id TEXT,
+            amount REAL,
+            currency TEXT,
+            customer_email TEXT,
+            redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            sellauth_data TEXT,
+            keyauth_response TEXT,
+            user_metadata TEXT,
+            status TEXT NOT NULL DEFAULT 'redeemed'${extraColumns}
+        )`
+    );
+    await db.run(`INSERT INTO redeemed_invoices_rebuild (${COLUMNS}) SELECT ${COLUMNS} FROM redeemed_invoices`);
+    await db.run('DROP TABLE redeemed_invoices');
+    await db.run('ALTER TABLE redeemed_invoices_rebuild RENAME TO redeemed_invoices');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_redeemed_invoices_user ON redeemed_invoices (discord_user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_redeemed_invoices_status ON redeemed_invoices (status)');
+}
+
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'postgres') {
+            await db.run('ALTER TABLE redeemed_invoices ALTER COLUMN license_key DROP NOT NULL');
+            await db.run('ALTER TABLE redeemed_invoices ADD COLUMN reservation_token TEXT');
+            await db.run('ALTER TABLE redeemed_invoices ADD COLUMN reserved_until DATETIME');
+        } else {
+            await rebuildSqliteTable(db, 'TEXT', ',\n            reservation_token TEXT,\n            reserved_until DATETIME');
+        }
+    },
+
+    async down(db) {
+        // Reservations without a key cannot satisfy NOT NULL again
+        await db.run(`DELETE FROM redeemed_invoices WHERE status = 'pending' AND license_key IS NULL`);
+
+        if (db.dialect === 'postgres') {
+            await db.run('ALTER TABLE redeemed_invoices DROP COLUMN reserved_until');
+            await db.run('ALTER TABLE redeemed_invoices DROP COLUMN reservation_token');
+            await db.run('ALTER TABLE redeemed_invoices ALTER COLUMN license_key SET NOT NULL');
+        } else {
+            await rebuildSqliteTable(db, 'TEXT NOT NULL', '');
+        }
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * Per-guild redemption settings, starting with the purchase email check
+ */
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS guild_settings (
+                guild_id TEXT PRIMARY KEY,
+                require_email_match INTEGER NOT NULL DEFAULT 0,
+                updated_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS guild_settings');
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Revocation details for redemptions whose key was revoked by staff.
+ * Revoked rows keep status 'revoked' so the invoice stays used.
+ */
+module.exports = {
+    async up(db) {
+        await db.run('ALTER TABLE redeemed_invoices ADD COLUMN revoked_by TEXT');
+        await db.run('ALTER TABLE redeemed_invoices ADD COLUMN revoked_at DATETIME');
+        await db.run('ALTER TABLE redeemed_invoices ADD COLUMN revocation_reason TEXT');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE redeemed_invoices DROP COLUMN revocation_reason');
+        await db.run('ALTER TABLE redeemed_invoices DROP COLUMN revoked_at');
+        await db.run('ALTER TABLE redeemed_invoices DROP COLUMN revoked_by');
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * Track when each redemption was last re-checked against SellAuth
+ * for refunds and chargebacks
+ */
+module.exports = {
+    async up(db) {
+        await db.run('ALTER TABLE redeemed_invoices ADD COLUMN last_reconciled_at DATETIME');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE redeemed_invoices DROP COLUMN last_reconciled_at');
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * License transfers between Discord accounts. Completed rows form the
+ * ownership history of an invoice; the first from_user_id is the original buyer.
+ */
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS license_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_id TEXT NOT NULL,
+                from_user_id TEXT NOT NULL,
+                to_user_id TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                initiated_by TEXT NOT NULL,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME,
+                completed_at DATETIME
+            )`
+        );
+        await db.run('CREATE INDEX IF NOT EXISTS idx_license_transfers_invoice ON license_transfers (invoice_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS license_transfers');
+    }
+};
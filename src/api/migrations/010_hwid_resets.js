@@ -0,0 +1,23 @@
+/**
+ * Self-service HWID resets, one row per successful reset. The latest row of a
+ * key drives its cooldown, which follows the key across ownership transfers.
+ */
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS hwid_resets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                license_key TEXT NOT NULL,
+                invoice_id TEXT NOT NULL,
+                discord_user_id TEXT NOT NULL,
+                source TEXT NOT NULL,
+                reset_at DATETIME NOT NULL
+            )`
+        );
+        await db.run('CREATE INDEX IF NOT EXISTS idx_hwid_resets_key ON hwid_resets (license_key, reset_at)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS hwid_resets');
+    }
+};
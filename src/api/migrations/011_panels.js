@@ -0,0 +1,38 @@
+/**
+ * Per-guild redemption panel content, and every panel message posted so
+ * edits can be applied to them in place
+ */
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS panel_configs (
+                guild_id TEXT PRIMARY KEY,
+                title TEXT,
+                description TEXT,
+                color TEXT,
+                thumbnail_url TEXT,
+                image_url TEXT,
+                buttons TEXT,
+                updated_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS panel_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                message_id TEXT NOT NULL UNIQUE,
+                posted_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+        await db.run('CREATE INDEX IF NOT EXISTS idx_panel_messages_guild ON panel_messages (guild_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS panel_messages');
+        await db.run('DROP TABLE IF EXISTS panel_configs');
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Per-guild staff log channel and the event types it receives
+ * (comma-separated, NULL for all)
+ */
+module.exports = {
+    async up(db) {
+        await db.run('ALTER TABLE guild_settings ADD COLUMN log_channel_id TEXT');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN log_events TEXT');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE guild_settings DROP COLUMN log_events');
+        await db.run('ALTER TABLE guild_settings DROP COLUMN log_channel_id');
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Replace the per-action rate_limits counters with the row layout used by
+ * the rate-limiter-flexible store (one row per limiter key, expiry in epoch
+ * milliseconds), and add per-guild and per-role limit overrides. A rule with
+ * role_id '' is the guild's default. Existing counters are not carried over.
+ */
+module.exports = {
+    async up(db) {
+        await db.run('DROP TABLE IF EXISTS rate_limits');
+        await db.run(
+            `CREATE TABLE rate_limits (
+                limiter_key TEXT PRIMARY KEY,
+                points INTEGER NOT NULL,
+                expire BIGINT
+            )`
+        );
+
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS rate_limit_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL DEFAULT '',
+                limiter TEXT NOT NULL,
+                points INTEGER NOT NULL,
+                updated_by TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, role_id, limiter)
+            )`
+        );
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS rate_limit_rules');
+        await db.run('DROP TABLE IF EXISTS rate_limits');
+        await db.run(
+            `CREATE TABLE rate_limits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                attempts INTEGER DEFAULT 1,
+                first_attempt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_attempt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reset_after DATETIME,
+                UNIQUE(user_id, action)
+            )`
+        );
+    }
+};
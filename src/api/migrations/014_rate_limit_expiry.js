@@ -0,0 +1,12 @@
+/**
+ * Index rate limit counters by expiry for the sweeper
+ */
+module.exports = {
+    async up(db) {
+        await db.run('CREATE INDEX IF NOT EXISTS idx_rate_limits_expire ON rate_limits (expire)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_rate_limits_expire');
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Multi-guild tenancy. A tenant is a guild with its own SellAuth shop and
+ * KeyAuth application; secrets are stored encrypted with ENCRYPTION_KEY.
+ * Guilds without a tenant keep using the shop configured in the environment.
+ *
+ * redeemed_invoices.guild_id is the tenant whose shop the invoice belongs to
+ * (NULL for the default shop). audit_log.guild_id is the guild an action
+ * happened in. Products are keyed per tenant ('' for the default catalog).
+ */
+
+const PRODUCT_COLUMNS = [
+    'product_id', 'name', 'keyauth_level', 'expiry_days', 'key_template',
+    'redeemable', 'created_at', 'updated_at'
+].join(', ');
+
+/**
+ * SQLite cannot change a primary key in place, so the catalog is rebuilt
+ * with or without the guild_id key column. Rows are copied by the given SELECT.
+ */
+async function rebuildSqliteProducts(db, perGuild, select) {
+    await db.run(
+        `CREATE TABLE products_rebuild (${perGuild ? `
+            guild_id TEXT NOT NULL DEFAULT '',` : ''}
+            product_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            keyauth_level TEXT NOT NULL DEFAULT '1',
+            expiry_days INTEGER NOT NULL DEFAULT 0,
+            key_template TEXT,
+            redeemable INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (${perGuild ? 'guild_id, product_id' : 'product_id'})
+        )`
+    );
+    await db.run(`INSERT INTO products_rebuild (${PRODUCT_COLUMNS}) ${select}`);
+    await db.run('DROP TABLE products');
+    await db.run('ALTER TABLE products_rebuild RENAME TO products');
+}
+
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS tenants (
+                guild_id TEXT PRIMARY KEY,
+                shop_id TEXT,
+                sellauth_api_key TEXT,
+                webhook_secret TEXT,
+                keyauth_name TEXT,
+                keyauth_owner_id TEXT,
+                keyauth_secret TEXT,
+                keyauth_version TEXT,
+                updated_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+
+        await db.run('ALTER TABLE redeemed_invoices ADD COLUMN guild_id TEXT');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_redeemed_invoices_guild ON redeemed_invoices (guild_id)');
+
+        await db.run('ALTER TABLE audit_log ADD COLUMN guild_id TEXT');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_guild ON audit_log (guild_id)');
+
+        if (db.dialect === 'postgres') {
+            await db.run(`ALTER TABLE products ADD COLUMN guild_id TEXT NOT NULL DEFAULT ''`);
+            await db.run('ALTER TABLE products DROP CONSTRAINT products_pkey');
+            await db.run('ALTER TABLE products ADD PRIMARY KEY (guild_id, product_id)');
+        } else {
+            await rebuildSqliteProducts(db, true, `SELECT ${PRODUCT_COLUMNS} FROM products`);
+        }
+    },
+
+    async down(db) {
+        // Tenant catalogs cannot be kept once product IDs are unique again
+        if (db.dialect === 'postgres') {
+            await db.run(`DELETE FROM products WHERE guild_id <> ''`);
+            await db.run('ALTER TABLE products DROP CONSTRAINT products_pkey');
+            await db.run('ALTER TABLE products DROP COLUMN guild_id');
+            await db.run('ALTER TABLE products ADD PRIMARY KEY (product_id)');
+        } else {
+            await rebuildSqliteProducts(db, false, `SELECT ${PRODUCT_COLUMNS} FROM products WHERE guild_id = ''`);
+        }
+
+        await db.run('DROP INDEX IF EXISTS idx_audit_log_guild');
+        await db.run('ALTER TABLE audit_log DROP COLUMN guild_id');
+
+        await db.run('DROP INDEX IF EXISTS idx_redeemed_invoices_guild');
+        await db.run('ALTER TABLE redeemed_invoices DROP COLUMN guild_id');
+
+        await db.run('DROP TABLE IF EXISTS tenants');
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * Bundles. A product maps to one or more entitlements, each a key in a
+ * KeyAuth application with its own level, expiry and key template. An
+ * invoice yields one license_keys row per entitlement.
+ *
+ * app_id 'default' is the shop's own application (the environment's, or the
+ * one saved with /setup). Tenants can add more in keyauth_apps; the default
+ * shop's extra applications come from KEYAUTH_APPS.
+ *
+ * redeemed_invoices.license_key keeps the first key of the invoice.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS keyauth_apps (
+                guild_id TEXT NOT NULL,
+                app_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                owner_id TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                version TEXT,
+                updated_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, app_id)
+            )`
+        );
+
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS product_entitlements (
+                guild_id TEXT NOT NULL DEFAULT '',
+                product_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                app_id TEXT NOT NULL DEFAULT 'default',
+                keyauth_level TEXT NOT NULL DEFAULT '1',
+                expiry_days INTEGER NOT NULL DEFAULT 0,
+                key_template TEXT,
+                PRIMARY KEY (guild_id, product_id, position)
+            )`
+        );
+        await db.run(
+            `INSERT INTO product_entitlements (guild_id, product_id, position, app_id, keyauth_level, expiry_days, key_template)
+             SELECT guild_id, product_id, 1, 'default', keyauth_level, expiry_days, key_template FROM products`
+        );
+        await db.run('ALTER TABLE products DROP COLUMN keyauth_level');
+        await db.run('ALTER TABLE products DROP COLUMN expiry_days');
+        await db.run('ALTER TABLE products DROP COLUMN key_template');
+
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS license_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                app_id TEXT NOT NULL DEFAULT 'default',
+                app_name TEXT,
+                license_key TEXT NOT NULL,
+                keyauth_level TEXT,
+                expiry_days INTEGER,
+                status TEXT NOT NULL DEFAULT 'pending',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_license_keys_key ON license_keys (license_key)');
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_license_keys_invoice ON license_keys (invoice_id, position)');
+
+        // Existing redemptions become single-key invoices with their product's current policy
+        await db.run(
+            `INSERT INTO license_keys (invoice_id, position, app_id, license_key, keyauth_level, expiry_days, status, created_at)
+             SELECT r.invoice_id, 1, 'default', r.license_key, e.keyauth_level, e.expiry_days,
+                    CASE r.status WHEN 'redeemed' THEN 'active' WHEN 'revoked' THEN 'revoked' ELSE 'pending' END,
+                    r.redeemed_at
+             FROM redeemed_invoices r
+             LEFT JOIN product_entitlements e
+                ON e.guild_id = COALESCE(r.guild_id, '') AND e.product_id = r.product_id AND e.position = 1
+             WHERE r.license_key IS NOT NULL`
+        );
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS license_keys');
+
+        // Only the first entitlement of each product survives
+        await db.run(`ALTER TABLE products ADD COLUMN keyauth_level TEXT NOT NULL DEFAULT '1'`);
+        await db.run('ALTER TABLE products ADD COLUMN expiry_days INTEGER NOT NULL DEFAULT 0');
+        await db.run('ALTER TABLE products ADD COLUMN key_template TEXT');
+        const mainEntitlements = await db.all('SELECT * FROM product_entitlements WHERE position = 1');
+        for (const entitlement of mainEntitlements) {
+            await db.run(
+                'UPDATE products SET keyauth_level = ?, expiry_days = ?, key_template = ? WHERE guild_id = ? AND product_id = ?',
+                [entitlement.keyauth_level, entitlement.expiry_days, entitlement.key_template, entitlement.guild_id, entitlement.product_id]
+            );
+        }
+        await db.run('DROP TABLE IF EXISTS product_entitlements');
+
+        await db.run('DROP TABLE IF EXISTS keyauth_apps');
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * Line items and quantities. An invoice can hold several products, each
+ * bought one or more times; every unit of an item gets the keys of its
+ * product. Keys record the item (its index on the invoice) and the unit they
+ * were delivered for.
+ *
+ * An invoice some units of which could not be delivered is 'partial'. Its
+ * buyer can redeem it again to receive the missing units.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run('ALTER TABLE license_keys ADD COLUMN item_index INTEGER NOT NULL DEFAULT 1');
+        await db.run('ALTER TABLE license_keys ADD COLUMN unit INTEGER NOT NULL DEFAULT 1');
+        await db.run('ALTER TABLE license_keys ADD COLUMN product_id TEXT');
+        await db.run('ALTER TABLE license_keys ADD COLUMN product_name TEXT');
+
+        await db.run('DROP INDEX IF EXISTS idx_license_keys_invoice');
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_license_keys_unit ON license_keys (invoice_id, item_index, unit, position)');
+
+        // Existing keys belong to their invoice's only product
+        const invoices = await db.all(
+            'SELECT invoice_id, product_id, product_name FROM redeemed_invoices WHERE invoice_id IN (SELECT invoice_id FROM license_keys)'
+        );
+        for (const invoice of invoices) {
+            await db.run(
+                'UPDATE license_keys SET product_id = ?, product_name = ? WHERE invoice_id = ?',
+                [invoice.product_id, invoice.product_name, invoice.invoice_id]
+            );
+        }
+    },
+
+    async down(db) {
+        // Only the first unit of the first item fits the old schema
+        await db.run('DELETE FROM license_keys WHERE item_index > 1 OR unit > 1');
+        await db.run(`UPDATE redeemed_invoices SET status = 'redeemed' WHERE status = 'partial'`);
+
+        await db.run('DROP INDEX IF EXISTS idx_license_keys_unit');
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_license_keys_invoice ON license_keys (invoice_id, position)');
+
+        await db.run('ALTER TABLE license_keys DROP COLUMN product_name');
+        await db.run('ALTER TABLE license_keys DROP COLUMN product_id');
+        await db.run('ALTER TABLE license_keys DROP COLUMN unit');
+        await db.run('ALTER TABLE license_keys DROP COLUMN item_index');
+    }
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Applies numbered migration files from src/api/migrations and records
+ * them in the schema_migrations table. Each migration file exports
+ * async up(db) and down(db) functions; db has run/get/all and a dialect
+ * property ('sqlite' or 'postgres') for the rare dialect-specific statement.
+ */
+class Migrator {
+    /**
+     * @param {Database} database - Connected database wrapper
+     * @param {string} directory - Directory containing migration files
+     */
+    constructor(database, directory = MIGRATIONS_DIR) {
+        this.database = database;
+        this.directory = directory;
+    }
+
+    /**
+     * Create the bookkeeping table if it does not exist yet
+     */
+    async ensureMigrationsTable() {
+        await this.database.run(
+            `CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    }
+
+    /**
+     * Load migration files sorted by version
+     * @returns {Array<object>} - Migrations with version, name, up and down
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const migration = require(path.join(this.directory, file));
+
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up() and down() functions`);
+                }
+
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        const seen = new Set();
+        for (const migration of migrations) {
+            if (seen.has(migration.version)) {
+                throw new Error(`Duplicate migration version ${migration.version}`);
+            }
+            seen.add(migration.version);
+        }
+
+        return migrations;
+    }
+
+    /**
+     * Format a migration the way its file is named, e.g. 002_lookup_indexes
+     */
+    formatLabel(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+
+    /**
+     * Get every known migration with its applied state
+     * @returns {Array<object>} - { version, name, applied, appliedAt }
+     */
+    async status() {
+        await this.ensureMigrationsTable();
+
+        const applied = await this.database.all('SELECT version, applied_at FROM schema_migrations');
+        const appliedAt = new Map(applied.map(row => [Number(row.version), row.applied_at]));
+
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: appliedAt.has(migration.version),
+            appliedAt: appliedAt.get(migration.version) || null
+        }));
+    }
+
+    /**
+     * Apply all pending migrations, each in its own transaction
+     * @returns {Array<string>} - Names of the migrations that were applied
+     */
+    async migrate() {
+        const status = await this.status();
+        const pendingVersions = new Set(status.filter(entry => !entry.applied).map(entry => entry.version));
+        const pending = this.loadMigrations().filter(migration => pendingVersions.has(migration.version));
+        const appliedNames = [];
+
+        for (const migration of pending) {
+            const label = this.formatLabel(migration);
+            logger.info(`Applying migration ${label}`);
+
+            await this.database.transaction(async (db) => {
+                await migration.up(db);
+                await db.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+
+            appliedNames.push(label);
+        }
+
+        return appliedNames;
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {number} steps - Number of migrations to roll back
+     * @returns {Array<string>} - Names of the migrations that were rolled back
+     */
+    async rollback(steps = 1) {
+        await this.ensureMigrationsTable();
+
+        const applied = await this.database.all('SELECT version FROM schema_migrations ORDER BY version DESC');
+        const appliedVersions = applied.map(row => Number(row.version)).slice(0, steps);
+
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+        const rolledBack = [];
+
+        for (const version of appliedVersions) {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new Error(`Migration file for applied version ${version} is missing`);
+            }
+
+            const label = this.formatLabel(migration);
+            logger.info(`Rolling back migration ${label}`);
+
+            await this.database.transaction(async (db) => {
+                await migration.down(db);
+                await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            });
+
+            rolledBack.push(label);
+        }
+
+        return rolledBack;
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,179 @@
+const config = require('../config/config');
+const database = require('./database');
+const logger = require('../utils/logger');
+
+// Buttons a panel can show, in display order
+const PANEL_BUTTON_TYPES = ['redeem', 'get_keys', 'reset_hwid'];
+
+// Panel content used for guilds that have never customized theirs
+const DEFAULT_PANEL = {
+    title: '🎮 Lexis VR Mods - License System',
+    description: `**Welcome to the automated license redemption system!**
+
+After purchasing any of our VR mods from SellAuth, you can instantly redeem your license key here.
+
+**📋 Instructions:**
+1️⃣ **Purchase** any VR mod from our SellAuth store
+2️⃣ **Copy** your invoice ID from the purchase email
+3️⃣ **Click "Redeem License"** button below
+4️⃣ **Paste** your invoice ID in the popup
+5️⃣ **Receive** your lifetime KeyAuth license instantly!
+
+**🔑 Lost Your Key?**
+Click the "Get My Keys" button to retrieve all your previously redeemed licenses.
+
+**🖥️ New PC?**
+Click the "Reset HWID" button to unlock your key for a new computer.
+
+**⚠️ Important Notes:**
+• Each invoice can only be redeemed **once**
+• Keys are permanently stored and linked to your Discord account
+• You can retrieve your keys anytime using the "Get My Keys" button
+• Rate limit: ${config.security.rateLimits.redemptionsPerDay} redemption(s) per user per 24 hours`,
+    color: '#4ECDC4',
+    thumbnailUrl: null,
+    imageUrl: null,
+    buttons: PANEL_BUTTON_TYPES
+};
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+class PanelConfig {
+    /**
+     * Get the panel content for a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {object} - Panel config, defaults for anything not customized
+     */
+    async getConfig(guildId) {
+        const row = await database.get(
+            'SELECT * FROM panel_configs WHERE guild_id = ?',
+            [String(guildId)]
+        );
+
+        return row ? this.formatConfig(row) : { guildId: String(guildId), ...DEFAULT_PANEL };
+    }
+
+    /**
+     * Update a guild's panel, keeping anything not passed in
+     * @param {string} guildId - Discord guild ID
+     * @param {object} changes - Fields to change; null resets a field to its default
+     * @param {string} updatedBy - Discord user ID making the change
+     * @returns {object} - Updated panel config
+     */
+    async updateConfig(guildId, changes, updatedBy) {
+        const row = await database.get('SELECT * FROM panel_configs WHERE guild_id = ?', [String(guildId)]);
+
+        // Only customized values are stored so defaults can change in later releases
+        const stored = {
+            title: row?.title ?? null,
+            description: row?.description ?? null,
+            color: row?.color ?? null,
+            thumbnailUrl: row?.thumbnail_url ?? null,
+            imageUrl: row?.image_url ?? null,
+            buttons: row?.buttons ?? null
+        };
+
+        for (const [field, value] of Object.entries(changes)) {
+            stored[field] = field === 'buttons' && Array.isArray(value) ? value.join(',') : value;
+        }
+
+        await database.run(
+            `INSERT INTO panel_configs (guild_id, title, description, color, thumbnail_url, image_url, buttons, updated_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (guild_id) DO UPDATE SET
+                title = excluded.title,
+                description = excluded.description,
+                color = excluded.color,
+                thumbnail_url = excluded.thumbnail_url,
+                image_url = excluded.image_url,
+                buttons = excluded.buttons,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP`,
+            [
+                String(guildId),
+                stored.title,
+                stored.description,
+                stored.color,
+                stored.thumbnailUrl,
+                stored.imageUrl,
+                stored.buttons,
+                updatedBy
+            ]
+        );
+
+        logger.info(`Panel config updated for ${guildId} by ${updatedBy}`);
+        return this.getConfig(guildId);
+    }
+
+    /**
+     * Remember a posted panel message so it can be updated later
+     */
+    async trackMessage(guildId, channelId, messageId, postedBy) {
+        await database.run(
+            `INSERT INTO panel_messages (guild_id, channel_id, message_id, posted_by)
+             VALUES (?, ?, ?, ?)`,
+            [String(guildId), String(channelId), String(messageId), postedBy]
+        );
+    }
+
+    /**
+     * Get posted panel messages
+     * @param {string} guildId - Only this guild's panels (optional, all guilds if omitted)
+     * @returns {Array<object>} - panel_messages rows
+     */
+    async getMessages(guildId = null) {
+        if (guildId) {
+            return database.all('SELECT * FROM panel_messages WHERE guild_id = ? ORDER BY id', [String(guildId)]);
+        }
+
+        return database.all('SELECT * FROM panel_messages ORDER BY guild_id, id');
+    }
+
+    /**
+     * Stop tracking a panel message that was deleted
+     */
+    async removeMessage(messageId) {
+        await database.run('DELETE FROM panel_messages WHERE message_id = ?', [String(messageId)]);
+    }
+
+    /**
+     * Check a #RRGGBB color
+     */
+    isValidColor(color) {
+        return typeof color === 'string' && COLOR_PATTERN.test(color);
+    }
+
+    /**
+     * Check an image URL Discord can embed
+     */
+    isValidImageUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Convert a database row to a panel config
+     */
+    formatConfig(row) {
+        const buttons = row.buttons !== null && row.buttons !== undefined
+            ? row.buttons.split(',').filter(button => PANEL_BUTTON_TYPES.includes(button))
+            : DEFAULT_PANEL.buttons;
+
+        return {
+            guildId: row.guild_id,
+            title: row.title || DEFAULT_PANEL.title,
+            description: row.description || DEFAULT_PANEL.description,
+            color: row.color || DEFAULT_PANEL.color,
+            thumbnailUrl: row.thumbnail_url || null,
+            imageUrl: row.image_url || null,
+            buttons
+        };
+    }
+}
+
+module.exports = new PanelConfig();
+module.exports.PANEL_BUTTON_TYPES = PANEL_BUTTON_TYPES;
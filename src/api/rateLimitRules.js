@@ -0,0 +1,93 @@
+const database = require('./database');
+const logger = require('../utils/logger');
+
+// Limits staff can override per guild and per role
+const CONFIGURABLE_LIMITS = ['success', 'failure'];
+
+// role_id stored for a guild's default rule
+const GUILD_DEFAULT = '';
+
+class RateLimitRules {
+    /**
+     * Get every override configured in a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {Array<object>} - { limiter, roleId (null for the guild default), points }
+     */
+    async getRules(guildId) {
+        if (!guildId) {
+            return [];
+        }
+
+        const rows = await database.all(
+            'SELECT * FROM rate_limit_rules WHERE guild_id = ? ORDER BY limiter, role_id',
+            [String(guildId)]
+        );
+
+        return rows.map(row => ({
+            limiter: row.limiter,
+            roleId: row.role_id || null,
+            points: row.points
+        }));
+    }
+
+    /**
+     * Set a limit for a guild or for one of its roles
+     * @param {string} guildId - Discord guild ID
+     * @param {string} roleId - Role ID, null for the guild default
+     * @param {string} limiter - One of CONFIGURABLE_LIMITS
+     * @param {number} points - Allowed count per window, 0 for no limit
+     * @param {string} updatedBy - Discord user ID making the change
+     */
+    async setRule(guildId, roleId, limiter, points, updatedBy) {
+        await database.run(
+            `INSERT INTO rate_limit_rules (guild_id, role_id, limiter, points, updated_by)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (guild_id, role_id, limiter) DO UPDATE SET
+                points = excluded.points,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP`,
+            [String(guildId), roleId || GUILD_DEFAULT, limiter, points, updatedBy]
+        );
+
+        logger.info(`Rate limit ${limiter} set to ${points} for ${roleId ? `role ${roleId}` : 'guild default'} in ${guildId} by ${updatedBy}`);
+    }
+
+    /**
+     * Remove an override so the next rule down applies again
+     * @returns {boolean} - True if a rule was removed
+     */
+    async clearRule(guildId, roleId, limiter) {
+        const result = await database.run(
+            'DELETE FROM rate_limit_rules WHERE guild_id = ? AND role_id = ? AND limiter = ?',
+            [String(guildId), roleId || GUILD_DEFAULT, limiter]
+        );
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Work out the limit that applies to a member. The most generous of their
+     * roles' rules wins; without one the guild default, then the fallback.
+     * @param {string} guildId - Discord guild ID (null outside a guild)
+     * @param {Array<string>} roleIds - Member's role IDs
+     * @param {string} limiter - One of CONFIGURABLE_LIMITS
+     * @param {number} fallback - Limit from config
+     * @returns {number} - Allowed count per window, 0 for no limit
+     */
+    async resolveLimit(guildId, roleIds, limiter, fallback) {
+        const rules = (await this.getRules(guildId)).filter(rule => rule.limiter === limiter);
+
+        const roleRules = rules.filter(rule => rule.roleId && roleIds.includes(rule.roleId));
+        if (roleRules.length > 0) {
+            return roleRules.some(rule => rule.points === 0)
+                ? 0
+                : Math.max(...roleRules.map(rule => rule.points));
+        }
+
+        const guildRule = rules.find(rule => !rule.roleId);
+        return guildRule ? guildRule.points : fallback;
+    }
+}
+
+module.exports = new RateLimitRules();
+module.exports.CONFIGURABLE_LIMITS = CONFIGURABLE_LIMITS;
@@ -0,0 +1,70 @@
+const { RateLimiterRes } = require('rate-limiter-flexible');
+const RateLimiterStoreAbstract = require('rate-limiter-flexible/lib/RateLimiterStoreAbstract');
+
+/**
+ * rate-limiter-flexible store backed by the rate_limits table, so counters
+ * survive restarts and work on both SQLite and PostgreSQL through the
+ * Database wrapper. Row semantics match the library's RateLimiterPostgres.
+ */
+class RateLimiterDatabase extends RateLimiterStoreAbstract {
+    /**
+     * @param {object} opts - rate-limiter-flexible options
+     * @param {Database} opts.storeClient - Connected database wrapper
+     */
+    constructor(opts) {
+        super(opts);
+        this.client = opts.storeClient;
+    }
+
+    /**
+     * Add points to a key, starting a new window if the old one expired
+     * @returns {object} - Row with points and expire
+     */
+    async _upsert(rlKey, points, msDuration, forceExpire = false) {
+        const now = Date.now();
+        const expire = msDuration > 0 ? now + msDuration : null;
+        const reset = forceExpire ? 1 : 0;
+
+        return this.client.get(
+            `INSERT INTO rate_limits (limiter_key, points, expire)
+             VALUES (?, ?, ?)
+             ON CONFLICT (limiter_key) DO UPDATE SET
+                points = CASE WHEN rate_limits.expire <= ? OR ? = 1
+                    THEN excluded.points ELSE rate_limits.points + excluded.points END,
+                expire = CASE WHEN rate_limits.expire <= ? OR ? = 1
+                    THEN excluded.expire ELSE rate_limits.expire END
+             RETURNING points, expire`,
+            [rlKey, points, expire, now, reset, now, reset]
+        );
+    }
+
+    /**
+     * @returns {object|undefined} - Row with points and expire, if the window is still open
+     */
+    async _get(rlKey) {
+        return this.client.get(
+            'SELECT points, expire FROM rate_limits WHERE limiter_key = ? AND (expire > ? OR expire IS NULL)',
+            [rlKey, Date.now()]
+        );
+    }
+
+    async _delete(rlKey) {
+        const result = await this.client.run('DELETE FROM rate_limits WHERE limiter_key = ?', [rlKey]);
+        return result.changes > 0;
+    }
+
+    _getRateLimiterRes(rlKey, changedPoints, row) {
+        const res = new RateLimiterRes();
+
+        res.isFirstInDuration = changedPoints === row.points;
+        res.consumedPoints = res.isFirstInDuration ? changedPoints : row.points;
+        res.remainingPoints = Math.max(this.points - res.consumedPoints, 0);
+        res.msBeforeNext = row.expire
+            ? Math.max(Number(row.expire) - Date.now(), 0)
+            : -1;
+
+        return res;
+    }
+}
+
+module.exports = RateLimiterDatabase;
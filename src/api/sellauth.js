@@ -1,21 +1,41 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const staffNotifier = require('../services/staffNotifier');
+const catalog = require('./catalog');
+
+// Invoice statuses meaning the payment was reversed after redemption
+const REFUND_STATUSES = ['refunded', 'partially_refunded'];
+const CHARGEBACK_STATUSES = ['disputed', 'dispute', 'chargeback', 'charged_back'];
 
 class SellAuthAPI {
-    constructor() {
-        this.apiUrl = config.sellauth.apiUrl;
-        this.apiKey = config.sellauth.apiKey;
-        this.shopId = config.sellauth.shopId;
-        this.productId = config.sellauth.productId;
-        this.timeout = config.sellauth.timeout;
+    /**
+     * @param {object} options - Shop credentials; anything left out comes from config
+     * @param {string} options.apiKey - SellAuth API key
+     * @param {string} options.shopId - SellAuth shop ID
+     * @param {string} options.webhookSecret - Webhook signing secret
+     * @param {string} options.guildId - Guild whose shop this is, for its product catalog and outage alerts (null for the default)
+     */
+    constructor(options = {}) {
+        const settings = { ...config.sellauth, ...options };
+
+        this.apiUrl = settings.apiUrl;
+        this.apiKey = settings.apiKey;
+        this.shopId = settings.shopId;
+        this.productId = settings.productId;
+        this.webhookSecret = settings.webhookSecret;
+        this.discordFieldName = settings.discordFieldName;
+        this.timeout = settings.timeout;
+        this.guildId = options.guildId || null;
 
         if (!this.apiKey) {
-            throw new Error('SellAuth API key not provided in environment variables');
+            throw new Error('SellAuth API key not provided');
         }
 
         if (!this.shopId) {
-            throw new Error('SellAuth Shop ID not provided in environment variables');
+            throw new Error('SellAuth Shop ID not provided');
         }
 
         // Create axios instance with default config
@@ -41,7 +61,18 @@ class SellAuthAPI {
             }
         );
 
-        // Response interceptor for logging
+        // Paths alternate collection and ID (/shops/:id/invoices/:id); IDs are
+        // dropped so every invoice doesn't get its own metric series
+        metrics.instrumentAxios(this.client, 'sellauth', (requestConfig) => {
+            const path = String(requestConfig.url || '').split('?')[0];
+            const route = path
+                .split('/')
+                .map((segment, index) => (index > 0 && index % 2 === 0 ? ':id' : segment))
+                .join('/');
+            return `${String(requestConfig.method || 'get').toUpperCase()} ${route}`;
+        });
+
+        // Response interceptor for logging and outage alerts
         this.client.interceptors.response.use(
             (response) => {
                 logger.debug(`SellAuth API Response: ${response.status} ${response.config.url}`);
@@ -49,11 +80,34 @@ class SellAuthAPI {
             },
             (error) => {
                 logger.error(`SellAuth API Error: ${error.response?.status || 'Unknown'} ${error.config?.url}`);
+
+                // Timeouts, connection errors and 5xx responses mean SellAuth is down
+                if (!error.response || error.response.status >= 500) {
+                    staffNotifier.notifyOutage('SellAuth', error.message, this.guildId);
+                }
                 return Promise.reject(error);
             }
         );
     }
 
+    /**
+     * Fetch an invoice from the SellAuth API
+     * @param {string} invoiceId - Sanitized invoice ID
+     * @returns {object} - Invoice data
+     * @throws {Error} - On API errors (with error.response) or a malformed response
+     */
+    async getInvoice(invoiceId) {
+        const response = await this.client.get(`/shops/${this.shopId}/invoices/${invoiceId}`);
+        const invoiceData = response.data;
+
+        // Validate the response structure
+        if (!invoiceData || !invoiceData.id) {
+            throw new Error('Invalid response from SellAuth API');
+        }
+
+        return invoiceData;
+    }
+
     /**
      * Verify an invoice by ID
      * @param {string} invoiceId - Invoice ID to verify
@@ -64,27 +118,15 @@ class SellAuthAPI {
             logger.info(`Verifying invoice: ${invoiceId}`);
 
             // Format invoice ID (remove any extra characters, ensure proper format)
-            const cleanInvoiceId = this.sanitizeInvoiceId(invoiceId);
+            const cleanInvoiceId = SellAuthAPI.sanitizeInvoiceId(invoiceId);
 
-            const response = await this.client.get(`/shops/${this.shopId}/invoices/${cleanInvoiceId}`);
-            const invoiceData = response.data;
-
-            // Validate the response structure
-            if (!invoiceData || !invoiceData.id) {
-                throw new Error('Invalid response from SellAuth API');
-            }
+            const invoiceData = await this.getInvoice(cleanInvoiceId);
 
-            // Verify the invoice meets our criteria
-            const verification = this.validateInvoice(invoiceData);
+            const verification = await this.verifyInvoiceData(invoiceData);
 
             logger.info(`Invoice verification completed for ${invoiceId}: ${verification.valid ? 'VALID' : 'INVALID'}`);
 
-            return {
-                valid: verification.valid,
-                reason: verification.reason,
-                invoiceData: invoiceData,
-                verifiedAt: new Date().toISOString()
-            };
+            return verification;
 
         } catch (error) {
             logger.error(`Invoice verification failed for ${invoiceId}:`, error.message);
@@ -136,6 +178,32 @@ class SellAuthAPI {
         }
     }
 
+    /**
+     * Check invoice data (fetched from the API or received by webhook)
+     * against our requirements and the product catalog
+     * @param {object} invoiceData - Invoice data from SellAuth
+     * @returns {object} - Invoice verification result
+     */
+    async verifyInvoiceData(invoiceData) {
+        // Verify the invoice meets our criteria
+        let verification = this.validateInvoice(invoiceData);
+
+        // Verify the product is set up for redemption
+        if (verification.valid) {
+            verification = await this.checkProductEligibility(invoiceData);
+        }
+
+        return {
+            valid: verification.valid,
+            reason: verification.reason,
+            error: verification.error,
+            product: verification.items ? verification.items[0].product : null,
+            items: verification.items || null,
+            invoiceData: invoiceData,
+            verifiedAt: new Date().toISOString()
+        };
+    }
+
     /**
      * Validate invoice data meets our requirements
      * @param {object} invoiceData - Invoice data from SellAuth
@@ -151,9 +219,19 @@ class SellAuthAPI {
                 };
             }
 
-            // Accept any product from our shop - no specific product validation
-            // This allows UG, Animal Company, and all other products to work
-            logger.info(`Invoice is for product: ${invoiceData.product_name} (ID: ${invoiceData.product_id})`);
+            // Product eligibility is checked against the catalog in checkProductEligibility
+            const items = this.getInvoiceItems(invoiceData);
+            for (const item of items) {
+                logger.info(`Invoice is for product: ${item.productName} (ID: ${item.productId}) x${item.quantity}`);
+            }
+
+            if (items.some(item => !item.productId || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+                return {
+                    valid: false,
+                    reason: 'This invoice has items that cannot be redeemed. Please contact support.',
+                    error: 'INVALID_ITEMS'
+                };
+            }
 
             // Check if invoice is not too old (optional - 30 days)
             const invoiceDate = new Date(invoiceData.created_at);
@@ -190,11 +268,84 @@ class SellAuthAPI {
     }
 
     /**
-     * Sanitize and format invoice ID
+     * Check every item of the invoice against the product catalog. One item
+     * that can't be redeemed makes the whole invoice unredeemable.
+     * @param {object} invoiceData - Invoice data from SellAuth
+     * @returns {object} - Validation result including the items with their catalog entries
+     */
+    async checkProductEligibility(invoiceData) {
+        const items = [];
+
+        for (const item of this.getInvoiceItems(invoiceData)) {
+            const product = await catalog.getProduct(item.productId, this.guildId);
+
+            if (!product) {
+                logger.warn(`Invoice ${invoiceData.id} is for product ${item.productId}, which is not in the catalog`);
+                return {
+                    valid: false,
+                    reason: `${item.productName || 'This product'} is not set up for license redemption. Please contact support.`,
+                    error: 'PRODUCT_NOT_CONFIGURED'
+                };
+            }
+
+            if (!product.redeemable) {
+                return {
+                    valid: false,
+                    reason: `${product.name} licenses cannot be redeemed through the bot. Please contact support.`,
+                    error: 'PRODUCT_NOT_REDEEMABLE'
+                };
+            }
+
+            items.push({ ...item, product });
+        }
+
+        const keyCount = items.reduce((sum, item) => sum + item.quantity * item.product.entitlements.length, 0);
+        if (keyCount > config.security.maxKeysPerInvoice) {
+            logger.warn(`Invoice ${invoiceData.id} needs ${keyCount} keys, more than the limit of ${config.security.maxKeysPerInvoice}`);
+            return {
+                valid: false,
+                reason: 'This invoice is too large to redeem through the bot. Please contact support.',
+                error: 'TOO_MANY_KEYS'
+            };
+        }
+
+        return {
+            valid: true,
+            reason: 'Invoice is valid and can be redeemed.',
+            items
+        };
+    }
+
+    /**
+     * Read the line items of an invoice. A cart lists its products under
+     * items; an invoice without them is one item of its own product.
+     * @param {object} invoiceData - Invoice data from SellAuth
+     * @returns {Array<object>} - { index, productId, productName, quantity }, index counting from 1
+     */
+    getInvoiceItems(invoiceData) {
+        const items = Array.isArray(invoiceData?.items) && invoiceData.items.length > 0
+            ? invoiceData.items
+            : [invoiceData || {}];
+
+        return items.map((item, index) => {
+            const productId = item.product_id ?? item.product?.id;
+
+            return {
+                index: index + 1,
+                productId: productId === undefined || productId === null ? null : String(productId),
+                productName: item.product_name || item.product?.name || item.name || null,
+                quantity: item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity)
+            };
+        });
+    }
+
+    /**
+     * Sanitize and format invoice ID. Static because it needs no shop, so
+     * records can be looked up before knowing which tenant they belong to.
      * @param {string} invoiceId - Raw invoice ID
      * @returns {string} - Clean invoice ID
      */
-    sanitizeInvoiceId(invoiceId) {
+    static sanitizeInvoiceId(invoiceId) {
         if (!invoiceId || typeof invoiceId !== 'string') {
             throw new Error('Invalid invoice ID format');
         }
@@ -217,16 +368,39 @@ class SellAuthAPI {
         return clean;
     }
 
+    /**
+     * Detect whether a paid invoice has since been refunded or charged back
+     * @param {object} invoiceData - Invoice data
+     * @returns {string|null} - 'refund', 'chargeback', or null if the payment still stands
+     */
+    getPaymentReversal(invoiceData) {
+        const status = String(invoiceData?.status || '').toLowerCase();
+
+        if (CHARGEBACK_STATUSES.includes(status) || invoiceData?.disputed === true) {
+            return 'chargeback';
+        }
+
+        if (REFUND_STATUSES.includes(status) || invoiceData?.refunded === true) {
+            return 'refund';
+        }
+
+        return null;
+    }
+
     /**
      * Get invoice details for logging/audit purposes
      * @param {object} invoiceData - Invoice data
      * @returns {object} - Sanitized invoice details
      */
     extractInvoiceDetails(invoiceData) {
+        const items = this.getInvoiceItems(invoiceData);
+
         return {
             invoiceId: invoiceData.id,
-            productId: invoiceData.product_id,
-            productName: invoiceData.product_name,
+            // A cart is filed under its first product and named after all of them
+            productId: items[0].productId,
+            productName: items.map(item => item.productName).filter(Boolean).join(', ') || null,
+            items,
             amount: invoiceData.amount,
             currency: invoiceData.currency,
             customerEmail: invoiceData.customer_email,
@@ -238,19 +412,110 @@ class SellAuthAPI {
     }
 
     /**
-     * Test API connection
-     * @returns {boolean} - True if API is accessible
+     * Verify the HMAC-SHA256 signature SellAuth attaches to webhook deliveries
+     * @param {Buffer|string} rawBody - Unparsed request body
+     * @param {string} signature - Hex signature from the X-Signature header
+     * @returns {boolean} - True if the signature matches
      */
-    async testConnection() {
+    verifyWebhookSignature(rawBody, signature) {
+        if (!this.webhookSecret || !rawBody || !signature || typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha256', this.webhookSecret)
+            .update(rawBody)
+            .digest('hex');
+
+        const expectedBuffer = Buffer.from(expected, 'utf8');
+        const signatureBuffer = Buffer.from(signature.trim().toLowerCase(), 'utf8');
+
+        if (expectedBuffer.length !== signatureBuffer.length) {
+            return false;
+        }
+
+        return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    /**
+     * Read the buyer's Discord user ID from the invoice custom fields
+     * @param {object} invoiceData - Invoice data
+     * @returns {string|null} - Discord user ID, or null if none was provided
+     */
+    extractDiscordId(invoiceData) {
+        const fields = invoiceData?.custom_fields;
+        if (!fields) {
+            return null;
+        }
+
+        // Custom fields arrive either as { name: value } or as [{ name, value }]
+        const entries = Array.isArray(fields)
+            ? fields.map(field => [field.name, field.value])
+            : Object.entries(fields);
+
+        const wanted = this.discordFieldName.toLowerCase();
+        const match = entries.find(([name]) => typeof name === 'string' && name.trim().toLowerCase() === wanted);
+        const value = match ? String(match[1] ?? '').trim() : '';
+
+        // Discord snowflakes are 17-20 digit integers
+        return /^\d{17,20}$/.test(value) ? value : null;
+    }
+
+    /**
+     * Check a buyer-supplied email against the invoice's purchase email.
+     * Case and surrounding whitespace are ignored, and the comparison runs
+     * in constant time over hashes so neither value leaks through timing.
+     * @param {object} invoiceData - Invoice data
+     * @param {string} email - Email entered by the buyer
+     * @returns {boolean|null} - Whether the emails match, or null if the invoice has no email
+     */
+    matchesCustomerEmail(invoiceData, email) {
+        const invoiceEmail = invoiceData?.customer_email || invoiceData?.email;
+        if (!invoiceEmail) {
+            return null;
+        }
+
+        const hash = value => crypto.createHash('sha256')
+            .update(String(value ?? '').trim().toLowerCase(), 'utf8')
+            .digest();
+
+        return crypto.timingSafeEqual(hash(invoiceEmail), hash(email));
+    }
+
+    /**
+     * Check that the API key can read the shop, e.g. before saving new credentials
+     * @returns {object} - { success } or { success: false, error }
+     */
+    async verifyCredentials() {
         try {
-            // Try to make a simple request to test connectivity
-            const response = await this.client.get('/ping');
-            return response.status === 200;
+            await this.client.get(`/shops/${this.shopId}/invoices`, { params: { perPage: 1 } });
+            return { success: true };
         } catch (error) {
-            logger.error('SellAuth API connection test failed:', error.message);
-            return false;
+            const status = error.response?.status;
+
+            if (status === 401 || status === 403) {
+                return { success: false, error: 'SellAuth rejected the API key.' };
+            }
+            if (status === 404) {
+                return { success: false, error: `Shop ${this.shopId} was not found.` };
+            }
+
+            return { success: false, error: `SellAuth could not be reached: ${error.message}` };
         }
     }
+
+    /**
+     * Test API connection with the same request that checks the credentials
+     * @returns {boolean} - True if API is accessible
+     */
+    async testConnection() {
+        const result = await this.verifyCredentials();
+        if (!result.success) {
+            logger.error('SellAuth API connection test failed:', result.error);
+        }
+
+        return result.success;
+    }
 }
 
-module.exports = new SellAuthAPI();
\ No newline at end of file
+module.exports = SellAuthAPI;
\ No newline at end of file
@@ -0,0 +1,492 @@
+const database = require('./database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const encryption = require('../utils/encryption');
+const SellAuthAPI = require('./sellauth');
+const KeyAuthAPI = require('./keyauth');
+const { DEFAULT_APP } = require('./catalog');
+
+// Short IDs products use to refer to a shop's additional KeyAuth applications
+const APP_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Per-guild SellAuth shops and KeyAuth applications. A guild with a tenant
+ * row uses its own credentials. The guilds listed in DISCORD_GUILD_ID and
+ * DEFAULT_SHOP_GUILD_IDS, and anything outside a guild, use the default shop
+ * configured in the environment. Any other guild is a tenant that has not
+ * been set up: it sees no licenses and cannot redeem until it runs /setup.
+ *
+ * A tenant is identified by its guild ID; null stands for the default shop.
+ * API clients are cached per tenant so KeyAuth sessions are reused.
+ *
+ * Besides its own application ('default'), a shop can issue keys in more
+ * KeyAuth applications for bundle products: tenants add them with /setup,
+ * the default shop lists them in KEYAUTH_APPS.
+ */
+class Tenants {
+    constructor() {
+        // guildId -> tenant ID (the guild itself, or null for the default shop)
+        this.tenantIds = new Map();
+        // tenant ID -> { tenantId, sellauth, keyauth }, or null while setup is incomplete
+        this.clients = new Map();
+        // Clients for the default shop; undefined until first needed, null if not configured
+        this.defaultClients = undefined;
+        // `${tenantId}:${appId}` -> KeyAuthAPI for additional applications, or null if unusable
+        this.apps = new Map();
+        // Additional applications of the default shop parsed from KEYAUTH_APPS
+        this.defaultApps = undefined;
+    }
+
+    /**
+     * Get a guild's tenant with its secrets decrypted
+     * @param {string} guildId - Discord guild ID
+     * @returns {object|null} - Tenant, or null if the guild uses the default shop
+     */
+    async getTenant(guildId) {
+        if (!guildId) {
+            return null;
+        }
+
+        const row = await database.get('SELECT * FROM tenants WHERE guild_id = ?', [String(guildId)]);
+        return row ? this.formatTenant(row) : null;
+    }
+
+    /**
+     * Describe a guild's tenant without decrypting its secrets, for /setup
+     * @param {string} guildId - Discord guild ID
+     * @returns {object|null} - Tenant summary, or null if the guild uses the default shop
+     */
+    async getSummary(guildId) {
+        const row = await database.get('SELECT * FROM tenants WHERE guild_id = ?', [String(guildId)]);
+        if (!row) {
+            return null;
+        }
+
+        return {
+            guildId: row.guild_id,
+            shopId: row.shop_id || null,
+            hasWebhookSecret: !!row.webhook_secret,
+            keyauthName: row.keyauth_name || null,
+            keyauthOwnerId: row.keyauth_owner_id || null,
+            keyauthVersion: row.keyauth_version || null,
+            sellauthReady: !!(row.shop_id && row.sellauth_api_key),
+            keyauthReady: !!(row.keyauth_name && row.keyauth_owner_id && row.keyauth_secret),
+            updatedBy: row.updated_by,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Save a guild's SellAuth shop. Creates the tenant if it doesn't exist.
+     * @param {string} guildId - Discord guild ID
+     * @param {object} shop - Shop credentials
+     * @param {string} shop.shopId - SellAuth shop ID
+     * @param {string} shop.apiKey - SellAuth API key
+     * @param {string} shop.webhookSecret - Webhook signing secret (optional)
+     * @param {string} updatedBy - Discord user ID making the change
+     */
+    async saveSellAuth(guildId, { shopId, apiKey, webhookSecret }, updatedBy) {
+        await database.run(
+            `INSERT INTO tenants (guild_id, shop_id, sellauth_api_key, webhook_secret, updated_by)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (guild_id) DO UPDATE SET
+                shop_id = excluded.shop_id,
+                sellauth_api_key = excluded.sellauth_api_key,
+                webhook_secret = excluded.webhook_secret,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP`,
+            [
+                String(guildId),
+                shopId,
+                encryption.encrypt(apiKey),
+                webhookSecret ? encryption.encrypt(webhookSecret) : null,
+                updatedBy
+            ]
+        );
+
+        this.invalidate(guildId);
+        logger.info(`SellAuth shop ${shopId} configured for guild ${guildId} by ${updatedBy}`);
+    }
+
+    /**
+     * Save a guild's KeyAuth application. Creates the tenant if it doesn't exist.
+     * @param {string} guildId - Discord guild ID
+     * @param {object} app - Application credentials
+     * @param {string} app.name - Application name
+     * @param {string} app.ownerId - Account owner ID
+     * @param {string} app.secret - Application secret
+     * @param {string} app.version - Application version
+     * @param {string} updatedBy - Discord user ID making the change
+     */
+    async saveKeyAuth(guildId, { name, ownerId, secret, version }, updatedBy) {
+        await database.run(
+            `INSERT INTO tenants (guild_id, keyauth_name, keyauth_owner_id, keyauth_secret, keyauth_version, updated_by)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (guild_id) DO UPDATE SET
+                keyauth_name = excluded.keyauth_name,
+                keyauth_owner_id = excluded.keyauth_owner_id,
+                keyauth_secret = excluded.keyauth_secret,
+                keyauth_version = excluded.keyauth_version,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP`,
+            [String(guildId), name, ownerId, encryption.encrypt(secret), version, updatedBy]
+        );
+
+        this.invalidate(guildId);
+        logger.info(`KeyAuth application ${name} configured for guild ${guildId} by ${updatedBy}`);
+    }
+
+    /**
+     * Save an additional KeyAuth application for a guild's bundle products
+     * @param {string} guildId - Discord guild ID (must already have a tenant)
+     * @param {object} app - Application credentials
+     * @param {string} app.appId - Short ID products refer to, such as "loader"
+     * @param {string} app.name - Application name
+     * @param {string} app.ownerId - Account owner ID
+     * @param {string} app.secret - Application secret
+     * @param {string} app.version - Application version
+     * @param {string} updatedBy - Discord user ID making the change
+     */
+    async saveKeyAuthApp(guildId, { appId, name, ownerId, secret, version }, updatedBy) {
+        await database.run(
+            `INSERT INTO keyauth_apps (guild_id, app_id, name, owner_id, secret, version, updated_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (guild_id, app_id) DO UPDATE SET
+                name = excluded.name,
+                owner_id = excluded.owner_id,
+                secret = excluded.secret,
+                version = excluded.version,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP`,
+            [String(guildId), appId, name, ownerId, encryption.encrypt(secret), version, updatedBy]
+        );
+
+        this.invalidate(guildId);
+        logger.info(`KeyAuth application ${appId} (${name}) configured for guild ${guildId} by ${updatedBy}`);
+    }
+
+    /**
+     * Delete an additional KeyAuth application of a guild
+     * @returns {boolean} - True if an application was removed
+     */
+    async removeKeyAuthApp(guildId, appId) {
+        const result = await database.run('DELETE FROM keyauth_apps WHERE guild_id = ? AND app_id = ?', [String(guildId), appId]);
+
+        this.invalidate(guildId);
+        if (result.changes > 0) {
+            logger.info(`KeyAuth application ${appId} removed for guild ${guildId}`);
+        }
+
+        return result.changes > 0;
+    }
+
+    /**
+     * List a shop's additional KeyAuth applications, without their secrets
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @returns {Array<object>} - { appId, name, ownerId, version }
+     */
+    async listKeyAuthApps(tenantId) {
+        if (!tenantId) {
+            return this.getDefaultApps().map(({ appId, name, ownerId, version }) => ({ appId, name, ownerId, version }));
+        }
+
+        const rows = await database.all('SELECT * FROM keyauth_apps WHERE guild_id = ? ORDER BY app_id', [String(tenantId)]);
+        return rows.map(row => ({ appId: row.app_id, name: row.name, ownerId: row.owner_id, version: row.version }));
+    }
+
+    /**
+     * Whether an application ID can be used by a shop's products
+     * @returns {boolean} - True for 'default' and the shop's additional applications
+     */
+    async hasKeyAuthApp(tenantId, appId) {
+        if (appId === DEFAULT_APP) {
+            return true;
+        }
+
+        return (await this.listKeyAuthApps(tenantId)).some(app => app.appId === appId);
+    }
+
+    /**
+     * Check an application ID such as "loader"
+     */
+    isValidAppId(appId) {
+        return typeof appId === 'string' && APP_ID_PATTERN.test(appId) && appId !== DEFAULT_APP;
+    }
+
+    /**
+     * Get the KeyAuth client for one of a shop's applications
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @param {string} appId - Application ID ('default' for the shop's own)
+     * @returns {KeyAuthAPI|null} - Client, or null if the application is not set up
+     */
+    async getKeyAuth(tenantId, appId = DEFAULT_APP) {
+        if (!appId || appId === DEFAULT_APP) {
+            return (await this.getTenantClients(tenantId))?.keyauth || null;
+        }
+
+        const cacheKey = `${tenantId || ''}:${appId}`;
+        if (!this.apps.has(cacheKey)) {
+            let client = null;
+            try {
+                const app = tenantId ? await this.getKeyAuthApp(tenantId, appId) : this.getDefaultApps().find(entry => entry.appId === appId);
+                if (app) {
+                    client = new KeyAuthAPI({
+                        name: app.name,
+                        ownerId: app.ownerId,
+                        secret: app.secret,
+                        version: app.version || config.keyauth.version,
+                        guildId: tenantId || null
+                    });
+                }
+            } catch (error) {
+                logger.error(`Failed to load KeyAuth application ${appId} of ${tenantId || 'the default shop'}:`, error);
+            }
+
+            this.apps.set(cacheKey, client);
+        }
+
+        return this.apps.get(cacheKey);
+    }
+
+    /**
+     * Get one of a tenant's additional applications with its secret decrypted
+     */
+    async getKeyAuthApp(guildId, appId) {
+        const row = await database.get('SELECT * FROM keyauth_apps WHERE guild_id = ? AND app_id = ?', [String(guildId), appId]);
+        if (!row) {
+            return null;
+        }
+
+        return { appId: row.app_id, name: row.name, ownerId: row.owner_id, secret: encryption.decrypt(row.secret), version: row.version };
+    }
+
+    /**
+     * Parse KEYAUTH_APPS, a JSON array of { id, name, ownerId, secret, version }
+     * @returns {Array<object>} - { appId, name, ownerId, secret, version }; empty if unset or invalid
+     */
+    getDefaultApps() {
+        if (this.defaultApps === undefined) {
+            this.defaultApps = [];
+
+            if (config.keyauth.apps) {
+                try {
+                    const entries = JSON.parse(config.keyauth.apps);
+                    for (const entry of Array.isArray(entries) ? entries : []) {
+                        if (!this.isValidAppId(entry?.id) || !entry.name || !entry.ownerId || !entry.secret) {
+                            logger.error(`Ignoring KEYAUTH_APPS entry ${JSON.stringify(entry?.id)}: it needs a lowercase id other than "default", name, ownerId and secret`);
+                            continue;
+                        }
+
+                        this.defaultApps.push({
+                            appId: entry.id,
+                            name: entry.name,
+                            ownerId: entry.ownerId,
+                            secret: entry.secret,
+                            version: entry.version || null
+                        });
+                    }
+                } catch (error) {
+                    logger.error('KEYAUTH_APPS is not valid JSON:', error.message);
+                }
+            }
+        }
+
+        return this.defaultApps;
+    }
+
+    /**
+     * Delete a guild's tenant so it goes back to the default shop, or to
+     * not being set up if it may not use the default shop
+     * @returns {boolean} - True if a tenant was removed
+     */
+    async removeTenant(guildId) {
+        const result = await database.transaction(async (tx) => {
+            await tx.run('DELETE FROM keyauth_apps WHERE guild_id = ?', [String(guildId)]);
+            return tx.run('DELETE FROM tenants WHERE guild_id = ?', [String(guildId)]);
+        });
+
+        this.invalidate(guildId);
+        if (result.changes > 0) {
+            logger.info(`Tenant removed for guild ${guildId}`);
+        }
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Whether both the shop and the application have been set up
+     */
+    isComplete(tenant) {
+        return !!(tenant && tenant.shopId && tenant.sellauthApiKey && tenant.keyauthName && tenant.keyauthOwnerId && tenant.keyauthSecret);
+    }
+
+    /**
+     * Whether a guild is allowed to use the default shop when it has no tenant
+     */
+    usesDefaultShop(guildId) {
+        return config.discord.defaultShopGuildIds.includes(String(guildId));
+    }
+
+    /**
+     * Whether a guild has a shop to manage: its own tenant, even if setup is
+     * not finished, or the default shop
+     * @param {string} guildId - Discord guild ID (null outside a guild)
+     */
+    async hasShop(guildId) {
+        return (await this.resolveTenantId(guildId)) === null || !!(await this.getSummary(guildId));
+    }
+
+    /**
+     * Find the tenant a guild belongs to
+     * @param {string} guildId - Discord guild ID (null outside a guild)
+     * @returns {string|null} - The guild ID unless the guild uses the default shop, then null
+     */
+    async resolveTenantId(guildId) {
+        if (!guildId) {
+            return null;
+        }
+
+        if (!this.tenantIds.has(guildId)) {
+            const row = await database.get('SELECT guild_id FROM tenants WHERE guild_id = ?', [String(guildId)]);
+            this.tenantIds.set(guildId, row || !this.usesDefaultShop(guildId) ? String(guildId) : null);
+        }
+
+        return this.tenantIds.get(guildId);
+    }
+
+    /**
+     * Describe which rows a guild may see. Pass the result to the database
+     * lookups that take a scope.
+     * @param {string} guildId - Discord guild ID (null outside a guild)
+     * @returns {object|null} - { guildId, tenantId }, or null outside a guild (no restriction)
+     */
+    async getScope(guildId) {
+        if (!guildId) {
+            return null;
+        }
+
+        return { guildId: String(guildId), tenantId: await this.resolveTenantId(guildId) };
+    }
+
+    /**
+     * Whether a redemption record belongs to a scope from getScope()
+     */
+    inScope(record, scope) {
+        return !scope || (record.guild_id || null) === scope.tenantId;
+    }
+
+    /**
+     * Get the API clients a guild redeems with
+     * @param {string} guildId - Discord guild ID (null outside a guild)
+     * @returns {object|null} - { tenantId, sellauth, keyauth }, or null if the guild's shop is not set up
+     */
+    async getClients(guildId) {
+        return this.getTenantClients(await this.resolveTenantId(guildId));
+    }
+
+    /**
+     * Get the API clients of a tenant, e.g. for a redemption record's guild_id
+     * @param {string} tenantId - Tenant guild ID (null for the default shop)
+     * @returns {object|null} - { tenantId, sellauth, keyauth }, or null if not set up
+     */
+    async getTenantClients(tenantId) {
+        if (!tenantId) {
+            return this.getDefaultClients();
+        }
+
+        if (!this.clients.has(tenantId)) {
+            let clients = null;
+            try {
+                const tenant = await this.getTenant(tenantId);
+                if (this.isComplete(tenant)) {
+                    clients = this.createClients(tenant);
+                }
+            } catch (error) {
+                // Usually a changed ENCRYPTION_KEY; the tenant has to run /setup again
+                logger.error(`Failed to load tenant ${tenantId}:`, error);
+            }
+
+            this.clients.set(tenantId, clients);
+        }
+
+        return this.clients.get(tenantId);
+    }
+
+    /**
+     * Get the clients for the shop configured in the environment
+     * @returns {object|null} - { tenantId: null, sellauth, keyauth }, or null if none is configured
+     */
+    getDefaultClients() {
+        if (this.defaultClients === undefined) {
+            this.defaultClients = null;
+
+            if (config.sellauth.apiKey && config.sellauth.shopId && config.keyauth.secret) {
+                this.defaultClients = {
+                    tenantId: null,
+                    sellauth: new SellAuthAPI(),
+                    keyauth: new KeyAuthAPI()
+                };
+            }
+        }
+
+        return this.defaultClients;
+    }
+
+    /**
+     * Build API clients for a tenant
+     */
+    createClients(tenant) {
+        return {
+            tenantId: tenant.guildId,
+            sellauth: new SellAuthAPI({
+                apiKey: tenant.sellauthApiKey,
+                shopId: tenant.shopId,
+                webhookSecret: tenant.webhookSecret,
+                guildId: tenant.guildId
+            }),
+            keyauth: new KeyAuthAPI({
+                name: tenant.keyauthName,
+                ownerId: tenant.keyauthOwnerId,
+                secret: tenant.keyauthSecret,
+                version: tenant.keyauthVersion || config.keyauth.version,
+                guildId: tenant.guildId
+            })
+        };
+    }
+
+    /**
+     * Forget cached state after a tenant changed
+     */
+    invalidate(guildId) {
+        this.tenantIds.delete(String(guildId));
+        this.clients.delete(String(guildId));
+
+        for (const cacheKey of this.apps.keys()) {
+            if (cacheKey.startsWith(`${guildId}:`)) {
+                this.apps.delete(cacheKey);
+            }
+        }
+    }
+
+    /**
+     * Convert a database row to a tenant, decrypting its secrets
+     */
+    formatTenant(row) {
+        const decrypt = value => (value ? encryption.decrypt(value) : null);
+
+        return {
+            guildId: row.guild_id,
+            shopId: row.shop_id || null,
+            sellauthApiKey: decrypt(row.sellauth_api_key),
+            webhookSecret: decrypt(row.webhook_secret),
+            keyauthName: row.keyauth_name || null,
+            keyauthOwnerId: row.keyauth_owner_id || null,
+            keyauthSecret: decrypt(row.keyauth_secret),
+            keyauthVersion: row.keyauth_version || null,
+            updatedBy: row.updated_by,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new Tenants();
@@ -1,84 +1,160 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const database = require('../../api/database');
+const tenants = require('../../api/tenants');
 const logger = require('../../utils/logger');
+const licenseTransfers = require('../../services/licenseTransfers');
+const { buildNoLicensesEmbed } = require('../utils/licenseEmbeds');
+const { buildKeyListPage } = require('../utils/keyList');
+const { buildTransferOffer, buildCancelRow, buildTransferErrorEmbed } = require('../utils/transferMessages');
+const { replyWithHwidResetPicker } = require('../utils/hwidResetMessages');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('key')
-        .setDescription('Retrieve your previously redeemed license key'),
+        .setDescription('Manage your redeemed license keys')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Retrieve your previously redeemed license keys')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('transfer')
+                .setDescription('Move one of your license keys to another Discord account')
+                .addStringOption(option =>
+                    option
+                        .setName('license_key')
+                        .setDescription('The license key to transfer')
+                        .setRequired(true)
+                        .setMaxLength(100)
+                )
+                .addUserOption(option =>
+                    option
+                        .setName('to')
+                        .setDescription('The account that should receive the key')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset-hwid')
+                .setDescription('Unlock one of your license keys so it can be used on a new PC')
+        ),
 
     async execute(interaction) {
-        try {
-            // Make response ephemeral (only user can see)
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'transfer') {
+            await handleTransfer(interaction);
+            return;
+        }
+
+        if (subcommand === 'reset-hwid') {
             await interaction.deferReply({ ephemeral: true });
+            await replyWithHwidResetPicker(interaction, 'key_command', 'Use `/redeem` or the redeem button to redeem your SellAuth invoice!');
+            return;
+        }
 
-            const userId = interaction.user.id;
-            const username = interaction.user.username;
+        await handleView(interaction);
+    }
+};
 
-            logger.info(`User ${username} (${userId}) requesting their license key`);
+async function handleView(interaction) {
+    try {
+        // Make response ephemeral (only user can see)
+        await interaction.deferReply({ ephemeral: true });
 
-            // Get user's redeemed licenses from database
-            const userLicenses = await database.getUserLicenses(userId);
+        const userId = interaction.user.id;
+        const username = interaction.user.username;
 
-            if (!userLicenses || userLicenses.length === 0) {
-                const noLicenseEmbed = new EmbedBuilder()
-                    .setColor('#FF6B6B')
-                    .setTitle('🔑 No License Keys Found')
-                    .setDescription('You haven\'t redeemed any license keys yet.\n\nUse `/redeem` or the redeem button to redeem your SellAuth invoice!')
-                    .setTimestamp()
-                    .setFooter({ text: 'Lexis License Bot' });
+        logger.info(`User ${username} (${userId}) requesting their license key`);
 
-                await interaction.editReply({ embeds: [noLicenseEmbed] });
-                return;
-            }
+        // Build the first page of the user's keys with their live KeyAuth state
+        const list = await buildKeyListPage(userId, {}, await tenants.getScope(interaction.guildId));
 
-            // Create embed with user's license keys
-            const keyEmbed = new EmbedBuilder()
-                .setColor('#4ECDC4')
-                .setTitle('🔑 Your License Keys')
-                .setDescription('Here are your redeemed license keys:')
-                .setTimestamp()
-                .setFooter({ text: 'Lexis License Bot' });
-
-            // Add fields for each license
-            userLicenses.forEach((license, index) => {
-                const productName = license.product_name || 'Unknown Product';
-                const redeemedDate = new Date(license.redeemed_at).toLocaleDateString();
-
-                keyEmbed.addFields({
-                    name: `${productName} (${redeemedDate})`,
-                    value: `\`\`\`${license.license_key}\`\`\``,
-                    inline: false
-                });
-            });
-
-            if (userLicenses.length > 1) {
-                keyEmbed.setDescription(`You have ${userLicenses.length} license keys:`);
-            }
+        if (!list) {
+            const noLicenseEmbed = buildNoLicensesEmbed('Use `/redeem` or the redeem button to redeem your SellAuth invoice!');
 
-            await interaction.editReply({ embeds: [keyEmbed] });
-
-            // Log the key retrieval
-            await database.logAction(
-                userId,
-                'key_retrieval',
-                {
-                    username: username,
-                    keysRetrieved: userLicenses.length
-                }
-            );
-
-        } catch (error) {
-            logger.error('Error in key command:', error);
-
-            const errorEmbed = new EmbedBuilder()
-                .setColor('#FF6B6B')
-                .setTitle('❌ Error')
-                .setDescription('An error occurred while retrieving your license keys. Please try again later.')
-                .setTimestamp()
-                .setFooter({ text: 'Lexis License Bot' });
-
-            await interaction.editReply({ embeds: [errorEmbed] });
+            await interaction.editReply({ embeds: [noLicenseEmbed] });
+            return;
         }
+
+        await interaction.editReply(list.payload);
+
+        // Log the key retrieval
+        await database.logAction(
+            userId,
+            'key_retrieval',
+            {
+                guildId: interaction.guildId,
+                username: username,
+                keysRetrieved: list.total,
+                liveStatus: list.live.available
+            }
+        );
+
+    } catch (error) {
+        logger.error('Error in key command:', error);
+
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF6B6B')
+            .setTitle('❌ Error')
+            .setDescription('An error occurred while retrieving your license keys. Please try again later.')
+            .setTimestamp()
+            .setFooter({ text: 'Lexis License Bot' });
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+async function handleTransfer(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const licenseKey = interaction.options.getString('license_key').trim();
+    const recipient = interaction.options.getUser('to');
+
+    // The offer is posted in the channel for the recipient, so it has to be a server channel
+    let precheck = null;
+    if (!interaction.inGuild()) {
+        precheck = 'GUILD_ONLY';
+    } else if (recipient.bot) {
+        precheck = 'BOT_RECIPIENT';
     }
-};
\ No newline at end of file
+
+    if (precheck) {
+        await interaction.editReply({ embeds: [buildTransferErrorEmbed(precheck)] });
+        return;
+    }
+
+    const result = await licenseTransfers.requestTransfer({
+        licenseKey,
+        fromUserId: interaction.user.id,
+        toUserId: recipient.id,
+        scope: await tenants.getScope(interaction.guildId)
+    });
+
+    if (!result.success) {
+        await interaction.editReply({ embeds: [buildTransferErrorEmbed(result.error)] });
+        return;
+    }
+
+    try {
+        await interaction.channel.send(buildTransferOffer(result.transfer, result.record));
+    } catch (error) {
+        // Nobody could accept it and the sender has no cancel button; don't leave it pending
+        logger.warn(`Failed to post transfer offer for invoice ${result.record.invoice_id}:`, error.message);
+        await licenseTransfers.cancelTransfer(result.transfer.id, interaction.user.id);
+        await interaction.editReply({ embeds: [buildTransferErrorEmbed('OFFER_NOT_POSTED')] });
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔁 Transfer Offered')
+        .setDescription(`<@${recipient.id}> has been asked to accept your **${result.record.product_name || 'license'}**. The key stays yours until they accept.`)
+        .setColor(0x0099ff)
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed], components: [buildCancelRow(result.transfer)] });
+
+    logger.info(`User ${interaction.user.tag} offered invoice ${result.record.invoice_id} to ${recipient.tag}`);
+}
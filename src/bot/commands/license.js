@@ -0,0 +1,621 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger');
+const database = require('../../api/database');
+const tenants = require('../../api/tenants');
+const catalog = require('../../api/catalog');
+const SellAuthAPI = require('../../api/sellauth');
+const licenseManager = require('../../services/licenseManager');
+const licenseTransfers = require('../../services/licenseTransfers');
+const staffNotifier = require('../../services/staffNotifier');
+const { buildTransferErrorEmbed } = require('../utils/transferMessages');
+const { buildRevocationEmbed } = require('../utils/staffEvents');
+const { getKeyLabel } = require('../utils/licenseEmbeds');
+const { buildNotSetUpEmbed } = require('../utils/setupWizard');
+
+// Limits that keep lookup embeds within Discord's field and size limits
+const MAX_USER_RECORDS = 10;
+const MAX_AUDIT_ENTRIES = 10;
+
+const STATUS_COLORS = {
+    redeemed: 0x00ff00,
+    partial: 0xffcc00,
+    pending: 0xff9900,
+    revoked: 0xff0000
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('license')
+        .setDescription('Look up and manage redeemed licenses')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false)
+        .addSubcommandGroup(group =>
+            group
+                .setName('lookup')
+                .setDescription('Find a redemption by invoice, user or key')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('invoice')
+                        .setDescription('Who redeemed an invoice')
+                        .addStringOption(option =>
+                            option
+                                .setName('invoice_id')
+                                .setDescription('SellAuth invoice ID')
+                                .setRequired(true)
+                                .setMaxLength(50)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('user')
+                        .setDescription('Everything a user has redeemed')
+                        .addUserOption(option =>
+                            option
+                                .setName('user')
+                                .setDescription('Discord user')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('key')
+                        .setDescription('Which invoice a license key came from')
+                        .addStringOption(option =>
+                            option
+                                .setName('license_key')
+                                .setDescription('License key')
+                                .setRequired(true)
+                                .setMaxLength(100)
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('revoke')
+                .setDescription('Revoke a license in KeyAuth; the invoice stays used')
+                .addStringOption(option =>
+                    option
+                        .setName('reason')
+                        .setDescription('Why the license is revoked')
+                        .setRequired(true)
+                        .setMaxLength(200)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('license_key')
+                        .setDescription('License key to revoke')
+                        .setMaxLength(100)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('invoice_id')
+                        .setDescription('SellAuth invoice ID whose key to revoke')
+                        .setMaxLength(50)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('action')
+                        .setDescription('What to do with the key in KeyAuth (default ban)')
+                        .addChoices(
+                            { name: 'Ban (keep the key in KeyAuth, marked banned)', value: 'ban' },
+                            { name: 'Delete (remove the key from KeyAuth)', value: 'delete' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('transfer')
+                .setDescription('Move a license to another account without their approval')
+                .addUserOption(option =>
+                    option
+                        .setName('to')
+                        .setDescription('New owner')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('reason')
+                        .setDescription('Why the license is being moved')
+                        .setRequired(true)
+                        .setMaxLength(200)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('license_key')
+                        .setDescription('License key to move')
+                        .setMaxLength(100)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('invoice_id')
+                        .setDescription('SellAuth invoice ID whose license to move')
+                        .setMaxLength(50)
+                )
+        ),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!await tenants.hasShop(interaction.guildId)) {
+            await interaction.editReply({ embeds: [buildNotSetUpEmbed()] });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'revoke') {
+            await handleRevoke(interaction);
+            return;
+        }
+
+        if (subcommand === 'transfer') {
+            await handleForceTransfer(interaction);
+            return;
+        }
+
+        try {
+            if (subcommand === 'invoice') {
+                await handleLookupInvoice(interaction);
+            } else if (subcommand === 'user') {
+                await handleLookupUser(interaction);
+            } else if (subcommand === 'key') {
+                await handleLookupKey(interaction);
+            }
+
+            await database.logAction(interaction.user.id, 'license_lookup', {
+                guildId: interaction.guildId,
+                by: subcommand,
+                query: interaction.options.getString('invoice_id')
+                    || interaction.options.getUser('user')?.id
+                    || interaction.options.getString('license_key')
+            });
+        } catch (error) {
+            logger.error(`License lookup by ${subcommand} failed:`, error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setTitle('❌ Lookup Failed')
+                .setDescription('An error occurred while looking up the license. Please try again later.')
+                .setColor(0xff0000)
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [errorEmbed] });
+        }
+    }
+};
+
+async function handleRevoke(interaction) {
+    const licenseKey = interaction.options.getString('license_key');
+    const invoiceId = interaction.options.getString('invoice_id');
+    const reason = interaction.options.getString('reason').trim();
+    const mode = interaction.options.getString('action') || 'ban';
+
+    if (!licenseKey === !invoiceId) {
+        const embed = new EmbedBuilder()
+            .setTitle('❌ Invalid Options')
+            .setDescription('Provide exactly one of `license_key` or `invoice_id`.')
+            .setColor(0xff0000)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+    }
+
+    let result;
+    try {
+        result = await licenseManager.revoke({
+            licenseKey,
+            invoiceId,
+            reason,
+            revokedBy: interaction.user.id,
+            mode,
+            scope: await tenants.getScope(interaction.guildId)
+        });
+    } catch (error) {
+        logger.error('License revocation failed:', error);
+        result = { success: false, error: 'ERROR', record: null };
+    }
+
+    const target = licenseKey ? `key \`${licenseKey}\`` : `invoice \`${invoiceId}\``;
+    const embed = new EmbedBuilder().setTimestamp();
+
+    if (result.success) {
+        const record = result.record;
+        const bundle = result.licenseKeys.length > 1;
+
+        embed
+            .setTitle('⛔ License Revoked')
+            .setDescription(`${bundle ? `All ${result.licenseKeys.length} keys of the invoice were` : 'The key was'} ${mode === 'delete' ? 'deleted from' : 'banned in'} KeyAuth. The invoice stays used and cannot be redeemed again.`)
+            .setColor(0x00ff00)
+            .addFields(
+                { name: 'Invoice', value: `\`${record.invoice_id}\``, inline: true },
+                { name: 'User', value: `<@${record.discord_user_id}>`, inline: true },
+                { name: bundle ? 'License Keys' : 'License Key', value: result.licenseKeys.map(key => `\`${key}\``).join('\n').slice(0, 1024), inline: false },
+                { name: 'Reason', value: reason, inline: false }
+            );
+
+        logger.info(`License for invoice ${record.invoice_id} revoked by ${interaction.user.tag}`);
+
+        await staffNotifier.notify(
+            'revocation',
+            buildRevocationEmbed(record, { revokedBy: interaction.user.id, reason, mode, licenseKeys: result.licenseKeys }),
+            interaction.guildId
+        );
+    } else {
+        const messages = {
+            NOT_FOUND: `No redemption was found for ${target}.`,
+            ALREADY_REVOKED: `The license for ${target} was already revoked${result.record?.revoked_at ? ` on ${formatTimestamp(result.record.revoked_at)}` : ''}.`,
+            NOT_REDEEMED: `The redemption for ${target} is still in progress and has no live key to revoke yet.`,
+            KEYAUTH_FAILED: `KeyAuth did not accept the ${mode} of every key. Keys it accepted are marked revoked; try again to finish, or use the other action.`,
+            ERROR: 'An unexpected error occurred. Nothing was changed in the database.'
+        };
+
+        embed
+            .setTitle('❌ Revocation Failed')
+            .setDescription(messages[result.error] || messages.ERROR)
+            .setColor(0xff0000);
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleForceTransfer(interaction) {
+    const licenseKey = interaction.options.getString('license_key');
+    const invoiceId = interaction.options.getString('invoice_id');
+    const recipient = interaction.options.getUser('to');
+    const reason = interaction.options.getString('reason').trim();
+
+    if (!licenseKey === !invoiceId) {
+        const embed = new EmbedBuilder()
+            .setTitle('❌ Invalid Options')
+            .setDescription('Provide exactly one of `license_key` or `invoice_id`.')
+            .setColor(0xff0000)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+    }
+
+    const result = await licenseTransfers.forceTransfer({
+        licenseKey,
+        invoiceId,
+        toUserId: recipient.id,
+        toUsername: recipient.tag,
+        adminId: interaction.user.id,
+        reason,
+        scope: await tenants.getScope(interaction.guildId)
+    });
+
+    if (!result.success) {
+        await interaction.editReply({ embeds: [buildTransferErrorEmbed(result.error)] });
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔁 License Transferred')
+        .setDescription(`The license now belongs to <@${recipient.id}>. Any pending transfer offer for it was cancelled.`)
+        .setColor(0x00ff00)
+        .addFields(
+            { name: 'Invoice', value: `\`${result.record.invoice_id}\``, inline: true },
+            { name: 'From', value: `<@${result.transfer.from_user_id}>`, inline: true },
+            { name: 'To', value: `<@${recipient.id}>`, inline: true },
+            { name: 'Reason', value: reason, inline: false }
+        )
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleLookupInvoice(interaction) {
+    const input = interaction.options.getString('invoice_id');
+
+    // Records are stored under the sanitized ID, so look them up the same way
+    let invoiceId;
+    try {
+        invoiceId = SellAuthAPI.sanitizeInvoiceId(input);
+    } catch (error) {
+        await replyNotFound(interaction, `\`${input}\` is not a valid invoice ID.`);
+        return;
+    }
+
+    // Staff only see invoices of this server's shop
+    const scope = await tenants.getScope(interaction.guildId);
+    const record = await database.getInvoiceRecord(invoiceId);
+    if (!record || !tenants.inScope(record, scope)) {
+        await replyNotFound(interaction, `Invoice \`${invoiceId}\` has not been redeemed.`);
+        return;
+    }
+
+    await replyWithRecord(interaction, record, scope);
+}
+
+async function handleLookupKey(interaction) {
+    const licenseKey = interaction.options.getString('license_key').trim();
+
+    const scope = await tenants.getScope(interaction.guildId);
+    const record = await database.getInvoiceRecordByKey(licenseKey);
+    if (!record || !tenants.inScope(record, scope)) {
+        const mistyped = await catalog.isMistypedKey(licenseKey, scope?.tenantId);
+        await replyNotFound(
+            interaction,
+            `No redemption was found for key \`${licenseKey}\`.` +
+            (mistyped ? ' Its check character does not match, so it was probably mistyped.' : '')
+        );
+        return;
+    }
+
+    await replyWithRecord(interaction, record, scope);
+}
+
+async function handleLookupUser(interaction) {
+    const user = interaction.options.getUser('user');
+
+    const scope = await tenants.getScope(interaction.guildId);
+    const records = await database.attachKeys(await database.getUserInvoiceRecords(user.id, MAX_USER_RECORDS, scope));
+    const auditEntries = await database.getRecentAuditEntries(user.id, MAX_AUDIT_ENTRIES, scope);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🔎 Redemptions for ${user.tag}`)
+        .setColor(0x0099ff)
+        .setTimestamp();
+
+    if (records.length === 0) {
+        embed.setDescription(`<@${user.id}> has not redeemed any invoices.`);
+    } else {
+        embed.setDescription(`Showing the ${records.length} most recent redemption(s) for <@${user.id}>.`);
+
+        for (const record of records) {
+            const keyLines = [];
+            for (const key of record.keys) {
+                keyLines.push(`Key: \`${key.license_key}\`${record.keys.length > 1 ? ` (${getKeyLabel(record, key)})` : ''} | KeyAuth: ${await getKeyStatus(record, key)}`);
+            }
+
+            embed.addFields({
+                name: `${record.product_name || 'Unknown Product'} - ${record.invoice_id}`,
+                value: [
+                    ...(keyLines.length > 0 ? keyLines : ['Key: None']),
+                    `Status: ${record.status}`,
+                    `Redeemed: ${formatTimestamp(record.redeemed_at)}`
+                ].join('\n').slice(0, 1024),
+                inline: false
+            });
+        }
+    }
+
+    embed.addFields({ name: '📜 Recent Activity', value: formatAuditEntries(auditEntries), inline: false });
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Reply with the full details of one redemption record
+ */
+async function replyWithRecord(interaction, record, scope) {
+    const sellauthData = parseJson(record.sellauth_data);
+    const userMetadata = parseJson(record.user_metadata);
+    const [{ keys }] = await database.attachKeys([record]);
+    const licenseInfo = [];
+    for (const key of keys) {
+        licenseInfo.push({ key, result: await getLicenseInfo(record, key) });
+    }
+    const auditEntries = await database.getRecentAuditEntries(record.discord_user_id, MAX_AUDIT_ENTRIES, scope);
+    const transfers = await licenseTransfers.getHistory(record.invoice_id);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🔎 Invoice ${record.invoice_id}`)
+        .setColor(STATUS_COLORS[record.status] || 0xff9900)
+        .addFields(
+            { name: 'User', value: `<@${record.discord_user_id}>\n${record.discord_username || record.discord_user_id}`, inline: true },
+            { name: 'Status', value: record.status, inline: true },
+            { name: 'Redeemed', value: formatTimestamp(record.redeemed_at), inline: true },
+            { name: keys.length > 1 ? 'License Keys' : 'License Key', value: formatKeys(record), inline: false },
+            { name: 'KeyAuth', value: formatLicenseInfo(record, licenseInfo), inline: false },
+            { name: 'Product', value: `${record.product_name || 'Unknown'} (\`${record.product_id || 'n/a'}\`)`, inline: true },
+            { name: 'Amount', value: record.amount != null ? `${record.amount} ${record.currency || ''}`.trim() : 'n/a', inline: true },
+            { name: 'Redeemed Via', value: userMetadata?.redemptionMethod || userMetadata?.redeemed_via || 'Unknown', inline: true },
+            { name: 'SellAuth Data', value: formatSellAuthData(record, sellauthData), inline: false },
+            { name: '🔁 Ownership History', value: formatOwnershipHistory(transfers), inline: false },
+            { name: '📜 Recent Activity', value: formatAuditEntries(auditEntries), inline: false }
+        )
+        .setTimestamp();
+
+    if (record.status === 'revoked') {
+        embed.spliceFields(3, 0, {
+            name: '⛔ Revoked',
+            value: `${formatTimestamp(record.revoked_at)} by ${formatActor(record.revoked_by)}\nReason: ${record.revocation_reason || 'n/a'}`,
+            inline: false
+        });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function replyNotFound(interaction, description) {
+    const embed = new EmbedBuilder()
+        .setTitle('🔎 Not Found')
+        .setDescription(description)
+        .setColor(0xff9900)
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Ask the KeyAuth application a key was created in about it
+ */
+async function getLicenseInfo(record, key) {
+    const keyauth = await tenants.getKeyAuth(record.guild_id, key.app_id);
+    if (!keyauth) {
+        return { success: false, message: 'the KeyAuth application this key came from is no longer set up' };
+    }
+
+    return keyauth.getLicenseInfo(key.license_key);
+}
+
+/**
+ * Get a one-word KeyAuth status for one of a record's keys
+ */
+async function getKeyStatus(record, key) {
+    const result = await getLicenseInfo(record, key);
+    if (!result.success) {
+        return 'unavailable';
+    }
+
+    return result.info?.status || 'unknown';
+}
+
+/**
+ * List a record's keys, naming each one when the invoice has several
+ */
+function formatKeys(record) {
+    const keys = record.keys;
+    if (keys.length === 0) {
+        return 'None';
+    }
+
+    return keys
+        .map(key => `\`${key.license_key}\`${keys.length > 1 ? ` - ${getKeyLabel(record, key)}` : ''}${key.status === 'revoked' ? ' (revoked)' : ''}`)
+        .join('\n')
+        .slice(0, 1024);
+}
+
+/**
+ * Format the live KeyAuth details of each key
+ * @param {object} record - Redemption record with its keys
+ * @param {Array<object>} results - { key, result } per key
+ */
+function formatLicenseInfo(record, results) {
+    if (results.length === 0) {
+        return 'No key recorded';
+    }
+
+    if (results.length === 1) {
+        return formatKeyInfo(results[0].result);
+    }
+
+    return results
+        .map(({ key, result }) => `**${getKeyLabel(record, key)}**\n${formatKeyInfo(result)}`)
+        .join('\n')
+        .slice(0, 1024);
+}
+
+function formatKeyInfo(result) {
+    if (!result.success || !result.info) {
+        return `⚠️ Live status unavailable: ${result.message || 'unknown error'}`;
+    }
+
+    const info = result.info;
+    const lines = [`Status: **${info.status || 'unknown'}**`];
+
+    if (info.level) {
+        lines.push(`Level: ${info.level}`);
+    }
+    if (info.usedby) {
+        lines.push(`Used by: ${info.usedby}`);
+    }
+    if (info.expires) {
+        lines.push(`Expires: ${formatTimestamp(Number(info.expires) * 1000)}`);
+    }
+
+    return lines.join('\n');
+}
+
+function formatSellAuthData(record, sellauthData) {
+    const lines = [
+        `Email: ${sellauthData?.customerEmail || record.customer_email || 'n/a'}`,
+        `Customer: ${sellauthData?.customerName || 'n/a'}`,
+        `Invoice status: ${sellauthData?.status || 'n/a'}`,
+        `Created: ${sellauthData?.createdAt ? formatTimestamp(sellauthData.createdAt) : 'n/a'}`,
+        `Paid: ${sellauthData?.paidAt ? formatTimestamp(sellauthData.paidAt) : 'n/a'}`
+    ];
+
+    return lines.join('\n');
+}
+
+function formatOwnershipHistory(transfers) {
+    const completed = transfers.filter(transfer => ['accepted', 'forced'].includes(transfer.status));
+    const pending = transfers.find(transfer => transfer.status === 'pending' && new Date(transfer.expires_at) > new Date());
+
+    if (completed.length === 0 && !pending) {
+        return 'Never transferred - held by the original buyer.';
+    }
+
+    const lines = [];
+    if (completed.length > 0) {
+        lines.push(`Original buyer: <@${completed[0].from_user_id}>`);
+    }
+
+    for (const transfer of completed) {
+        const how = transfer.status === 'forced'
+            ? `forced by ${formatActor(transfer.initiated_by)}${transfer.reason ? ` (${transfer.reason})` : ''}`
+            : 'accepted';
+        lines.push(`${formatTimestamp(transfer.completed_at)} → <@${transfer.to_user_id}>, ${how}`);
+    }
+
+    if (pending) {
+        lines.push(`Pending offer to <@${pending.to_user_id}> since ${formatTimestamp(pending.created_at)}`);
+    }
+
+    return lines.join('\n').slice(0, 1024);
+}
+
+function formatAuditEntries(entries) {
+    if (entries.length === 0) {
+        return 'No activity recorded.';
+    }
+
+    const lines = entries.map(entry => {
+        const data = parseJson(entry.data);
+        const invoice = data?.invoiceId ? ` \`${data.invoiceId}\`` : '';
+        return `${formatTimestamp(entry.timestamp)} ${entry.action}${invoice}`;
+    });
+
+    // Stay inside Discord's 1024 character field limit
+    let value = '';
+    for (const line of lines) {
+        if (value.length + line.length + 1 > 1024) {
+            break;
+        }
+        value += `${line}\n`;
+    }
+
+    return value.trim();
+}
+
+/**
+ * Render who performed an action: a Discord user or an automated process
+ */
+function formatActor(actor) {
+    return /^\d{17,20}$/.test(actor || '') ? `<@${actor}>` : `\`${actor || 'unknown'}\``;
+}
+
+/**
+ * Render a stored date as a Discord timestamp
+ */
+function formatTimestamp(value) {
+    if (!value) {
+        return 'n/a';
+    }
+
+    // SQLite stores CURRENT_TIMESTAMP as UTC without a zone marker
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+        ? new Date(`${value.replace(' ', 'T')}Z`)
+        : new Date(value);
+
+    if (isNaN(date.getTime())) {
+        return String(value);
+    }
+
+    return `<t:${Math.floor(date.getTime() / 1000)}:f>`;
+}
+
+function parseJson(value) {
+    if (!value) {
+        return null;
+    }
+
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        return null;
+    }
+}
@@ -1,90 +1,126 @@
-const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const logger = require('../../utils/logger');
+const database = require('../../api/database');
+const panelConfig = require('../../api/panelConfig');
+const { buildGuildPanel, buildPanelEditModal, buildPanelSavedEmbed, refreshPanels } = require('../utils/panelMessage');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('panel')
-        .setDescription('Create the license redemption panel')
-        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+        .setDescription('Manage the license redemption panel')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('post')
+                .setDescription('Post the redemption panel in this channel')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('edit')
+                .setDescription('Edit the panel title, description, color and images')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('buttons')
+                .setDescription('Choose which buttons the panel shows')
+                .addBooleanOption(option =>
+                    option
+                        .setName('redeem')
+                        .setDescription('Show the "Redeem License" button')
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('get_keys')
+                        .setDescription('Show the "Get My Keys" button')
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('reset_hwid')
+                        .setDescription('Show the "Reset HWID" button')
+                )
+        ),
 
     async execute(interaction) {
-        try {
-            // Create the main embed
-            const panelEmbed = new EmbedBuilder()
-                .setColor('#4ECDC4')
-                .setTitle('🎮 Lexis VR Mods - License System')
-                .setDescription(`
-**Welcome to the automated license redemption system!**
-
-After purchasing any of our VR mods from SellAuth, you can instantly redeem your license key here.
-
-**🔸 Supported Products:**
-• UG
-• Animal Company
-• Scary Baboon
-• Rec Room Mods
-• Big Scary
-• Yeeps
-• Steal a Monke
-• Ghost of Tabor
-• All VR Mods Pack
-
-**📋 Instructions:**
-1️⃣ **Purchase** any VR mod from our SellAuth store
-2️⃣ **Copy** your invoice ID from the purchase email
-3️⃣ **Click "Redeem License"** button below
-4️⃣ **Paste** your invoice ID in the popup
-5️⃣ **Receive** your lifetime KeyAuth license instantly!
-
-**🔑 Lost Your Key?**
-Click the "Get My Keys" button to retrieve all your previously redeemed licenses.
-
-**⚠️ Important Notes:**
-• Each invoice can only be redeemed **once**
-• Keys are permanently stored and linked to your Discord account
-• You can retrieve your keys anytime using the "Get My Keys" button
-• Rate limit: 1 redemption per user per 24 hours
-                `)
-                .setThumbnail('https://cdn.discordapp.com/attachments/placeholder/lexis_logo.png') // You can replace with your actual logo
-                .setFooter({
-                    text: 'Lexis VR Mods • Automated License System',
-                    iconURL: 'https://cdn.discordapp.com/attachments/placeholder/lexis_icon.png'
-                })
-                .setTimestamp();
-
-            // Create buttons
-            const buttonRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('redeem_license')
-                        .setLabel('🎯 Redeem License')
-                        .setStyle(ButtonStyle.Success)
-                        .setEmoji('🎮'),
-                    new ButtonBuilder()
-                        .setCustomId('get_my_keys')
-                        .setLabel('🔑 Get My Keys')
-                        .setStyle(ButtonStyle.Primary)
-                        .setEmoji('📋')
-                );
-
-            // Send the panel
-            await interaction.reply({
-                embeds: [panelEmbed],
-                components: [buttonRow]
-            });
-
-            logger.info(`License panel created by ${interaction.user.username} in ${interaction.guild?.name}`);
-
-        } catch (error) {
-            logger.error('Error creating license panel:', error);
-
-            const errorEmbed = new EmbedBuilder()
-                .setColor('#FF6B6B')
-                .setTitle('❌ Error')
-                .setDescription('Failed to create license panel. Please try again.')
-                .setTimestamp();
-
-            await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'edit') {
+            // Modals have to be the first response, so this one is not deferred
+            const panel = await panelConfig.getConfig(interaction.guildId);
+            await interaction.showModal(buildPanelEditModal(panel));
+            return;
         }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        if (subcommand === 'post') {
+            await handlePost(interaction);
+        } else if (subcommand === 'buttons') {
+            await handleButtons(interaction);
+        }
+    }
+};
+
+async function handlePost(interaction) {
+    try {
+        const message = await interaction.channel.send(await buildGuildPanel(interaction.guildId));
+        await panelConfig.trackMessage(interaction.guildId, interaction.channelId, message.id, interaction.user.id);
+
+        await database.logAction(interaction.user.id, 'panel_posted', {
+            guildId: interaction.guildId,
+            channelId: interaction.channelId,
+            messageId: message.id
+        });
+        logger.info(`License panel posted by ${interaction.user.username} in ${interaction.guild?.name}`);
+
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('✅ Panel Posted')
+            .setDescription('Changes made with `/panel edit` and `/panel buttons` will update this panel automatically.')
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        logger.error('Error creating license panel:', error);
+
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF6B6B')
+            .setTitle('❌ Error')
+            .setDescription('Failed to post the license panel. Check that the bot can send messages in this channel.')
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+async function handleButtons(interaction) {
+    const panel = await panelConfig.getConfig(interaction.guildId);
+
+    // Options left out keep their current state
+    const buttons = panelConfig.PANEL_BUTTON_TYPES.filter(type => {
+        const choice = interaction.options.getBoolean(type);
+        return choice === null ? panel.buttons.includes(type) : choice;
+    });
+
+    if (buttons.length === 0) {
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF6B6B')
+            .setTitle('❌ No Buttons')
+            .setDescription('The panel needs at least one button.')
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+        return;
     }
-};
\ No newline at end of file
+
+    await panelConfig.updateConfig(interaction.guildId, { buttons }, interaction.user.id);
+    const refreshed = await refreshPanels(interaction.client, interaction.guildId);
+
+    await database.logAction(interaction.user.id, 'panel_buttons_updated', {
+        guildId: interaction.guildId,
+        buttons
+    });
+
+    await interaction.editReply({ embeds: [buildPanelSavedEmbed(refreshed)] });
+}
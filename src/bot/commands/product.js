@@ -0,0 +1,379 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger');
+const database = require('../../api/database');
+const catalog = require('../../api/catalog');
+const tenants = require('../../api/tenants');
+const { refreshPanels } = require('../utils/panelMessage');
+const { buildNotSetUpEmbed } = require('../utils/setupWizard');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('product')
+        .setDescription('Manage the product catalog used for license redemption')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Add or update a product\'s license policy')
+                .addStringOption(option =>
+                    option
+                        .setName('product_id')
+                        .setDescription('SellAuth product ID')
+                        .setRequired(true)
+                        .setMaxLength(50)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Display name')
+                        .setRequired(true)
+                        .setMaxLength(100)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('level')
+                        .setDescription('KeyAuth license level (default 1)')
+                        .setMaxLength(10)
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('expiry_days')
+                        .setDescription('License duration in days, 0 for lifetime (default 0)')
+                        .setMinValue(0)
+                        .setMaxValue(3650)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('key_template')
+                        .setDescription('Key format, all-X groups are random, a final # is a check character (e.g. LEXIS-UG-XXXX-XXXX-#)')
+                        .setMaxLength(64)
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('redeemable')
+                        .setDescription('Whether buyers can redeem this product (default true)')
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('app')
+                        .setDescription('KeyAuth application ID of the main key (default: this shop\'s own)')
+                        .setMaxLength(32)
+                )
+        )
+        .addSubcommandGroup(group =>
+            group
+                .setName('bundle')
+                .setDescription('Issue keys in more KeyAuth applications with one product')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('add')
+                        .setDescription('Add another key to a product')
+                        .addStringOption(option =>
+                            option
+                                .setName('product_id')
+                                .setDescription('SellAuth product ID')
+                                .setRequired(true)
+                                .setMaxLength(50)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('app')
+                                .setDescription('KeyAuth application ID, "default" for this shop\'s own')
+                                .setRequired(true)
+                                .setMaxLength(32)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('level')
+                                .setDescription('KeyAuth license level (default 1)')
+                                .setMaxLength(10)
+                        )
+                        .addIntegerOption(option =>
+                            option
+                                .setName('expiry_days')
+                                .setDescription('License duration in days, 0 for lifetime (default 0)')
+                                .setMinValue(0)
+                                .setMaxValue(3650)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('key_template')
+                                .setDescription('Key format, all-X groups are random, a final # is a check character (e.g. LEXIS-LD-XXXX-#)')
+                                .setMaxLength(64)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('remove')
+                        .setDescription('Remove an extra key from a product')
+                        .addStringOption(option =>
+                            option
+                                .setName('product_id')
+                                .setDescription('SellAuth product ID')
+                                .setRequired(true)
+                                .setMaxLength(50)
+                        )
+                        .addIntegerOption(option =>
+                            option
+                                .setName('number')
+                                .setDescription('Key number shown by /product list (2 or higher)')
+                                .setRequired(true)
+                                .setMinValue(2)
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List all products in the catalog')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a product from the catalog')
+                .addStringOption(option =>
+                    option
+                        .setName('product_id')
+                        .setDescription('SellAuth product ID')
+                        .setRequired(true)
+                        .setMaxLength(50)
+                )
+        ),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!await tenants.hasShop(interaction.guildId)) {
+            await interaction.editReply({ embeds: [buildNotSetUpEmbed()] });
+            return;
+        }
+
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+
+        if (group === 'bundle') {
+            if (subcommand === 'add') {
+                await handleBundleAdd(interaction);
+            } else if (subcommand === 'remove') {
+                await handleBundleRemove(interaction);
+            }
+        } else if (subcommand === 'set') {
+            await handleSet(interaction);
+        } else if (subcommand === 'list') {
+            await handleList(interaction);
+        } else if (subcommand === 'remove') {
+            await handleRemove(interaction);
+        }
+    }
+};
+
+async function handleSet(interaction) {
+    const tenantId = await tenants.resolveTenantId(interaction.guildId);
+    const entitlement = await readEntitlement(interaction, tenantId);
+    if (!entitlement) {
+        return;
+    }
+
+    const product = await catalog.upsertProduct({
+        productId: interaction.options.getString('product_id').trim(),
+        name: interaction.options.getString('name').trim(),
+        ...entitlement,
+        redeemable: interaction.options.getBoolean('redeemable') ?? true
+    }, tenantId);
+
+    await database.logAction(interaction.user.id, 'product_updated', { guildId: interaction.guildId, ...product });
+    logger.info(`Product ${product.productId} updated by ${interaction.user.tag}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Product Saved')
+        .setColor(0x00ff00)
+        .addFields(formatProductFields(product))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+    // Panels list the redeemable products, so every posted panel may have changed
+    await refreshPanels(interaction.client);
+}
+
+async function handleList(interaction) {
+    // Guilds with their own shop have their own catalog
+    const products = await catalog.listProducts({ tenantId: await tenants.resolveTenantId(interaction.guildId) });
+
+    const embed = new EmbedBuilder()
+        .setTitle('📦 Product Catalog')
+        .setColor(0x0099ff)
+        .setTimestamp();
+
+    if (products.length === 0) {
+        embed.setDescription('The catalog is empty. Invoices cannot be redeemed until products are added with `/product set`.');
+    } else {
+        embed.setDescription(products.slice(0, 25).map(product => {
+            const state = product.redeemable ? '✅' : '⛔';
+            const [main, ...extras] = product.entitlements;
+
+            // Bundle keys are listed by the number /product bundle remove takes
+            return `${state} **${product.name}** (\`${product.productId}\`) - ${main ? formatEntitlement(main) : 'no key'}` +
+                extras.map(entitlement => `\n  #${entitlement.position}: ${formatEntitlement(entitlement)}`).join('');
+        }).join('\n').slice(0, 4096));
+
+        if (products.length > 25) {
+            embed.setFooter({ text: `Showing 25 of ${products.length} products` });
+        }
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleRemove(interaction) {
+    const productId = interaction.options.getString('product_id').trim();
+    const removed = await catalog.removeProduct(productId, await tenants.resolveTenantId(interaction.guildId));
+
+    if (removed) {
+        await database.logAction(interaction.user.id, 'product_removed', { guildId: interaction.guildId, productId });
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(removed ? '🗑️ Product Removed' : '❌ Product Not Found')
+        .setDescription(removed
+            ? `Product \`${productId}\` was removed. Its invoices can no longer be redeemed.`
+            : `No catalog entry exists for product \`${productId}\`.`)
+        .setColor(removed ? 0x00ff00 : 0xff0000)
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+    if (removed) {
+        await refreshPanels(interaction.client);
+    }
+}
+
+async function handleBundleAdd(interaction) {
+    const tenantId = await tenants.resolveTenantId(interaction.guildId);
+    const productId = interaction.options.getString('product_id').trim();
+    const entitlement = await readEntitlement(interaction, tenantId);
+    if (!entitlement) {
+        return;
+    }
+
+    const product = await catalog.addEntitlement(productId, entitlement, tenantId);
+    if (!product) {
+        await replyProductNotFound(interaction, productId);
+        return;
+    }
+
+    await database.logAction(interaction.user.id, 'product_bundle_updated', { guildId: interaction.guildId, ...product });
+    logger.info(`Key in ${entitlement.appId} added to product ${productId} by ${interaction.user.tag}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Bundle Key Added')
+        .setDescription(`Redeeming this product now issues ${product.entitlements.length} keys.`)
+        .setColor(0x00ff00)
+        .addFields(formatProductFields(product))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleBundleRemove(interaction) {
+    const tenantId = await tenants.resolveTenantId(interaction.guildId);
+    const productId = interaction.options.getString('product_id').trim();
+    const position = interaction.options.getInteger('number');
+
+    const removed = await catalog.removeEntitlement(productId, position, tenantId);
+    if (!removed) {
+        await replyProductNotFound(interaction, productId, `Product \`${productId}\` has no key #${position}. Use \`/product list\` to see its keys.`);
+        return;
+    }
+
+    const product = await catalog.getProduct(productId, tenantId);
+    await database.logAction(interaction.user.id, 'product_bundle_updated', { guildId: interaction.guildId, ...product });
+    logger.info(`Key #${position} removed from product ${productId} by ${interaction.user.tag}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗑️ Bundle Key Removed')
+        .setDescription(`Key #${position} is no longer issued. Keys already redeemed for it keep working.`)
+        .setColor(0x00ff00)
+        .addFields(formatProductFields(product))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Read the app, level, expiry and key template options, replying with an
+ * error if they are not valid
+ * @returns {object|null} - { appId, level, expiryDays, keyTemplate }, or null after an error reply
+ */
+async function readEntitlement(interaction, tenantId) {
+    const keyTemplate = interaction.options.getString('key_template')?.trim().toUpperCase() || null;
+    const appId = interaction.options.getString('app')?.trim().toLowerCase() || catalog.DEFAULT_APP;
+
+    if (keyTemplate && !catalog.isValidKeyTemplate(keyTemplate)) {
+        const embed = new EmbedBuilder()
+            .setTitle('❌ Invalid Key Template')
+            .setDescription('Key templates are groups of `A-Z` and `0-9` separated by `-`. Groups made only of `X` are filled with random characters, and at least one is required. A final `#` adds a check character, so mistyped keys can be spotted.\n\nExamples: `LEXIS-UG-XXXX-XXXX-XXXX`, `LEXIS-UG-XXXX-XXXX-#`')
+            .setColor(0xff0000)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return null;
+    }
+
+    if (!await tenants.hasKeyAuthApp(tenantId, appId)) {
+        const apps = await tenants.listKeyAuthApps(tenantId);
+        const embed = new EmbedBuilder()
+            .setTitle('❌ Unknown Application')
+            .setDescription(`There is no KeyAuth application \`${appId}\`. Available: ${[catalog.DEFAULT_APP, ...apps.map(app => app.appId)].map(id => `\`${id}\``).join(', ')}.` +
+                (tenantId ? '\n\nAdd more applications with `/setup`.' : ''))
+            .setColor(0xff0000)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return null;
+    }
+
+    return {
+        appId,
+        level: interaction.options.getString('level')?.trim() || '1',
+        expiryDays: interaction.options.getInteger('expiry_days') ?? 0,
+        keyTemplate
+    };
+}
+
+async function replyProductNotFound(interaction, productId, description = null) {
+    const embed = new EmbedBuilder()
+        .setTitle('❌ Product Not Found')
+        .setDescription(description || `No catalog entry exists for product \`${productId}\`. Add it with \`/product set\` first.`)
+        .setColor(0xff0000)
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+function formatEntitlement(entitlement) {
+    const expiry = entitlement.expiryDays > 0 ? `${entitlement.expiryDays} days` : 'lifetime';
+    return `\`${entitlement.appId}\` level ${entitlement.level}, ${expiry}` +
+        (entitlement.keyTemplate ? `, \`${entitlement.keyTemplate}\`` : '');
+}
+
+function formatProductFields(product) {
+    const [main, ...extras] = product.entitlements;
+    const fields = [
+        { name: 'Product', value: `${product.name} (\`${product.productId}\`)`, inline: false },
+        { name: 'KeyAuth Application', value: `\`${main.appId}\``, inline: true },
+        { name: 'KeyAuth Level', value: main.level, inline: true },
+        { name: 'Duration', value: main.expiryDays > 0 ? `${main.expiryDays} days` : 'Lifetime', inline: true },
+        { name: 'Redeemable', value: product.redeemable ? 'Yes' : 'No', inline: true },
+        { name: 'Key Template', value: main.keyTemplate ? `\`${main.keyTemplate}\`` : 'Default', inline: true }
+    ];
+
+    if (extras.length > 0) {
+        fields.push({
+            name: 'Bundle Keys',
+            value: extras.map(entitlement => `#${entitlement.position}: ${formatEntitlement(entitlement)}`).join('\n').slice(0, 1024),
+            inline: false
+        });
+    }
+
+    return fields;
+}
@@ -0,0 +1,182 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger');
+const database = require('../../api/database');
+const rateLimiter = require('../../services/rateLimiter');
+const { getMemberRoleIds } = require('../utils/redemptionReplies');
+
+const LIMIT_LABELS = {
+    success: 'Successful Redemptions (24h)',
+    failure: 'Failed Attempts (1h)',
+    email_mismatch: 'Wrong Emails (24h)'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('ratelimit')
+        .setDescription('Inspect and clear a buyer\'s redemption limits')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show a user\'s current rate limit counters')
+                .addUserOption(option =>
+                    option
+                        .setName('user')
+                        .setDescription('Discord user')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Clear a user\'s rate limit counters')
+                .addUserOption(option =>
+                    option
+                        .setName('user')
+                        .setDescription('Discord user')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('limit')
+                        .setDescription('Only clear one limit (default all)')
+                        .addChoices(...rateLimiter.USER_LIMITS.map(limit => ({ name: LIMIT_LABELS[limit], value: limit })))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('grant')
+                .setDescription('Let a user\'s next redemption through even if they are over their limits')
+                .addUserOption(option =>
+                    option
+                        .setName('user')
+                        .setDescription('Discord user')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('reason')
+                        .setDescription('Why the bypass is granted')
+                        .setRequired(true)
+                        .setMaxLength(200)
+                )
+        ),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'view') {
+            await handleView(interaction);
+        } else if (subcommand === 'reset') {
+            await handleReset(interaction);
+        } else if (subcommand === 'grant') {
+            await handleGrant(interaction);
+        }
+    }
+};
+
+async function handleView(interaction) {
+    const user = interaction.options.getUser('user');
+    const status = await getStatus(interaction, user);
+
+    await database.logAction(interaction.user.id, 'rate_limit_viewed', { targetUserId: user.id, guildId: interaction.guildId });
+
+    const embed = new EmbedBuilder()
+        .setTitle('⏳ Rate Limits')
+        .setDescription(`Counters for ${user} in this server.`)
+        .setColor(0x0099ff)
+        .addFields(formatStatusFields(status))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleReset(interaction) {
+    const user = interaction.options.getUser('user');
+    const limit = interaction.options.getString('limit');
+
+    const cleared = await rateLimiter.resetUser(user.id, interaction.guildId, limit ? [limit] : rateLimiter.USER_LIMITS);
+
+    await database.logAction(interaction.user.id, 'rate_limit_reset', {
+        guildId: interaction.guildId,
+        targetUserId: user.id,
+        limits: limit ? [limit] : rateLimiter.USER_LIMITS,
+        cleared
+    });
+    logger.info(`Rate limits of ${user.tag} reset by ${interaction.user.tag}: ${cleared.join(', ') || 'nothing to clear'}`);
+
+    const status = await getStatus(interaction, user);
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Rate Limits Reset')
+        .setDescription(cleared.length > 0
+            ? `Cleared ${cleared.map(name => LIMIT_LABELS[name]).join(', ')} for ${user}.`
+            : `${user} had no counters to clear.`)
+        .setColor(0x00ff00)
+        .addFields(formatStatusFields(status))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleGrant(interaction) {
+    const user = interaction.options.getUser('user');
+    const reason = interaction.options.getString('reason').trim();
+
+    const expiresAt = await rateLimiter.grantBypass(user.id, interaction.guildId);
+
+    await database.logAction(interaction.user.id, 'rate_limit_bypass_granted', {
+        guildId: interaction.guildId,
+        targetUserId: user.id,
+        reason,
+        expiresAt: expiresAt.toISOString()
+    });
+    logger.info(`Rate limit bypass granted to ${user.tag} by ${interaction.user.tag}: ${reason}`);
+
+    const expiresTime = Math.floor(expiresAt.getTime() / 1000);
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Bypass Granted')
+        .setDescription(`${user}'s next redemption will go through even if they are over their limits. It is used up once a redemption succeeds and expires <t:${expiresTime}:R> if unused.`)
+        .setColor(0x00ff00)
+        .addFields({ name: 'Reason', value: reason, inline: false })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Get a user's counters with this server's overrides for their roles
+ */
+async function getStatus(interaction, user) {
+    const member = interaction.options.getMember('user');
+    return rateLimiter.getUserStatus(user.id, interaction.guildId, getMemberRoleIds(member));
+}
+
+function formatStatusFields(status) {
+    const fields = status.limits.map(({ limit, attempts, maxAttempts, resetAfter }) => {
+        let value;
+        if (maxAttempts === 0) {
+            value = 'No limit';
+        } else if (resetAfter) {
+            value = `${attempts}/${maxAttempts}, resets <t:${Math.floor(resetAfter.getTime() / 1000)}:R>`;
+        } else {
+            value = `0/${maxAttempts}`;
+        }
+
+        return { name: LIMIT_LABELS[limit], value, inline: true };
+    });
+
+    fields.push({
+        name: 'Bypass',
+        value: status.bypassExpiresAt
+            ? `Available, expires <t:${Math.floor(status.bypassExpiresAt.getTime() / 1000)}:R>`
+            : 'None',
+        inline: true
+    });
+
+    return fields;
+}
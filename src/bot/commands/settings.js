@@ -0,0 +1,297 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const database = require('../../api/database');
+const guildSettings = require('../../api/guildSettings');
+const rateLimitRules = require('../../api/rateLimitRules');
+
+const EVENT_LABELS = {
+    redemption: 'Redemptions',
+    failure: 'Failures',
+    revocation: 'Revocations',
+    rate_limit: 'Rate Limit Hits',
+    outage: 'API Outages',
+    status: 'Bot Status'
+};
+
+const LIMIT_LABELS = {
+    success: 'Successful Redemptions per Day',
+    failure: 'Failed Attempts per Hour'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('settings')
+        .setDescription('Configure license redemption for this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show the current redemption settings')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('email-check')
+                .setDescription('Require buyers to enter their purchase email when redeeming')
+                .addBooleanOption(option =>
+                    option
+                        .setName('enabled')
+                        .setDescription('Whether the purchase email must match the invoice')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('log-channel')
+                .setDescription('Set the channel staff events are posted to')
+                .addChannelOption(option =>
+                    option
+                        .setName('channel')
+                        .setDescription('Staff log channel (leave empty to turn the staff log off)')
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+        )
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('log-events')
+                .setDescription('Choose which events are posted to the staff log');
+
+            for (const type of guildSettings.STAFF_EVENT_TYPES) {
+                subcommand.addBooleanOption(option =>
+                    option
+                        .setName(type)
+                        .setDescription(`Post ${EVENT_LABELS[type].toLowerCase()}`)
+                );
+            }
+
+            return subcommand;
+        })
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('rate-limit')
+                .setDescription('Override a redemption limit for this server or one role')
+                .addStringOption(option =>
+                    option
+                        .setName('type')
+                        .setDescription('Which limit to change')
+                        .setRequired(true)
+                        .addChoices(...rateLimitRules.CONFIGURABLE_LIMITS.map(limit => ({ name: LIMIT_LABELS[limit], value: limit })))
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('max')
+                        .setDescription('Allowed per window, 0 for no limit (leave empty to remove the override)')
+                        .setMinValue(0)
+                        .setMaxValue(1000)
+                )
+                .addRoleOption(option =>
+                    option
+                        .setName('role')
+                        .setDescription('Only apply to members with this role (leave empty for the whole server)')
+                )
+        ),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'view') {
+            await handleView(interaction);
+        } else if (subcommand === 'email-check') {
+            await handleEmailCheck(interaction);
+        } else if (subcommand === 'log-channel') {
+            await handleLogChannel(interaction);
+        } else if (subcommand === 'log-events') {
+            await handleLogEvents(interaction);
+        } else if (subcommand === 'rate-limit') {
+            await handleRateLimit(interaction);
+        }
+    }
+};
+
+async function handleView(interaction) {
+    const settings = await guildSettings.getSettings(interaction.guildId);
+    const rules = await rateLimitRules.getRules(interaction.guildId);
+
+    const embed = new EmbedBuilder()
+        .setTitle('⚙️ Redemption Settings')
+        .setColor(0x0099ff)
+        .addFields(formatSettingsFields(settings))
+        .addFields(formatRateLimitFields(rules))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleEmailCheck(interaction) {
+    const enabled = interaction.options.getBoolean('enabled');
+
+    const settings = await guildSettings.updateSettings(
+        interaction.guildId,
+        { requireEmailMatch: enabled },
+        interaction.user.id
+    );
+
+    await database.logAction(interaction.user.id, 'guild_settings_updated', {
+        guildId: interaction.guildId,
+        requireEmailMatch: enabled
+    });
+    logger.info(`Purchase email check ${enabled ? 'enabled' : 'disabled'} in ${interaction.guild?.name} by ${interaction.user.tag}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Settings Saved')
+        .setDescription(enabled
+            ? 'Buyers must now enter the email they used at checkout when redeeming with `/redeem` or the panel.'
+            : 'Buyers can now redeem with the invoice ID alone.')
+        .setColor(0x00ff00)
+        .addFields(formatSettingsFields(settings))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleLogChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+
+    if (channel) {
+        const permissions = channel.permissionsFor(interaction.client.user);
+        if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+            const embed = new EmbedBuilder()
+                .setTitle('❌ Missing Permissions')
+                .setDescription(`I need View Channel, Send Messages and Embed Links in ${channel} to post the staff log there.`)
+                .setColor(0xff0000)
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+    }
+
+    const settings = await guildSettings.updateSettings(
+        interaction.guildId,
+        { logChannelId: channel ? channel.id : null },
+        interaction.user.id
+    );
+
+    await database.logAction(interaction.user.id, 'guild_settings_updated', {
+        guildId: interaction.guildId,
+        logChannelId: settings.logChannelId
+    });
+    logger.info(`Staff log ${channel ? `set to #${channel.name}` : 'turned off'} in ${interaction.guild?.name} by ${interaction.user.tag}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Settings Saved')
+        .setDescription(channel
+            ? `Staff events will be posted to ${channel}. License keys are partly masked there.`
+            : 'The staff log is now off for this server.')
+        .setColor(0x00ff00)
+        .addFields(formatSettingsFields(settings))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleLogEvents(interaction) {
+    const current = await guildSettings.getSettings(interaction.guildId);
+
+    // Options left out keep their current state
+    const logEvents = guildSettings.STAFF_EVENT_TYPES.filter(type => {
+        const choice = interaction.options.getBoolean(type);
+        return choice === null ? current.logEvents.includes(type) : choice;
+    });
+
+    const settings = await guildSettings.updateSettings(
+        interaction.guildId,
+        { logEvents },
+        interaction.user.id
+    );
+
+    await database.logAction(interaction.user.id, 'guild_settings_updated', {
+        guildId: interaction.guildId,
+        logEvents
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Settings Saved')
+        .setDescription(settings.logChannelId
+            ? 'Staff log events updated.'
+            : 'Staff log events updated. Set a channel with `/settings log-channel` to start receiving them.')
+        .setColor(0x00ff00)
+        .addFields(formatSettingsFields(settings))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleRateLimit(interaction) {
+    const limiter = interaction.options.getString('type');
+    const max = interaction.options.getInteger('max');
+    const role = interaction.options.getRole('role');
+    const target = role ? `the ${role} role` : 'this server';
+
+    let description;
+    if (max === null) {
+        const removed = await rateLimitRules.clearRule(interaction.guildId, role?.id, limiter);
+        description = removed
+            ? `Removed the override for ${target}.`
+            : `There was no override for ${target}.`;
+    } else {
+        await rateLimitRules.setRule(interaction.guildId, role?.id, limiter, max, interaction.user.id);
+        description = max === 0
+            ? `${LIMIT_LABELS[limiter]} is now unlimited for ${target}.`
+            : `${LIMIT_LABELS[limiter]} is now ${max} for ${target}.`;
+    }
+
+    await database.logAction(interaction.user.id, 'guild_settings_updated', {
+        guildId: interaction.guildId,
+        rateLimit: limiter,
+        roleId: role?.id || null,
+        max
+    });
+
+    const rules = await rateLimitRules.getRules(interaction.guildId);
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ Settings Saved')
+        .setDescription(`${description}\n\nMembers get the most generous limit among their roles, then the server limit, then the default.`)
+        .setColor(0x00ff00)
+        .addFields(formatRateLimitFields(rules))
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+function formatRateLimitFields(rules) {
+    const defaults = {
+        success: config.security.rateLimits.redemptionsPerDay,
+        failure: config.security.rateLimits.attemptsPerHour
+    };
+
+    return rateLimitRules.CONFIGURABLE_LIMITS.map(limiter => {
+        const lines = [`Default: ${defaults[limiter]}`];
+
+        for (const rule of rules.filter(rule => rule.limiter === limiter)) {
+            const target = rule.roleId ? `<@&${rule.roleId}>` : 'This server';
+            lines.push(`${target}: ${rule.points === 0 ? 'No limit' : rule.points}`);
+        }
+
+        return { name: LIMIT_LABELS[limiter], value: lines.join('\n'), inline: true };
+    });
+}
+
+function formatSettingsFields(settings) {
+    return [
+        { name: 'Purchase Email Check', value: settings.requireEmailMatch ? 'Required' : 'Off', inline: true },
+        { name: 'Wrong Emails Before Lockout', value: `${config.security.rateLimits.emailMismatchesPerDay} per 24 hours`, inline: true },
+        { name: 'Staff Log Channel', value: settings.logChannelId ? `<#${settings.logChannelId}>` : 'Off', inline: true },
+        {
+            name: 'Staff Log Events',
+            value: settings.logEvents.length > 0
+                ? settings.logEvents.map(type => EVENT_LABELS[type]).join(', ')
+                : 'None',
+            inline: false
+        }
+    ];
+}
@@ -0,0 +1,38 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger');
+const encryption = require('../../utils/encryption');
+const tenants = require('../../api/tenants');
+const { isGuildOwner, buildSetupMessage, buildSetupResultEmbed } = require('../utils/setupWizard');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('setup')
+        .setDescription('Connect this server to your own SellAuth shop and KeyAuth application')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!isGuildOwner(interaction)) {
+            await interaction.editReply({
+                embeds: [buildSetupResultEmbed(false, 'Owner Only', 'Only the server owner can change which shop this server sells from.')]
+            });
+            return;
+        }
+
+        // Credentials are only ever stored encrypted
+        if (!encryption.isAvailable()) {
+            await interaction.editReply({
+                embeds: [buildSetupResultEmbed(false, 'Setup Unavailable', 'The bot has no `ENCRYPTION_KEY` configured, so it cannot store shop credentials. Ask the bot operator to set one.')]
+            });
+            return;
+        }
+
+        const tenant = await tenants.getSummary(interaction.guildId);
+        const apps = tenant ? await tenants.listKeyAuthApps(interaction.guildId) : [];
+        await interaction.editReply(buildSetupMessage(interaction.guildId, tenant, apps));
+
+        logger.info(`Setup opened in ${interaction.guild?.name} by ${interaction.user.tag}`);
+    }
+};
@@ -1,8 +1,37 @@
 const { Events, EmbedBuilder, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const logger = require('../../utils/logger');
+const encryption = require('../../utils/encryption');
 const database = require('../../api/database');
+const tenants = require('../../api/tenants');
 const SellAuthAPI = require('../../api/sellauth');
 const KeyAuthAPI = require('../../api/keyauth');
+const catalog = require('../../api/catalog');
+const guildSettings = require('../../api/guildSettings');
+const panelConfig = require('../../api/panelConfig');
+const redemptionService = require('../../services/redemptionService');
+const licenseTransfers = require('../../services/licenseTransfers');
+const hwidResets = require('../../services/hwidResets');
+const { getMemberRoleIds, replyWithOutcome } = require('../utils/redemptionReplies');
+const { buildNoLicensesEmbed } = require('../utils/licenseEmbeds');
+const { KEY_LIST, buildKeyListPage, buildKeyDetail, parsePageId } = require('../utils/keyList');
+const { PANEL_EDIT_MODAL, parsePanelEdit, buildPanelSavedEmbed, refreshPanels } = require('../utils/panelMessage');
+const { TRANSFER_BUTTONS, buildTransferClosedEmbed, buildTransferErrorEmbed } = require('../utils/transferMessages');
+const { HWID_RESET_SELECT, buildHwidResetResultEmbed, replyWithHwidResetPicker } = require('../utils/hwidResetMessages');
+const {
+    SETUP_BUTTONS,
+    SETUP_MODALS,
+    SETUP_APP_REMOVE_SELECT,
+    isGuildOwner,
+    buildSetupMessage,
+    buildSellAuthModal,
+    buildKeyAuthModal,
+    buildAppModal,
+    parseSellAuthSetup,
+    parseKeyAuthSetup,
+    parseAppSetup,
+    buildRemoveConfirmation,
+    buildSetupResultEmbed
+} = require('../utils/setupWizard');
 
 module.exports = {
     name: Events.InteractionCreate,
@@ -20,12 +49,35 @@ module.exports = {
             else if (interaction.isModalSubmit()) {
                 await handleModalSubmit(interaction);
             }
+            // Handle select menus
+            else if (interaction.isStringSelectMenu()) {
+                await handleSelectMenu(interaction);
+            }
         } catch (error) {
             logger.error('Error in interaction handler:', error);
         }
     }
 };
 
+/**
+ * Command options for the audit log, with purchase emails masked
+ * (jane@example.com becomes j***@example.com)
+ */
+function maskOptions(options = []) {
+    return options.map(option => {
+        const masked = { ...option };
+
+        if (option.name === 'email' && typeof option.value === 'string') {
+            masked.value = option.value.replace(/^(.)[^@]*/, '$1***');
+        }
+        if (option.options) {
+            masked.options = maskOptions(option.options);
+        }
+
+        return masked;
+    });
+}
+
 async function handleSlashCommand(interaction) {
     const command = interaction.client.commands.get(interaction.commandName);
 
@@ -40,8 +92,9 @@ async function handleSlashCommand(interaction) {
             interaction.user.id,
             'command_used',
             {
+                guildId: interaction.guildId,
                 command: interaction.commandName,
-                options: interaction.options.data,
+                options: maskOptions(interaction.options.data),
                 guild: interaction.guild?.name || 'DM',
                 channel: interaction.channel?.name || 'DM'
             }
@@ -60,6 +113,7 @@ async function handleSlashCommand(interaction) {
             interaction.user.id,
             'command_error',
             {
+                guildId: interaction.guildId,
                 command: interaction.commandName,
                 error: error.message,
                 stack: error.stack
@@ -109,13 +163,26 @@ async function handleButtonInteraction(interaction) {
                 .setMinLength(5)
                 .setMaxLength(50);
 
-            const actionRow = new ActionRowBuilder().addComponents(invoiceInput);
-            modal.addComponents(actionRow);
+            modal.addComponents(new ActionRowBuilder().addComponents(invoiceInput));
+
+            // Ask for the purchase email when this server checks invoice ownership
+            const settings = await guildSettings.getSettings(interaction.guildId);
+            if (settings.requireEmailMatch) {
+                const emailInput = new TextInputBuilder()
+                    .setCustomId('purchase_email')
+                    .setLabel('Purchase Email')
+                    .setStyle(TextInputStyle.Short)
+                    .setPlaceholder('The email address you used at checkout')
+                    .setRequired(true)
+                    .setMaxLength(254);
+
+                modal.addComponents(new ActionRowBuilder().addComponents(emailInput));
+            }
 
             await interaction.showModal(modal);
 
         } else if (interaction.customId === 'get_my_keys') {
-            // Handle get keys button - same as /key command
+            // Handle get keys button - same as /key view
             await interaction.deferReply({ ephemeral: true });
 
             const userId = interaction.user.id;
@@ -123,56 +190,45 @@ async function handleButtonInteraction(interaction) {
 
             logger.info(`User ${username} (${userId}) requesting their license keys via button`);
 
-            // Get user's redeemed licenses from database
-            const userLicenses = await database.getUserLicenses(userId);
+            // Build the first page of the user's keys with their live KeyAuth state
+            const list = await buildKeyListPage(userId, {}, await tenants.getScope(interaction.guildId));
 
-            if (!userLicenses || userLicenses.length === 0) {
-                const noLicenseEmbed = new EmbedBuilder()
-                    .setColor('#FF6B6B')
-                    .setTitle('🔑 No License Keys Found')
-                    .setDescription('You haven\'t redeemed any license keys yet.\n\nUse the "Redeem License" button to redeem your SellAuth invoice!')
-                    .setTimestamp()
-                    .setFooter({ text: 'Lexis License Bot' });
+            if (!list) {
+                const noLicenseEmbed = buildNoLicensesEmbed('Use the "Redeem License" button to redeem your SellAuth invoice!');
 
                 await interaction.editReply({ embeds: [noLicenseEmbed] });
                 return;
             }
 
-            // Create embed with user's license keys
-            const keyEmbed = new EmbedBuilder()
-                .setColor('#4ECDC4')
-                .setTitle('🔑 Your License Keys')
-                .setDescription('Here are your redeemed license keys:')
-                .setTimestamp()
-                .setFooter({ text: 'Lexis License Bot' });
-
-            // Add fields for each license
-            userLicenses.forEach((license, index) => {
-                const productName = license.product_name || 'Unknown Product';
-                const redeemedDate = new Date(license.redeemed_at).toLocaleDateString();
-
-                keyEmbed.addFields({
-                    name: `${productName} (${redeemedDate})`,
-                    value: `\`\`\`${license.license_key}\`\`\``,
-                    inline: false
-                });
-            });
-
-            if (userLicenses.length > 1) {
-                keyEmbed.setDescription(`You have ${userLicenses.length} license keys:`);
-            }
-
-            await interaction.editReply({ embeds: [keyEmbed] });
+            await interaction.editReply(list.payload);
 
             // Log the key retrieval
             await database.logAction(
                 userId,
                 'key_retrieval_button',
                 {
+                    guildId: interaction.guildId,
                     username: username,
-                    keysRetrieved: userLicenses.length
+                    keysRetrieved: list.total,
+                    liveStatus: list.live.available
                 }
             );
+
+        } else if (interaction.customId === 'reset_hwid') {
+            // Handle HWID reset button - same as /key reset-hwid
+            await interaction.deferReply({ ephemeral: true });
+            await replyWithHwidResetPicker(interaction, 'panel_button', 'Use the "Redeem License" button to redeem your SellAuth invoice!');
+
+        } else if (interaction.customId.startsWith(`${KEY_LIST.page}:`)) {
+            // Page through a key list; the page and filter come from the button itself
+            await interaction.deferUpdate();
+            await showKeyListPage(interaction, parsePageId(interaction.customId));
+
+        } else if (interaction.customId.startsWith('transfer_')) {
+            await handleTransferButton(interaction);
+
+        } else if (Object.values(SETUP_BUTTONS).includes(interaction.customId)) {
+            await handleSetupButton(interaction);
         }
     } catch (error) {
         logger.error('Error handling button interaction:', error);
@@ -191,152 +247,413 @@ async function handleButtonInteraction(interaction) {
     }
 }
 
-async function handleModalSubmit(interaction) {
-    if (interaction.customId === 'redeem_modal') {
-        try {
-            await interaction.deferReply({ ephemeral: true });
+async function handleTransferButton(interaction) {
+    const [action, id] = interaction.customId.split(':');
+    const transferId = parseInt(id, 10);
+    const user = interaction.user;
+
+    let result;
+    if (action === TRANSFER_BUTTONS.accept) {
+        result = await licenseTransfers.acceptTransfer(transferId, user.id, user.tag);
+    } else if (action === TRANSFER_BUTTONS.decline) {
+        result = await licenseTransfers.declineTransfer(transferId, user.id);
+    } else if (action === TRANSFER_BUTTONS.cancel) {
+        result = await licenseTransfers.cancelTransfer(transferId, user.id);
+    } else {
+        return;
+    }
 
-            const invoiceId = interaction.fields.getTextInputValue('invoice_id');
-            const userId = interaction.user.id;
-            const userName = interaction.user.tag;
+    if (!result.success) {
+        await interaction.reply({ embeds: [buildTransferErrorEmbed(result.error)], ephemeral: true });
+        return;
+    }
 
-            logger.info(`User ${userName} attempting to redeem invoice: ${invoiceId} via modal`);
+    // Replace the offer (or the sender's confirmation) so its buttons can't be used again
+    await interaction.update({
+        content: null,
+        embeds: [buildTransferClosedEmbed(result.transfer)],
+        components: []
+    });
 
-            // Rate limiting check
-            const rateLimitResult = await database.checkRateLimit(
-                userId,
-                'license_redemption',
-                1, // Max 1 redemption
-                24 // Per 24 hours
-            );
+    logger.info(`Transfer ${transferId} ${result.transfer.status} by ${user.tag}`);
+}
+
+async function handleSetupButton(interaction) {
+    // The /setup reply is ephemeral, but its buttons are checked again here
+    if (!isGuildOwner(interaction) || !encryption.isAvailable()) {
+        await interaction.reply({
+            embeds: [buildSetupResultEmbed(false, 'Not Allowed', 'Only the server owner can change this server\'s setup.')],
+            ephemeral: true
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
 
-            if (!rateLimitResult.allowed) {
-                const resetTime = Math.floor(rateLimitResult.resetAfter.getTime() / 1000);
+    if (interaction.customId === SETUP_BUTTONS.sellauth) {
+        // Modals have to be the first response, so this one is not deferred
+        await interaction.showModal(buildSellAuthModal(await tenants.getSummary(guildId)));
 
-                const rateLimitEmbed = new EmbedBuilder()
-                    .setColor('#FF9800')
-                    .setTitle('⏰ Rate Limited')
-                    .setDescription(`You've already redeemed a license today.\n\nYou can redeem another license <t:${resetTime}:R>.`)
-                    .setTimestamp()
-                    .setFooter({ text: 'Lexis License Bot' });
+    } else if (interaction.customId === SETUP_BUTTONS.keyauth) {
+        await interaction.showModal(buildKeyAuthModal(await tenants.getSummary(guildId)));
+
+    } else if (interaction.customId === SETUP_BUTTONS.addApp) {
+        await interaction.showModal(buildAppModal());
+
+    } else if (interaction.customId === SETUP_BUTTONS.remove) {
+        await interaction.reply({ ...buildRemoveConfirmation(tenants.usesDefaultShop(guildId)), ephemeral: true });
+
+    } else if (interaction.customId === SETUP_BUTTONS.confirmRemove) {
+        await interaction.deferUpdate();
+
+        const removed = await tenants.removeTenant(guildId);
+        if (removed) {
+            await database.logAction(interaction.user.id, 'tenant_removed', { guildId });
+            // The panel lists the default catalog again
+            await refreshPanels(interaction.client, guildId);
+        }
 
-                await interaction.editReply({ embeds: [rateLimitEmbed] });
+        await interaction.editReply({
+            embeds: [tenants.usesDefaultShop(guildId)
+                ? buildSetupResultEmbed(true, 'Default Shop', 'This server redeems invoices from the bot\'s default shop again.')
+                : buildSetupResultEmbed(true, 'Setup Deleted', 'This server no longer redeems invoices until it is set up again.')],
+            components: []
+        });
+
+    } else if (interaction.customId === SETUP_BUTTONS.test) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const clients = await tenants.getClients(guildId);
+        if (!clients || clients.tenantId !== guildId) {
+            await interaction.editReply({
+                embeds: [buildSetupResultEmbed(false, 'Not Set Up', 'Finish both setup steps first. If they are done, enter your credentials again; the saved ones could not be read.')]
+            });
+            return;
+        }
+
+        const shop = await clients.sellauth.verifyCredentials();
+        const keyauthReachable = await clients.keyauth.testConnection();
+        const lines = [
+            `SellAuth: ${shop.success ? 'OK' : shop.error}`,
+            `KeyAuth: ${keyauthReachable ? 'OK' : 'The application could not be initialized. Check the name, owner ID and version.'}`
+        ];
+
+        let appsReachable = true;
+        for (const app of await tenants.listKeyAuthApps(guildId)) {
+            const keyauth = await tenants.getKeyAuth(guildId, app.appId);
+            const reachable = keyauth ? await keyauth.testConnection() : false;
+            appsReachable = appsReachable && reachable;
+            lines.push(`${app.name} (\`${app.appId}\`): ${reachable ? 'OK' : 'Could not be initialized. Add it again with the current credentials.'}`);
+        }
+
+        const success = shop.success && keyauthReachable && appsReachable;
+
+        await interaction.editReply({
+            embeds: [buildSetupResultEmbed(success, success ? 'Connection Working' : 'Connection Failed', lines.join('\n').slice(0, 4096))]
+        });
+    }
+}
+
+async function handleSetupModal(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    if (!isGuildOwner(interaction) || !encryption.isAvailable()) {
+        await interaction.editReply({
+            embeds: [buildSetupResultEmbed(false, 'Not Allowed', 'Only the server owner can change this server\'s setup.')]
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+
+    try {
+        // Credentials are tried with a throwaway client before anything is saved
+        let saved;
+        if (interaction.customId === SETUP_MODALS.sellauth) {
+            const parsed = parseSellAuthSetup(interaction.fields);
+            if (parsed.error) {
+                await interaction.editReply({ embeds: [buildSetupResultEmbed(false, 'SellAuth Not Saved', parsed.error)] });
                 return;
             }
 
-            // Check if invoice already redeemed
-            const alreadyRedeemed = await database.isInvoiceRedeemed(invoiceId);
-            if (alreadyRedeemed) {
-                const alreadyRedeemedEmbed = new EmbedBuilder()
-                    .setColor('#FF6B6B')
-                    .setTitle('❌ Invoice Already Redeemed')
-                    .setDescription(`This invoice has already been redeemed.\n\nIf this is your invoice, you can retrieve your key using the "Get My Keys" button!`)
-                    .setTimestamp()
-                    .setFooter({ text: 'Lexis License Bot' });
-
-                await interaction.editReply({ embeds: [alreadyRedeemedEmbed] });
+            const check = await new SellAuthAPI({ ...parsed.shop, guildId }).verifyCredentials();
+            if (!check.success) {
+                await interaction.editReply({ embeds: [buildSetupResultEmbed(false, 'SellAuth Not Saved', check.error)] });
                 return;
             }
 
-            // Verify invoice with SellAuth
-            const verificationResult = await SellAuthAPI.verifyInvoice(invoiceId);
-
-            if (!verificationResult.valid) {
-                const invalidEmbed = new EmbedBuilder()
-                    .setColor('#FF6B6B')
-                    .setTitle('❌ Invoice Verification Failed')
-                    .setDescription(`**Reason:** ${verificationResult.reason}\n\nPlease check your invoice ID and try again.`)
-                    .setTimestamp()
-                    .setFooter({ text: 'Lexis License Bot' });
+            await tenants.saveSellAuth(guildId, parsed.shop, interaction.user.id);
+            await database.logAction(interaction.user.id, 'tenant_sellauth_configured', {
+                guildId,
+                shopId: parsed.shop.shopId,
+                webhooks: !!parsed.shop.webhookSecret
+            });
+            saved = buildSetupResultEmbed(true, 'SellAuth Saved', `Shop \`${parsed.shop.shopId}\` is connected.`);
+        } else if (interaction.customId === SETUP_MODALS.app) {
+            const tenant = await tenants.getSummary(guildId);
+            if (!tenant?.keyauthReady) {
+                await interaction.editReply({ embeds: [buildSetupResultEmbed(false, 'Application Not Saved', 'Set up this server\'s own KeyAuth application first.')] });
+                return;
+            }
 
-                await interaction.editReply({ embeds: [invalidEmbed] });
+            const parsed = parseAppSetup(interaction.fields);
+            if (parsed.error) {
+                await interaction.editReply({ embeds: [buildSetupResultEmbed(false, 'Application Not Saved', parsed.error)] });
                 return;
             }
 
-            // Create license key through KeyAuth
-            const licenseResult = await KeyAuthAPI.createLicenseForRedemption(
-                invoiceId,
-                userId,
-                verificationResult.invoiceData
-            );
+            const reachable = await new KeyAuthAPI({ ...parsed.app, guildId }).testConnection();
+            if (!reachable) {
+                await interaction.editReply({
+                    embeds: [buildSetupResultEmbed(false, 'Application Not Saved', 'The application could not be initialized. Check the name, owner ID and version.')]
+                });
+                return;
+            }
 
-            if (!licenseResult.success) {
-                const keyAuthErrorEmbed = new EmbedBuilder()
-                    .setColor('#FF6B6B')
-                    .setTitle('❌ License Creation Failed')
-                    .setDescription('Failed to create your license key. Please contact support.')
-                    .setTimestamp()
-                    .setFooter({ text: 'Lexis License Bot' });
+            await tenants.saveKeyAuthApp(guildId, parsed.app, interaction.user.id);
+            await database.logAction(interaction.user.id, 'tenant_keyauth_app_configured', {
+                guildId,
+                appId: parsed.app.appId,
+                application: parsed.app.name,
+                ownerId: parsed.app.ownerId
+            });
+            saved = buildSetupResultEmbed(true, 'Application Saved', `Add keys in **${parsed.app.name}** to a product with \`/product bundle add app:${parsed.app.appId}\`.`);
+        } else {
+            const parsed = parseKeyAuthSetup(interaction.fields);
+            if (parsed.error) {
+                await interaction.editReply({ embeds: [buildSetupResultEmbed(false, 'KeyAuth Not Saved', parsed.error)] });
+                return;
+            }
 
-                await interaction.editReply({ embeds: [keyAuthErrorEmbed] });
+            const reachable = await new KeyAuthAPI({ ...parsed.app, guildId }).testConnection();
+            if (!reachable) {
+                await interaction.editReply({
+                    embeds: [buildSetupResultEmbed(false, 'KeyAuth Not Saved', 'The application could not be initialized. Check the name, owner ID and version.')]
+                });
                 return;
             }
 
-            // Store redemption in database
-            const invoiceDetails = SellAuthAPI.extractInvoiceDetails(verificationResult.invoiceData);
-            await database.markInvoiceRedeemed(
-                invoiceId,
-                userId,
-                licenseResult.licenseKey,
-                invoiceDetails,
-                licenseResult.keyAuthResponse,
-                {
-                    username: userName,
-                    redeemed_via: 'modal'
-                }
-            );
+            await tenants.saveKeyAuth(guildId, parsed.app, interaction.user.id);
+            await database.logAction(interaction.user.id, 'tenant_keyauth_configured', {
+                guildId,
+                application: parsed.app.name,
+                ownerId: parsed.app.ownerId
+            });
+            saved = buildSetupResultEmbed(true, 'KeyAuth Saved', `Keys will be created in **${parsed.app.name}**.`);
+        }
 
-            // Success response
-            const successEmbed = new EmbedBuilder()
-                .setColor('#4ECDC4')
-                .setTitle('🎉 License Redeemed Successfully!')
-                .setDescription(`
-**Product:** ${invoiceDetails.productName || 'Unknown Product'}
-**License Key:**
-\`\`\`${licenseResult.licenseKey}\`\`\`
-
-**✅ Important Notes:**
-• This is a **lifetime license**
-• Save your key in a safe place
-• You can retrieve this key anytime using the "Get My Keys" button
-• Each invoice can only be redeemed once
-
-**🎮 Enjoy your VR mod!**
-                `)
-                .addFields(
-                    { name: 'Invoice ID', value: `\`${invoiceId}\``, inline: true },
-                    { name: 'Amount Paid', value: `${invoiceDetails.amount || 'Unknown'} ${invoiceDetails.currency || 'USD'}`, inline: true },
-                    { name: 'Redeemed By', value: `<@${userId}>`, inline: true }
-                )
-                .setTimestamp()
-                .setFooter({ text: 'Lexis License Bot' });
-
-            await interaction.editReply({ embeds: [successEmbed] });
-
-            // Log successful redemption
-            await database.logAction(
-                userId,
-                'redemption_success_modal',
-                {
-                    invoiceId: invoiceId,
-                    productName: invoiceDetails.productName,
-                    licenseKey: licenseResult.licenseKey,
-                    username: userName
-                }
-            );
+        logger.info(`Setup step ${interaction.customId} saved in ${interaction.guild?.name} by ${interaction.user.tag}`);
+
+        // A new tenant starts with an empty catalog, so the panel changes too
+        await refreshPanels(interaction.client, guildId);
+
+        const status = await getSetupMessage(guildId);
+        await interaction.editReply({ ...status, embeds: [saved, ...status.embeds] });
+    } catch (error) {
+        logger.error('Error saving setup:', error);
+
+        await interaction.editReply({
+            embeds: [buildSetupResultEmbed(false, 'Error', 'An error occurred while saving your setup. Please try again.')]
+        });
+    }
+}
+
+/**
+ * Build the /setup message with the guild's current state
+ */
+async function getSetupMessage(guildId) {
+    const tenant = await tenants.getSummary(guildId);
+    return buildSetupMessage(guildId, tenant, tenant ? await tenants.listKeyAuthApps(guildId) : []);
+}
+
+async function handleSetupAppRemove(interaction) {
+    if (!isGuildOwner(interaction)) {
+        await interaction.reply({
+            embeds: [buildSetupResultEmbed(false, 'Not Allowed', 'Only the server owner can change this server\'s setup.')],
+            ephemeral: true
+        });
+        return;
+    }
+
+    await interaction.deferUpdate();
+
+    const guildId = interaction.guildId;
+    const appId = interaction.values[0];
+
+    // New keys could not be created for these products any more
+    const products = await catalog.getProductsUsingApp(appId, guildId);
+    let result;
+    if (products.length > 0) {
+        result = buildSetupResultEmbed(false, 'Application Still In Use', `Remove \`${appId}\` from these products with \`/product bundle remove\` or \`/product set\` first: ${products.map(id => `\`${id}\``).join(', ')}`.slice(0, 4096));
+    } else if (await tenants.removeKeyAuthApp(guildId, appId)) {
+        await database.logAction(interaction.user.id, 'tenant_keyauth_app_removed', { guildId, appId });
+        result = buildSetupResultEmbed(true, 'Application Removed', `\`${appId}\` was removed. Keys already issued in it keep working, but can no longer be revoked, reissued or reset from the bot.`);
+    } else {
+        result = buildSetupResultEmbed(false, 'Not Found', `\`${appId}\` was already removed.`);
+    }
+
+    const status = await getSetupMessage(guildId);
+    await interaction.editReply({ ...status, embeds: [result, ...status.embeds] });
+}
+
+async function handleSelectMenu(interaction) {
+    const [menu, source] = interaction.customId.split(':');
+
+    if (menu === SETUP_APP_REMOVE_SELECT) {
+        await handleSetupAppRemove(interaction);
+    } else if (menu === HWID_RESET_SELECT) {
+        await handleHwidResetSelect(interaction, source);
+    } else if (menu === KEY_LIST.filter || menu === KEY_LIST.detail) {
+        await handleKeyListSelect(interaction, menu);
+    }
+}
+
+async function handleHwidResetSelect(interaction, source) {
+    try {
+        // KeyAuth can be slow; acknowledge before calling it
+        await interaction.deferUpdate();
+
+        const result = await hwidResets.resetHwid({
+            licenseKey: interaction.values[0],
+            userId: interaction.user.id,
+            source: source || 'discord',
+            scope: await tenants.getScope(interaction.guildId)
+        });
+
+        await interaction.editReply({ embeds: [buildHwidResetResultEmbed(result)], components: [] });
+    } catch (error) {
+        logger.error('Error handling HWID reset:', error);
+
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF6B6B')
+            .setTitle('❌ Error')
+            .setDescription('An error occurred while resetting your HWID. Please try again.')
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed], components: [] });
+    }
+}
+
+async function handleKeyListSelect(interaction, menu) {
+    try {
+        if (menu === KEY_LIST.filter) {
+            await interaction.deferUpdate();
+            await showKeyListPage(interaction, { page: 0, productId: interaction.values[0] });
+            return;
+        }
+
+        // Detail view goes in its own message so the list stays usable
+        await interaction.deferReply({ ephemeral: true });
+
+        const detail = await buildKeyDetail(interaction.user.id, interaction.values[0], await tenants.getScope(interaction.guildId));
+        if (!detail) {
+            const notFoundEmbed = new EmbedBuilder()
+                .setColor('#FF6B6B')
+                .setTitle('❌ Key Not Found')
+                .setDescription('This key is no longer linked to your account.')
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [notFoundEmbed] });
+            return;
+        }
+
+        await interaction.editReply(detail);
+    } catch (error) {
+        logger.error('Error handling key list selection:', error);
+
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF6B6B')
+            .setTitle('❌ Error')
+            .setDescription('An error occurred while loading your license keys. Please try again.')
+            .setTimestamp();
+
+        await interaction.followUp({ embeds: [errorEmbed], ephemeral: true });
+    }
+}
+
+/**
+ * Replace a key list message with another page of it
+ */
+async function showKeyListPage(interaction, view) {
+    const list = await buildKeyListPage(interaction.user.id, view, await tenants.getScope(interaction.guildId));
+
+    if (!list) {
+        const noLicenseEmbed = buildNoLicensesEmbed('Use the "Redeem License" button to redeem your SellAuth invoice!');
+
+        await interaction.editReply({ embeds: [noLicenseEmbed], components: [] });
+        return;
+    }
+
+    await interaction.editReply(list.payload);
+}
 
-            logger.info(`License successfully redeemed via modal: ${invoiceId} -> ${licenseResult.licenseKey} for user ${userName}`);
+async function handleModalSubmit(interaction) {
+    if (interaction.customId === 'redeem_modal') {
+        await interaction.deferReply({ ephemeral: true });
+
+        const outcome = await redemptionService.redeem({
+            invoiceId: interaction.fields.getTextInputValue('invoice_id'),
+            userId: interaction.user.id,
+            username: interaction.user.tag,
+            source: 'panel_modal',
+            guildId: interaction.guildId,
+            roleIds: getMemberRoleIds(interaction.member),
+            email: interaction.fields.fields.has('purchase_email')
+                ? interaction.fields.getTextInputValue('purchase_email')
+                : null
+        });
 
+        try {
+            await replyWithOutcome(interaction, outcome);
         } catch (error) {
-            logger.error('Error processing modal redemption:', error);
+            logger.error('Failed to send modal redemption response:', error);
+        }
+    } else if (interaction.customId === PANEL_EDIT_MODAL) {
+        await handlePanelEdit(interaction);
+    } else if (Object.values(SETUP_MODALS).includes(interaction.customId)) {
+        await handleSetupModal(interaction);
+    }
+}
+
+async function handlePanelEdit(interaction) {
+    await interaction.deferReply({ ephemeral: true });
 
+    try {
+        const parsed = parsePanelEdit(interaction.fields);
+
+        if (parsed.error) {
             const errorEmbed = new EmbedBuilder()
                 .setColor('#FF6B6B')
-                .setTitle('❌ Redemption Error')
-                .setDescription('An error occurred while processing your redemption. Please try again later.')
+                .setTitle('❌ Panel Not Saved')
+                .setDescription(parsed.error)
                 .setTimestamp();
 
             await interaction.editReply({ embeds: [errorEmbed] });
+            return;
         }
+
+        await panelConfig.updateConfig(interaction.guildId, parsed.changes, interaction.user.id);
+        const refreshed = await refreshPanels(interaction.client, interaction.guildId);
+
+        await database.logAction(interaction.user.id, 'panel_updated', {
+            guildId: interaction.guildId,
+            title: parsed.changes.title,
+            color: parsed.changes.color,
+            thumbnailUrl: parsed.changes.thumbnailUrl,
+            imageUrl: parsed.changes.imageUrl
+        });
+        logger.info(`Panel edited in ${interaction.guild?.name} by ${interaction.user.tag}`);
+
+        await interaction.editReply({ embeds: [buildPanelSavedEmbed(refreshed)] });
+    } catch (error) {
+        logger.error('Error saving panel edit:', error);
+
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF6B6B')
+            .setTitle('❌ Error')
+            .setDescription('An error occurred while saving the panel. Please try again.')
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [errorEmbed] });
     }
-}
\ No newline at end of file
+}
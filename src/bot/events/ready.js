@@ -1,6 +1,8 @@
 const { Events, ActivityType } = require('discord.js');
 const logger = require('../../utils/logger');
 const config = require('../../config/config');
+const staffNotifier = require('../../services/staffNotifier');
+const { buildStartupEmbed } = require('../utils/staffEvents');
 
 module.exports = {
     name: Events.ClientReady,
@@ -20,44 +22,8 @@ module.exports = {
             logger.info(`Bot ID: ${client.user.id}`);
             logger.info(`Environment: ${config.app.environment}`);
 
-            // Optional: Send startup notification to a specific channel
-            if (config.discord.logChannelId) {
-                try {
-                    const logChannel = client.channels.cache.get(config.discord.logChannelId);
-                    if (logChannel) {
-                        await logChannel.send({
-                            embeds: [{
-                                title: '🤖 Bot Started',
-                                description: 'License redemption bot is now online and ready to process requests.',
-                                color: 0x00ff00, // Green
-                                timestamp: new Date().toISOString(),
-                                footer: {
-                                    text: `Environment: ${config.app.environment}`
-                                }
-                            }]
-                        });
-                    }
-                } catch (error) {
-                    logger.warn('Failed to send startup notification:', error.message);
-                }
-            }
-
-            // Schedule periodic health checks (optional)
-            setInterval(async () => {
-                try {
-                    // Simple health check - just log bot stats
-                    const stats = {
-                        guilds: client.guilds.cache.size,
-                        users: client.users.cache.size,
-                        uptime: process.uptime(),
-                        memoryUsage: process.memoryUsage()
-                    };
-
-                    logger.debug('Bot health check:', stats);
-                } catch (error) {
-                    logger.error('Health check failed:', error);
-                }
-            }, 5 * 60 * 1000); // Every 5 minutes
+            // Startup notice for the staff log channels
+            await staffNotifier.notify('status', buildStartupEmbed());
 
         } catch (error) {
             logger.error('Error in ready event:', error);
@@ -7,8 +7,12 @@ const path = require('path');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const database = require('../api/database');
-const keyauth = require('../api/keyauth');
-const sellauth = require('../api/sellauth');
+const webServer = require('../server');
+const RedemptionTransaction = require('../services/redemptionTransaction');
+const refundReconciler = require('../services/refundReconciler');
+const staffNotifier = require('../services/staffNotifier');
+const healthMonitor = require('../services/healthMonitor');
+const rateLimiter = require('../services/rateLimiter');
 
 class DiscordBot {
     constructor() {
@@ -42,6 +46,9 @@ class DiscordBot {
             await database.connect();
             logger.info('Database connected successfully');
 
+            // Clean up invoice reservations left behind by a previous crash
+            await RedemptionTransaction.recoverExpiredReservations();
+
             // Test external APIs
             await this.testAPIs();
 
@@ -52,9 +59,22 @@ class DiscordBot {
             // Deploy commands to Discord
             await this.deployCommands();
 
+            // Send staff log events queued from here on, including the startup notice
+            staffNotifier.start(this.client);
+
             // Login to Discord
             await this.client.login(config.discord.token);
 
+            // Start HTTP server for SellAuth webhooks, health probes and metrics
+            await webServer.start(this.client);
+            healthMonitor.start();
+
+            // Re-check redeemed invoices for refunds and chargebacks
+            refundReconciler.start(this.client);
+
+            // Delete expired rate limit counters
+            rateLimiter.start();
+
             logger.info('Bot initialization completed successfully');
 
         } catch (error) {
@@ -70,24 +90,24 @@ class DiscordBot {
         try {
             logger.info('Testing external API connections...');
 
-            // Test KeyAuth connection
-            const keyauthTest = await keyauth.testConnection();
-            if (keyauthTest) {
+            // Also primes the cached results served by /readyz
+            const results = await healthMonitor.checkUpstreams();
+
+            if (!results.keyauth) {
+                logger.info('No default shop configured - guilds have to set up their own with /setup');
+                return;
+            }
+
+            if (results.keyauth.healthy) {
                 logger.info('✅ KeyAuth API connection successful');
             } else {
                 logger.warn('⚠️  KeyAuth API connection failed - license creation may not work');
             }
 
-            // Test SellAuth connection (if API key is provided)
-            if (config.sellauth.apiKey) {
-                const sellauthTest = await sellauth.testConnection();
-                if (sellauthTest) {
-                    logger.info('✅ SellAuth API connection successful');
-                } else {
-                    logger.warn('⚠️  SellAuth API connection failed - invoice verification may not work');
-                }
+            if (results.sellauth.healthy) {
+                logger.info('✅ SellAuth API connection successful');
             } else {
-                logger.warn('⚠️  SellAuth API key not provided - invoice verification disabled');
+                logger.warn('⚠️  SellAuth API connection failed - invoice verification may not work');
             }
 
         } catch (error) {
@@ -185,6 +205,15 @@ class DiscordBot {
         logger.info('Shutting down bot...');
 
         try {
+            // Stop accepting webhooks and background work
+            await webServer.stop();
+            refundReconciler.stop();
+            healthMonitor.stop();
+            rateLimiter.stop();
+
+            // Send staff log events still queued while Discord is connected
+            await staffNotifier.stop();
+
             // Close Discord connection
             if (this.client) {
                 await this.client.destroy();
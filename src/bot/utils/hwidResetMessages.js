@@ -0,0 +1,127 @@
+const { EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder } = require('discord.js');
+const tenants = require('../../api/tenants');
+const hwidResets = require('../../services/hwidResets');
+const { buildNoLicensesEmbed, getKeyLabel } = require('./licenseEmbeds');
+
+// customId prefix of the key picker shared by /key reset-hwid and the panel
+// button; the source recorded in the audit follows the colon
+const HWID_RESET_SELECT = 'hwid_reset_select';
+
+// Discord allows at most 25 options in a select menu
+const MAX_OPTIONS = 25;
+
+// Replies for resets that did not go through
+const HWID_RESET_ERRORS = {
+    NOT_OWNER: 'You do not own a license with that key.',
+    NOT_RESETTABLE: 'This license has been revoked, so its HWID cannot be reset.',
+    IN_PROGRESS: 'A reset for this key is already in progress.',
+    KEYAUTH_FAILED: 'The license server could not reset your HWID. Please try again later or contact support.'
+};
+
+/**
+ * Build the ephemeral reply that lets a user pick which key to reset
+ * @param {Array<object>} licenses - Rows from hwidResets.getResettableLicenses()
+ * @param {string} source - Where the picker was opened from
+ * @returns {object} - Message payload
+ */
+function buildHwidResetPicker(licenses, source) {
+    const ready = licenses.filter(license => !license.availableAt);
+    const coolingDown = licenses.filter(license => license.availableAt);
+
+    const embed = new EmbedBuilder()
+        .setColor('#4ECDC4')
+        .setTitle('🖥️ Reset HWID')
+        .setDescription(ready.length > 0
+            ? 'Pick the key you want to use on a new PC. Its hardware lock is cleared and the next PC that logs in with it is locked in.'
+            : 'None of your keys can be reset right now.')
+        .setTimestamp()
+        .setFooter({ text: 'Lexis License Bot' });
+
+    if (coolingDown.length > 0) {
+        embed.addFields({
+            name: '⏳ On Cooldown',
+            value: coolingDown
+                .map(license => `${formatKeyLabel(license)} \`${license.license_key}\` - available <t:${toUnix(license.availableAt)}:R>`)
+                .join('\n')
+                .slice(0, 1024),
+            inline: false
+        });
+    }
+
+    if (ready.length === 0) {
+        return { embeds: [embed], components: [] };
+    }
+
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId(`${HWID_RESET_SELECT}:${source}`)
+        .setPlaceholder('Choose a license key')
+        .addOptions(ready.slice(0, MAX_OPTIONS).map(license => ({
+            label: formatKeyLabel(license).slice(0, 100),
+            description: license.license_key.slice(0, 100),
+            value: license.license_key
+        })));
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(menu)] };
+}
+
+/**
+ * Build the embed shown after a reset attempt
+ * @param {object} result - Result of hwidResets.resetHwid()
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildHwidResetResultEmbed(result) {
+    if (result.success) {
+        return new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('✅ HWID Reset')
+            .setDescription(`The hardware lock on \`${result.licenseKey}\` was cleared. Log in on your new PC to lock the key to it.`)
+            .addFields({ name: 'Next Reset', value: `<t:${toUnix(result.availableAt)}:R>`, inline: true })
+            .setTimestamp();
+    }
+
+    const description = result.error === 'COOLDOWN'
+        ? `This key was reset recently. You can reset it again <t:${toUnix(result.availableAt)}:R>.`
+        : HWID_RESET_ERRORS[result.error] || 'An unexpected error occurred. Please try again later.';
+
+    return new EmbedBuilder()
+        .setColor('#FF6B6B')
+        .setTitle('❌ HWID Reset Failed')
+        .setDescription(description)
+        .setTimestamp();
+}
+
+/**
+ * Reply to a deferred interaction with the user's key picker
+ * @param {Interaction} interaction - Deferred interaction
+ * @param {string} source - Where the picker was opened from
+ * @param {string} hint - How to redeem, shown when the user has no keys
+ */
+async function replyWithHwidResetPicker(interaction, source, hint) {
+    const licenses = await hwidResets.getResettableLicenses(interaction.user.id, await tenants.getScope(interaction.guildId));
+
+    if (licenses.length === 0) {
+        await interaction.editReply({ embeds: [buildNoLicensesEmbed(hint)] });
+        return;
+    }
+
+    await interaction.editReply(buildHwidResetPicker(licenses, source));
+}
+
+/**
+ * Name a key by its product, and by its copy and application when its invoice has several keys
+ */
+function formatKeyLabel(license) {
+    const key = license.keys?.find(entry => entry.license_key === license.license_key);
+    return key ? getKeyLabel(license, key, true) : license.product_name || 'Unknown Product';
+}
+
+function toUnix(date) {
+    return Math.floor(new Date(date).getTime() / 1000);
+}
+
+module.exports = {
+    HWID_RESET_SELECT,
+    buildHwidResetPicker,
+    buildHwidResetResultEmbed,
+    replyWithHwidResetPicker
+};
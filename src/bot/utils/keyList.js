@@ -0,0 +1,191 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const database = require('../../api/database');
+const tenants = require('../../api/tenants');
+const licenseStatus = require('../../services/licenseStatus');
+const { buildLicenseListEmbed, buildLicenseDetailEmbed, getActiveLicenses } = require('./licenseEmbeds');
+
+// customId prefixes of the key list components. All state (page and product
+// filter) lives in the customIds, so old messages keep working after a restart.
+const KEY_LIST = {
+    page: 'keys_page',
+    filter: 'keys_filter',
+    detail: 'keys_detail'
+};
+
+const PAGE_SIZE = 5;
+const ALL_PRODUCTS = 'all';
+
+// Discord allows at most 25 options in a select menu
+const MAX_OPTIONS = 25;
+
+/**
+ * Build one page of a user's key list
+ * @param {string} userId - Discord user ID
+ * @param {object} view - Page to show
+ * @param {number} view.page - Zero-based page, clamped to the pages that exist
+ * @param {string} view.productId - Product to filter by, or 'all'
+ * @param {object} scope - Only list keys of this guild's shop (from tenants.getScope)
+ * @returns {object|null} - { payload, total, live } or null if the user has no keys
+ */
+async function buildKeyListPage(userId, { page = 0, productId = ALL_PRODUCTS } = {}, scope = null) {
+    const allLicenses = await database.getUserLicenses(userId, scope);
+
+    if (!allLicenses || allLicenses.length === 0) {
+        return null;
+    }
+
+    const products = getProducts(allLicenses);
+
+    // A filter for a product the user no longer owns (e.g. after a transfer) falls back to all
+    let licenses = allLicenses;
+    if (productId !== ALL_PRODUCTS && products.has(productId)) {
+        licenses = allLicenses.filter(license => getProductId(license) === productId);
+    } else {
+        productId = ALL_PRODUCTS;
+    }
+
+    const pageCount = Math.ceil(licenses.length / PAGE_SIZE);
+    const index = Math.min(Math.max(page, 0), pageCount - 1);
+    const pageLicenses = licenses.slice(index * PAGE_SIZE, (index + 1) * PAGE_SIZE);
+
+    // Only the keys on screen are looked up in KeyAuth
+    const live = await licenseStatus.getStatuses(getActiveLicenses(pageLicenses));
+
+    const embed = buildLicenseListEmbed(pageLicenses, live, {
+        index,
+        count: pageCount,
+        total: licenses.length,
+        revoked: licenses.filter(license => license.status === 'revoked').length,
+        productName: productId !== ALL_PRODUCTS ? products.get(productId) : null
+    });
+
+    const components = [];
+
+    if (products.size > 1) {
+        components.push(buildFilterRow(products, productId));
+    }
+
+    if (pageCount > 1) {
+        components.push(buildPageRow(index, pageCount, productId));
+    }
+
+    components.push(buildDetailRow(pageLicenses));
+
+    return {
+        payload: { embeds: [embed], components },
+        total: allLicenses.length,
+        live
+    };
+}
+
+/**
+ * Build the detail view of one of the user's redemptions, with every key of a bundle
+ * @param {string} userId - Discord user ID
+ * @param {string} invoiceId - Invoice the keys were redeemed from
+ * @param {object} scope - Only show keys of this guild's shop (from tenants.getScope)
+ * @returns {object|null} - Message payload, or null if the user does not own it
+ */
+async function buildKeyDetail(userId, invoiceId, scope = null) {
+    const record = await database.getInvoiceRecord(invoiceId);
+
+    if (!record || record.discord_user_id !== userId || !record.license_key || !tenants.inScope(record, scope)) {
+        return null;
+    }
+
+    await database.attachKeys([record]);
+
+    const live = record.status !== 'revoked'
+        ? await licenseStatus.getStatuses(getActiveLicenses([record]))
+        : null;
+
+    return {
+        content: record.keys.length > 0 ? record.keys.map(key => key.license_key).join('\n') : record.license_key,
+        embeds: [buildLicenseDetailEmbed(record, live)]
+    };
+}
+
+/**
+ * Read the page and filter out of a page button customId
+ * @param {string} customId - keys_page:<page>:<productId>
+ * @returns {object} - { page, productId }
+ */
+function parsePageId(customId) {
+    const [, page, ...productId] = customId.split(':');
+
+    return {
+        page: parseInt(page, 10) || 0,
+        productId: productId.join(':') || ALL_PRODUCTS
+    };
+}
+
+function buildFilterRow(products, productId) {
+    const options = [{ label: 'All products', value: ALL_PRODUCTS, default: productId === ALL_PRODUCTS }];
+
+    for (const [id, name] of products) {
+        options.push({ label: name.slice(0, 100), value: id, default: id === productId });
+    }
+
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId(KEY_LIST.filter)
+        .setPlaceholder('Filter by product')
+        .addOptions(options.slice(0, MAX_OPTIONS));
+
+    return new ActionRowBuilder().addComponents(menu);
+}
+
+function buildPageRow(index, pageCount, productId) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${KEY_LIST.page}:${index - 1}:${productId}`)
+            .setLabel('◀ Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(index === 0),
+        new ButtonBuilder()
+            .setCustomId(`${KEY_LIST.page}:${index + 1}:${productId}`)
+            .setLabel('Next ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(index >= pageCount - 1)
+    );
+}
+
+function buildDetailRow(pageLicenses) {
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId(KEY_LIST.detail)
+        .setPlaceholder('Show a key on its own for copying')
+        .addOptions(pageLicenses.map(license => ({
+            label: `${license.product_name || 'Unknown Product'}${license.status === 'revoked' ? ' (revoked)' : ''}`.slice(0, 100),
+            description: license.keys?.length > 1 ? `${license.keys.length} keys` : license.license_key.slice(0, 100),
+            value: license.invoice_id
+        })));
+
+    return new ActionRowBuilder().addComponents(menu);
+}
+
+/**
+ * Products the user owns keys for, by product ID
+ * @returns {Map<string, string>} - Product ID to name
+ */
+function getProducts(licenses) {
+    const products = new Map();
+
+    for (const license of licenses) {
+        const id = getProductId(license);
+        if (!products.has(id)) {
+            products.set(id, license.product_name || 'Unknown Product');
+        }
+    }
+
+    return products;
+}
+
+// Older redemptions may have no product ID; they are grouped by name instead
+function getProductId(license) {
+    return String(license.product_id || `name:${license.product_name || 'unknown'}`).slice(0, 60);
+}
+
+module.exports = {
+    KEY_LIST,
+    buildKeyListPage,
+    buildKeyDetail,
+    parsePageId
+};
@@ -0,0 +1,271 @@
+const { EmbedBuilder } = require('discord.js');
+
+// How each live KeyAuth state is shown under a key
+const LIVE_STATES = {
+    active: '🟢 Active',
+    unused: '⚪ Not used yet',
+    expired: '🟠 Expired',
+    banned: '🔴 Banned',
+    not_found: '❔ Not found on the license server'
+};
+
+// Discord's limit for an embed field value
+const MAX_FIELD_LENGTH = 1024;
+
+// Shown with an invoice some units of which are still to be delivered
+const PARTIAL_NOTICE = '⚠️ Some items of this invoice could not be delivered yet. Redeem the invoice again to receive the rest.';
+
+/**
+ * Build the embed shown when a user has no license keys
+ * @param {string} hint - How to redeem from where the user asked
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildNoLicensesEmbed(hint) {
+    return new EmbedBuilder()
+        .setColor('#FF6B6B')
+        .setTitle('🔑 No License Keys Found')
+        .setDescription(`You haven't redeemed any license keys yet.\n\n${hint}`)
+        .setTimestamp()
+        .setFooter({ text: 'Lexis License Bot' });
+}
+
+/**
+ * Build the embed listing a user's license keys, marking revoked and partly
+ * delivered ones. An invoice with several keys is one entry with a code block per key.
+ * @param {Array<object>} licenses - Rows from database.getUserLicenses()
+ * @param {object} live - Result of licenseStatus.getStatuses() (optional)
+ * @param {object} page - When licenses is one page of a longer list (optional)
+ * @param {number} page.index - Zero-based page number
+ * @param {number} page.count - Number of pages
+ * @param {number} page.total - Keys across all pages
+ * @param {number} page.revoked - Revoked keys across all pages
+ * @param {string} page.productName - Product the list is filtered to, if any
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildLicenseListEmbed(licenses, live = null, page = null) {
+    const total = page ? page.total : licenses.length;
+    const revokedCount = page ? page.revoked : licenses.filter(license => license.status === 'revoked').length;
+
+    const embed = new EmbedBuilder()
+        .setColor('#4ECDC4')
+        .setTitle('🔑 Your License Keys')
+        .setDescription('Here are your redeemed license keys:')
+        .setTimestamp()
+        .setFooter({ text: 'Lexis License Bot' });
+
+    licenses.forEach(license => {
+        const productName = license.product_name || 'Unknown Product';
+        const redeemedDate = new Date(license.redeemed_at).toLocaleDateString();
+
+        if (license.status === 'revoked') {
+            const revokedDate = license.revoked_at ? new Date(license.revoked_at).toLocaleDateString() : 'unknown date';
+
+            const keys = getKeys(license);
+            const notice = `${keys.length > 1 ? 'These keys were' : 'This key was'} revoked on ${revokedDate} and no longer ${keys.length > 1 ? 'work' : 'works'}. Contact support if you think this is a mistake.`;
+
+            embed.addFields({
+                name: `⛔ ${productName} (${redeemedDate}) - Revoked`,
+                value: joinWithinLimit(keys.map(key => `~~\`${key.license_key}\`~~`), '\n', MAX_FIELD_LENGTH - notice.length - 1) + `\n${notice}`,
+                inline: false
+            });
+            return;
+        }
+
+        const partial = license.status === 'partial';
+        const keyLines = getKeys(license).map(key => formatKey(license, key, live?.statuses.get(key.license_key)));
+
+        embed.addFields({
+            name: `${productName} (${redeemedDate})${partial ? ' - Partly Delivered' : ''}`,
+            value: partial
+                ? `${joinWithinLimit(keyLines, '\n', MAX_FIELD_LENGTH - PARTIAL_NOTICE.length - 1)}\n${PARTIAL_NOTICE}`
+                : joinWithinLimit(keyLines, '\n', MAX_FIELD_LENGTH),
+            inline: false
+        });
+    });
+
+    if (live && !live.available) {
+        embed.addFields({
+            name: '⚠️ Live Status Unavailable',
+            value: 'The license server could not be reached, so only saved details are shown. Try again in a few minutes.',
+            inline: false
+        });
+    }
+
+    const scope = page?.productName ? ` for ${page.productName}` : '';
+    if (total > 1) {
+        embed.setDescription(revokedCount > 0
+            ? `You have ${total} license keys${scope} (${revokedCount} revoked):`
+            : `You have ${total} license keys${scope}:`);
+    }
+
+    if (page && page.count > 1) {
+        embed.setFooter({ text: `Page ${page.index + 1} of ${page.count} • Lexis License Bot` });
+    }
+
+    return embed;
+}
+
+/**
+ * Build the detail view of one invoice's keys; the keys themselves go in the
+ * message content so they can be copied on mobile without code-block formatting
+ * @param {object} record - Redemption record with its keys
+ * @param {object} live - Result of licenseStatus.getStatuses(), or null for a revoked record
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildLicenseDetailEmbed(record, live) {
+    const revoked = record.status === 'revoked';
+    const keys = getKeys(record);
+
+    const embed = new EmbedBuilder()
+        .setColor(revoked ? '#FF6B6B' : '#4ECDC4')
+        .setTitle(`🔑 ${record.product_name || 'Unknown Product'}`)
+        .setTimestamp()
+        .setFooter({ text: 'Lexis License Bot' });
+
+    // Discord allows 25 fields; the two below and a status field leave room for 22 keys
+    for (const key of keys.slice(0, 22)) {
+        embed.addFields({
+            name: keys.length > 1 ? `License Key - ${getKeyLabel(record, key)}` : 'License Key',
+            value: `\`\`\`${key.license_key}\`\`\`${formatKeyStatus(revoked ? null : live?.statuses.get(key.license_key))}`,
+            inline: false
+        });
+    }
+
+    embed.addFields(
+        { name: 'Invoice', value: `\`${record.invoice_id}\``, inline: true },
+        { name: 'Redeemed', value: new Date(record.redeemed_at).toLocaleDateString(), inline: true }
+    );
+
+    if (revoked) {
+        embed.addFields({
+            name: 'Status',
+            value: `⛔ Revoked - ${keys.length > 1 ? 'these keys no longer work' : 'this key no longer works'}. Contact support if you think this is a mistake.`,
+            inline: false
+        });
+    } else if (live && !live.available) {
+        embed.addFields({ name: 'Status', value: '⚠️ Live status unavailable, try again in a few minutes.', inline: false });
+    }
+
+    if (record.status === 'partial') {
+        embed.addFields({ name: 'Delivery', value: PARTIAL_NOTICE, inline: false });
+    }
+
+    return embed;
+}
+
+/**
+ * Keys worth asking KeyAuth about; revoked keys are shown from local data only
+ * @param {Array<object>} licenses - Rows from database.getUserLicenses(), with their keys
+ * @returns {Array<object>} - { license_key, guild_id, app_id } to look up
+ */
+function getActiveLicenses(licenses) {
+    return licenses
+        .filter(license => license.status !== 'revoked')
+        .flatMap(license => getKeys(license)
+            .filter(key => key.license_key && key.status !== 'revoked')
+            .map(key => ({ license_key: key.license_key, guild_id: license.guild_id, app_id: key.app_id })));
+}
+
+/**
+ * The keys of a redemption. Rows loaded without their keys fall back to the
+ * invoice's own key.
+ */
+function getKeys(license) {
+    return license.keys?.length
+        ? license.keys
+        : [{ license_key: license.license_key, app_id: 'default', app_name: null, status: license.status === 'revoked' ? 'revoked' : 'active' }];
+}
+
+/**
+ * Name a key within its invoice: by product (and copy) when the invoice has
+ * several units, by application when its unit is a bundle
+ * @param {object} license - Redemption row with its keys
+ * @param {object} key - One of its license_keys rows
+ * @param {boolean} withProduct - Always name the product
+ * @returns {string|null} - Label, or null for an invoice's only key
+ */
+function getKeyLabel(license, key, withProduct = false) {
+    const keys = getKeys(license);
+    const sameUnit = other => other.item_index === key.item_index && other.unit === key.unit;
+    const parts = [];
+
+    if (withProduct || keys.some(other => !sameUnit(other))) {
+        const copies = keys.some(other => other.item_index === key.item_index && other.unit !== key.unit);
+        parts.push(`${key.product_name || license.product_name || 'Unknown Product'}${copies ? ` #${key.unit}` : ''}`);
+    }
+
+    if (keys.filter(sameUnit).length > 1) {
+        parts.push(key.app_name || key.app_id);
+    }
+
+    return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/**
+ * Format one key of a list entry with its live state, labelled when the invoice has several keys
+ */
+function formatKey(license, key, status) {
+    const label = getKeys(license).length > 1 ? `**${getKeyLabel(license, key)}**\n` : '';
+    return `${label}\`\`\`${key.license_key}\`\`\`${formatKeyStatus(status)}`;
+}
+
+function formatKeyStatus(status) {
+    return status ? formatLiveStatus(status) : '';
+}
+
+/**
+ * Join parts, leaving out the ones that would not fit in a field
+ */
+function joinWithinLimit(parts, separator, limit) {
+    let value = '';
+
+    for (const [index, part] of parts.entries()) {
+        const more = `…and ${parts.length - index} more, open the key to see all`;
+        const next = value ? `${value}${separator}${part}` : part;
+
+        // Keep room to say how many were left out unless this is the last part
+        if (next.length > (index === parts.length - 1 ? limit : limit - more.length - separator.length)) {
+            return value ? `${value}${separator}${more}` : more;
+        }
+
+        value = next;
+    }
+
+    return value;
+}
+
+/**
+ * Format one key's live KeyAuth state as a single line
+ */
+function formatLiveStatus(status) {
+    const parts = [LIVE_STATES[status.state] || LIVE_STATES.active];
+
+    if (status.state === 'not_found') {
+        return parts[0];
+    }
+
+    if (status.expiresAt) {
+        const expires = Math.floor(status.expiresAt.getTime() / 1000);
+        parts.push(status.state === 'expired' ? `expired <t:${expires}:R>` : `expires <t:${expires}:R>`);
+    } else {
+        parts.push('lifetime');
+    }
+
+    if (status.lastLogin) {
+        parts.push(`last login <t:${Math.floor(status.lastLogin.getTime() / 1000)}:R>`);
+    }
+
+    if (status.hwidLocked !== null) {
+        parts.push(status.hwidLocked ? '🔒 HWID locked' : '🔓 No HWID lock');
+    }
+
+    return parts.join(' · ');
+}
+
+module.exports = {
+    buildNoLicensesEmbed,
+    buildLicenseListEmbed,
+    buildLicenseDetailEmbed,
+    getActiveLicenses,
+    getKeyLabel
+};
@@ -0,0 +1,241 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const logger = require('../../utils/logger');
+const catalog = require('../../api/catalog');
+const tenants = require('../../api/tenants');
+const panelConfig = require('../../api/panelConfig');
+
+// How each panel button type is rendered; customIds are handled in interactionCreate
+const PANEL_BUTTONS = {
+    redeem: { customId: 'redeem_license', label: '🎯 Redeem License', style: ButtonStyle.Success, emoji: '🎮' },
+    get_keys: { customId: 'get_my_keys', label: '🔑 Get My Keys', style: ButtonStyle.Primary, emoji: '📋' },
+    reset_hwid: { customId: 'reset_hwid', label: '🖥️ Reset HWID', style: ButtonStyle.Secondary, emoji: '🔄' }
+};
+
+// customId of the /panel edit modal
+const PANEL_EDIT_MODAL = 'panel_edit_modal';
+
+// Discord API errors meaning the panel message is gone for good
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_MESSAGE = 10008;
+
+/**
+ * Build the panel message for a guild's panel config
+ * @param {object} panel - Result of panelConfig.getConfig()
+ * @param {Array<object>} products - Redeemable catalog entries to list
+ * @returns {object} - Message payload
+ */
+function buildPanelMessage(panel, products) {
+    const embed = new EmbedBuilder()
+        .setColor(panel.color)
+        .setTitle(panel.title)
+        .setDescription(panel.description)
+        .setFooter({ text: 'Lexis VR Mods • Automated License System' })
+        .setTimestamp();
+
+    if (products.length > 0) {
+        embed.addFields({
+            name: '🔸 Supported Products',
+            value: products.map(product => `• ${product.name}`).join('\n').slice(0, 1024),
+            inline: false
+        });
+    }
+
+    if (panel.thumbnailUrl) {
+        embed.setThumbnail(panel.thumbnailUrl);
+    }
+    if (panel.imageUrl) {
+        embed.setImage(panel.imageUrl);
+    }
+
+    const buttons = panel.buttons.map(type => {
+        const button = PANEL_BUTTONS[type];
+        return new ButtonBuilder()
+            .setCustomId(button.customId)
+            .setLabel(button.label)
+            .setStyle(button.style)
+            .setEmoji(button.emoji);
+    });
+
+    return {
+        embeds: [embed],
+        components: buttons.length > 0 ? [new ActionRowBuilder().addComponents(buttons)] : []
+    };
+}
+
+/**
+ * Build the /panel edit modal, prefilled with the current content
+ * @param {object} panel - Result of panelConfig.getConfig()
+ * @returns {ModalBuilder} - Modal
+ */
+function buildPanelEditModal(panel) {
+    const inputs = [
+        new TextInputBuilder()
+            .setCustomId('title')
+            .setLabel('Title')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(256)
+            .setValue(panel.title),
+        new TextInputBuilder()
+            .setCustomId('description')
+            .setLabel('Description (products are listed below it)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(4000)
+            .setValue(panel.description),
+        new TextInputBuilder()
+            .setCustomId('color')
+            .setLabel('Color (#RRGGBB, empty for default)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(7)
+            .setValue(panel.color),
+        new TextInputBuilder()
+            .setCustomId('thumbnail_url')
+            .setLabel('Thumbnail URL (empty for none)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(500),
+        new TextInputBuilder()
+            .setCustomId('image_url')
+            .setLabel('Image URL (empty for none)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(500)
+    ];
+
+    // Discord rejects an empty prefill, so only set URLs that exist
+    if (panel.thumbnailUrl) {
+        inputs[3].setValue(panel.thumbnailUrl);
+    }
+    if (panel.imageUrl) {
+        inputs[4].setValue(panel.imageUrl);
+    }
+
+    return new ModalBuilder()
+        .setCustomId(PANEL_EDIT_MODAL)
+        .setTitle('Edit Redemption Panel')
+        .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+/**
+ * Read and validate a submitted /panel edit modal
+ * @param {ModalSubmitFields} fields - interaction.fields
+ * @returns {object} - { changes } or { error }
+ */
+function parsePanelEdit(fields) {
+    const title = fields.getTextInputValue('title').trim();
+    const description = fields.getTextInputValue('description').trim();
+    const color = fields.getTextInputValue('color').trim();
+    const thumbnailUrl = fields.getTextInputValue('thumbnail_url').trim();
+    const imageUrl = fields.getTextInputValue('image_url').trim();
+
+    if (!title || !description) {
+        return { error: 'The title and description cannot be empty.' };
+    }
+
+    if (color && !panelConfig.isValidColor(color)) {
+        return { error: `\`${color}\` is not a color. Use the #RRGGBB format, for example #4ECDC4.` };
+    }
+
+    for (const url of [thumbnailUrl, imageUrl]) {
+        if (url && !panelConfig.isValidImageUrl(url)) {
+            return { error: `\`${url}\` is not a valid http(s) URL.` };
+        }
+    }
+
+    return {
+        changes: {
+            title,
+            description,
+            color: color ? color.toUpperCase() : null,
+            thumbnailUrl: thumbnailUrl || null,
+            imageUrl: imageUrl || null
+        }
+    };
+}
+
+/**
+ * Build a guild's current panel from the database
+ * @param {string} guildId - Discord guild ID
+ * @returns {object} - Message payload
+ */
+async function buildGuildPanel(guildId) {
+    const panel = await panelConfig.getConfig(guildId);
+    const products = await catalog.listProducts({ redeemableOnly: true, tenantId: await tenants.resolveTenantId(guildId) });
+
+    return buildPanelMessage(panel, products);
+}
+
+/**
+ * Re-render every posted panel in place. Panels whose message or channel was
+ * deleted are no longer tracked.
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Only this guild's panels (optional, all guilds if omitted)
+ * @returns {object} - Counts of updated, removed and failed panels
+ */
+async function refreshPanels(client, guildId = null) {
+    const summary = { updated: 0, removed: 0, failed: 0 };
+    const messages = await panelConfig.getMessages(guildId);
+    const payloads = new Map();
+
+    for (const tracked of messages) {
+        try {
+            if (!payloads.has(tracked.guild_id)) {
+                payloads.set(tracked.guild_id, await buildGuildPanel(tracked.guild_id));
+            }
+
+            const channel = await client.channels.fetch(tracked.channel_id);
+            const message = await channel.messages.fetch(tracked.message_id);
+            await message.edit(payloads.get(tracked.guild_id));
+
+            summary.updated++;
+        } catch (error) {
+            if (error.code === UNKNOWN_MESSAGE || error.code === UNKNOWN_CHANNEL) {
+                await panelConfig.removeMessage(tracked.message_id);
+                summary.removed++;
+                continue;
+            }
+
+            logger.warn(`Could not update panel ${tracked.message_id} in channel ${tracked.channel_id}: ${error.message}`);
+            summary.failed++;
+        }
+    }
+
+    if (messages.length > 0) {
+        logger.info(`Panels refreshed: ${summary.updated} updated, ${summary.removed} removed, ${summary.failed} failed`);
+    }
+
+    return summary;
+}
+
+/**
+ * Confirmation after panel changes, with how many posted panels were updated
+ * @param {object} refreshed - Result of refreshPanels()
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildPanelSavedEmbed(refreshed) {
+    const lines = [`Updated ${refreshed.updated} posted panel(s).`];
+
+    if (refreshed.removed > 0) {
+        lines.push(`${refreshed.removed} deleted panel(s) are no longer tracked.`);
+    }
+    if (refreshed.failed > 0) {
+        lines.push(`⚠️ ${refreshed.failed} panel(s) could not be updated; check the bot can see their channels.`);
+    }
+
+    return new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle('✅ Panel Saved')
+        .setDescription(lines.join('\n'))
+        .setTimestamp();
+}
+
+module.exports = {
+    PANEL_EDIT_MODAL,
+    buildGuildPanel,
+    buildPanelEditModal,
+    buildPanelSavedEmbed,
+    parsePanelEdit,
+    refreshPanels
+};
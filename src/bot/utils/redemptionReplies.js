@@ -0,0 +1,358 @@
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger');
+const { RedemptionStatus } = require('../../services/redemptionService');
+
+const COLORS = {
+    success: 0x00ff00,
+    warning: 0xff9900,
+    error: 0xff0000,
+    progress: 0x0099ff
+};
+
+// Key fields in one embed, leaving room for the other fields within Discord's 25
+const MAX_KEY_FIELDS = 20;
+
+// Title and explanation for each limit a redemption can hit
+const RATE_LIMIT_MESSAGES = {
+    success: ['⏰ Daily Redemption Limit Reached', 'You have reached the limit of successful license redemptions for the last 24 hours.'],
+    failure: ['⏰ Too Many Failed Attempts', 'Too many of your recent attempts used an invoice ID that was not found, already redeemed or not paid. Please double-check your invoice ID before trying again.'],
+    global: ['⏰ Redemptions Busy', 'We are receiving a lot of redemptions right now. Your attempt was not counted.']
+};
+
+/**
+ * Describe a license duration for buyers
+ */
+function formatLicenseType(expiryDays) {
+    return expiryDays > 0 ? `${expiryDays} days` : 'Lifetime';
+}
+
+/**
+ * Build the key fields of a successful redemption. Several keys get one
+ * field each, named after their product and application and duration; a
+ * single key keeps the shared License Type field.
+ * @param {object} outcome - Successful redemption outcome
+ * @param {string} name - Field name for a single key
+ * @returns {Array<object>} - Embed fields
+ */
+function buildKeyFields(outcome, name) {
+    const keys = outcome.licenseKeys || [];
+
+    if (keys.length <= 1) {
+        return [{ name, value: `\`\`\`${outcome.licenseKey}\`\`\``, inline: false }];
+    }
+
+    const fields = keys.slice(0, MAX_KEY_FIELDS).map(key => ({
+        name: `🔑 ${formatKeyName(key, keys)} (${formatLicenseType(key.expiryDays)})`,
+        value: `\`\`\`${key.licenseKey}\`\`\``,
+        inline: false
+    }));
+
+    if (keys.length > MAX_KEY_FIELDS) {
+        fields.push({ name: '🔑 More Keys', value: `…and ${keys.length - MAX_KEY_FIELDS} more. See them all with /key view.`, inline: false });
+    }
+
+    return fields;
+}
+
+/**
+ * Name a delivered key by its product (and copy) when the keys span several
+ * units, and by its application when its unit is a bundle
+ */
+function formatKeyName(key, keys) {
+    const sameUnit = other => other.itemIndex === key.itemIndex && other.unit === key.unit;
+    const parts = [];
+
+    if (keys.some(other => !sameUnit(other))) {
+        const copies = keys.some(other => other.itemIndex === key.itemIndex && other.unit !== key.unit);
+        parts.push(`${key.productName || 'Product'}${copies ? ` #${key.unit}` : ''}`);
+    }
+
+    if (keys.filter(sameUnit).length > 1) {
+        parts.push(key.appName || key.appId);
+    }
+
+    return parts.join(' · ');
+}
+
+function isBundle(outcome) {
+    return (outcome.licenseKeys?.length || 0) > 1;
+}
+
+/**
+ * Explain what a successful redemption delivered, and what is still missing
+ */
+function describeDelivery(outcome) {
+    const delivered = isBundle(outcome)
+        ? `Your ${outcome.licenseKeys.length} license keys have been generated successfully. Please save these keys securely.`
+        : 'Your license key has been generated successfully. Please save this key securely.';
+
+    if (!outcome.partial) {
+        return outcome.resumed ? `The rest of your invoice has been delivered. ${delivered}` : delivered;
+    }
+
+    return `${delivered}\n\n${outcome.missingUnits} item(s) of this invoice could not be delivered right now. Redeem the same invoice again later to receive them - you will only get the missing items.`;
+}
+
+/**
+ * Get a member's role IDs for per-role rate limits
+ * @param {GuildMember|object} member - Interaction member (raw API data if the guild isn't cached)
+ * @returns {Array<string>} - Role IDs, empty outside a guild
+ */
+function getMemberRoleIds(member) {
+    if (!member) {
+        return [];
+    }
+
+    return Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+}
+
+/**
+ * Build the in-progress embed shown while a redemption runs
+ * @param {string} invoiceId - Invoice being redeemed
+ * @param {string} stage - 'verifying' or 'creating_license'
+ * @returns {EmbedBuilder} - Progress embed
+ */
+function buildProgressEmbed(invoiceId, stage) {
+    const status = stage === 'creating_license'
+        ? '✅ Invoice verified\n🔑 Creating license...'
+        : '🔍 Verifying invoice...';
+
+    return new EmbedBuilder()
+        .setTitle('🔄 Processing Redemption')
+        .setDescription(stage === 'creating_license' ? 'Creating your license key...' : 'Verifying your invoice with SellAuth...')
+        .setColor(COLORS.progress)
+        .addFields(
+            { name: 'Invoice ID', value: `\`${invoiceId}\``, inline: true },
+            { name: 'Status', value: status, inline: true }
+        )
+        .setFooter({ text: 'This may take a few moments...' })
+        .setTimestamp();
+}
+
+/**
+ * Build the reply embed for a redemption outcome
+ * @param {object} outcome - Outcome from RedemptionService.redeem()
+ * @param {object} options - Rendering options
+ * @param {boolean|null} options.dmSent - Whether the DM copy was delivered (null if not attempted)
+ * @returns {EmbedBuilder} - Reply embed
+ */
+function buildOutcomeEmbed(outcome, options = {}) {
+    const invoiceField = { name: 'Invoice ID', value: `\`${outcome.invoiceId}\``, inline: true };
+    const embed = new EmbedBuilder().setTimestamp();
+
+    switch (outcome.status) {
+        case RedemptionStatus.SUCCESS: {
+            embed
+                .setTitle(outcome.partial ? '⚠️ License Partly Delivered' : '🎉 License Redeemed Successfully!')
+                .setDescription(describeDelivery(outcome))
+                .setColor(outcome.partial ? COLORS.warning : COLORS.success)
+                .addFields(
+                    ...buildKeyFields(outcome, '🔑 Your License Key'),
+                    { name: 'Product', value: outcome.invoiceDetails?.productName || outcome.product?.name || 'Unknown Product', inline: true }
+                );
+
+            if (!isBundle(outcome)) {
+                embed.addFields({ name: 'License Type', value: formatLicenseType(outcome.expiryDays), inline: true });
+            }
+
+            embed
+                .addFields(invoiceField)
+                .setFooter({ text: 'You can retrieve your keys anytime with /key view or the "Get My Keys" button.' });
+
+            if (options.dmSent === true) {
+                embed.addFields({ name: '📧 DM Sent', value: 'A copy has been sent to your DMs for safekeeping.', inline: false });
+            } else if (options.dmSent === false) {
+                embed.addFields({ name: '⚠️ DM Failed', value: 'Could not send a copy to your DMs. Please save this key now.', inline: false });
+            }
+            break;
+        }
+
+        case RedemptionStatus.RATE_LIMITED: {
+            const { limit, attempts, maxAttempts, resetAfter } = outcome.rateLimit;
+            const resetTime = Math.floor(resetAfter.getTime() / 1000);
+            const [title, description] = RATE_LIMIT_MESSAGES[limit] || RATE_LIMIT_MESSAGES.success;
+
+            embed
+                .setTitle(title)
+                .setDescription(`${description}\n\nYou can try again <t:${resetTime}:R>.`)
+                .setColor(COLORS.warning)
+                .setFooter({ text: 'Rate limits help prevent abuse of the system.' });
+
+            // The global limit is shared, so a per-user count would be misleading
+            if (limit !== 'global') {
+                embed.addFields({ name: 'Attempts Used', value: `${attempts}/${maxAttempts}`, inline: true });
+            }
+            embed.addFields({ name: 'Reset Time', value: `<t:${resetTime}:F>`, inline: true });
+            break;
+        }
+
+        case RedemptionStatus.INVALID_INVOICE_ID:
+            embed
+                .setTitle('❌ Invalid Invoice ID')
+                .setDescription(outcome.reason)
+                .setColor(COLORS.error)
+                .addFields(invoiceField)
+                .setFooter({ text: 'Please check your invoice ID and try again.' });
+            break;
+
+        case RedemptionStatus.IN_PROGRESS:
+            embed
+                .setTitle('⏳ Redemption In Progress')
+                .setDescription('This invoice is already being redeemed. If that was you, your key will appear in `/key view` in a moment.')
+                .setColor(COLORS.warning)
+                .addFields(invoiceField)
+                .setFooter({ text: 'Each invoice can only be redeemed once.' });
+            break;
+
+        case RedemptionStatus.ALREADY_REDEEMED:
+            embed
+                .setTitle('🚫 Already Redeemed')
+                .setDescription('This invoice has already been used to redeem a license key.\n\nIf this is your invoice, you can retrieve your key with `/key view` or the "Get My Keys" button.')
+                .setColor(COLORS.error)
+                .addFields(invoiceField)
+                .setFooter({ text: 'Each invoice can only be redeemed once.' });
+            break;
+
+        case RedemptionStatus.VERIFICATION_FAILED:
+            embed
+                .setTitle('❌ Invoice Verification Failed')
+                .setDescription(outcome.reason)
+                .setColor(COLORS.error)
+                .addFields(
+                    invoiceField,
+                    { name: 'Error', value: outcome.error || 'Verification failed', inline: true }
+                )
+                .setFooter({ text: 'Please check your invoice ID and try again.' });
+            break;
+
+        case RedemptionStatus.EMAIL_REQUIRED:
+            embed
+                .setTitle('📧 Purchase Email Required')
+                .setDescription('This server requires the email address you used at checkout to redeem an invoice. Please try again and enter your purchase email.')
+                .setColor(COLORS.warning)
+                .addFields(invoiceField)
+                .setFooter({ text: 'This protects your purchase from being redeemed by someone else.' });
+            break;
+
+        case RedemptionStatus.EMAIL_MISMATCH:
+            embed
+                .setTitle('❌ Email Does Not Match')
+                .setDescription('The email you entered does not match the purchase email for this invoice. Please use the email address you entered at checkout.')
+                .setColor(COLORS.error)
+                .addFields(
+                    invoiceField,
+                    { name: 'Attempts Left Today', value: `${outcome.attemptsLeft}`, inline: true }
+                )
+                .setFooter({ text: 'Too many wrong emails will lock redemption for 24 hours.' });
+            break;
+
+        case RedemptionStatus.EMAIL_LOCKED: {
+            const resetTime = Math.floor(outcome.rateLimit.resetAfter.getTime() / 1000);
+            embed
+                .setTitle('🔒 Redemption Locked')
+                .setDescription(`Too many wrong purchase emails were entered from your account.\n\nYou can try again <t:${resetTime}:R>.`)
+                .setColor(COLORS.error)
+                .addFields({ name: 'Reset Time', value: `<t:${resetTime}:F>`, inline: true })
+                .setFooter({ text: 'Contact support if you no longer have access to your purchase email.' });
+            break;
+        }
+
+        case RedemptionStatus.LICENSE_FAILED:
+            embed
+                .setTitle('❌ License Creation Failed')
+                .setDescription('Your invoice was verified successfully, but we encountered an error while creating your license key. Your invoice has not been used - please try again later or contact support with your invoice ID.')
+                .setColor(COLORS.error)
+                .addFields(invoiceField)
+                .setFooter({ text: 'Please contact support for assistance.' });
+            break;
+
+        case RedemptionStatus.NOT_RECORDED:
+            embed
+                .setTitle('❌ Redemption Not Recorded')
+                .setDescription('We could not save your redemption, so no license key was issued. Your invoice has not been used - please try again in a few minutes.')
+                .setColor(COLORS.error)
+                .addFields(invoiceField)
+                .setFooter({ text: 'Please contact support if this error continues.' });
+            break;
+
+        case RedemptionStatus.NOT_CONFIGURED:
+            embed
+                .setTitle('⚙️ Redemption Not Set Up')
+                .setDescription('This server has not finished setting up license redemption yet. Your invoice has not been used - please try again later or contact the server staff.')
+                .setColor(COLORS.warning)
+                .addFields(invoiceField)
+                .setFooter({ text: 'Server owners can finish setup with /setup.' });
+            break;
+
+        default:
+            embed
+                .setTitle('❌ Unexpected Error')
+                .setDescription('An unexpected error occurred while processing your redemption. Please try again later or contact support if the problem persists.')
+                .setColor(COLORS.error)
+                .addFields(
+                    invoiceField,
+                    { name: 'Error Code', value: '`REDEMPTION_ERROR`', inline: true }
+                )
+                .setFooter({ text: 'Please contact support if this error continues.' });
+    }
+
+    return embed;
+}
+
+/**
+ * DM a copy of a successfully redeemed key
+ * @param {User} user - Discord user to message
+ * @param {object} outcome - Successful redemption outcome
+ * @returns {boolean} - True if the DM was delivered
+ */
+async function deliverLicenseDM(user, outcome) {
+    try {
+        const dmEmbed = new EmbedBuilder()
+            .setTitle(isBundle(outcome) ? '🔑 Your License Keys' : '🔑 Your License Key')
+            .setDescription(isBundle(outcome) ? 'Here are your license keys for safekeeping:' : 'Here is your license key for safekeeping:')
+            .setColor(COLORS.success)
+            .addFields(
+                ...buildKeyFields(outcome, 'License Key'),
+                { name: 'Product', value: outcome.invoiceDetails?.productName || outcome.product?.name || 'Software License', inline: true }
+            )
+            .setFooter({ text: 'Save this message for future reference. You can also retrieve your keys with /key.' })
+            .setTimestamp();
+
+        if (!isBundle(outcome)) {
+            dmEmbed.addFields({ name: 'License Type', value: formatLicenseType(outcome.expiryDays), inline: true });
+        }
+        dmEmbed.addFields({ name: 'Invoice ID', value: `\`${outcome.invoiceId}\``, inline: true });
+
+        if (outcome.partial) {
+            dmEmbed.addFields({ name: '⚠️ Not Everything Delivered', value: `${outcome.missingUnits} item(s) are still missing. Redeem the same invoice again later to receive them.`, inline: false });
+        }
+
+        await user.send({ embeds: [dmEmbed] });
+        return true;
+    } catch (error) {
+        logger.warn(`Failed to send DM to user ${user.id}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Render a redemption outcome as the interaction reply, sending the DM copy
+ * on success. Expects the interaction to be deferred already.
+ * @param {Interaction} interaction - Deferred slash command or modal interaction
+ * @param {object} outcome - Outcome from RedemptionService.redeem()
+ */
+async function replyWithOutcome(interaction, outcome) {
+    const dmSent = outcome.status === RedemptionStatus.SUCCESS
+        ? await deliverLicenseDM(interaction.user, outcome)
+        : null;
+
+    await interaction.editReply({ embeds: [buildOutcomeEmbed(outcome, { dmSent })] });
+}
+
+module.exports = {
+    getMemberRoleIds,
+    buildProgressEmbed,
+    buildOutcomeEmbed,
+    deliverLicenseDM,
+    replyWithOutcome
+};
@@ -0,0 +1,66 @@
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger');
+const staffNotifier = require('../../services/staffNotifier');
+const { maskLicenseKey } = require('./staffEvents');
+
+const REVERSAL_LABELS = {
+    refund: 'refunded',
+    chargeback: 'charged back'
+};
+
+/**
+ * Tell the buyer and staff that a license was revoked because its
+ * payment was refunded or charged back
+ * @param {Client} client - Discord client
+ * @param {object} record - Revoked redemption record
+ * @param {string} reversal - 'refund' or 'chargeback'
+ * @param {Array<string>} licenseKeys - Every key revoked with the invoice (defaults to the record's key)
+ * @returns {object} - { dmSent, staffAlertQueued }
+ */
+async function notifyPaymentReversal(client, record, reversal, licenseKeys = [record.license_key]) {
+    const label = REVERSAL_LABELS[reversal] || reversal;
+    const keyLabel = licenseKeys.length > 1 ? 'License Keys' : 'License Key';
+
+    let dmSent = false;
+    try {
+        const user = await client.users.fetch(record.discord_user_id);
+
+        const dmEmbed = new EmbedBuilder()
+            .setTitle('⛔ License Revoked')
+            .setDescription(`The payment for invoice \`${record.invoice_id}\` was ${label}, so the ${licenseKeys.length > 1 ? 'license keys' : 'license key'} issued for it ${licenseKeys.length > 1 ? 'have' : 'has'} been disabled.`)
+            .setColor(0xff0000)
+            .addFields(
+                { name: 'Product', value: record.product_name || 'Software License', inline: true },
+                { name: keyLabel, value: licenseKeys.map(key => `\`${key}\``).join('\n'), inline: false }
+            )
+            .setFooter({ text: 'Contact support if you believe this is a mistake.' })
+            .setTimestamp();
+
+        await user.send({ embeds: [dmEmbed] });
+        dmSent = true;
+    } catch (error) {
+        logger.warn(`Failed to DM user ${record.discord_user_id} about revoked invoice ${record.invoice_id}:`, error.message);
+    }
+
+    const alertEmbed = new EmbedBuilder()
+        .setTitle(reversal === 'chargeback' ? '🚨 Chargeback - License Revoked' : '💸 Refund - License Revoked')
+        .setDescription(`SellAuth reports invoice \`${record.invoice_id}\` as ${label}. ${licenseKeys.length > 1 ? 'Its keys were' : 'Its key was'} banned in KeyAuth.`)
+        .setColor(reversal === 'chargeback' ? 0xff0000 : 0xff9900)
+        .addFields(
+            { name: 'User', value: `<@${record.discord_user_id}>`, inline: true },
+            { name: 'Product', value: record.product_name || 'Unknown', inline: true },
+            { name: 'Amount', value: record.amount != null ? `${record.amount} ${record.currency || ''}`.trim() : 'n/a', inline: true },
+            { name: keyLabel, value: licenseKeys.map(key => `\`${maskLicenseKey(key)}\``).join('\n'), inline: false },
+            { name: 'User Notified', value: dmSent ? 'Yes' : 'No (DMs closed or user not found)', inline: true }
+        )
+        .setTimestamp();
+
+    // Goes to the guild whose shop the invoice belongs to
+    await staffNotifier.notify('revocation', alertEmbed, record.guild_id);
+
+    return { dmSent, staffAlertQueued: true };
+}
+
+module.exports = {
+    notifyPaymentReversal
+};
@@ -0,0 +1,407 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, StringSelectMenuBuilder } = require('discord.js');
+const config = require('../../config/config');
+const tenants = require('../../api/tenants');
+
+// customIds of the /setup buttons and modals; handled in interactionCreate
+const SETUP_BUTTONS = {
+    sellauth: 'setup_sellauth',
+    keyauth: 'setup_keyauth',
+    test: 'setup_test',
+    remove: 'setup_remove',
+    confirmRemove: 'setup_remove_confirm',
+    addApp: 'setup_app_add'
+};
+
+const SETUP_MODALS = {
+    sellauth: 'setup_modal_sellauth',
+    keyauth: 'setup_modal_keyauth',
+    app: 'setup_modal_app'
+};
+
+// customId of the select menu that removes an additional KeyAuth application
+const SETUP_APP_REMOVE_SELECT = 'setup_app_remove';
+
+// Discord allows at most 25 options in a select menu
+const MAX_OPTIONS = 25;
+
+/**
+ * Only the server owner may change which shop a server sells from
+ */
+function isGuildOwner(interaction) {
+    return interaction.inGuild() && interaction.guild?.ownerId === interaction.user.id;
+}
+
+/**
+ * Build the /setup status message with its buttons
+ * @param {string} guildId - Discord guild ID
+ * @param {object} tenant - Result of tenants.getSummary(), null if the guild uses the default shop
+ * @param {Array<object>} apps - Result of tenants.listKeyAuthApps() for the guild
+ * @returns {object} - Message payload
+ */
+function buildSetupMessage(guildId, tenant, apps = []) {
+    const defaultShop = tenants.usesDefaultShop(guildId);
+
+    let description;
+    if (!tenant && defaultShop) {
+        description = 'This server redeems invoices from the bot\'s default shop. Connect your own SellAuth shop and KeyAuth application to sell your own products here.\n\nRedemptions are paused from the first step until both are set up.';
+    } else if (!tenant) {
+        description = 'This server is not set up yet. Connect your SellAuth shop and KeyAuth application to redeem invoices here.';
+    } else if (tenant.sellauthReady && tenant.keyauthReady) {
+        description = 'This server redeems invoices from its own SellAuth shop and creates keys in its own KeyAuth application. Add your products with `/product set`.';
+    } else {
+        description = '⚠️ Setup is not finished, so redemptions in this server are paused. Complete both steps below.';
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('⚙️ Server Setup')
+        .setDescription(description)
+        .setColor(tenant && !(tenant.sellauthReady && tenant.keyauthReady) ? 0xff9900 : 0x0099ff)
+        .addFields(
+            { name: '🛒 SellAuth Shop', value: formatSellAuth(tenant, defaultShop), inline: true },
+            { name: '🔑 KeyAuth Application', value: formatKeyAuth(tenant, defaultShop), inline: true }
+        )
+        .setFooter({ text: 'Secrets are stored encrypted and never shown again.' })
+        .setTimestamp();
+
+    if (tenant?.sellauthReady) {
+        embed.addFields({ name: '🔗 Webhook URL', value: formatWebhookUrl(guildId), inline: false });
+    }
+
+    if (tenant?.keyauthReady) {
+        embed.addFields({
+            name: '🧩 Bundle Applications',
+            value: apps.length > 0
+                ? apps.map(app => `\`${app.appId}\` - ${app.name}`).join('\n').slice(0, 1024)
+                : 'None. Add more KeyAuth applications to sell bundles with `/product bundle`.',
+            inline: false
+        });
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(SETUP_BUTTONS.sellauth)
+            .setLabel(tenant?.sellauthReady ? 'Change SellAuth' : 'Set Up SellAuth')
+            .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+            .setCustomId(SETUP_BUTTONS.keyauth)
+            .setLabel(tenant?.keyauthReady ? 'Change KeyAuth' : 'Set Up KeyAuth')
+            .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+            .setCustomId(SETUP_BUTTONS.test)
+            .setLabel('Test Connection')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(!(tenant?.sellauthReady && tenant?.keyauthReady)),
+        new ButtonBuilder()
+            .setCustomId(SETUP_BUTTONS.remove)
+            .setLabel(defaultShop ? 'Use Default Shop' : 'Delete Setup')
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(!tenant)
+    );
+
+    const components = [row];
+
+    if (tenant?.keyauthReady) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(SETUP_BUTTONS.addApp)
+                .setLabel('Add Application')
+                .setStyle(ButtonStyle.Secondary)
+        ));
+    }
+
+    if (tenant?.keyauthReady && apps.length > 0) {
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId(SETUP_APP_REMOVE_SELECT)
+            .setPlaceholder('Remove a bundle application')
+            .addOptions(apps.slice(0, MAX_OPTIONS).map(app => ({
+                label: app.name.slice(0, 100),
+                description: `${app.appId} - keys issued in it can no longer be managed`.slice(0, 100),
+                value: app.appId
+            })));
+
+        components.push(new ActionRowBuilder().addComponents(menu));
+    }
+
+    return { embeds: [embed], components };
+}
+
+/**
+ * Build the modal for a server's SellAuth shop
+ * @param {object} tenant - Result of tenants.getSummary(), used to prefill the shop ID
+ * @returns {ModalBuilder} - Modal
+ */
+function buildSellAuthModal(tenant) {
+    const shopId = new TextInputBuilder()
+        .setCustomId('shop_id')
+        .setLabel('Shop ID')
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(20);
+
+    // Discord rejects an empty prefill, so only set values that exist
+    if (tenant?.shopId) {
+        shopId.setValue(tenant.shopId);
+    }
+
+    const inputs = [
+        shopId,
+        new TextInputBuilder()
+            .setCustomId('api_key')
+            .setLabel('API Key')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(200),
+        new TextInputBuilder()
+            .setCustomId('webhook_secret')
+            .setLabel('Webhook Secret (empty to skip webhooks)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(200)
+    ];
+
+    return new ModalBuilder()
+        .setCustomId(SETUP_MODALS.sellauth)
+        .setTitle('SellAuth Shop')
+        .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+/**
+ * Build the modal for a server's KeyAuth application
+ * @param {object} tenant - Result of tenants.getSummary(), used to prefill everything but the secret
+ * @returns {ModalBuilder} - Modal
+ */
+function buildKeyAuthModal(tenant) {
+    const inputs = [
+        new TextInputBuilder()
+            .setCustomId('name')
+            .setLabel('Application Name')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(100),
+        new TextInputBuilder()
+            .setCustomId('owner_id')
+            .setLabel('Owner ID')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(50),
+        new TextInputBuilder()
+            .setCustomId('secret')
+            .setLabel('Application Secret')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(200),
+        new TextInputBuilder()
+            .setCustomId('version')
+            .setLabel('Version')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(20)
+            .setValue(tenant?.keyauthVersion || config.keyauth.version)
+    ];
+
+    if (tenant?.keyauthName) {
+        inputs[0].setValue(tenant.keyauthName);
+    }
+    if (tenant?.keyauthOwnerId) {
+        inputs[1].setValue(tenant.keyauthOwnerId);
+    }
+
+    return new ModalBuilder()
+        .setCustomId(SETUP_MODALS.keyauth)
+        .setTitle('KeyAuth Application')
+        .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+/**
+ * Build the modal for an additional KeyAuth application used by bundle products
+ * @returns {ModalBuilder} - Modal
+ */
+function buildAppModal() {
+    const inputs = [
+        new TextInputBuilder()
+            .setCustomId('app_id')
+            .setLabel('Short ID used in /product (e.g. loader)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(32),
+        new TextInputBuilder()
+            .setCustomId('name')
+            .setLabel('Application Name')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(100),
+        new TextInputBuilder()
+            .setCustomId('owner_id')
+            .setLabel('Owner ID')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(50),
+        new TextInputBuilder()
+            .setCustomId('secret')
+            .setLabel('Application Secret')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(200),
+        new TextInputBuilder()
+            .setCustomId('version')
+            .setLabel('Version')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(20)
+            .setValue(config.keyauth.version)
+    ];
+
+    return new ModalBuilder()
+        .setCustomId(SETUP_MODALS.app)
+        .setTitle('Bundle Application')
+        .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+/**
+ * Read and validate a submitted SellAuth modal
+ * @param {ModalSubmitFields} fields - interaction.fields
+ * @returns {object} - { shop } or { error }
+ */
+function parseSellAuthSetup(fields) {
+    const shopId = fields.getTextInputValue('shop_id').trim();
+    const apiKey = fields.getTextInputValue('api_key').trim();
+    const webhookSecret = fields.getTextInputValue('webhook_secret').trim();
+
+    if (!/^\d+$/.test(shopId)) {
+        return { error: `\`${shopId}\` is not a shop ID. It is the number shown in your SellAuth dashboard.` };
+    }
+
+    if (!apiKey) {
+        return { error: 'The API key cannot be empty.' };
+    }
+
+    return { shop: { shopId, apiKey, webhookSecret: webhookSecret || null } };
+}
+
+/**
+ * Read and validate a submitted KeyAuth modal
+ * @param {ModalSubmitFields} fields - interaction.fields
+ * @returns {object} - { app } or { error }
+ */
+function parseKeyAuthSetup(fields) {
+    const name = fields.getTextInputValue('name').trim();
+    const ownerId = fields.getTextInputValue('owner_id').trim();
+    const secret = fields.getTextInputValue('secret').trim();
+    const version = fields.getTextInputValue('version').trim();
+
+    if (!name || !secret || !version) {
+        return { error: 'The application name, secret and version cannot be empty.' };
+    }
+
+    if (!/^[A-Za-z0-9]+$/.test(ownerId)) {
+        return { error: `\`${ownerId}\` is not an owner ID. Copy it from your KeyAuth account settings.` };
+    }
+
+    return { app: { name, ownerId, secret, version } };
+}
+
+/**
+ * Read and validate a submitted bundle application modal
+ * @param {ModalSubmitFields} fields - interaction.fields
+ * @returns {object} - { app } or { error }
+ */
+function parseAppSetup(fields) {
+    const appId = fields.getTextInputValue('app_id').trim().toLowerCase();
+
+    if (!tenants.isValidAppId(appId)) {
+        return { error: `\`${appId}\` cannot be used as an ID. Use up to 32 lowercase letters, digits, dashes or underscores, other than \`default\`.` };
+    }
+
+    const parsed = parseKeyAuthSetup(fields);
+    return parsed.error ? parsed : { app: { appId, ...parsed.app } };
+}
+
+/**
+ * Build the confirmation shown before a server's credentials are deleted
+ * @param {boolean} defaultShop - Whether the server goes back to the default shop
+ */
+function buildRemoveConfirmation(defaultShop) {
+    const embed = new EmbedBuilder()
+        .setTitle(defaultShop ? '⚠️ Use the Default Shop?' : '⚠️ Delete the Setup?')
+        .setDescription('This deletes the SellAuth and KeyAuth credentials saved for this server, including bundle applications. Keys already redeemed here keep working, but staff can no longer revoke or reissue them from the bot.\n\nDismiss this message to keep your setup.')
+        .setColor(0xff9900)
+        .setTimestamp();
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(SETUP_BUTTONS.confirmRemove)
+            .setLabel('Delete Credentials')
+            .setStyle(ButtonStyle.Danger)
+    );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Build the reply for staff commands in a server that has no shop
+ */
+function buildNotSetUpEmbed() {
+    return new EmbedBuilder()
+        .setTitle('⚙️ Server Not Set Up')
+        .setDescription('This server has no shop yet. The server owner can connect one with `/setup`.')
+        .setColor(0xff9900)
+        .setTimestamp();
+}
+
+/**
+ * Build a one-line result embed for a setup step
+ */
+function buildSetupResultEmbed(success, title, description) {
+    return new EmbedBuilder()
+        .setTitle(`${success ? '✅' : '❌'} ${title}`)
+        .setDescription(description)
+        .setColor(success ? 0x00ff00 : 0xff0000)
+        .setTimestamp();
+}
+
+function formatSellAuth(tenant, defaultShop) {
+    if (!tenant) {
+        return defaultShop ? 'Default shop' : 'Not set up';
+    }
+    if (!tenant.sellauthReady) {
+        return 'Not set up';
+    }
+
+    return `Shop \`${tenant.shopId}\`\nWebhooks: ${tenant.hasWebhookSecret ? 'on' : 'off'}`;
+}
+
+function formatKeyAuth(tenant, defaultShop) {
+    if (!tenant) {
+        return defaultShop ? 'Default application' : 'Not set up';
+    }
+    if (!tenant.keyauthReady) {
+        return 'Not set up';
+    }
+
+    return `${tenant.keyauthName}\nOwner \`${tenant.keyauthOwnerId}\`, v${tenant.keyauthVersion || config.keyauth.version}`;
+}
+
+function formatWebhookUrl(guildId) {
+    const path = `/webhooks/sellauth/${guildId}`;
+
+    return config.app.publicUrl
+        ? `\`${config.app.publicUrl}${path}\``
+        : `\`${path}\` on the bot's web server (ask the bot operator for the address)`;
+}
+
+module.exports = {
+    SETUP_BUTTONS,
+    SETUP_MODALS,
+    SETUP_APP_REMOVE_SELECT,
+    isGuildOwner,
+    buildSetupMessage,
+    buildSellAuthModal,
+    buildKeyAuthModal,
+    buildAppModal,
+    parseSellAuthSetup,
+    parseKeyAuthSetup,
+    parseAppSetup,
+    buildRemoveConfirmation,
+    buildSetupResultEmbed,
+    buildNotSetUpEmbed
+};
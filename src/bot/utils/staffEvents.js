@@ -0,0 +1,190 @@
+const { EmbedBuilder } = require('discord.js');
+const config = require('../../config/config');
+
+// Redemption outcomes staff are told about, by staff log event type.
+// Typos, reused invoices and missing emails are left out to keep the log readable.
+const OUTCOME_EVENTS = {
+    success: 'redemption',
+    verification_failed: 'failure',
+    license_failed: 'failure',
+    not_recorded: 'failure',
+    email_mismatch: 'failure',
+    error: 'failure',
+    rate_limited: 'rate_limit',
+    email_locked: 'rate_limit'
+};
+
+const OUTCOME_TITLES = {
+    success: ['✅ License Redeemed', 0x00ff00],
+    verification_failed: ['⚠️ Verification Failed', 0xff9900],
+    license_failed: ['❌ KeyAuth License Creation Failed', 0xff0000],
+    not_recorded: ['❌ Redemption Not Recorded', 0xff0000],
+    email_mismatch: ['📧 Purchase Email Mismatch', 0xff9900],
+    error: ['❌ Redemption Error', 0xff0000],
+    rate_limited: ['⏳ Redemption Rate Limit Hit', 0xffcc00],
+    email_locked: ['🔒 Email Lockout Hit', 0xffcc00]
+};
+
+// A success that left some units of the invoice undelivered
+const PARTIAL_TITLE = ['⚠️ License Partly Delivered', 0xffcc00];
+
+const RATE_LIMIT_LABELS = {
+    success: 'Successful redemptions per day',
+    failure: 'Failed attempts per hour',
+    global: 'All redemptions per minute',
+    email_mismatch: 'Wrong emails per day'
+};
+
+/**
+ * Hide the middle of a license key so staff logs can't be used to steal it
+ * @param {string} licenseKey - License key
+ * @returns {string} - e.g. ABCD-****-****-MNOP
+ */
+function maskLicenseKey(licenseKey) {
+    if (!licenseKey) {
+        return 'n/a';
+    }
+
+    if (licenseKey.length <= 8) {
+        return '*'.repeat(licenseKey.length);
+    }
+
+    const middle = licenseKey.slice(4, -4).replace(/[A-Za-z0-9]/g, '*');
+    return `${licenseKey.slice(0, 4)}${middle}${licenseKey.slice(-4)}`;
+}
+
+/**
+ * Build a staff log field listing masked keys, one per line
+ * @param {Array<string>} licenseKeys - License keys of one invoice
+ * @param {boolean} inline - Whether the field is inline
+ */
+function buildMaskedKeysField(licenseKeys, inline) {
+    return {
+        name: licenseKeys.length > 1 ? `License Keys (${licenseKeys.length})` : 'License Key',
+        value: licenseKeys.map(key => `\`${maskLicenseKey(key)}\``).join('\n').slice(0, 1024),
+        inline
+    };
+}
+
+/**
+ * Mention Discord users; show API callers and services as code
+ */
+function formatActor(actor) {
+    return /^\d{17,20}$/.test(actor || '') ? `<@${actor}>` : `\`${actor || 'unknown'}\``;
+}
+
+/**
+ * Build the staff log event for a redemption outcome
+ * @param {object} outcome - Outcome from redemptionService.redeem()
+ * @returns {object|null} - { type, embed }, or null if staff don't need to see it
+ */
+function buildRedemptionEvent(outcome) {
+    const type = OUTCOME_EVENTS[outcome.status];
+    if (!type) {
+        return null;
+    }
+
+    const [title, color] = outcome.partial ? PARTIAL_TITLE : OUTCOME_TITLES[outcome.status];
+
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(color)
+        .addFields(
+            { name: 'User', value: `<@${outcome.userId}>`, inline: true },
+            { name: 'Invoice', value: `\`${outcome.invoiceId || 'n/a'}\``, inline: true },
+            { name: 'Source', value: outcome.source || 'unknown', inline: true }
+        )
+        .setTimestamp();
+
+    if (outcome.status === 'success') {
+        embed.addFields(
+            { name: 'Product', value: outcome.invoiceDetails?.productName || outcome.product?.name || 'Unknown', inline: true },
+            buildMaskedKeysField(outcome.licenseKeys?.map(key => key.licenseKey) || [outcome.licenseKey], true)
+        );
+
+        if (outcome.partial) {
+            embed.addFields({
+                name: 'Not Delivered',
+                value: `${outcome.missingUnits} item(s), KeyAuth refused a key${outcome.deliveryError ? `: ${String(outcome.deliveryError).slice(0, 900)}` : ''}. The buyer can redeem the invoice again for them.`,
+                inline: false
+            });
+        }
+    } else if (outcome.rateLimit) {
+        const resetAfter = outcome.rateLimit.resetAfter
+            ? `<t:${Math.floor(new Date(outcome.rateLimit.resetAfter).getTime() / 1000)}:R>`
+            : 'unknown';
+
+        embed.addFields(
+            { name: 'Limit', value: RATE_LIMIT_LABELS[outcome.rateLimit.limit] || outcome.rateLimit.limit || 'unknown', inline: true },
+            { name: 'Attempts', value: `${outcome.rateLimit.attempts}/${outcome.rateLimit.maxAttempts}, resets ${resetAfter}`, inline: true }
+        );
+    } else {
+        const detail = outcome.reason || outcome.error;
+        if (detail) {
+            embed.addFields({ name: 'Details', value: String(detail).slice(0, 1024), inline: false });
+        }
+        if (outcome.attemptsLeft !== undefined) {
+            embed.addFields({ name: 'Attempts Left', value: String(outcome.attemptsLeft), inline: true });
+        }
+    }
+
+    return { type, embed };
+}
+
+/**
+ * Build the staff log embed for a license revoked by staff
+ * @param {object} record - Redemption record that was revoked
+ * @param {object} revocation - { revokedBy, reason, mode, licenseKeys }; revokedBy is a Discord user ID or API caller,
+ *                              licenseKeys every key revoked (defaults to the record's key)
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildRevocationEmbed(record, { revokedBy, reason, mode, licenseKeys = [record.license_key] }) {
+    return new EmbedBuilder()
+        .setTitle('⛔ License Revoked')
+        .setColor(0xff0000)
+        .addFields(
+            { name: 'User', value: `<@${record.discord_user_id}>`, inline: true },
+            { name: 'Invoice', value: `\`${record.invoice_id}\``, inline: true },
+            { name: 'Revoked By', value: formatActor(revokedBy), inline: true },
+            buildMaskedKeysField(licenseKeys, true),
+            { name: 'KeyAuth', value: mode === 'delete' ? 'Deleted' : 'Banned', inline: true },
+            { name: 'Reason', value: reason.slice(0, 1024), inline: false }
+        )
+        .setTimestamp();
+}
+
+/**
+ * Build the staff log embed for an external API that stopped responding
+ * @param {string} service - 'KeyAuth' or 'SellAuth'
+ * @param {string} message - Error message
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildOutageEmbed(service, message) {
+    return new EmbedBuilder()
+        .setTitle(`🚨 ${service} API Unreachable`)
+        .setDescription(`Requests to ${service} are failing. Redemptions that need it will fail until it recovers.`)
+        .setColor(0xff0000)
+        .addFields({ name: 'Error', value: String(message || 'unknown error').slice(0, 1024), inline: false })
+        .setFooter({ text: `Repeated failures are not reported again for ${config.staffLog.outageAlertMinutes} minutes` })
+        .setTimestamp();
+}
+
+/**
+ * Build the staff log embed posted when the bot comes online
+ */
+function buildStartupEmbed() {
+    return new EmbedBuilder()
+        .setTitle('🤖 Bot Started')
+        .setDescription('License redemption bot is now online and ready to process requests.')
+        .setColor(0x00ff00)
+        .setFooter({ text: `Environment: ${config.app.environment}` })
+        .setTimestamp();
+}
+
+module.exports = {
+    maskLicenseKey,
+    buildRedemptionEvent,
+    buildRevocationEmbed,
+    buildOutageEmbed,
+    buildStartupEmbed
+};
@@ -0,0 +1,115 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+// customId prefixes for transfer buttons; the transfer ID follows the colon
+const TRANSFER_BUTTONS = {
+    accept: 'transfer_accept',
+    decline: 'transfer_decline',
+    cancel: 'transfer_cancel'
+};
+
+// Replies for transfer results that did not go through
+const TRANSFER_ERRORS = {
+    NOT_OWNER: 'You do not own a license with that key.',
+    LICENSE_NOT_FOUND: 'No redemption was found for that key or invoice.',
+    NOT_TRANSFERABLE: 'This license cannot be transferred because it has been revoked or is still being redeemed.',
+    SAME_USER: 'The license already belongs to that account.',
+    BOT_RECIPIENT: 'Licenses cannot be transferred to bots.',
+    GUILD_ONLY: 'Transfers have to be started in a server channel the recipient can see.',
+    OFFER_NOT_POSTED: 'The transfer offer could not be posted in this channel, so the transfer was cancelled. Try again in a channel where the bot can send messages.',
+    PENDING_EXISTS: 'There is already a pending transfer for this license. Cancel it first, or wait for it to expire.',
+    NOT_FOUND: 'This transfer does not exist or is not addressed to you.',
+    NOT_PENDING: 'This transfer has already been completed, declined or cancelled.',
+    EXPIRED: 'This transfer offer has expired. Ask the owner to start a new one.',
+    OWNER_CHANGED: 'This license is no longer available for transfer.'
+};
+
+/**
+ * Build the public offer the recipient accepts or declines
+ * @param {object} transfer - Pending transfer row
+ * @param {object} record - Redemption record being transferred
+ * @returns {object} - Message payload
+ */
+function buildTransferOffer(transfer, record) {
+    const expires = Math.floor(new Date(transfer.expires_at).getTime() / 1000);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔁 License Transfer Offer')
+        .setDescription(`<@${transfer.from_user_id}> wants to transfer a license to <@${transfer.to_user_id}>.\n\nOnly <@${transfer.to_user_id}> can accept. Once accepted, the key will show up in their \`/key view\` and disappear from the sender's.`)
+        .setColor(0x0099ff)
+        .addFields(
+            { name: 'Product', value: record.product_name || 'Unknown Product', inline: true },
+            { name: 'Expires', value: `<t:${expires}:R>`, inline: true }
+        )
+        .setFooter({ text: 'The license key itself is never shown here.' })
+        .setTimestamp();
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${TRANSFER_BUTTONS.accept}:${transfer.id}`)
+            .setLabel('Accept')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`${TRANSFER_BUTTONS.decline}:${transfer.id}`)
+            .setLabel('Decline')
+            .setStyle(ButtonStyle.Danger)
+    );
+
+    return {
+        content: `<@${transfer.to_user_id}>`,
+        embeds: [embed],
+        components: [row],
+        allowedMentions: { users: [transfer.to_user_id] }
+    };
+}
+
+/**
+ * Build the button the sender can use to withdraw an offer
+ */
+function buildCancelRow(transfer) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${TRANSFER_BUTTONS.cancel}:${transfer.id}`)
+            .setLabel('Cancel Transfer')
+            .setStyle(ButtonStyle.Secondary)
+    );
+}
+
+/**
+ * Build the embed that replaces an offer once it is settled
+ * @param {object} transfer - Transfer row after the change
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildTransferClosedEmbed(transfer) {
+    const outcomes = {
+        accepted: ['✅ License Transferred', `The license now belongs to <@${transfer.to_user_id}>.`, 0x00ff00],
+        declined: ['❌ Transfer Declined', `<@${transfer.to_user_id}> declined the transfer.`, 0xff0000],
+        cancelled: ['🚫 Transfer Cancelled', `<@${transfer.from_user_id}> cancelled the transfer.`, 0xff9900],
+        expired: ['⌛ Transfer Expired', 'The transfer offer expired before it was accepted.', 0xff9900]
+    };
+    const [title, description, color] = outcomes[transfer.status] || outcomes.expired;
+
+    return new EmbedBuilder()
+        .setTitle(title)
+        .setDescription(description)
+        .setColor(color)
+        .setTimestamp();
+}
+
+/**
+ * Build an error embed for a failed transfer result
+ */
+function buildTransferErrorEmbed(error) {
+    return new EmbedBuilder()
+        .setTitle('❌ Transfer Failed')
+        .setDescription(TRANSFER_ERRORS[error] || 'An unexpected error occurred. Please try again later.')
+        .setColor(0xff0000)
+        .setTimestamp();
+}
+
+module.exports = {
+    TRANSFER_BUTTONS,
+    buildTransferOffer,
+    buildCancelRow,
+    buildTransferClosedEmbed,
+    buildTransferErrorEmbed
+};
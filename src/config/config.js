@@ -5,7 +5,12 @@ module.exports = {
     discord: {
         token: process.env.DISCORD_BOT_TOKEN,
         clientId: process.env.DISCORD_CLIENT_ID,
-        guildId: process.env.DISCORD_GUILD_ID || null // null for global commands
+        guildId: process.env.DISCORD_GUILD_ID || null, // null for global commands
+        // Servers that redeem from the default shop; every other server has to run /setup
+        defaultShopGuildIds: [process.env.DISCORD_GUILD_ID, ...(process.env.DEFAULT_SHOP_GUILD_IDS || '').split(',')]
+            .map(id => (id || '').trim())
+            .filter(Boolean),
+        logChannelId: process.env.DISCORD_LOG_CHANNEL_ID || null // staff alerts
     },
 
     // SellAuth Configuration
@@ -14,6 +19,8 @@ module.exports = {
         apiUrl: process.env.SELLAUTH_API_URL || 'https://api.mysellauth.com/v1',
         shopId: process.env.SELLAUTH_SHOP_ID,
         productId: process.env.SELLAUTH_PRODUCT_ID,
+        webhookSecret: process.env.SELLAUTH_WEBHOOK_SECRET,
+        discordFieldName: process.env.SELLAUTH_DISCORD_FIELD || 'Discord ID',
         timeout: 10000 // 10 seconds
     },
 
@@ -23,29 +30,91 @@ module.exports = {
         ownerId: process.env.KEYAUTH_OWNERID || 'bvLogTU3Fd',
         version: process.env.KEYAUTH_VERSION || '1.0',
         url: process.env.KEYAUTH_URL || 'https://keyauth.win/api/1.3/',
-        secret: process.env.KEYAUTH_SECRET
+        secret: process.env.KEYAUTH_SECRET,
+        // JSON array of extra applications for bundle products: [{ "id", "name", "ownerId", "secret", "version" }]
+        apps: process.env.KEYAUTH_APPS || null,
+        // How long live key status shown in /key is reused before asking KeyAuth again
+        statusCacheSeconds: parseInt(process.env.KEYAUTH_STATUS_CACHE_SECONDS, 10) || 60
     },
 
     // Database Configuration
     database: {
-        url: process.env.DATABASE_URL || 'sqlite:./licenses.db'
+        url: process.env.DATABASE_URL || 'sqlite:./licenses.db',
+        // Heroku Postgres requires TLS; override with DATABASE_SSL=true|false
+        ssl: process.env.DATABASE_SSL ? process.env.DATABASE_SSL === 'true' : !!process.env.DYNO
     },
 
     // Security Configuration
     security: {
         encryptionKey: process.env.ENCRYPTION_KEY,
         jwtSecret: process.env.JWT_SECRET,
+        // How long an invoice stays locked by an in-flight redemption before it is considered abandoned
+        reservationTimeoutSeconds: parseInt(process.env.RESERVATION_TIMEOUT_SECONDS, 10) || 300,
+        // How long a recipient has to accept a license transfer
+        transferExpiryHours: parseInt(process.env.TRANSFER_EXPIRY_HOURS, 10) || 24,
+        // Minimum time between self-service HWID resets of the same key
+        hwidResetCooldownHours: parseInt(process.env.HWID_RESET_COOLDOWN_HOURS, 10) || 24,
+        // Keys one invoice may need (quantity x bundle keys, over all items); bigger orders are left to staff
+        maxKeysPerInvoice: parseInt(process.env.MAX_KEYS_PER_INVOICE, 10) || 25,
+        // Defaults; guilds can override the first two per server and per role with /settings rate-limit
         rateLimits: {
-            redemptionsPerDay: 1,
-            attemptsPerHour: 5,
-            globalRequestsPerMinute: 60
+            // Successful redemptions per user per 24 hours
+            redemptionsPerDay: parseInt(process.env.REDEMPTIONS_PER_DAY, 10) || 1,
+            // Wrong purchase emails allowed per user per day before redemption is locked
+            emailMismatchesPerDay: parseInt(process.env.EMAIL_MISMATCHES_PER_DAY, 10) || 3,
+            // Failed attempts (unknown, reused or unpaid invoices) per user per hour
+            attemptsPerHour: parseInt(process.env.FAILED_ATTEMPTS_PER_HOUR, 10) || 5,
+            // Redemption requests per minute across all users of a guild
+            globalRequestsPerMinute: parseInt(process.env.GLOBAL_REDEMPTIONS_PER_MINUTE, 10) || 60,
+            // How long a bypass granted with /ratelimit grant stays available
+            bypassExpiryDays: parseInt(process.env.RATE_LIMIT_BYPASS_DAYS, 10) || 7,
+            // Minutes between deletions of expired counters
+            sweepIntervalMinutes: parseInt(process.env.RATE_LIMIT_SWEEP_MINUTES, 10) || 60
         }
     },
 
+    // Refund/chargeback reconciliation against SellAuth
+    reconciler: {
+        enabled: process.env.RECONCILER_ENABLED !== 'false',
+        intervalMinutes: parseInt(process.env.RECONCILER_INTERVAL_MINUTES, 10) || 30,
+        // Only redemptions younger than this are re-checked
+        lookbackDays: parseInt(process.env.RECONCILER_LOOKBACK_DAYS, 10) || 60,
+        batchSize: parseInt(process.env.RECONCILER_BATCH_SIZE, 10) || 50
+    },
+
+    // Staff log channel delivery
+    staffLog: {
+        // Events are queued and sent in batches this often to stay under Discord rate limits
+        flushSeconds: parseInt(process.env.STAFF_LOG_FLUSH_SECONDS, 10) || 5,
+        // Events kept per channel while waiting; older ones are dropped during floods
+        maxQueue: parseInt(process.env.STAFF_LOG_MAX_QUEUE, 10) || 100,
+        // Repeated outage reports for one API are suppressed for this long
+        outageAlertMinutes: parseInt(process.env.STAFF_LOG_OUTAGE_MINUTES, 10) || 15
+    },
+
+    // Admin REST API for dashboards; off unless JWT_SECRET is set
+    adminApi: {
+        // aud claim tokens must carry, so tokens minted for anything else with the same secret are refused
+        audience: 'license-bot-admin',
+        requestsPerMinute: parseInt(process.env.ADMIN_API_REQUESTS_PER_MINUTE, 10) || 60,
+        defaultPageSize: 25,
+        maxPageSize: 100
+    },
+
+    // Health checks and /metrics
+    health: {
+        // KeyAuth and SellAuth are probed this often; /readyz serves the cached result
+        checkIntervalSeconds: parseInt(process.env.HEALTH_CHECK_INTERVAL_SECONDS, 10) || 60,
+        // Bearer token required by /metrics (optional, open if unset)
+        metricsToken: process.env.METRICS_TOKEN || null
+    },
+
     // Application Configuration
     app: {
         environment: process.env.NODE_ENV || 'development',
         port: process.env.PORT || 3000,
+        // Where the web server is reachable from the internet, shown by /setup for webhook URLs
+        publicUrl: (process.env.PUBLIC_URL || '').replace(/\/+$/, '') || null,
         logLevel: process.env.LOG_LEVEL || 'info'
     }
 };
\ No newline at end of file
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Mint a token for the admin REST API
+ *
+ * Usage:
+ *   npm run api:token -- <caller> [scope...] [--days N]
+ *
+ *   npm run api:token -- dashboard admin:read
+ *   npm run api:token -- dashboard admin:read admin:write --days 7
+ *
+ * The caller name is recorded in the audit log for every write it makes.
+ * Tokens cannot be revoked individually; rotate JWT_SECRET to revoke them all.
+ */
+const config = require('../config/config');
+const jwt = require('../utils/jwt');
+const { SCOPES } = require('../server/routes/admin');
+
+const DEFAULT_DAYS = 30;
+
+function main() {
+    const args = process.argv.slice(2);
+    let days = DEFAULT_DAYS;
+
+    const daysIndex = args.indexOf('--days');
+    if (daysIndex !== -1) {
+        days = Number(args[daysIndex + 1]);
+        args.splice(daysIndex, 2);
+    }
+
+    const [caller, ...scopes] = args;
+    const validScopes = Object.values(SCOPES);
+
+    if (!config.security.jwtSecret) {
+        throw new Error('JWT_SECRET is not set');
+    }
+    if (!caller) {
+        throw new Error('Usage: npm run api:token -- <caller> [scope...] [--days N]');
+    }
+    if (!Number.isFinite(days) || days <= 0) {
+        throw new Error('--days must be a positive number');
+    }
+
+    for (const scope of scopes) {
+        if (!validScopes.includes(scope)) {
+            throw new Error(`Unknown scope ${scope}; use ${validScopes.join(' or ')}`);
+        }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign({
+        sub: caller,
+        aud: config.adminApi.audience,
+        scope: (scopes.length > 0 ? scopes : [SCOPES.read]).join(' '),
+        iat: now,
+        exp: now + Math.round(days * 24 * 60 * 60)
+    }, config.security.jwtSecret);
+
+    console.log(token);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
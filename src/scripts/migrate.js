@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI
+ *
+ * Usage:
+ *   npm run migrate -- status       Show applied and pending migrations
+ *   npm run migrate -- up           Apply all pending migrations
+ *   npm run migrate -- down [steps] Roll back the last migration(s), default 1
+ */
+const database = require('../api/database');
+
+async function main() {
+    const [command = 'status', argument] = process.argv.slice(2);
+
+    await database.connect({ migrate: false });
+
+    try {
+        switch (command) {
+            case 'status': {
+                const status = await database.migrator.status();
+                if (status.length === 0) {
+                    console.log('No migrations found.');
+                }
+                for (const entry of status) {
+                    const state = entry.applied ? `applied ${new Date(entry.appliedAt).toISOString()}` : 'pending';
+                    console.log(`${database.migrator.formatLabel(entry)}  ${state}`);
+                }
+                break;
+            }
+
+            case 'up': {
+                const applied = await database.migrator.migrate();
+                console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'Nothing to apply.');
+                break;
+            }
+
+            case 'down': {
+                const steps = argument ? parseInt(argument, 10) : 1;
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error('Steps must be a positive integer');
+                }
+
+                const rolledBack = await database.migrator.rollback(steps);
+                console.log(rolledBack.length > 0 ? `Rolled back: ${rolledBack.join(', ')}` : 'Nothing to roll back.');
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown command "${command}". Use status, up or down [steps].`);
+        }
+    } finally {
+        await database.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+});
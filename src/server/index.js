@@ -0,0 +1,99 @@
+const express = require('express');
+const helmet = require('helmet');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const createWebhookRouter = require('./routes/webhooks');
+const createHealthRouter = require('./routes/health');
+const createAdminRouter = require('./routes/admin');
+
+class WebServer {
+    constructor() {
+        this.app = null;
+        this.server = null;
+    }
+
+    /**
+     * Build the Express application
+     * @param {Client} client - Discord client used to notify buyers and checked by /readyz
+     * @returns {Express} - Configured application
+     */
+    createApp(client) {
+        const app = express();
+
+        app.disable('x-powered-by');
+        app.use(helmet());
+
+        // Heroku's router is the one proxy in front; req.ip is then the real client
+        app.set('trust proxy', 1);
+
+        // Keep the raw body around so webhook signatures can be verified
+        app.use(express.json({
+            limit: '1mb',
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
+
+        app.use(createHealthRouter(client));
+        app.use('/webhooks', createWebhookRouter(client));
+
+        if (config.security.jwtSecret) {
+            app.use('/api/admin', createAdminRouter());
+        } else {
+            logger.info('Admin API disabled (JWT_SECRET not set)');
+        }
+
+        app.use((req, res) => {
+            res.status(404).json({ error: 'Not found' });
+        });
+
+        app.use((err, req, res, next) => {
+            if (err.type === 'entity.parse.failed') {
+                res.status(400).json({ error: 'Invalid JSON body' });
+                return;
+            }
+
+            logger.error('HTTP request failed:', err);
+            res.status(500).json({ error: 'Internal server error' });
+        });
+
+        return app;
+    }
+
+    /**
+     * Start listening for HTTP requests
+     * @param {Client} client - Discord client used to notify buyers
+     * @param {number} port - Port to listen on
+     */
+    async start(client, port = config.app.port) {
+        this.app = this.createApp(client);
+
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, () => {
+                logger.info(`HTTP server listening on port ${this.server.address().port}`);
+                resolve(this.server);
+            });
+            this.server.once('error', reject);
+        });
+    }
+
+    /**
+     * Stop the HTTP server
+     */
+    async stop() {
+        return new Promise((resolve) => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+
+            this.server.close(() => {
+                logger.info('HTTP server closed');
+                this.server = null;
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = new WebServer();
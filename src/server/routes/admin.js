@@ -0,0 +1,415 @@
+const express = require('express');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const metrics = require('../../utils/metrics');
+const jwt = require('../../utils/jwt');
+const database = require('../../api/database');
+const licenseManager = require('../../services/licenseManager');
+const licenseTransfers = require('../../services/licenseTransfers');
+const staffNotifier = require('../../services/staffNotifier');
+const { buildRevocationEmbed } = require('../../bot/utils/staffEvents');
+
+// Token scopes; write access does not include read access
+const SCOPES = {
+    read: 'admin:read',
+    write: 'admin:write'
+};
+
+const REDEMPTION_STATUSES = ['pending', 'redeemed', 'partial', 'revoked'];
+const REVOKE_ACTIONS = ['ban', 'delete'];
+
+// HTTP status for each licenseManager error
+const ERROR_STATUS = {
+    NOT_FOUND: 404,
+    ALREADY_REVOKED: 409,
+    NOT_REDEEMED: 409,
+    CHANGED: 409,
+    PRODUCT_NOT_FOUND: 422,
+    KEYAUTH_FAILED: 502
+};
+
+const ERROR_MESSAGES = {
+    NOT_FOUND: 'No redemption was found for this invoice',
+    ALREADY_REVOKED: 'The license is already revoked',
+    NOT_REDEEMED: 'The redemption is still in progress',
+    CHANGED: 'The license changed while the request was processed; reload and try again',
+    PRODUCT_NOT_FOUND: 'The product is no longer in the catalog',
+    KEYAUTH_FAILED: 'KeyAuth did not accept the change; keys it already accepted stay changed, retry to finish'
+};
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Read ?page and ?pageSize
+ * @returns {object} - { page, pageSize, offset }
+ */
+function parsePagination(query) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? config.adminApi.defaultPageSize : Number(query.pageSize);
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ApiError(400, 'page must be a positive integer');
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > config.adminApi.maxPageSize) {
+        throw new ApiError(400, `pageSize must be between 1 and ${config.adminApi.maxPageSize}`);
+    }
+
+    return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+function paginated(data, total, { page, pageSize }) {
+    return {
+        data,
+        pagination: {
+            page,
+            pageSize,
+            total,
+            totalPages: Math.ceil(total / pageSize)
+        }
+    };
+}
+
+/**
+ * Read an optional query parameter; a repeated one (?a=1&a=2) arrives as an array
+ * @returns {string|undefined} - Value, or undefined if not given
+ */
+function readQuery(query, name) {
+    const value = query[name];
+    if (value !== undefined && typeof value !== 'string') {
+        throw new ApiError(400, `${name} must be a single value`);
+    }
+
+    return value;
+}
+
+function parseDate(value, name) {
+    if (value === undefined) {
+        return null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be an ISO 8601 date`);
+    }
+
+    return date;
+}
+
+function readReason(body) {
+    const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) {
+        throw new ApiError(400, 'reason is required');
+    }
+    if (reason.length > 500) {
+        throw new ApiError(400, 'reason must be at most 500 characters');
+    }
+
+    return reason;
+}
+
+/**
+ * Convert a stored timestamp to ISO 8601
+ */
+function toIsoTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+
+    // SQLite stores CURRENT_TIMESTAMP as UTC without a zone marker
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+        ? new Date(`${value.replace(' ', 'T')}Z`)
+        : new Date(value);
+
+    return isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+function parseJson(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        return value;
+    }
+}
+
+function formatRedemption(record) {
+    return {
+        invoiceId: record.invoice_id,
+        status: record.status,
+        discordUserId: record.discord_user_id,
+        discordUsername: record.discord_username,
+        licenseKey: record.license_key,
+        productId: record.product_id,
+        productName: record.product_name,
+        amount: record.amount,
+        currency: record.currency,
+        customerEmail: record.customer_email,
+        guildId: record.guild_id || null,
+        redeemedAt: toIsoTimestamp(record.redeemed_at),
+        revokedAt: toIsoTimestamp(record.revoked_at),
+        revokedBy: record.revoked_by || null,
+        revocationReason: record.revocation_reason || null,
+        licenseKeys: (record.keys || []).map(formatLicenseKey)
+    };
+}
+
+function formatLicenseKey(key) {
+    return {
+        itemIndex: Number(key.item_index),
+        unit: Number(key.unit),
+        productId: key.product_id || null,
+        productName: key.product_name || null,
+        position: Number(key.position),
+        appId: key.app_id,
+        appName: key.app_name || null,
+        licenseKey: key.license_key,
+        level: key.keyauth_level,
+        expiryDays: key.expiry_days === null ? null : Number(key.expiry_days),
+        status: key.status
+    };
+}
+
+function formatTransfer(transfer) {
+    return {
+        id: transfer.id,
+        fromUserId: transfer.from_user_id,
+        toUserId: transfer.to_user_id,
+        status: transfer.status,
+        initiatedBy: transfer.initiated_by,
+        reason: transfer.reason,
+        createdAt: toIsoTimestamp(transfer.created_at),
+        expiresAt: toIsoTimestamp(transfer.expires_at),
+        completedAt: toIsoTimestamp(transfer.completed_at)
+    };
+}
+
+function formatAuditEntry(entry) {
+    return {
+        id: entry.id,
+        userId: entry.user_id,
+        action: entry.action,
+        guildId: entry.guild_id || null,
+        data: parseJson(entry.data),
+        ipAddress: entry.ip_address,
+        userAgent: entry.user_agent,
+        timestamp: toIsoTimestamp(entry.timestamp)
+    };
+}
+
+/**
+ * Create the router for the admin REST API. Callers authenticate with
+ * HS256 JWTs signed with JWT_SECRET; see src/scripts/createApiToken.js.
+ * @returns {Router} - Express router
+ */
+function createAdminRouter() {
+    const router = express.Router();
+
+    // Per-IP limit, checked before authentication so token guessing is throttled too
+    const limiter = new RateLimiterMemory({
+        points: config.adminApi.requestsPerMinute,
+        duration: 60
+    });
+
+    router.use(async (req, res, next) => {
+        try {
+            const result = await limiter.consume(req.ip);
+            res.set('X-RateLimit-Remaining', String(result.remainingPoints));
+            next();
+        } catch (rejection) {
+            metrics.rateLimitRejections.inc({ limit: 'admin_api' });
+            res.set('Retry-After', String(Math.ceil(rejection.msBeforeNext / 1000)));
+            res.status(429).json({ error: 'Too many requests' });
+        }
+    });
+
+    router.use((req, res, next) => {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            res.status(401).json({ error: 'Missing bearer token' });
+            return;
+        }
+
+        const result = jwt.verify(token, config.security.jwtSecret, { audience: config.adminApi.audience });
+        if (!result.valid || typeof result.payload.sub !== 'string' || !result.payload.sub) {
+            logger.warn(`Rejected admin API token from ${req.ip}: ${result.error || 'missing sub claim'}`);
+            res.status(401).json({ error: 'Invalid token' });
+            return;
+        }
+
+        req.apiCaller = {
+            id: `api:${result.payload.sub}`,
+            scopes: String(result.payload.scope || '').split(' ').filter(Boolean)
+        };
+        next();
+    });
+
+    const requireScope = (scope) => (req, res, next) => {
+        if (!req.apiCaller.scopes.includes(scope)) {
+            res.status(403).json({ error: `Token lacks the ${scope} scope` });
+            return;
+        }
+        next();
+    };
+
+    // Express 4 doesn't catch rejected promises from async handlers
+    const handle = (fn) => (req, res, next) => Promise.resolve(fn(req, res)).catch(next);
+
+    const auditWrite = (req, action, details) => database.logAction(
+        req.apiCaller.id,
+        action,
+        details,
+        req.ip,
+        req.get('User-Agent') || null
+    );
+
+    router.get('/redemptions', requireScope(SCOPES.read), handle(async (req, res) => {
+        const pagination = parsePagination(req.query);
+        const status = readQuery(req.query, 'status');
+        const search = readQuery(req.query, 'search');
+
+        if (status !== undefined && !REDEMPTION_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of ${REDEMPTION_STATUSES.join(', ')}`);
+        }
+
+        const { records, total } = await database.searchRedemptions({
+            status,
+            userId: readQuery(req.query, 'userId'),
+            productId: readQuery(req.query, 'productId'),
+            guildId: readQuery(req.query, 'guildId'),
+            search: search ? search.trim() : null,
+            from: parseDate(readQuery(req.query, 'from'), 'from'),
+            to: parseDate(readQuery(req.query, 'to'), 'to')
+        }, pagination.pageSize, pagination.offset);
+
+        res.json(paginated(records.map(formatRedemption), total, pagination));
+    }));
+
+    router.get('/redemptions/:invoiceId', requireScope(SCOPES.read), handle(async (req, res) => {
+        const record = await licenseManager.findRecord({ invoiceId: req.params.invoiceId });
+        if (!record) {
+            throw new ApiError(404, ERROR_MESSAGES.NOT_FOUND);
+        }
+
+        await database.attachKeys([record]);
+        const transfers = await licenseTransfers.getHistory(record.invoice_id);
+        const { entries } = await database.getAuditLog({ invoiceId: record.invoice_id }, 50, 0);
+
+        res.json({
+            data: {
+                ...formatRedemption(record),
+                transfers: transfers.map(formatTransfer),
+                auditLog: entries.map(formatAuditEntry)
+            }
+        });
+    }));
+
+    router.post('/redemptions/:invoiceId/revoke', requireScope(SCOPES.write), handle(async (req, res) => {
+        const reason = readReason(req.body);
+        const mode = req.body.action || 'ban';
+
+        if (!REVOKE_ACTIONS.includes(mode)) {
+            throw new ApiError(400, `action must be one of ${REVOKE_ACTIONS.join(', ')}`);
+        }
+
+        const result = await licenseManager.revoke({
+            invoiceId: req.params.invoiceId,
+            reason,
+            revokedBy: req.apiCaller.id,
+            mode
+        });
+
+        await auditWrite(req, 'admin_api_revoke', {
+            guildId: result.record?.guild_id || null,
+            invoiceId: result.record?.invoice_id || req.params.invoiceId,
+            reason,
+            keyAuthAction: mode,
+            result: result.success ? 'revoked' : result.error
+        });
+
+        if (!result.success) {
+            throw new ApiError(ERROR_STATUS[result.error] || 500, ERROR_MESSAGES[result.error] || 'Revocation failed');
+        }
+
+        await staffNotifier.notify(
+            'revocation',
+            buildRevocationEmbed(result.record, { revokedBy: req.apiCaller.id, reason, mode, licenseKeys: result.licenseKeys }),
+            result.record.guild_id
+        );
+
+        await database.attachKeys([result.record]);
+        res.json({ data: formatRedemption(result.record) });
+    }));
+
+    router.post('/redemptions/:invoiceId/reissue', requireScope(SCOPES.write), handle(async (req, res) => {
+        const reason = readReason(req.body);
+
+        const result = await licenseManager.reissue({
+            invoiceId: req.params.invoiceId,
+            reason,
+            reissuedBy: req.apiCaller.id
+        });
+
+        await auditWrite(req, 'admin_api_reissue', {
+            guildId: result.record?.guild_id || null,
+            invoiceId: result.record?.invoice_id || req.params.invoiceId,
+            reason,
+            result: result.success ? 'reissued' : result.error,
+            oldLicenseKey: result.oldLicenseKey,
+            reissued: result.reissued
+        });
+
+        if (!result.success) {
+            throw new ApiError(ERROR_STATUS[result.error] || 500, ERROR_MESSAGES[result.error] || 'Reissue failed');
+        }
+
+        await database.attachKeys([result.record]);
+        res.json({
+            data: {
+                ...formatRedemption(result.record),
+                previousLicenseKey: result.oldLicenseKey,
+                reissued: result.reissued
+            }
+        });
+    }));
+
+    router.get('/audit-log', requireScope(SCOPES.read), handle(async (req, res) => {
+        const pagination = parsePagination(req.query);
+
+        const { entries, total } = await database.getAuditLog({
+            userId: readQuery(req.query, 'userId'),
+            action: readQuery(req.query, 'action'),
+            invoiceId: readQuery(req.query, 'invoiceId'),
+            guildId: readQuery(req.query, 'guildId')
+        }, pagination.pageSize, pagination.offset);
+
+        res.json(paginated(entries.map(formatAuditEntry), total, pagination));
+    }));
+
+    router.get('/stats', requireScope(SCOPES.read), handle(async (req, res) => {
+        res.json({ data: await database.getRedemptionStats() });
+    }));
+
+    router.use((req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+
+    router.use((err, req, res, next) => {
+        if (err instanceof ApiError) {
+            res.status(err.status).json({ error: err.message });
+            return;
+        }
+
+        // Body parse errors are answered by the app's error handler
+        next(err);
+    });
+
+    return router;
+}
+
+module.exports = createAdminRouter;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const metrics = require('../../utils/metrics');
+const healthMonitor = require('../../services/healthMonitor');
+
+/**
+ * Check the bearer token sent to /metrics, if one is configured
+ */
+function isMetricsAuthorized(req) {
+    if (!config.health.metricsToken) {
+        return true;
+    }
+
+    const header = req.get('Authorization') || '';
+    const expected = Buffer.from(`Bearer ${config.health.metricsToken}`);
+    const received = Buffer.from(header);
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Create the router for uptime probes and Prometheus scraping
+ * @param {Client} client - Discord client whose gateway connection is checked
+ * @returns {Router} - Express router
+ */
+function createHealthRouter(client) {
+    const router = express.Router();
+
+    // Liveness: the process is up and serving HTTP
+    router.get('/healthz', (req, res) => {
+        res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+    });
+
+    // Readiness: redemptions can be served right now
+    router.get('/readyz', async (req, res) => {
+        try {
+            const { ready, checks } = await healthMonitor.getReadiness(client);
+            res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+        } catch (error) {
+            logger.error('Readiness check failed:', error);
+            res.status(503).json({ status: 'not_ready' });
+        }
+    });
+
+    router.get('/metrics', (req, res) => {
+        if (!isMetricsAuthorized(req)) {
+            res.status(401).json({ error: 'Unauthorized' });
+            return;
+        }
+
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.render(client));
+    });
+
+    return router;
+}
+
+module.exports = createHealthRouter;
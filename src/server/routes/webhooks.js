@@ -0,0 +1,199 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const database = require('../../api/database');
+const tenants = require('../../api/tenants');
+const redemptionService = require('../../services/redemptionService');
+const { deliverLicenseDM } = require('../../bot/utils/redemptionReplies');
+
+const { RedemptionStatus } = redemptionService;
+
+// SellAuth event names that mean the buyer has paid and the order is complete
+const ORDER_COMPLETED_EVENTS = ['order.completed', 'invoice.completed', 'invoice.paid'];
+
+/**
+ * Create the router for incoming SellAuth webhooks. The default shop posts to
+ * /sellauth; each tenant shop posts to /sellauth/<guild ID>.
+ * @param {Client} client - Discord client used to DM buyers their keys
+ * @returns {Router} - Express router
+ */
+function createWebhookRouter(client) {
+    const router = express.Router();
+
+    router.post('/sellauth', async (req, res) => {
+        await handleWebhook(client, req, res, tenants.getDefaultClients());
+    });
+
+    router.post('/sellauth/:guildId', async (req, res) => {
+        // Only guilds with a tenant of their own have a webhook URL
+        let clients;
+        try {
+            const tenantId = await tenants.resolveTenantId(req.params.guildId);
+            clients = tenantId ? await tenants.getTenantClients(tenantId) : null;
+        } catch (error) {
+            logger.error(`Failed to load tenant ${req.params.guildId} for SellAuth webhook:`, error);
+            res.status(500).json({ error: 'Webhook processing failed' });
+            return;
+        }
+
+        await handleWebhook(client, req, res, clients);
+    });
+
+    return router;
+}
+
+/**
+ * Verify a webhook delivery for a shop and redeem the order it reports
+ * @param {Client} client - Discord client
+ * @param {object} clients - API clients of the shop the webhook is for, or null if it is not set up
+ */
+async function handleWebhook(client, req, res, clients) {
+    if (!clients) {
+        res.status(404).json({ error: 'Unknown shop' });
+        return;
+    }
+
+    const signature = req.get('X-Signature');
+
+    if (!clients.sellauth.verifyWebhookSignature(req.rawBody, signature)) {
+        logger.warn(`Rejected SellAuth webhook with invalid signature from ${req.ip}`);
+        res.status(401).json({ error: 'Invalid signature' });
+        return;
+    }
+
+    const payload = req.body || {};
+    const event = String(payload.event || payload.type || '').toLowerCase();
+
+    if (!ORDER_COMPLETED_EVENTS.includes(event)) {
+        logger.debug(`Ignoring SellAuth webhook event: ${event || 'unknown'}`);
+        res.status(200).json({ status: 'ignored' });
+        return;
+    }
+
+    const invoiceData = payload.data?.invoice || payload.data || payload.invoice;
+    if (!invoiceData || !invoiceData.id) {
+        res.status(400).json({ error: 'Missing invoice data' });
+        return;
+    }
+
+    try {
+        const result = await handleOrderCompleted(client, clients, invoiceData, req.ip);
+        res.status(result.httpStatus).json({ status: result.status });
+    } catch (error) {
+        logger.error(`SellAuth webhook processing failed for invoice ${invoiceData.id}:`, error);
+        // Non-2xx makes SellAuth retry the delivery later
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+}
+
+/**
+ * Create and deliver a license for a completed SellAuth order
+ * @param {Client} client - Discord client
+ * @param {object} clients - API clients of the shop the order belongs to
+ * @param {object} invoiceData - Invoice data from the webhook payload
+ * @param {string} ipAddress - Address the webhook was received from
+ * @returns {object} - Processing status and the HTTP status to answer with
+ */
+async function handleOrderCompleted(client, clients, invoiceData, ipAddress) {
+    const invoiceId = String(invoiceData.id);
+    // Tenant orders are redeemed in the tenant's guild; null for the default shop
+    const guildId = clients.tenantId;
+
+    const discordUserId = clients.sellauth.extractDiscordId(invoiceData);
+    if (!discordUserId) {
+        // Without a Discord account there is nobody to deliver to, so leave the
+        // invoice unredeemed for the buyer to claim through /redeem
+        logger.info(`Invoice ${invoiceId} has no Discord ID field - awaiting manual redemption`);
+        return { status: 'awaiting_manual_redemption', httpStatus: 202 };
+    }
+
+    // The signed order comes from SellAuth, so neither the per-user limit nor
+    // the purchase email check applies
+    const outcome = await redemptionService.redeem({
+        invoiceId,
+        userId: discordUserId,
+        guildId,
+        source: 'sellauth_webhook',
+        invoiceData,
+        skipRateLimit: true,
+        skipEmailCheck: true
+    });
+
+    switch (outcome.status) {
+        case RedemptionStatus.SUCCESS:
+            break;
+
+        case RedemptionStatus.INVALID_INVOICE_ID:
+        case RedemptionStatus.VERIFICATION_FAILED:
+            logger.warn(`Webhook invoice ${invoiceId} failed validation: ${outcome.reason}`);
+            await logSkipped(discordUserId, guildId, invoiceId, outcome, ipAddress);
+            return { status: 'invalid_invoice', httpStatus: 200 };
+
+        case RedemptionStatus.ALREADY_REDEEMED:
+        case RedemptionStatus.IN_PROGRESS:
+            logger.info(`Webhook for invoice ${invoiceId} ignored: ${outcome.reason}`);
+            return { status: 'already_redeemed', httpStatus: 200 };
+
+        case RedemptionStatus.NOT_CONFIGURED:
+        case RedemptionStatus.RATE_LIMITED:
+        case RedemptionStatus.EMAIL_REQUIRED:
+        case RedemptionStatus.EMAIL_MISMATCH:
+        case RedemptionStatus.EMAIL_LOCKED:
+            // A retry would end the same way; the invoice stays unused for /redeem
+            logger.warn(`Webhook invoice ${invoiceId} left for manual redemption: ${outcome.status}`);
+            await logSkipped(discordUserId, guildId, invoiceId, outcome, ipAddress);
+            return { status: 'awaiting_manual_redemption', httpStatus: 202 };
+
+        default:
+            // Key creation or the database failed; answering 5xx makes SellAuth retry
+            throw new Error(`Redemption failed (${outcome.status}): ${outcome.error}`);
+    }
+
+    const delivered = await sendLicenseDM(client, discordUserId, outcome);
+
+    await database.logAction(discordUserId, 'webhook_license_delivered', {
+        guildId,
+        invoiceId,
+        licenseKey: outcome.licenseKey,
+        dmDelivered: delivered
+    }, ipAddress, 'sellauth-webhook');
+
+    if (outcome.partial) {
+        // SellAuth retries non-2xx deliveries, and each retry delivers only the missing items
+        logger.warn(`Webhook invoice ${invoiceId} was only partly delivered (${outcome.missingUnits} item(s) missing)`);
+        return { status: 'partially_redeemed', httpStatus: 503 };
+    }
+
+    return { status: 'redeemed', httpStatus: 200 };
+}
+
+/**
+ * Audit a webhook order that was not redeemed and will not be retried
+ */
+async function logSkipped(discordUserId, guildId, invoiceId, outcome, ipAddress) {
+    await database.logAction(discordUserId, 'webhook_redemption_skipped', {
+        guildId,
+        invoiceId,
+        status: outcome.status,
+        reason: outcome.reason || outcome.error || null
+    }, ipAddress, 'sellauth-webhook');
+}
+
+/**
+ * DM a freshly created license key to the buyer
+ * @returns {boolean} - True if the DM was delivered
+ */
+async function sendLicenseDM(client, discordUserId, outcome) {
+    if (!client) {
+        return false;
+    }
+
+    try {
+        const user = await client.users.fetch(discordUserId);
+        return await deliverLicenseDM(user, outcome);
+    } catch (error) {
+        logger.warn(`Failed to fetch user ${discordUserId} for license delivery:`, error.message);
+        return false;
+    }
+}
+
+module.exports = createWebhookRouter;
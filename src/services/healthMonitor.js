@@ -0,0 +1,127 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const database = require('../api/database');
+const tenants = require('../api/tenants');
+
+// External APIs probed in the background, by the name used in /readyz and /metrics
+const UPSTREAMS = ['keyauth', 'sellauth'];
+
+/**
+ * Tracks whether the bot can serve redemptions. KeyAuth and SellAuth are
+ * probed on a timer so /readyz never waits on them; the Discord gateway and
+ * the database are checked on each request because that is cheap.
+ *
+ * Only the default shop from the environment is probed. Tenant shops report
+ * their outages to their own staff log instead, so one guild's bad
+ * credentials can't mark the whole bot unready.
+ */
+class HealthMonitor {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        // name -> { healthy, checkedAt, latencyMs }
+        this.upstreams = new Map();
+    }
+
+    /**
+     * Re-check KeyAuth and SellAuth on the configured interval
+     */
+    start() {
+        this.timer = setInterval(() => this.checkUpstreams(), config.health.checkIntervalSeconds * 1000);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop the schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Probe every external API and cache the results
+     * @returns {object} - Results by API name
+     */
+    async checkUpstreams() {
+        if (this.running) {
+            return this.getUpstreams();
+        }
+
+        const clients = tenants.getDefaultClients();
+        if (!clients) {
+            return this.getUpstreams();
+        }
+
+        this.running = true;
+        try {
+            for (const name of UPSTREAMS) {
+                const startedAt = Date.now();
+                const healthy = await clients[name].testConnection();
+                const previous = this.upstreams.get(name);
+
+                this.upstreams.set(name, { healthy, checkedAt: new Date().toISOString(), latencyMs: Date.now() - startedAt });
+                metrics.upstreamUp.set({ service: name }, healthy ? 1 : 0);
+
+                if (previous && previous.healthy !== healthy) {
+                    if (healthy) {
+                        logger.info(`Health check: ${name} recovered`);
+                    } else {
+                        logger.warn(`Health check: ${name} is unreachable`);
+                    }
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return this.getUpstreams();
+    }
+
+    /**
+     * Last cached result for each external API
+     * @returns {object} - Results by API name; never-checked APIs count as unhealthy.
+     *                     Empty when there is no default shop to check.
+     */
+    getUpstreams() {
+        const results = {};
+
+        if (!tenants.getDefaultClients()) {
+            return results;
+        }
+
+        for (const name of UPSTREAMS) {
+            results[name] = this.upstreams.get(name) || { healthy: false, checkedAt: null, latencyMs: null };
+        }
+
+        return results;
+    }
+
+    /**
+     * Check everything a redemption needs
+     * @param {Client} client - Discord client
+     * @returns {object} - { ready, checks }
+     */
+    async getReadiness(client) {
+        const checks = {
+            discord: {
+                healthy: !!client?.isReady(),
+                ping: client?.isReady() ? client.ws.ping : null
+            },
+            database: {
+                healthy: await database.testConnection()
+            },
+            ...this.getUpstreams()
+        };
+
+        return {
+            ready: Object.values(checks).every(check => check.healthy),
+            checks
+        };
+    }
+}
+
+module.exports = new HealthMonitor();
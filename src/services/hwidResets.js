@@ -0,0 +1,140 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const database = require('../api/database');
+const tenants = require('../api/tenants');
+const licenseManager = require('./licenseManager');
+const licenseStatus = require('./licenseStatus');
+
+/**
+ * Self-service HWID resets. Owners can clear the hardware lock on their own
+ * keys in KeyAuth, at most once per key every HWID_RESET_COOLDOWN_HOURS.
+ */
+class HwidResets {
+    constructor() {
+        // Keys with a reset in flight, so a double click can't reset twice
+        this.inFlight = new Set();
+    }
+
+    /**
+     * Get a user's keys that can have their HWID reset, with cooldown state.
+     * An invoice with several keys contributes one entry per key.
+     * @param {string} userId - Discord user ID
+     * @param {object} scope - Only list keys of this guild's shop (from tenants.getScope)
+     * @returns {Array<object>} - License rows with the key's license_key, app_name and
+     *                            availableAt (null when resettable now)
+     */
+    async getResettableLicenses(userId, scope = null) {
+        const licenses = await database.getUserLicenses(userId, scope);
+        const keys = licenses
+            .filter(license => license.status !== 'revoked')
+            .flatMap(license => license.keys
+                .filter(key => key.status === 'active')
+                .map(key => ({ ...license, license_key: key.license_key, app_id: key.app_id, app_name: key.app_name })));
+
+        return Promise.all(keys.map(async license => ({
+            ...license,
+            availableAt: await this.getCooldownEnd(license.license_key)
+        })));
+    }
+
+    /**
+     * Reset the HWID of one of the user's keys
+     * @param {object} request - Reset request
+     * @param {string} request.licenseKey - Key to reset
+     * @param {string} request.userId - Discord user asking for the reset
+     * @param {string} request.source - Where the reset was requested from
+     * @param {object} request.scope - Only reset keys of this guild's shop (from tenants.getScope)
+     * @returns {object} - { success, record, licenseKey } or { success: false, error, availableAt }
+     */
+    async resetHwid({ licenseKey, userId, source, scope = null }) {
+        const record = await licenseManager.findRecord({ licenseKey, scope });
+
+        if (!record || record.discord_user_id !== userId) {
+            return { success: false, error: 'NOT_OWNER' };
+        }
+
+        const key = await database.getLicenseKey(licenseKey.trim());
+        if (!['redeemed', 'partial'].includes(record.status) || key?.status !== 'active') {
+            return { success: false, error: 'NOT_RESETTABLE' };
+        }
+
+        if (this.inFlight.has(key.license_key)) {
+            return { success: false, error: 'IN_PROGRESS' };
+        }
+
+        this.inFlight.add(key.license_key);
+        try {
+            const availableAt = await this.getCooldownEnd(key.license_key);
+            if (availableAt) {
+                metrics.rateLimitRejections.inc({ limit: 'hwid_reset' });
+                return { success: false, error: 'COOLDOWN', availableAt };
+            }
+
+            const keyauth = await tenants.getKeyAuth(record.guild_id, key.app_id);
+            const reset = keyauth ? await keyauth.resetHwid(key.license_key) : false;
+            if (!reset) {
+                await database.logAction(userId, 'hwid_reset_failed', {
+                    guildId: scope ? scope.guildId : record.guild_id,
+                    invoiceId: record.invoice_id,
+                    licenseKey: key.license_key,
+                    source
+                });
+                return { success: false, error: 'KEYAUTH_FAILED' };
+            }
+
+            licenseStatus.invalidate(key.license_key);
+
+            await database.run(
+                `INSERT INTO hwid_resets (license_key, invoice_id, discord_user_id, source, reset_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [key.license_key, record.invoice_id, userId, source, new Date().toISOString()]
+            );
+
+            await database.logAction(userId, 'hwid_reset', {
+                guildId: scope ? scope.guildId : record.guild_id,
+                invoiceId: record.invoice_id,
+                licenseKey: key.license_key,
+                source
+            });
+            logger.info(`HWID reset for invoice ${record.invoice_id} by ${userId} via ${source}`);
+
+            return {
+                success: true,
+                record,
+                licenseKey: key.license_key,
+                availableAt: new Date(Date.now() + this.getCooldownMs())
+            };
+        } finally {
+            this.inFlight.delete(key.license_key);
+        }
+    }
+
+    /**
+     * When the key's cooldown ends
+     * @param {string} licenseKey - License key
+     * @returns {Date|null} - End of the cooldown, or null if the key can be reset now
+     */
+    async getCooldownEnd(licenseKey) {
+        const last = await database.get(
+            'SELECT reset_at FROM hwid_resets WHERE license_key = ? ORDER BY reset_at DESC LIMIT 1',
+            [licenseKey]
+        );
+
+        if (!last) {
+            return null;
+        }
+
+        const availableAt = new Date(new Date(last.reset_at).getTime() + this.getCooldownMs());
+        return availableAt > new Date() ? availableAt : null;
+    }
+
+    /**
+     * Cooldown between resets of one key in milliseconds
+     */
+    getCooldownMs() {
+        return config.security.hwidResetCooldownHours * 60 * 60 * 1000;
+    }
+}
+
+module.exports = new HwidResets();
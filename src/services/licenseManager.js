@@ -0,0 +1,291 @@
+const logger = require('../utils/logger');
+const database = require('../api/database');
+const SellAuthAPI = require('../api/sellauth');
+const catalog = require('../api/catalog');
+const tenants = require('../api/tenants');
+const licenseStatus = require('./licenseStatus');
+
+// Invoice statuses with keys that can be revoked or reissued
+const REDEEMED_STATUSES = ['redeemed', 'partial'];
+
+/**
+ * Staff-side license operations that have to stay in sync with KeyAuth
+ */
+class LicenseManager {
+    /**
+     * Find a redemption record by invoice ID or license key
+     * @param {object} query - Lookup
+     * @param {string} query.invoiceId - SellAuth invoice ID as entered
+     * @param {string} query.licenseKey - License key
+     * @param {object} query.scope - Only match records of this guild (from tenants.getScope)
+     * @returns {object|null} - Redemption record or null if none matches
+     */
+    async findRecord({ invoiceId = null, licenseKey = null, scope = null }) {
+        let record = null;
+
+        if (licenseKey) {
+            record = await database.getInvoiceRecordByKey(licenseKey.trim());
+        } else if (invoiceId) {
+            try {
+                record = await database.getInvoiceRecord(SellAuthAPI.sanitizeInvoiceId(invoiceId));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return record && tenants.inScope(record, scope) ? record : null;
+    }
+
+    /**
+     * Revoke a redeemed license: ban or delete every delivered key of the invoice in
+     * KeyAuth, then mark the redemption revoked. The row is kept so the invoice
+     * cannot be redeemed again. A key given by value revokes its whole invoice.
+     * Each key is marked revoked as soon as KeyAuth accepts it, so retrying a
+     * revocation that failed part way only handles the keys still active.
+     * @param {object} request - Revocation request
+     * @param {string} request.invoiceId - Invoice to revoke (or licenseKey)
+     * @param {string} request.licenseKey - Key to revoke (or invoiceId)
+     * @param {string} request.reason - Why the license is revoked
+     * @param {string} request.revokedBy - Discord user ID of the staff member, or API caller
+     * @param {string} request.mode - 'ban' keeps the keys in KeyAuth as banned, 'delete' removes them
+     * @param {object} request.scope - Only revoke records of this guild (from tenants.getScope)
+     * @returns {object} - { success, record, licenseKeys } or { success: false, error, record }
+     */
+    async revoke({ invoiceId = null, licenseKey = null, reason, revokedBy, mode = 'ban', scope = null }) {
+        const record = await this.findRecord({ invoiceId, licenseKey, scope });
+
+        if (!record) {
+            return { success: false, error: 'NOT_FOUND', record: null };
+        }
+
+        if (record.status === 'revoked') {
+            return { success: false, error: 'ALREADY_REVOKED', record };
+        }
+
+        if (!REDEEMED_STATUSES.includes(record.status) || !record.license_key) {
+            return { success: false, error: 'NOT_REDEEMED', record };
+        }
+
+        const invoiceKeys = await database.getInvoiceKeys(record.invoice_id);
+        const keys = invoiceKeys.filter(key => key.status === 'active');
+        const clients = await this.getKeyClients(record, keys);
+        if (!clients) {
+            logger.warn(`Cannot revoke invoice ${record.invoice_id}: a KeyAuth application of its shop is no longer set up`);
+            return { success: false, error: 'KEYAUTH_FAILED', record };
+        }
+
+        // Revoke in KeyAuth first so a key is never shown as revoked while still working
+        for (const [index, key] of keys.entries()) {
+            const keyRevoked = mode === 'delete'
+                ? await clients[index].deleteLicense(key.license_key)
+                : await clients[index].banLicense(key.license_key, reason);
+
+            if (!keyRevoked) {
+                logger.warn(`KeyAuth ${mode} of key ${key.license_key} failed while revoking invoice ${record.invoice_id}`);
+                return { success: false, error: 'KEYAUTH_FAILED', record };
+            }
+
+            await database.markKeyRevoked(record.invoice_id, key.license_key);
+            licenseStatus.invalidate(key.license_key);
+        }
+
+        const revoked = await database.revokeRedemption(record.invoice_id, revokedBy, reason);
+        if (!revoked) {
+            // A parallel revocation got there first
+            return { success: false, error: 'ALREADY_REVOKED', record: await database.getInvoiceRecord(record.invoice_id) };
+        }
+
+        // Including keys revoked by an earlier attempt
+        const licenseKeys = invoiceKeys
+            .filter(key => key.status === 'active' || key.status === 'revoked')
+            .map(key => key.license_key);
+
+        await database.logAction(record.discord_user_id, 'license_revoked', {
+            guildId: record.guild_id,
+            invoiceId: record.invoice_id,
+            licenseKey: record.license_key,
+            licenseKeys,
+            revokedBy,
+            reason,
+            keyAuthAction: mode
+        });
+
+        logger.info(`${licenseKeys.length} key(s) for invoice ${record.invoice_id} revoked (${mode}) by ${revokedBy}: ${reason}`);
+
+        return {
+            success: true,
+            record: await database.getInvoiceRecord(record.invoice_id),
+            licenseKeys
+        };
+    }
+
+    /**
+     * Replace redeemed keys with new ones, e.g. after a key leaked. A key
+     * given by value replaces only that key; an invoice replaces all of its
+     * keys. New keys are created first so the owner is never left without
+     * one. Each key is then swapped and its old key banned; if the ban fails,
+     * the swap is undone and the new key deleted, so the old and the new key
+     * are never both left working.
+     * @param {object} request - Reissue request
+     * @param {string} request.invoiceId - Invoice to reissue (or licenseKey)
+     * @param {string} request.licenseKey - Key to replace (or invoiceId)
+     * @param {string} request.reason - Why the key is replaced
+     * @param {string} request.reissuedBy - Who asked for it (Discord user ID or API caller)
+     * @param {object} request.scope - Only reissue records of this guild (from tenants.getScope)
+     * @returns {object} - { success, record, reissued: [{ oldLicenseKey, licenseKey }], oldLicenseKey } (the last for the
+     *                     first replaced key) or { success: false, error, record, reissued } with the keys replaced before the failure
+     */
+    async reissue({ invoiceId = null, licenseKey = null, reason, reissuedBy, scope = null }) {
+        const record = await this.findRecord({ invoiceId, licenseKey, scope });
+
+        if (!record) {
+            return { success: false, error: 'NOT_FOUND', record: null };
+        }
+
+        if (!REDEEMED_STATUSES.includes(record.status) || !record.license_key) {
+            return { success: false, error: record.status === 'revoked' ? 'ALREADY_REVOKED' : 'NOT_REDEEMED', record };
+        }
+
+        const keys = (await database.getInvoiceKeys(record.invoice_id))
+            .filter(key => key.status === 'active' && (!licenseKey || key.license_key === licenseKey.trim()));
+        if (keys.length === 0) {
+            return { success: false, error: 'NOT_REDEEMED', record };
+        }
+
+        // New keys get their product's current level, expiry and key template
+        const products = new Map();
+        for (const key of keys) {
+            const productId = this.getProductId(record, key);
+            if (!products.has(productId)) {
+                products.set(productId, await catalog.getProduct(productId, record.guild_id));
+            }
+
+            if (!products.get(productId)) {
+                return { success: false, error: 'PRODUCT_NOT_FOUND', record };
+            }
+        }
+
+        const clients = await this.getKeyClients(record, keys);
+        if (!clients) {
+            logger.warn(`Cannot reissue invoice ${record.invoice_id}: a KeyAuth application of its shop is no longer set up`);
+            return { success: false, error: 'KEYAUTH_FAILED', record };
+        }
+
+        const invoiceData = { product_name: record.product_name, amount: record.amount, currency: record.currency };
+        const replacements = [];
+
+        for (const [index, key] of keys.entries()) {
+            const product = products.get(this.getProductId(record, key));
+            const created = await clients[index].createLicenseForRedemption(
+                record.invoice_id,
+                record.discord_user_id,
+                invoiceData,
+                product,
+                this.getEntitlement(product, key)
+            );
+
+            if (!created.success) {
+                logger.warn(`KeyAuth refused the new key while reissuing invoice ${record.invoice_id}: ${created.error}`);
+                await this.deleteKeys(replacements);
+                return { success: false, error: 'KEYAUTH_FAILED', record };
+            }
+
+            replacements.push({ key, keyauth: clients[index], licenseKey: created.licenseKey });
+        }
+
+        const reissued = [];
+        let error = null;
+        for (const [index, replacement] of replacements.entries()) {
+            const oldLicenseKey = replacement.key.license_key;
+
+            const replaced = await database.replaceLicenseKey(record.invoice_id, oldLicenseKey, replacement.licenseKey);
+            if (!replaced) {
+                // Revoked, transferred or reissued in parallel; don't leave the new keys behind
+                await this.deleteKeys(replacements.slice(index));
+                error = 'CHANGED';
+                break;
+            }
+
+            if (!await replacement.keyauth.banLicense(oldLicenseKey, `Reissued: ${reason}`)) {
+                logger.warn(`Old key ${oldLicenseKey} for reissued invoice ${record.invoice_id} could not be banned in KeyAuth; keeping it`);
+                await database.replaceLicenseKey(record.invoice_id, replacement.licenseKey, oldLicenseKey);
+                await this.deleteKeys(replacements.slice(index));
+                error = 'KEYAUTH_FAILED';
+                break;
+            }
+
+            licenseStatus.invalidate(oldLicenseKey);
+            reissued.push({ oldLicenseKey, licenseKey: replacement.licenseKey });
+        }
+
+        for (const entry of reissued) {
+            await database.logAction(record.discord_user_id, 'license_reissued', {
+                guildId: record.guild_id,
+                invoiceId: record.invoice_id,
+                ...entry,
+                reissuedBy,
+                reason
+            });
+        }
+
+        if (error) {
+            return { success: false, error, record: await database.getInvoiceRecord(record.invoice_id), reissued };
+        }
+
+        logger.info(`${reissued.length} key(s) for invoice ${record.invoice_id} reissued by ${reissuedBy}: ${reason}`);
+
+        return {
+            success: true,
+            record: await database.getInvoiceRecord(record.invoice_id),
+            reissued,
+            oldLicenseKey: reissued[0].oldLicenseKey
+        };
+    }
+
+    /**
+     * Get the KeyAuth client of each key's application
+     * @returns {Array<KeyAuthAPI>|null} - Clients in key order, or null if any application is not set up
+     */
+    async getKeyClients(record, keys) {
+        const clients = await Promise.all(keys.map(key => tenants.getKeyAuth(record.guild_id, key.app_id)));
+        return clients.every(Boolean) ? clients : null;
+    }
+
+    /**
+     * The product a key was issued for; keys from before line items were
+     * recorded belong to their invoice's product
+     */
+    getProductId(record, key) {
+        return key.product_id || record.product_id;
+    }
+
+    /**
+     * Find the entitlement a key was issued for. If the product no longer has
+     * it, the key keeps its own application, level and expiry.
+     */
+    getEntitlement(product, key) {
+        const position = Number(key.position);
+        const entitlement = product.entitlements.find(entry => entry.position === position && entry.appId === key.app_id);
+
+        return entitlement || {
+            position,
+            appId: key.app_id,
+            level: key.keyauth_level || '1',
+            expiryDays: Number(key.expiry_days) || 0,
+            keyTemplate: null
+        };
+    }
+
+    /**
+     * Delete keys created for a reissue that will not be used
+     */
+    async deleteKeys(replacements) {
+        for (const replacement of replacements) {
+            if (!await replacement.keyauth.deleteLicense(replacement.licenseKey)) {
+                logger.warn(`Unused reissue key ${replacement.licenseKey} could not be deleted from KeyAuth`);
+            }
+        }
+    }
+}
+
+module.exports = new LicenseManager();
@@ -0,0 +1,106 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const tenants = require('../api/tenants');
+
+/**
+ * Live KeyAuth state of license keys for the user-facing key list, cached
+ * briefly so repeated /key and "Get My Keys" clicks don't flood KeyAuth.
+ */
+class LicenseStatus {
+    constructor() {
+        // licenseKey -> { status, cachedUntil }
+        this.cache = new Map();
+    }
+
+    /**
+     * Get the live status of several keys, each from its own KeyAuth application
+     * @param {Array<object>} licenses - Rows with license_key, guild_id (the shop) and app_id
+     * @returns {object} - { available, statuses } where statuses maps key to a normalized status;
+     *                     available is false when KeyAuth could not be reached
+     */
+    async getStatuses(licenses) {
+        const statuses = new Map();
+
+        for (const { license_key: licenseKey, guild_id: tenantId, app_id: appId } of licenses) {
+            const cached = this.cache.get(licenseKey);
+            if (cached && cached.cachedUntil > Date.now()) {
+                statuses.set(licenseKey, cached.status);
+                continue;
+            }
+
+            const keyauth = await tenants.getKeyAuth(tenantId, appId);
+            if (!keyauth) {
+                // The shop or application was removed; there is nothing left to ask
+                continue;
+            }
+
+            const result = await keyauth.getLicenseInfo(licenseKey);
+
+            // One failed request means the rest would time out too
+            if (!result.reachable) {
+                logger.warn(`KeyAuth unreachable while fetching key status: ${result.message}`);
+                return { available: false, statuses };
+            }
+
+            const status = this.normalize(result);
+            this.cache.set(licenseKey, {
+                status,
+                cachedUntil: Date.now() + config.keyauth.statusCacheSeconds * 1000
+            });
+            statuses.set(licenseKey, status);
+        }
+
+        return { available: true, statuses };
+    }
+
+    /**
+     * Drop a key from the cache after it was changed in KeyAuth
+     * @param {string} licenseKey - License key
+     */
+    invalidate(licenseKey) {
+        this.cache.delete(licenseKey);
+    }
+
+    /**
+     * Reduce a getkey response to what the key list shows
+     * @param {object} result - Result of keyauth.getLicenseInfo()
+     * @returns {object} - { state, expiresAt, lastLogin, hwidLocked }
+     */
+    normalize(result) {
+        if (!result.success || !result.info) {
+            return { state: 'not_found', expiresAt: null, lastLogin: null, hwidLocked: null };
+        }
+
+        const info = result.info;
+        const expiresAt = toDate(info.expires);
+        const lastLogin = toDate(info.lastlogin || info.usedon);
+
+        let state;
+        if (info.status === 'Banned' || info.banned) {
+            state = 'banned';
+        } else if (expiresAt && expiresAt <= new Date()) {
+            state = 'expired';
+        } else if (info.status === 'Not Used') {
+            state = 'unused';
+        } else {
+            state = 'active';
+        }
+
+        return {
+            state,
+            expiresAt,
+            lastLogin,
+            hwidLocked: info.hwid !== undefined ? Boolean(info.hwid) : null
+        };
+    }
+}
+
+/**
+ * KeyAuth reports times as unix seconds; 0 or missing means none
+ */
+function toDate(seconds) {
+    const value = Number(seconds);
+    return value > 0 ? new Date(value * 1000) : null;
+}
+
+module.exports = new LicenseStatus();
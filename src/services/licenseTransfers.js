@@ -0,0 +1,294 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const database = require('../api/database');
+const licenseManager = require('./licenseManager');
+
+/**
+ * Moves redeemed licenses between Discord accounts. An owner can offer a key
+ * to another account, which must accept it; staff can force a transfer.
+ * Every completed transfer stays in license_transfers as ownership history.
+ */
+class LicenseTransfers {
+    /**
+     * Offer a license to another account
+     * @param {object} request - Transfer request
+     * @param {string} request.licenseKey - Key being transferred
+     * @param {string} request.fromUserId - Current owner starting the transfer
+     * @param {string} request.toUserId - Account that has to accept it
+     * @param {object} request.scope - Only transfer keys of this guild's shop (from tenants.getScope)
+     * @returns {object} - { success, transfer, record } or { success: false, error }
+     */
+    async requestTransfer({ licenseKey, fromUserId, toUserId, scope = null }) {
+        const record = await licenseManager.findRecord({ licenseKey, scope });
+
+        if (!record || record.discord_user_id !== fromUserId) {
+            return { success: false, error: 'NOT_OWNER' };
+        }
+
+        if (record.status !== 'redeemed') {
+            return { success: false, error: 'NOT_TRANSFERABLE' };
+        }
+
+        if (toUserId === fromUserId) {
+            return { success: false, error: 'SAME_USER' };
+        }
+
+        await this.expireStaleTransfers(record.invoice_id);
+
+        const pending = await database.get(
+            `SELECT id FROM license_transfers WHERE invoice_id = ? AND status = 'pending'`,
+            [record.invoice_id]
+        );
+        if (pending) {
+            return { success: false, error: 'PENDING_EXISTS' };
+        }
+
+        const expiresAt = new Date(Date.now() + config.security.transferExpiryHours * 60 * 60 * 1000);
+        const result = await database.run(
+            `INSERT INTO license_transfers (invoice_id, from_user_id, to_user_id, status, initiated_by, expires_at)
+             VALUES (?, ?, ?, 'pending', ?, ?)`,
+            [record.invoice_id, fromUserId, toUserId, fromUserId, expiresAt.toISOString()]
+        );
+
+        await database.logAction(fromUserId, 'license_transfer_requested', {
+            guildId: scope ? scope.guildId : null,
+            invoiceId: record.invoice_id,
+            transferId: result.lastID,
+            toUserId
+        });
+
+        return { success: true, transfer: await this.getTransfer(result.lastID), record };
+    }
+
+    /**
+     * Accept a pending transfer as its recipient
+     * @param {number} transferId - Transfer ID
+     * @param {string} userId - Discord user accepting
+     * @param {string} username - Discord tag stored as the new owner's name
+     * @returns {object} - { success, transfer } or { success: false, error }
+     */
+    async acceptTransfer(transferId, userId, username) {
+        const transfer = await this.getTransfer(transferId);
+        const check = this.checkPending(transfer, transfer?.to_user_id === userId);
+        if (check) {
+            return check;
+        }
+
+        try {
+            await database.transaction(async (tx) => {
+                const claimed = await tx.run(
+                    `UPDATE license_transfers SET status = 'accepted', completed_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND status = 'pending'`,
+                    [transferId]
+                );
+                if (claimed.changes !== 1) {
+                    throw new TransferConflict('NOT_PENDING');
+                }
+
+                await this.moveOwnership(tx, transfer.invoice_id, transfer.from_user_id, userId, username);
+            });
+        } catch (error) {
+            if (error instanceof TransferConflict) {
+                return { success: false, error: error.code };
+            }
+            throw error;
+        }
+
+        await database.logAction(userId, 'license_transfer_accepted', {
+            invoiceId: transfer.invoice_id,
+            transferId,
+            fromUserId: transfer.from_user_id
+        });
+        logger.info(`License for invoice ${transfer.invoice_id} transferred from ${transfer.from_user_id} to ${userId}`);
+
+        return { success: true, transfer: await this.getTransfer(transferId) };
+    }
+
+    /**
+     * Decline a pending transfer as its recipient
+     */
+    async declineTransfer(transferId, userId) {
+        const transfer = await this.getTransfer(transferId);
+        return this.closeTransfer(transfer, transfer?.to_user_id === userId, 'declined', userId);
+    }
+
+    /**
+     * Cancel a pending transfer as its sender
+     */
+    async cancelTransfer(transferId, userId) {
+        const transfer = await this.getTransfer(transferId);
+        return this.closeTransfer(transfer, transfer?.from_user_id === userId, 'cancelled', userId);
+    }
+
+    /**
+     * Move a license to another account without the recipient accepting
+     * @param {object} request - Forced transfer
+     * @param {string} request.invoiceId - Invoice to move (or licenseKey)
+     * @param {string} request.licenseKey - Key to move (or invoiceId)
+     * @param {string} request.toUserId - New owner
+     * @param {string} request.toUsername - New owner's Discord tag
+     * @param {string} request.adminId - Staff member forcing the transfer
+     * @param {string} request.reason - Why the transfer was forced
+     * @param {object} request.scope - Only transfer records of this guild (from tenants.getScope)
+     * @returns {object} - { success, transfer, record } or { success: false, error }
+     */
+    async forceTransfer({ invoiceId = null, licenseKey = null, toUserId, toUsername, adminId, reason, scope = null }) {
+        const record = await licenseManager.findRecord({ invoiceId, licenseKey, scope });
+
+        if (!record) {
+            return { success: false, error: 'LICENSE_NOT_FOUND' };
+        }
+
+        if (record.status !== 'redeemed') {
+            return { success: false, error: 'NOT_TRANSFERABLE' };
+        }
+
+        if (record.discord_user_id === toUserId) {
+            return { success: false, error: 'SAME_USER' };
+        }
+
+        let transferId;
+        try {
+            transferId = await database.transaction(async (tx) => {
+                // A forced move supersedes any offer the old owner made
+                await tx.run(
+                    `UPDATE license_transfers SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+                     WHERE invoice_id = ? AND status = 'pending'`,
+                    [record.invoice_id]
+                );
+
+                const inserted = await tx.run(
+                    `INSERT INTO license_transfers (invoice_id, from_user_id, to_user_id, status, initiated_by, reason, completed_at)
+                     VALUES (?, ?, ?, 'forced', ?, ?, CURRENT_TIMESTAMP)`,
+                    [record.invoice_id, record.discord_user_id, toUserId, adminId, reason]
+                );
+
+                await this.moveOwnership(tx, record.invoice_id, record.discord_user_id, toUserId, toUsername);
+                return inserted.lastID;
+            });
+        } catch (error) {
+            if (error instanceof TransferConflict) {
+                return { success: false, error: error.code };
+            }
+            throw error;
+        }
+
+        await database.logAction(record.discord_user_id, 'license_transfer_forced', {
+            guildId: scope ? scope.guildId : record.guild_id,
+            invoiceId: record.invoice_id,
+            transferId,
+            toUserId,
+            adminId,
+            reason
+        });
+        logger.info(`License for invoice ${record.invoice_id} force-transferred from ${record.discord_user_id} to ${toUserId} by ${adminId}`);
+
+        return {
+            success: true,
+            transfer: await this.getTransfer(transferId),
+            record: await database.getInvoiceRecord(record.invoice_id)
+        };
+    }
+
+    /**
+     * Get a transfer by ID
+     */
+    async getTransfer(transferId) {
+        return database.get('SELECT * FROM license_transfers WHERE id = ?', [transferId]);
+    }
+
+    /**
+     * Get every transfer of an invoice, oldest first
+     * @param {string} invoiceId - Sanitized invoice ID
+     */
+    async getHistory(invoiceId) {
+        return database.all(
+            'SELECT * FROM license_transfers WHERE invoice_id = ? ORDER BY id ASC',
+            [invoiceId]
+        );
+    }
+
+    /**
+     * Point the redemption at its new owner, provided the old owner still holds it
+     */
+    async moveOwnership(tx, invoiceId, fromUserId, toUserId, toUsername) {
+        const moved = await tx.run(
+            `UPDATE redeemed_invoices SET discord_user_id = ?, discord_username = ?
+             WHERE invoice_id = ? AND discord_user_id = ? AND status = 'redeemed'`,
+            [toUserId, toUsername || null, invoiceId, fromUserId]
+        );
+
+        if (moved.changes !== 1) {
+            throw new TransferConflict('OWNER_CHANGED');
+        }
+    }
+
+    /**
+     * Return an error result if a transfer cannot be acted on by this user
+     */
+    checkPending(transfer, isParty) {
+        if (!transfer || !isParty) {
+            return { success: false, error: 'NOT_FOUND' };
+        }
+
+        if (transfer.status !== 'pending') {
+            return { success: false, error: 'NOT_PENDING', transfer };
+        }
+
+        if (new Date(transfer.expires_at) <= new Date()) {
+            return { success: false, error: 'EXPIRED', transfer };
+        }
+
+        return null;
+    }
+
+    /**
+     * Decline or cancel a pending transfer
+     */
+    async closeTransfer(transfer, isParty, status, userId) {
+        const check = this.checkPending(transfer, isParty);
+        if (check) {
+            return check;
+        }
+
+        const result = await database.run(
+            `UPDATE license_transfers SET status = ?, completed_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'pending'`,
+            [status, transfer.id]
+        );
+
+        if (result.changes !== 1) {
+            return { success: false, error: 'NOT_PENDING', transfer };
+        }
+
+        await database.logAction(userId, `license_transfer_${status}`, {
+            invoiceId: transfer.invoice_id,
+            transferId: transfer.id
+        });
+
+        return { success: true, transfer: await this.getTransfer(transfer.id) };
+    }
+
+    /**
+     * Mark pending transfers of an invoice whose offer ran out as expired
+     */
+    async expireStaleTransfers(invoiceId) {
+        await database.run(
+            `UPDATE license_transfers SET status = 'expired'
+             WHERE invoice_id = ? AND status = 'pending' AND expires_at <= ?`,
+            [invoiceId, new Date().toISOString()]
+        );
+    }
+}
+
+/**
+ * Raised inside a transfer transaction to roll it back with an error code
+ */
+class TransferConflict extends Error {
+    constructor(code) {
+        super(`Transfer conflict: ${code}`);
+        this.code = code;
+    }
+}
+
+module.exports = new LicenseTransfers();
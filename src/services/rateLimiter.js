@@ -0,0 +1,358 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const database = require('../api/database');
+const rateLimitRules = require('../api/rateLimitRules');
+const RateLimiterDatabase = require('../api/rateLimiterStore');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Redemption limiters by name. Keys are stored as <keyPrefix>:<guild ID>:<user ID>.
+const LIMITS = {
+    // Successful redemptions per user
+    success: { keyPrefix: 'redeem_success', duration: DAY },
+    // Attempts that failed because of the buyer (unknown, reused or unpaid invoices) per user
+    failure: { keyPrefix: 'redeem_failure', duration: HOUR },
+    // Redemption requests across all users of a guild
+    global: { keyPrefix: 'redeem_global', duration: 60 },
+    // Wrong purchase emails per user
+    email_mismatch: { keyPrefix: 'redeem_email_mismatch', duration: DAY },
+    // One-time bypass granted by staff; 1 point while available, expiry set when granted
+    bypass: { keyPrefix: 'redeem_bypass', duration: DAY }
+};
+
+// Per-user limits shown and reset by /ratelimit
+const USER_LIMITS = ['success', 'failure', 'email_mismatch'];
+
+/**
+ * Counters are kept per guild, so every storefront has its own limits
+ */
+function scopedKey(guildId, key) {
+    return `${guildId || 'default'}:${key}`;
+}
+
+/**
+ * Redemption rate limits, stored in the database with rate-limiter-flexible.
+ * A successful redemption only counts once it succeeds, so typos and
+ * outages don't use up a buyer's daily allowance; typos count against the
+ * much shorter failed-attempt window instead.
+ */
+class RateLimiter {
+    constructor() {
+        // "<name>:<points>" -> limiter; keys don't include the points, so counters
+        // carry over when a guild or role limit changes
+        this.limiters = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Delete expired counters on the configured interval
+     */
+    start() {
+        this.timer = setInterval(() => this.sweepExpired(), config.security.rateLimits.sweepIntervalMinutes * 60 * 1000);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop the schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Delete counters whose window has ended. Expired rows are already
+     * ignored by the limiters; this only keeps the table small.
+     * @returns {number} - Rows deleted
+     */
+    async sweepExpired() {
+        try {
+            const result = await database.run(
+                'DELETE FROM rate_limits WHERE expire <= ?',
+                [Date.now()]
+            );
+
+            if (result.changes > 0) {
+                logger.debug(`Deleted ${result.changes} expired rate limit counter(s)`);
+            }
+            return result.changes;
+        } catch (error) {
+            logger.error('Failed to delete expired rate limit counters:', error);
+            return 0;
+        }
+    }
+
+    getLimiter(name, points) {
+        const id = `${name}:${points}`;
+
+        if (!this.limiters.has(id)) {
+            this.limiters.set(id, new RateLimiterDatabase({
+                storeClient: database,
+                keyPrefix: LIMITS[name].keyPrefix,
+                points,
+                duration: LIMITS[name].duration
+            }));
+        }
+
+        return this.limiters.get(id);
+    }
+
+    /**
+     * Look up the limits for a member
+     * @returns {object} - { success, failure } in allowed count per window, 0 for no limit
+     */
+    async resolveLimits(guildId, roleIds) {
+        const defaults = config.security.rateLimits;
+
+        return {
+            success: await rateLimitRules.resolveLimit(guildId, roleIds, 'success', defaults.redemptionsPerDay),
+            failure: await rateLimitRules.resolveLimit(guildId, roleIds, 'failure', defaults.attemptsPerHour)
+        };
+    }
+
+    /**
+     * Check every redemption limit and reserve one successful redemption.
+     * Pass the ticket to settle() once the redemption has finished.
+     * @param {object} request - Who is redeeming
+     * @param {string} request.userId - Discord user ID
+     * @param {string} request.guildId - Guild the request came from (null outside a guild)
+     * @param {Array<string>} request.roleIds - Member's role IDs
+     * @returns {object} - { allowed: true, ticket } or { allowed: false, rateLimit }
+     */
+    async acquire({ userId, guildId = null, roleIds = [] }) {
+        const limits = await this.resolveLimits(guildId, roleIds);
+        const key = scopedKey(guildId, userId);
+
+        // Claimed when a per-user limit is hit; given back by settle() unless the redemption succeeds
+        let bypass = null;
+
+        if (limits.failure > 0) {
+            const failures = await this.getLimiter('failure', limits.failure).get(key);
+            if (failures && failures.consumedPoints >= limits.failure) {
+                bypass = await this.claimBypass(key);
+                if (!bypass) {
+                    return this.rejected('failure', failures, limits.failure);
+                }
+            }
+        }
+
+        const globalLimit = config.security.rateLimits.globalRequestsPerMinute;
+        if (globalLimit > 0) {
+            const result = await this.consume(this.getLimiter('global', globalLimit), scopedKey(guildId, 'global'));
+            if (!result.allowed) {
+                return this.rejected('global', result.res, globalLimit);
+            }
+        }
+
+        let successConsumed = false;
+
+        if (limits.success > 0) {
+            const limiter = this.getLimiter('success', limits.success);
+            const result = await this.consume(limiter, key);
+
+            successConsumed = result.allowed;
+            if (!result.allowed) {
+                // Rejected attempts must not push the count past the limit
+                await limiter.reward(key);
+
+                bypass = bypass || await this.claimBypass(key);
+                if (!bypass) {
+                    return this.rejected('success', result.res, limits.success, -1);
+                }
+            }
+        }
+
+        return {
+            allowed: true,
+            ticket: { key, userId, guildId, limits, successConsumed, bypass }
+        };
+    }
+
+    /**
+     * Settle a ticket from acquire(): give the reserved redemption back unless
+     * it succeeded, and count failures caused by the buyer
+     * @param {object} ticket - Ticket from acquire()
+     * @param {object} result - How the redemption ended
+     * @param {boolean} result.succeeded - The key was issued
+     * @param {boolean} result.buyerFailure - The buyer entered an unusable invoice
+     */
+    async settle(ticket, { succeeded, buyerFailure }) {
+        try {
+            if (!succeeded && ticket.successConsumed) {
+                await this.getLimiter('success', ticket.limits.success).reward(ticket.key);
+            }
+
+            if (ticket.bypass) {
+                if (succeeded) {
+                    await database.logAction(ticket.userId, 'rate_limit_bypass_used', { guildId: ticket.guildId });
+                } else {
+                    await this.restoreBypass(ticket.key, ticket.bypass);
+                }
+            }
+
+            if (buyerFailure && ticket.limits.failure > 0) {
+                await this.getLimiter('failure', ticket.limits.failure).penalty(ticket.key);
+            }
+        } catch (error) {
+            logger.error(`Failed to settle rate limits for user ${ticket.userId}:`, error);
+        }
+    }
+
+    /**
+     * Check the wrong-email lockout without counting an attempt
+     * @returns {object} - { limited, attempts, maxAttempts, resetAfter }
+     */
+    async getEmailLockout(userId, guildId = null) {
+        const maxAttempts = config.security.rateLimits.emailMismatchesPerDay;
+        const res = await this.getLimiter('email_mismatch', maxAttempts).get(scopedKey(guildId, userId));
+        const attempts = res ? res.consumedPoints : 0;
+
+        return {
+            limit: 'email_mismatch',
+            limited: attempts >= maxAttempts,
+            attempts,
+            maxAttempts,
+            resetAfter: res ? new Date(Date.now() + res.msBeforeNext) : null
+        };
+    }
+
+    /**
+     * Count a wrong purchase email
+     * @returns {object} - { attempts, maxAttempts }
+     */
+    async recordEmailMismatch(userId, guildId = null) {
+        const maxAttempts = config.security.rateLimits.emailMismatchesPerDay;
+        const res = await this.getLimiter('email_mismatch', maxAttempts).penalty(scopedKey(guildId, userId));
+
+        return { attempts: res.consumedPoints, maxAttempts };
+    }
+
+    /**
+     * Let a user's next redemption through once, even if they are over their
+     * per-user limits in a guild. The global limit still applies.
+     * @param {string} userId - Discord user ID
+     * @param {string} guildId - Guild the bypass applies in
+     * @returns {Date} - When the bypass expires if unused
+     */
+    async grantBypass(userId, guildId) {
+        const seconds = config.security.rateLimits.bypassExpiryDays * DAY;
+        await this.getLimiter('bypass', 1).set(scopedKey(guildId, userId), 1, seconds);
+
+        return new Date(Date.now() + seconds * 1000);
+    }
+
+    /**
+     * Take a user's bypass so concurrent redemptions can't both use it
+     * @param {string} key - Guild-scoped user key
+     * @returns {object|null} - { msBeforeNext } of the claimed bypass, or null if there was none
+     */
+    async claimBypass(key) {
+        const limiter = this.getLimiter('bypass', 1);
+        const res = await limiter.get(key);
+
+        if (!res || !(await limiter.delete(key))) {
+            return null;
+        }
+
+        return { msBeforeNext: res.msBeforeNext };
+    }
+
+    async restoreBypass(key, bypass) {
+        if (bypass.msBeforeNext > 0) {
+            await this.getLimiter('bypass', 1).set(key, 1, Math.ceil(bypass.msBeforeNext / 1000));
+        }
+    }
+
+    /**
+     * Get a user's counters for every per-user limit, as /ratelimit view shows them
+     * @param {string} userId - Discord user ID
+     * @param {string} guildId - Guild whose overrides apply
+     * @param {Array<string>} roleIds - Member's role IDs
+     * @returns {object} - { limits: [{ limit, attempts, maxAttempts, resetAfter }], bypassExpiresAt }
+     */
+    async getUserStatus(userId, guildId, roleIds) {
+        const resolved = await this.resolveLimits(guildId, roleIds);
+        const maxAttempts = { ...resolved, email_mismatch: config.security.rateLimits.emailMismatchesPerDay };
+        const key = scopedKey(guildId, userId);
+
+        const limits = [];
+        for (const limit of USER_LIMITS) {
+            // Limits of 0 have no counter to show
+            const res = maxAttempts[limit] > 0
+                ? await this.getLimiter(limit, maxAttempts[limit]).get(key)
+                : null;
+
+            limits.push({
+                limit,
+                attempts: res ? res.consumedPoints : 0,
+                maxAttempts: maxAttempts[limit],
+                resetAfter: res ? new Date(Date.now() + res.msBeforeNext) : null
+            });
+        }
+
+        const bypass = await this.getLimiter('bypass', 1).get(key);
+
+        return {
+            limits,
+            bypassExpiresAt: bypass ? new Date(Date.now() + bypass.msBeforeNext) : null
+        };
+    }
+
+    /**
+     * Clear a user's counters in a guild
+     * @param {string} userId - Discord user ID
+     * @param {string} guildId - Guild whose counters to clear
+     * @param {Array<string>} limits - Limits from USER_LIMITS to clear
+     * @returns {Array<string>} - Limits that had a counter
+     */
+    async resetUser(userId, guildId, limits = USER_LIMITS) {
+        const cleared = [];
+
+        for (const limit of limits) {
+            // The points don't matter for deleting; keys are shared by every limit value
+            if (await this.getLimiter(limit, 1).delete(scopedKey(guildId, userId))) {
+                cleared.push(limit);
+            }
+        }
+
+        return cleared;
+    }
+
+    /**
+     * Consume a point, turning the library's rejection into a result
+     * @returns {object} - { allowed, res }
+     */
+    async consume(limiter, key) {
+        try {
+            return { allowed: true, res: await limiter.consume(key) };
+        } catch (rejection) {
+            // Database errors are thrown as Errors; limit hits as RateLimiterRes
+            if (rejection instanceof Error) {
+                throw rejection;
+            }
+            return { allowed: false, res: rejection };
+        }
+    }
+
+    /**
+     * Describe a limit hit for the redemption outcome
+     */
+    rejected(limit, res, maxAttempts, adjustment = 0) {
+        return {
+            allowed: false,
+            rateLimit: {
+                limit,
+                attempts: Math.min(res.consumedPoints + adjustment, maxAttempts),
+                maxAttempts,
+                resetAfter: new Date(Date.now() + Math.max(res.msBeforeNext, 0))
+            }
+        };
+    }
+}
+
+module.exports = new RateLimiter();
+module.exports.LIMITS = LIMITS;
+module.exports.USER_LIMITS = USER_LIMITS;
@@ -0,0 +1,333 @@
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const database = require('../api/database');
+const tenants = require('../api/tenants');
+const guildSettings = require('../api/guildSettings');
+const SellAuthAPI = require('../api/sellauth');
+const RedemptionTransaction = require('./redemptionTransaction');
+const rateLimiter = require('./rateLimiter');
+const staffNotifier = require('./staffNotifier');
+const { buildRedemptionEvent } = require('../bot/utils/staffEvents');
+
+/**
+ * Outcome statuses returned by RedemptionService.redeem()
+ */
+const RedemptionStatus = {
+    SUCCESS: 'success',
+    RATE_LIMITED: 'rate_limited',
+    INVALID_INVOICE_ID: 'invalid_invoice_id',
+    IN_PROGRESS: 'in_progress',
+    ALREADY_REDEEMED: 'already_redeemed',
+    VERIFICATION_FAILED: 'verification_failed',
+    LICENSE_FAILED: 'license_failed',
+    NOT_RECORDED: 'not_recorded',
+    EMAIL_REQUIRED: 'email_required',
+    EMAIL_MISMATCH: 'email_mismatch',
+    EMAIL_LOCKED: 'email_locked',
+    NOT_CONFIGURED: 'not_configured',
+    ERROR: 'error'
+};
+
+// Rate-limit hits in /metrics, by the limit that was hit
+const RATE_LIMIT_NAMES = {
+    success: 'redemption',
+    failure: 'failed_attempts',
+    global: 'global',
+    email_mismatch: 'email_mismatch'
+};
+
+// Verification errors that are our or SellAuth's fault, not the buyer's
+const SERVICE_ERRORS = ['AUTHENTICATION_FAILED', 'ACCESS_DENIED', 'RATE_LIMITED', 'API_ERROR', 'NETWORK_ERROR', 'PRODUCT_NOT_CONFIGURED', 'NO_INVOICE_EMAIL', 'INVALID_ITEMS', 'TOO_MANY_KEYS'];
+
+/**
+ * Whether an outcome counts against the failed-attempt limit
+ */
+function isBuyerFailure(outcome) {
+    if (outcome.status === RedemptionStatus.VERIFICATION_FAILED) {
+        return !SERVICE_ERRORS.includes(outcome.error);
+    }
+
+    return outcome.status === RedemptionStatus.INVALID_INVOICE_ID
+        || outcome.status === RedemptionStatus.ALREADY_REDEEMED;
+}
+
+/**
+ * The single redemption pipeline behind /redeem, the panel modal and the
+ * SellAuth webhook: rate limit, reserve, verify, check ownership, create key,
+ * commit, audit. The guild decides which tenant's shop and KeyAuth
+ * application are used.
+ * It never replies to Discord; callers render the structured outcome. Staff
+ * log events are only queued.
+ */
+class RedemptionService {
+    /**
+     * Redeem an invoice for a Discord user
+     * @param {object} request - Redemption request
+     * @param {string} request.invoiceId - SellAuth invoice ID as entered
+     * @param {string} request.userId - Discord user ID receiving the key
+     * @param {string} request.username - Discord tag for logs and metadata
+     * @param {string} request.source - Entry point: slash_command, panel_modal, sellauth_webhook, ...
+     * @param {string} request.guildId - Guild the request came from, for its shop and settings
+     * @param {Array<string>} request.roleIds - Member's role IDs, for per-role rate limits
+     * @param {string} request.email - Purchase email entered by the buyer
+     * @param {object} request.invoiceData - Invoice data already received from SellAuth (skips the API lookup)
+     * @param {boolean} request.skipRateLimit - Bypass the rate limits (trusted sources only)
+     * @param {boolean} request.skipEmailCheck - Skip the purchase email check (orders reported by SellAuth itself)
+     * @param {function} request.onProgress - Called with 'verifying' and 'creating_license'
+     * @returns {object} - Outcome with a status from RedemptionStatus
+     */
+    async redeem(request) {
+        const {
+            invoiceId,
+            userId,
+            username = null,
+            source,
+            guildId = null,
+            roleIds = [],
+            email = null,
+            invoiceData = null,
+            skipRateLimit = false,
+            skipEmailCheck = false,
+            onProgress = async () => {}
+        } = request;
+
+        const base = { invoiceId, userId, source, guildId };
+        let transaction = null;
+
+        logger.info(`Redemption attempt via ${source}: Invoice ${invoiceId} by ${username || userId}`);
+
+        try {
+            const clients = await tenants.getClients(guildId);
+            if (!clients) {
+                return this.finish(base, RedemptionStatus.NOT_CONFIGURED, {
+                    reason: 'This server has not finished setting up license redemption'
+                });
+            }
+
+            // Step 1: ownership lockout and rate limit
+            const settings = await guildSettings.getSettings(guildId);
+            const requireEmail = settings.requireEmailMatch && !skipEmailCheck;
+
+            if (requireEmail) {
+                const { limited, ...lockout } = await rateLimiter.getEmailLockout(userId, guildId);
+
+                if (limited) {
+                    return this.finish(base, RedemptionStatus.EMAIL_LOCKED, { rateLimit: lockout });
+                }
+
+                if (!email || !email.trim()) {
+                    return this.finish(base, RedemptionStatus.EMAIL_REQUIRED, {
+                        reason: 'This server requires the purchase email to redeem an invoice'
+                    });
+                }
+            }
+
+            // Finishing a partly delivered invoice was counted when it was first redeemed
+            if (!skipRateLimit && !await this.isResuming(invoiceId, userId)) {
+                const limit = await rateLimiter.acquire({ userId, guildId, roleIds });
+
+                if (!limit.allowed) {
+                    return this.finish(base, RedemptionStatus.RATE_LIMITED, { rateLimit: limit.rateLimit });
+                }
+
+                // finish() settles the ticket and strips it from the outcome
+                base.rateLimitTicket = limit.ticket;
+            }
+
+            // Step 2: reserve the invoice
+            transaction = new RedemptionTransaction({
+                invoiceId,
+                userId,
+                guildId,
+                clients,
+                metadata: {
+                    id: userId,
+                    username,
+                    redemptionMethod: source
+                }
+            });
+
+            const reservation = await transaction.reserve();
+            if (!reservation.reserved) {
+                let status = RedemptionStatus.ALREADY_REDEEMED;
+                if (reservation.invalidId) {
+                    status = RedemptionStatus.INVALID_INVOICE_ID;
+                } else if (reservation.inProgress) {
+                    status = RedemptionStatus.IN_PROGRESS;
+                }
+
+                return this.finish(base, status, { reason: reservation.reason });
+            }
+
+            // Step 3: verify the invoice
+            await onProgress('verifying');
+
+            const verification = invoiceData
+                ? await clients.sellauth.verifyInvoiceData(invoiceData)
+                : await clients.sellauth.verifyInvoice(transaction.invoiceId);
+
+            if (!verification.valid) {
+                await transaction.release();
+                return this.finish(base, RedemptionStatus.VERIFICATION_FAILED, {
+                    reason: verification.reason,
+                    error: verification.error
+                });
+            }
+
+            // Step 4: prove the buyer owns the invoice
+            if (requireEmail) {
+                const ownership = await this.checkOwnership(transaction, verification.invoiceData, email);
+                if (ownership) {
+                    return this.finish(base, ownership.status, ownership.details);
+                }
+            }
+
+            // Step 5: create the keys and commit
+            await onProgress('creating_license');
+
+            const redemption = await transaction.execute(verification.invoiceData, verification.items);
+
+            if (!redemption.success) {
+                const status = redemption.stage === 'createKey'
+                    ? RedemptionStatus.LICENSE_FAILED
+                    : RedemptionStatus.NOT_RECORDED;
+
+                return this.finish(base, status, { error: redemption.error });
+            }
+
+            // A partial delivery still succeeds; the buyer redeems again for the rest
+            return this.finish(base, RedemptionStatus.SUCCESS, {
+                licenseKey: redemption.licenseKey,
+                licenseKeys: redemption.licenseKeys,
+                expiryDays: redemption.licenseResult?.expiry || 0,
+                product: verification.product,
+                invoiceDetails: redemption.invoiceDetails,
+                partial: redemption.partial,
+                missingUnits: redemption.missingUnits,
+                deliveryError: redemption.deliveryError,
+                resumed: redemption.resumed
+            });
+
+        } catch (error) {
+            logger.error(`Redemption error for ${invoiceId} by ${username || userId}:`, error);
+
+            // Free the invoice if the error happened while it was reserved
+            if (transaction) {
+                await transaction.release();
+            }
+
+            return this.finish(base, RedemptionStatus.ERROR, {
+                error: error.message,
+                stack: error.stack
+            });
+        }
+    }
+
+    /**
+     * Whether this request finishes the user's own partly delivered invoice
+     */
+    async isResuming(invoiceId, userId) {
+        let cleanId;
+        try {
+            cleanId = SellAuthAPI.sanitizeInvoiceId(invoiceId);
+        } catch (error) {
+            return false;
+        }
+
+        const record = await database.getInvoiceRecord(cleanId);
+        return record?.status === 'partial' && record.discord_user_id === userId;
+    }
+
+    /**
+     * Compare the entered email with the invoice, releasing the reservation
+     * and counting the mismatch if they differ
+     * @returns {object|null} - Failure status and details, or null if the email matches
+     */
+    async checkOwnership(transaction, invoiceData, email) {
+        const matches = transaction.clients.sellauth.matchesCustomerEmail(invoiceData, email);
+
+        if (matches) {
+            return null;
+        }
+
+        await transaction.release();
+
+        if (matches === null) {
+            return {
+                status: RedemptionStatus.VERIFICATION_FAILED,
+                details: {
+                    reason: 'This invoice has no purchase email to check against. Please contact support.',
+                    error: 'NO_INVOICE_EMAIL'
+                }
+            };
+        }
+
+        const mismatches = await rateLimiter.recordEmailMismatch(transaction.userId, transaction.guildId);
+
+        return {
+            status: RedemptionStatus.EMAIL_MISMATCH,
+            details: {
+                reason: 'The email does not match the one used for this purchase',
+                attemptsLeft: Math.max(0, mismatches.maxAttempts - mismatches.attempts)
+            }
+        };
+    }
+
+    /**
+     * Settle rate limits, audit the outcome, queue the staff log event and
+     * build the result object
+     */
+    async finish(base, status, details = {}) {
+        const { rateLimitTicket, ...fields } = base;
+        const outcome = { ...fields, status, ...details };
+
+        if (rateLimitTicket) {
+            await rateLimiter.settle(rateLimitTicket, {
+                succeeded: status === RedemptionStatus.SUCCESS,
+                buyerFailure: isBuyerFailure(outcome)
+            });
+        }
+
+        metrics.redemptions.inc({ outcome: status, source: base.source });
+        if (details.rateLimit) {
+            metrics.rateLimitRejections.inc({ limit: RATE_LIMIT_NAMES[details.rateLimit.limit] });
+        }
+
+        if (status === RedemptionStatus.SUCCESS) {
+            await database.logAction(base.userId, 'redemption_success', {
+                invoiceId: base.invoiceId,
+                licenseKey: outcome.licenseKey,
+                productName: outcome.invoiceDetails?.productName,
+                amount: outcome.invoiceDetails?.amount,
+                missingUnits: outcome.missingUnits,
+                source: base.source,
+                guildId: base.guildId
+            });
+
+            logger.info(`Redemption successful via ${base.source}: Invoice ${base.invoiceId} -> License ${outcome.licenseKey} for user ${base.userId}`);
+        } else {
+            await database.logAction(base.userId, status === RedemptionStatus.ERROR ? 'redemption_error' : 'redemption_failed', {
+                invoiceId: base.invoiceId,
+                status,
+                reason: details.reason,
+                error: details.error,
+                stack: details.stack,
+                source: base.source,
+                guildId: base.guildId
+            });
+        }
+
+        // Stack traces are for the audit log only
+        delete outcome.stack;
+
+        const event = buildRedemptionEvent(outcome);
+        if (event) {
+            await staffNotifier.notify(event.type, event.embed, base.guildId);
+        }
+
+        return outcome;
+    }
+}
+
+module.exports = new RedemptionService();
+module.exports.RedemptionStatus = RedemptionStatus;
@@ -0,0 +1,451 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const database = require('../api/database');
+const tenants = require('../api/tenants');
+const SellAuthAPI = require('../api/sellauth');
+
+/**
+ * Runs a redemption as a tracked multi-step transaction:
+ *
+ *   1. reserve   - insert the invoice row in a 'pending' state. This is the
+ *                  invoice lock: it is taken before SellAuth verification and
+ *                  held until commit or release, so parallel redemptions of one
+ *                  invoice (panel + /redeem, or two accounts) cannot both pass.
+ *   2. createKey - record the keys of every unit of every line item on the
+ *                  reservation, then register each with the KeyAuth
+ *                  application of its entitlement, one unit at a time
+ *   3. commit    - mark the delivered keys active and the invoice row
+ *                  'redeemed', or 'partial' if some units were not delivered
+ *
+ * A unit (one copy of one item) is delivered whole or not at all: when one of
+ * its keys fails, the unit's other keys are deleted from KeyAuth again
+ * (compensation) and no further units are attempted. If no unit was delivered
+ * the reservation is released. Otherwise the invoice is committed as
+ * 'partial' and its owner can redeem it again later: the retry resumes the
+ * row and only creates the units that are still missing. A commit that fails
+ * compensates every key of the run, so no live key is left behind for an
+ * unrecorded invoice. Reservations carry a lease; one abandoned by a crashed
+ * process is cleaned up (including its KeyAuth keys) once the lease runs out.
+ * Every step is audited.
+ *
+ * The invoice row records the tenant whose shop it came from, so later work
+ * on it (revocation, reconciliation, cleanup) uses the same credentials.
+ */
+class RedemptionTransaction {
+    /**
+     * @param {object} options - Redemption details
+     * @param {string} options.invoiceId - SellAuth invoice ID as entered by the user
+     * @param {string} options.userId - Discord user ID receiving the key
+     * @param {string} options.guildId - Guild the redemption happens in (null outside a guild)
+     * @param {object} options.clients - { tenantId, sellauth, keyauth } from tenants.getClients()
+     * @param {object} options.metadata - User metadata stored with the redemption
+     */
+    constructor({ invoiceId, userId, guildId = null, clients, metadata = {} }) {
+        this.rawInvoiceId = invoiceId;
+        this.invoiceId = null;
+        this.userId = userId;
+        this.guildId = guildId;
+        this.clients = clients;
+        this.metadata = metadata;
+        this.token = crypto.randomUUID();
+        this.reserved = false;
+        // Whether this run finishes a partly delivered invoice
+        this.resumed = false;
+        this.product = null;
+        this.invoiceDetails = null;
+        this.licenseKey = null;
+        this.licenseResult = null;
+        // One entry per key to create: { itemIndex, unit, productId, productName, position, appId, appName,
+        // licenseKey, level, expiryDays, keyauth, created, delivered }
+        this.keys = [];
+    }
+
+    /**
+     * Step 1: reserve the invoice
+     * @returns {object} - { reserved } or { reserved: false, reason, inProgress, invalidId }
+     */
+    async reserve() {
+        try {
+            // Normalize first so "ABC" and " abc-" cannot be reserved separately
+            this.invoiceId = SellAuthAPI.sanitizeInvoiceId(this.rawInvoiceId);
+        } catch (error) {
+            return { reserved: false, invalidId: true, reason: error.message };
+        }
+
+        const reservedUntil = new Date(Date.now() + config.security.reservationTimeoutSeconds * 1000);
+
+        const reserve = () => database.reserveInvoice(
+            this.invoiceId,
+            this.userId,
+            this.token,
+            reservedUntil,
+            this.metadata,
+            this.clients.tenantId
+        );
+
+        let reserved = await reserve();
+
+        // An abandoned reservation can be taken over once it has been cleaned up
+        if (!reserved && await RedemptionTransaction.recoverExpiredReservations(this.invoiceId) > 0) {
+            reserved = await reserve();
+        }
+
+        // The owner of a partly delivered invoice takes it again for the missing units
+        if (!reserved) {
+            this.resumed = await database.resumeInvoice(this.invoiceId, this.userId, this.token, reservedUntil);
+            reserved = this.resumed;
+        }
+
+        if (!reserved) {
+            const existing = await database.getInvoiceRecord(this.invoiceId);
+            const inProgress = existing?.status === 'pending';
+
+            await this.audit('redemption_reserve_rejected', {
+                reason: inProgress ? 'redemption_in_progress' : 'already_redeemed'
+            });
+
+            return {
+                reserved: false,
+                inProgress,
+                reason: inProgress
+                    ? 'This invoice is being redeemed right now'
+                    : 'Invoice has already been redeemed'
+            };
+        }
+
+        this.reserved = true;
+        await this.audit('redemption_reserved', { reservedUntil: reservedUntil.toISOString(), resumed: this.resumed });
+
+        return { reserved: true };
+    }
+
+    /**
+     * Steps 2 and 3: create the keys and commit the redemption
+     * @param {object} invoiceData - Verified SellAuth invoice data
+     * @param {Array<object>} items - Line items from verification, each with its product catalog entry
+     * @returns {object} - { success, licenseKey, licenseKeys, licenseResult, invoiceDetails, partial, missingUnits, deliveryError, resumed }
+     *                     on success (licenseKeys only those delivered by this run), { success: false, stage, error } on failure
+     */
+    async execute(invoiceData, items) {
+        if (!this.reserved) {
+            throw new Error('Invoice must be reserved before the redemption can run');
+        }
+
+        this.product = items[0].product;
+        this.invoiceDetails = {
+            ...this.clients.sellauth.extractInvoiceDetails(invoiceData),
+            // Items SellAuth sent without a name go by their catalog name
+            productName: items.map(item => item.productName || item.product.name).join(', ')
+        };
+
+        // Units delivered by an earlier, partial redemption are skipped
+        const delivered = new Set((await database.getInvoiceKeys(this.invoiceId))
+            .filter(key => key.status === 'active')
+            .map(key => `${key.item_index}:${key.unit}`));
+
+        // Every application must be usable before any key is created
+        const clients = new Map();
+        for (const item of items) {
+            for (const entitlement of item.product.entitlements) {
+                if (!clients.has(entitlement.appId)) {
+                    clients.set(entitlement.appId, await tenants.getKeyAuth(this.clients.tenantId, entitlement.appId));
+                }
+
+                if (!clients.get(entitlement.appId)) {
+                    await this.audit('redemption_app_unavailable', { appId: entitlement.appId });
+                    await this.release();
+                    return this.failure('createKey', `KeyAuth application "${entitlement.appId}" is not set up`);
+                }
+            }
+
+            for (let unit = 1; unit <= item.quantity; unit++) {
+                if (delivered.has(`${item.index}:${unit}`)) {
+                    continue;
+                }
+
+                for (const entitlement of item.product.entitlements) {
+                    const keyauth = clients.get(entitlement.appId);
+
+                    this.keys.push({
+                        itemIndex: item.index,
+                        unit,
+                        productId: item.product.productId,
+                        productName: item.productName || item.product.name,
+                        position: entitlement.position,
+                        appId: entitlement.appId,
+                        appName: keyauth.name,
+                        licenseKey: null,
+                        level: entitlement.level,
+                        expiryDays: entitlement.expiryDays,
+                        product: item.product,
+                        entitlement,
+                        keyauth,
+                        created: false,
+                        delivered: false
+                    });
+                }
+            }
+        }
+
+        if (this.keys.length === 0 && !this.resumed) {
+            await this.release();
+            return this.failure('createKey', 'Product has no keys configured');
+        }
+
+        // Keys are generated before KeyAuth sees them; a new key must not match one issued before
+        try {
+            for (const key of this.keys) {
+                key.licenseKey = await key.keyauth.generateProductKey(key.entitlement);
+            }
+        } catch (error) {
+            await this.release();
+            return this.failure('createKey', error.message);
+        }
+
+        // Step 2: record the keys on the reservation, then create them in KeyAuth
+        try {
+            const stillHeld = await database.attachReservationKeys(
+                this.invoiceId,
+                this.token,
+                this.keys,
+                this.invoiceDetails
+            );
+
+            if (!stillHeld) {
+                throw new Error('Reservation expired before the key was created');
+            }
+        } catch (error) {
+            await this.audit('redemption_reserve_lost', { error: error.message });
+            await this.release();
+            return this.failure('reserve', error.message);
+        }
+
+        const units = this.groupByUnit();
+        let keyError = null;
+
+        for (const unitKeys of units) {
+            for (const key of unitKeys) {
+                const result = await key.keyauth.createLicenseForRedemption(
+                    this.invoiceId,
+                    this.userId,
+                    invoiceData,
+                    key.product,
+                    key.entitlement,
+                    key.licenseKey
+                );
+
+                if (!result.success) {
+                    keyError = result.error;
+                    await this.audit('license_creation_failed', {
+                        itemIndex: key.itemIndex,
+                        unit: key.unit,
+                        appId: key.appId,
+                        position: key.position,
+                        error: result.error
+                    });
+                    break;
+                }
+
+                key.created = true;
+                this.licenseResult = this.licenseResult || result;
+                await this.audit('redemption_key_created', { licenseKey: key.licenseKey, appId: key.appId, itemIndex: key.itemIndex, unit: key.unit });
+            }
+
+            if (keyError) {
+                // Keep the unit whole: drop the keys it already got
+                await this.deleteKeys(unitKeys);
+                break;
+            }
+
+            unitKeys.forEach(key => { key.delivered = true; });
+        }
+
+        const deliveredKeys = this.keys.filter(key => key.delivered);
+        const missingUnits = units.filter(unitKeys => !unitKeys[0].delivered).length;
+
+        if (keyError && deliveredKeys.length === 0) {
+            await this.release();
+            return this.failure('createKey', keyError);
+        }
+
+        this.licenseKey = deliveredKeys[0]?.licenseKey || null;
+
+        // Step 3: commit the redemption
+        try {
+            const committed = await database.completeRedemption(
+                this.invoiceId,
+                this.token,
+                this.invoiceDetails,
+                this.licenseResult?.keyAuthResponse || null,
+                deliveredKeys.map(key => key.licenseKey),
+                missingUnits === 0
+            );
+
+            if (!committed) {
+                throw new Error('Pending reservation no longer exists');
+            }
+
+            this.reserved = false;
+            await this.audit(missingUnits > 0 ? 'redemption_partial' : 'redemption_committed', {
+                licenseKey: this.licenseKey,
+                keyCount: deliveredKeys.length,
+                missingUnits,
+                resumed: this.resumed
+            });
+        } catch (error) {
+            await this.audit('redemption_commit_failed', { error: error.message });
+            await this.compensate();
+            return this.failure('commit', error.message);
+        }
+
+        return {
+            success: true,
+            licenseKey: this.licenseKey,
+            licenseKeys: deliveredKeys.map(({ itemIndex, unit, productId, productName, position, appId, appName, licenseKey, level, expiryDays }) => ({
+                itemIndex, unit, productId, productName, position, appId, appName, licenseKey, level, expiryDays
+            })),
+            licenseResult: this.licenseResult,
+            invoiceDetails: this.invoiceDetails,
+            partial: missingUnits > 0,
+            missingUnits,
+            deliveryError: keyError,
+            resumed: this.resumed
+        };
+    }
+
+    /**
+     * Split the keys to create into units, in invoice order
+     * @returns {Array<Array<object>>} - The keys of each unit
+     */
+    groupByUnit() {
+        const units = new Map();
+
+        for (const key of this.keys) {
+            const id = `${key.itemIndex}:${key.unit}`;
+            if (!units.has(id)) {
+                units.set(id, []);
+            }
+            units.get(id).push(key);
+        }
+
+        return [...units.values()];
+    }
+
+    /**
+     * Undo the KeyAuth keys created so far, then release the reservation
+     */
+    async compensate() {
+        await this.deleteKeys(this.keys);
+        await this.release();
+    }
+
+    /**
+     * Delete the keys among these that were created in KeyAuth
+     */
+    async deleteKeys(keys) {
+        for (const key of keys.filter(entry => entry.created)) {
+            const deleted = await key.keyauth.deleteLicense(key.licenseKey);
+
+            if (deleted) {
+                key.created = false;
+                await this.audit('redemption_key_deleted', { licenseKey: key.licenseKey, appId: key.appId });
+            } else {
+                // The key is still live in KeyAuth; staff must remove it by hand
+                logger.error(`Compensation failed: orphaned KeyAuth key ${key.licenseKey} in application ${key.appId} for invoice ${this.invoiceId}`);
+                await this.audit('redemption_compensation_failed', { licenseKey: key.licenseKey, appId: key.appId });
+            }
+        }
+    }
+
+    /**
+     * Release the reservation if this transaction still holds it
+     */
+    async release() {
+        if (!this.reserved) {
+            return;
+        }
+
+        try {
+            await database.releaseInvoice(this.invoiceId, this.token);
+            this.reserved = false;
+            await this.audit('redemption_released');
+        } catch (error) {
+            // The lease will expire and the reservation will be recovered later
+            logger.error(`Failed to release reservation for invoice ${this.invoiceId}:`, error);
+            await this.audit('redemption_release_failed', { error: error.message });
+        }
+    }
+
+    /**
+     * Write a step to the audit log
+     */
+    async audit(action, data = {}) {
+        await database.logAction(this.userId, action, {
+            invoiceId: this.invoiceId,
+            productId: this.product?.productId,
+            guildId: this.guildId,
+            ...data
+        });
+    }
+
+    /**
+     * Build a failure result
+     */
+    failure(stage, error) {
+        logger.warn(`Redemption of invoice ${this.invoiceId} failed at ${stage}: ${error}`);
+
+        return {
+            success: false,
+            stage,
+            error
+        };
+    }
+
+    /**
+     * Clean up reservations abandoned by a crashed or stalled process: delete
+     * any keys they may have created in KeyAuth, then drop the reservation.
+     * Units a resumed invoice had delivered before are kept.
+     * @param {string} invoiceId - Limit to one invoice (optional)
+     * @returns {number} - Number of reservations recovered
+     */
+    static async recoverExpiredReservations(invoiceId = null) {
+        const expired = await database.getExpiredReservations(invoiceId);
+        let recovered = 0;
+
+        for (const reservation of expired) {
+            const keys = (await database.getInvoiceKeys(reservation.invoice_id)).filter(key => key.status === 'pending');
+            const clients = await Promise.all(keys.map(key => tenants.getKeyAuth(reservation.guild_id, key.app_id)));
+
+            if (clients.some(keyauth => !keyauth)) {
+                // Without credentials the keys can't be checked; keep the invoice locked for staff
+                logger.error(`Expired reservation for invoice ${reservation.invoice_id} has keys in a KeyAuth application of tenant ${reservation.guild_id} that is not set up`);
+                continue;
+            }
+
+            for (const [index, key] of keys.entries()) {
+                // The key may never have reached KeyAuth, so a failed delete is expected
+                const deleted = await clients[index].deleteLicense(key.license_key);
+                logger.info(`Expired reservation for invoice ${reservation.invoice_id}: key ${key.license_key} ${deleted ? 'deleted' : 'not found'} in KeyAuth`);
+            }
+
+            const released = await database.releaseInvoice(reservation.invoice_id, reservation.reservation_token);
+            if (released) {
+                recovered++;
+                await database.logAction(reservation.discord_user_id, 'redemption_reservation_expired', {
+                    invoiceId: reservation.invoice_id,
+                    licenseKey: reservation.license_key,
+                    guildId: reservation.guild_id
+                });
+            }
+        }
+
+        if (recovered > 0) {
+            logger.warn(`Recovered ${recovered} abandoned invoice reservation(s)`);
+        }
+
+        return recovered;
+    }
+}
+
+module.exports = RedemptionTransaction;
@@ -0,0 +1,177 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const database = require('../api/database');
+const tenants = require('../api/tenants');
+const licenseManager = require('./licenseManager');
+const { notifyPaymentReversal } = require('../bot/utils/reversalNotices');
+
+// Recorded as revoked_by for revocations made by the reconciler
+const RECONCILER_ACTOR = 'sellauth-reconciler';
+
+const REVERSAL_REASONS = {
+    refund: 'SellAuth order refunded',
+    chargeback: 'SellAuth payment charged back'
+};
+
+/**
+ * Periodically re-fetches recently redeemed invoices from SellAuth and
+ * revokes the license of any invoice that has been refunded or charged back.
+ * Verification only happens once, at redemption, so without this a reversed
+ * payment would leave a working key behind.
+ */
+class RefundReconciler {
+    constructor() {
+        this.client = null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start reconciling on the configured interval
+     * @param {Client} client - Discord client used to notify users and staff
+     */
+    start(client) {
+        if (!config.reconciler.enabled) {
+            logger.info('Refund reconciler disabled');
+            return;
+        }
+
+        this.client = client;
+        this.timer = setInterval(() => this.runOnce(), config.reconciler.intervalMinutes * 60 * 1000);
+        this.timer.unref();
+
+        logger.info(`Refund reconciler started (every ${config.reconciler.intervalMinutes} minutes)`);
+    }
+
+    /**
+     * Stop the schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Re-check one batch of redeemed invoices
+     * @returns {object} - Counts of checked, revoked and failed invoices
+     */
+    async runOnce() {
+        if (this.running) {
+            logger.debug('Refund reconciliation already running, skipping');
+            return { checked: 0, revoked: 0, failed: 0, skipped: true };
+        }
+
+        this.running = true;
+        const summary = { checked: 0, revoked: 0, failed: 0 };
+
+        try {
+            const since = new Date(Date.now() - config.reconciler.lookbackDays * 24 * 60 * 60 * 1000);
+            const records = await database.getInvoicesToReconcile(since, config.reconciler.batchSize);
+
+            for (const record of records) {
+                let result;
+                try {
+                    result = await this.reconcileInvoice(record);
+                } catch (error) {
+                    logger.error(`Failed to re-check invoice ${record.invoice_id}:`, error);
+                    result = 'failed';
+                }
+
+                // Failed checks are recorded too, so they go to the back of the
+                // queue instead of filling every batch; they come round again later
+                await database.markInvoiceReconciled(record.invoice_id);
+
+                summary.checked++;
+                if (result === 'revoked') {
+                    summary.revoked++;
+                } else if (result === 'failed') {
+                    summary.failed++;
+                }
+            }
+
+            if (summary.revoked > 0 || summary.failed > 0) {
+                logger.info(`Refund reconciliation: ${summary.checked} checked, ${summary.revoked} revoked, ${summary.failed} failed`);
+            } else {
+                logger.debug(`Refund reconciliation: ${summary.checked} checked, no changes`);
+            }
+        } catch (error) {
+            logger.error('Refund reconciliation failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Re-check a single redemption against SellAuth
+     * @param {object} record - Redemption record
+     * @returns {string} - 'ok', 'revoked' or 'failed'
+     */
+    async reconcileInvoice(record) {
+        const clients = await tenants.getTenantClients(record.guild_id);
+        if (!clients) {
+            logger.warn(`Cannot re-check invoice ${record.invoice_id}: its shop is no longer set up`);
+            return 'failed';
+        }
+        const { sellauth } = clients;
+
+        let invoiceData;
+        try {
+            invoiceData = await sellauth.getInvoice(record.invoice_id);
+        } catch (error) {
+            logger.warn(`Could not re-check invoice ${record.invoice_id}: ${error.message}`);
+            return 'failed';
+        }
+
+        const reversal = sellauth.getPaymentReversal(invoiceData);
+
+        if (!reversal) {
+            return 'ok';
+        }
+
+        logger.warn(`Invoice ${record.invoice_id} was ${reversal === 'refund' ? 'refunded' : 'charged back'} (SellAuth status: ${invoiceData.status})`);
+
+        const revocation = await licenseManager.revoke({
+            invoiceId: record.invoice_id,
+            reason: REVERSAL_REASONS[reversal],
+            revokedBy: RECONCILER_ACTOR,
+            mode: 'ban'
+        });
+
+        if (!revocation.success) {
+            if (revocation.error === 'ALREADY_REVOKED') {
+                return 'ok';
+            }
+
+            // KeyAuth failures are retried when the invoice comes round again
+            logger.error(`Failed to revoke license for reversed invoice ${record.invoice_id}: ${revocation.error}`);
+            await database.logAction(record.discord_user_id, 'payment_reversal_revoke_failed', {
+                guildId: record.guild_id,
+                invoiceId: record.invoice_id,
+                reversal,
+                error: revocation.error
+            });
+            return 'failed';
+        }
+
+        const notified = this.client
+            ? await notifyPaymentReversal(this.client, revocation.record, reversal, revocation.licenseKeys)
+            : { dmSent: false, staffAlertQueued: false };
+
+        await database.logAction(record.discord_user_id, 'payment_reversal_revoked', {
+            guildId: record.guild_id,
+            invoiceId: record.invoice_id,
+            licenseKey: record.license_key,
+            reversal,
+            sellauthStatus: invoiceData.status,
+            ...notified
+        });
+
+        return 'revoked';
+    }
+}
+
+module.exports = new RefundReconciler();
@@ -0,0 +1,210 @@
+const { embedLength } = require('discord.js');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const guildSettings = require('../api/guildSettings');
+const { buildOutageEmbed } = require('../bot/utils/staffEvents');
+
+// Discord limits per message
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_EMBED_CHARS_PER_MESSAGE = 6000;
+
+// Messages sent to one channel per flush; Discord allows 5 per 5 seconds per channel
+const MAX_MESSAGES_PER_FLUSH = 4;
+
+/**
+ * Posts staff log events to Discord. Events are queued per channel and sent
+ * in batches so a flood (e.g. an outage failing every redemption) can't run
+ * into Discord rate limits.
+ *
+ * Events from a guild go to that guild's staff log channel; events about a
+ * tenant's shop (its webhooks, reconciler runs and outages) go to the tenant
+ * guild. Events for the default shop go to every guild without a tenant.
+ * DISCORD_LOG_CHANNEL_ID receives everything.
+ */
+class StaffNotifier {
+    constructor() {
+        this.client = null;
+        this.timer = null;
+        this.flushing = false;
+        // channelId -> queued embeds
+        this.queues = new Map();
+        // channelId -> events dropped because the queue was full
+        this.dropped = new Map();
+        // service:guildId -> time of the last outage report
+        this.lastOutage = new Map();
+    }
+
+    /**
+     * Start sending queued events
+     * @param {Client} client - Discord client
+     */
+    start(client) {
+        this.client = client;
+        this.timer = setInterval(() => this.flush(), config.staffLog.flushSeconds * 1000);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop the schedule and send whatever is still queued
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        await this.flush();
+    }
+
+    /**
+     * Queue an event for every staff log channel that wants it. Never throws,
+     * so callers don't have to guard against the staff log failing.
+     * @param {string} type - One of guildSettings.STAFF_EVENT_TYPES
+     * @param {EmbedBuilder} embed - Event embed
+     * @param {string} guildId - Guild the event happened in (optional)
+     */
+    async notify(type, embed, guildId = null) {
+        try {
+            const channelIds = await this.getChannels(type, guildId);
+
+            for (const channelId of channelIds) {
+                this.enqueue(channelId, embed);
+            }
+        } catch (error) {
+            logger.warn(`Failed to queue ${type} staff log event: ${error.message}`);
+        }
+    }
+
+    /**
+     * Report an external API failure, at most once per outage window per
+     * service and tenant
+     * @param {string} service - 'KeyAuth' or 'SellAuth'
+     * @param {string} message - Error message
+     * @param {string} guildId - Guild whose credentials failed (null for the default shop)
+     */
+    async notifyOutage(service, message, guildId = null) {
+        const key = `${service}:${guildId || ''}`;
+        const last = this.lastOutage.get(key);
+        if (last && Date.now() - last < config.staffLog.outageAlertMinutes * 60 * 1000) {
+            return;
+        }
+
+        this.lastOutage.set(key, Date.now());
+        logger.warn(`${service} API unreachable${guildId ? ` for guild ${guildId}` : ''}: ${message}`);
+        await this.notify('outage', buildOutageEmbed(service, message), guildId);
+    }
+
+    /**
+     * Channels that should receive an event
+     * @returns {Set<string>} - Channel IDs
+     */
+    async getChannels(type, guildId) {
+        const channelIds = new Set();
+
+        if (config.discord.logChannelId) {
+            channelIds.add(config.discord.logChannelId);
+        }
+
+        const guilds = guildId
+            ? [await guildSettings.getSettings(guildId)]
+            : await guildSettings.getLogChannels();
+
+        for (const settings of guilds) {
+            if (settings.logChannelId && settings.logEvents.includes(type)) {
+                channelIds.add(settings.logChannelId);
+            }
+        }
+
+        return channelIds;
+    }
+
+    enqueue(channelId, embed) {
+        const queue = this.queues.get(channelId) || [];
+
+        if (queue.length >= config.staffLog.maxQueue) {
+            queue.shift();
+            this.dropped.set(channelId, (this.dropped.get(channelId) || 0) + 1);
+        }
+
+        queue.push(embed);
+        this.queues.set(channelId, queue);
+    }
+
+    /**
+     * Send queued events, several embeds per message
+     */
+    async flush() {
+        if (!this.client || this.flushing) {
+            return;
+        }
+
+        this.flushing = true;
+        try {
+            for (const [channelId, queue] of this.queues) {
+                if (queue.length > 0) {
+                    await this.flushChannel(channelId, queue);
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    async flushChannel(channelId, queue) {
+        let channel;
+        try {
+            channel = await this.client.channels.fetch(channelId);
+            if (!channel || !channel.isTextBased()) {
+                throw new Error('not a text channel');
+            }
+        } catch (error) {
+            logger.warn(`Staff log channel ${channelId} is unavailable, dropping ${queue.length} event(s): ${error.message}`);
+            this.queues.delete(channelId);
+            this.dropped.delete(channelId);
+            return;
+        }
+
+        for (let sent = 0; sent < MAX_MESSAGES_PER_FLUSH && queue.length > 0; sent++) {
+            const batch = this.takeBatch(queue);
+
+            try {
+                await channel.send({ content: this.takeDroppedNotice(channelId), embeds: batch });
+            } catch (error) {
+                logger.warn(`Failed to send ${batch.length} staff log event(s) to ${channelId}: ${error.message}`);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Take as many queued embeds as fit in one message
+     */
+    takeBatch(queue) {
+        const batch = [];
+        let chars = 0;
+
+        while (queue.length > 0 && batch.length < MAX_EMBEDS_PER_MESSAGE) {
+            const length = embedLength(queue[0].data);
+            if (batch.length > 0 && chars + length > MAX_EMBED_CHARS_PER_MESSAGE) {
+                break;
+            }
+
+            batch.push(queue.shift());
+            chars += length;
+        }
+
+        return batch;
+    }
+
+    takeDroppedNotice(channelId) {
+        const dropped = this.dropped.get(channelId);
+        if (!dropped) {
+            return undefined;
+        }
+
+        this.dropped.delete(channelId);
+        return `⚠️ ${dropped} older event(s) were dropped because too many arrived at once.`;
+    }
+}
+
+module.exports = new StaffNotifier();
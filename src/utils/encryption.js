@@ -8,15 +8,25 @@ const TAG_LENGTH = 16;
 
 class Encryption {
     constructor() {
-        if (!config.security.encryptionKey) {
+        // Ensure key is 32 bytes. Only encrypt() and decrypt() need it, so a
+        // deployment without tenants can run without ENCRYPTION_KEY.
+        this.key = config.security.encryptionKey
+            ? crypto.createHash('sha256').update(config.security.encryptionKey).digest()
+            : null;
+    }
+
+    /**
+     * Whether ENCRYPTION_KEY is set
+     * @returns {boolean} - True if values can be encrypted
+     */
+    isAvailable() {
+        return !!this.key;
+    }
+
+    requireKey() {
+        if (!this.key) {
             throw new Error('Encryption key not provided in environment variables');
         }
-
-        // Ensure key is 32 bytes
-        this.key = crypto
-            .createHash('sha256')
-            .update(config.security.encryptionKey)
-            .digest();
     }
 
     /**
@@ -25,9 +35,11 @@ class Encryption {
      * @returns {string} - Base64 encoded encrypted data
      */
     encrypt(text) {
+        this.requireKey();
+
         try {
             const iv = crypto.randomBytes(IV_LENGTH);
-            const cipher = crypto.createCipherGCM(ALGORITHM, this.key, iv);
+            const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
 
             let encrypted = cipher.update(text, 'utf8', 'hex');
             encrypted += cipher.final('hex');
@@ -48,6 +60,8 @@ class Encryption {
      * @returns {string} - Decrypted text
      */
     decrypt(encryptedData) {
+        this.requireKey();
+
         try {
             const combined = Buffer.from(encryptedData, 'base64');
 
@@ -55,7 +69,7 @@ class Encryption {
             const tag = combined.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
             const encrypted = combined.slice(IV_LENGTH + TAG_LENGTH);
 
-            const decipher = crypto.createDecipherGCM(ALGORITHM, this.key, iv);
+            const decipher = crypto.createDecipheriv(ALGORITHM, this.key, iv);
             decipher.setAuthTag(tag);
 
             let decrypted = decipher.update(encrypted, null, 'utf8');
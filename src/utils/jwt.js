@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// HS256 JSON Web Tokens (RFC 7519), the only algorithm the admin API accepts
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function createSignature(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Sign a token
+ * @param {object} payload - Claims
+ * @param {string} secret - HMAC secret
+ * @returns {string} - Compact JWT
+ */
+function sign(payload, secret) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(payload));
+
+    return `${header}.${body}.${createSignature(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verify a token's signature, algorithm and time claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - HMAC secret
+ * @param {object} options - Checks
+ * @param {string} options.audience - Required aud claim (optional)
+ * @returns {object} - { valid: true, payload } or { valid: false, error }
+ */
+function verify(token, secret, options = {}) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        return { valid: false, error: 'Malformed token' };
+    }
+
+    const [header, body, signature] = parts;
+
+    let decodedHeader;
+    let payload;
+    try {
+        decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+
+        // Valid JSON such as null or [] is still not a token
+        if (!isPlainObject(decodedHeader) || !isPlainObject(payload)) {
+            return { valid: false, error: 'Malformed token' };
+        }
+    } catch (error) {
+        return { valid: false, error: 'Malformed token' };
+    }
+
+    // Never let the token pick its own algorithm (e.g. "none")
+    if (decodedHeader.alg !== 'HS256') {
+        return { valid: false, error: 'Unsupported algorithm' };
+    }
+
+    const expected = Buffer.from(createSignature(`${header}.${body}`, secret));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, error: 'Invalid signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number') {
+        return { valid: false, error: 'Token has no expiry' };
+    }
+    if (payload.exp <= now) {
+        return { valid: false, error: 'Token expired' };
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf > now) {
+        return { valid: false, error: 'Token not yet valid' };
+    }
+
+    if (options.audience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(options.audience)) {
+            return { valid: false, error: 'Wrong audience' };
+        }
+    }
+
+    return { valid: true, payload };
+}
+
+module.exports = {
+    sign,
+    verify
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// License keys from templates such as LEXIS-UG-XXXX-XXXX-XXXX. Dash-separated
+// groups made only of X are filled with random characters; other groups are
+// kept as they are. A template ending in # (LEXIS-XXXX-XXXX-# or
+// LEXIS-XXXX-XXX#) gets a check character there, computed from the random
+// characters, so a mistyped key can be told apart from an unknown one.
+
+// No 0/O or 1/I; 32 characters, so every random character carries 5 bits
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Matches the original 24-character key format
+const DEFAULT_TEMPLATE = 'XXXX-XXXX-XXXX-XXXX-XXXX-XXXX';
+
+const TEMPLATE_PATTERN = /^([A-Z0-9]+-)*X+(-[A-Z0-9]+)*(-?#)?$/;
+const MAX_TEMPLATE_LENGTH = 64;
+
+/**
+ * Check a key template such as LEXIS-UG-XXXX-XXXX-#
+ * @param {string} template - Key template
+ * @returns {boolean} - True if keys can be generated from it
+ */
+function isValidTemplate(template) {
+    return typeof template === 'string' && template.length <= MAX_TEMPLATE_LENGTH && TEMPLATE_PATTERN.test(template);
+}
+
+/**
+ * Split a template into its groups and check character placement
+ * @returns {object} - { groups, checkSeparator } with checkSeparator null when there is no check character
+ */
+function parseTemplate(template) {
+    if (!isValidTemplate(template)) {
+        throw new Error(`Invalid key template: ${template}`);
+    }
+
+    if (!template.endsWith('#')) {
+        return { groups: template.split('-'), checkSeparator: null };
+    }
+
+    const body = template.slice(0, -1);
+    return body.endsWith('-')
+        ? { groups: body.slice(0, -1).split('-'), checkSeparator: '-' }
+        : { groups: body.split('-'), checkSeparator: '' };
+}
+
+function isRandomGroup(group) {
+    return /^X+$/.test(group);
+}
+
+/**
+ * Generate a key from a template with crypto.randomInt
+ * @param {string} template - Key template (default: six random groups of four)
+ * @returns {string} - License key
+ */
+function generate(template = DEFAULT_TEMPLATE) {
+    const { groups, checkSeparator } = parseTemplate(template);
+    let random = '';
+
+    const key = groups
+        .map(group => {
+            if (!isRandomGroup(group)) {
+                return group;
+            }
+
+            const part = Array.from(group, () => ALPHABET[crypto.randomInt(ALPHABET.length)]).join('');
+            random += part;
+            return part;
+        })
+        .join('-');
+
+    return checkSeparator === null ? key : `${key}${checkSeparator}${getCheckCharacter(random)}`;
+}
+
+/**
+ * Luhn mod 32 check character over random characters. It catches any single
+ * mistyped character and every swap of neighbouring characters except A and 9.
+ * @param {string} characters - Characters from ALPHABET
+ * @returns {string} - Check character
+ */
+function getCheckCharacter(characters) {
+    let factor = 2;
+    let sum = 0;
+
+    for (let index = characters.length - 1; index >= 0; index--) {
+        const addend = factor * ALPHABET.indexOf(characters[index]);
+        sum += Math.floor(addend / ALPHABET.length) + (addend % ALPHABET.length);
+        factor = factor === 2 ? 1 : 2;
+    }
+
+    return ALPHABET[(ALPHABET.length - (sum % ALPHABET.length)) % ALPHABET.length];
+}
+
+/**
+ * Check a key against a template: its shape and, if the template has one,
+ * its check character
+ * @param {string} key - License key as entered
+ * @param {string} template - Key template
+ * @returns {object} - { matches, checkValid }; checkValid is null for templates without a check character
+ */
+function verify(key, template) {
+    const { groups, checkSeparator } = parseTemplate(template);
+    const randomClass = `[${ALPHABET}]`;
+
+    const pattern = groups
+        .map(group => (isRandomGroup(group) ? `(${randomClass}{${group.length}})` : group))
+        .join('-');
+    const checkPattern = checkSeparator === null ? '' : `${checkSeparator}(${randomClass})`;
+
+    const match = new RegExp(`^${pattern}${checkPattern}$`).exec(String(key || '').trim().toUpperCase());
+    if (!match) {
+        return { matches: false, checkValid: null };
+    }
+
+    if (checkSeparator === null) {
+        return { matches: true, checkValid: null };
+    }
+
+    const parts = match.slice(1);
+    const check = parts.pop();
+
+    return { matches: true, checkValid: getCheckCharacter(parts.join('')) === check };
+}
+
+module.exports = {
+    ALPHABET,
+    DEFAULT_TEMPLATE,
+    isValidTemplate,
+    generate,
+    getCheckCharacter,
+    verify
+};
@@ -0,0 +1,212 @@
+// Hand-rolled Prometheus metrics, rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+// Upstream API latency buckets in seconds; axios gives up after 10
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Label values joined by \u0000 -> { labels, value }
+        this.series = new Map();
+    }
+
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+
+        if (!this.series.has(key)) {
+            const named = {};
+            this.labelNames.forEach((name, index) => {
+                named[name] = values[index];
+            });
+            this.series.set(key, { labels: named, ...create() });
+        }
+
+        return this.series.get(key);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+
+        return lines.join('\n');
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`
+        );
+
+        lines.push(
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+            `${this.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+            `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+        );
+
+        return lines;
+    }
+}
+
+class Metrics {
+    constructor() {
+        this.redemptions = new Counter(
+            'license_bot_redemptions_total',
+            'Redemption attempts by outcome and entry point',
+            ['outcome', 'source']
+        );
+        this.rateLimitRejections = new Counter(
+            'license_bot_rate_limit_rejections_total',
+            'Requests rejected by a rate limit or cooldown',
+            ['limit']
+        );
+        this.upstreamLatency = new Histogram(
+            'license_bot_upstream_request_duration_seconds',
+            'KeyAuth and SellAuth API request latency',
+            ['service', 'operation', 'outcome'],
+            LATENCY_BUCKETS
+        );
+        this.upstreamUp = new Gauge(
+            'license_bot_upstream_up',
+            'Whether the last health check of an external API succeeded',
+            ['service']
+        );
+        this.discordGuilds = new Gauge(
+            'license_bot_discord_guilds',
+            'Servers the bot is in'
+        );
+        this.uptime = new Gauge(
+            'license_bot_process_uptime_seconds',
+            'Seconds since the process started'
+        );
+        this.memory = new Gauge(
+            'license_bot_process_memory_bytes',
+            'Process memory usage',
+            ['type']
+        );
+    }
+
+    /**
+     * Time every request an axios instance makes to an external API
+     * @param {AxiosInstance} client - axios instance
+     * @param {string} service - 'keyauth' or 'sellauth'
+     * @param {function} getOperation - Maps a request config to a low-cardinality operation name
+     */
+    instrumentAxios(client, service, getOperation) {
+        client.interceptors.request.use((requestConfig) => {
+            requestConfig.metadata = { startedAt: process.hrtime.bigint() };
+            return requestConfig;
+        });
+
+        const observe = (requestConfig, outcome) => {
+            if (!requestConfig?.metadata) {
+                return;
+            }
+
+            const seconds = Number(process.hrtime.bigint() - requestConfig.metadata.startedAt) / 1e9;
+            this.upstreamLatency.observe({ service, operation: getOperation(requestConfig), outcome }, seconds);
+        };
+
+        client.interceptors.response.use(
+            (response) => {
+                observe(response.config, 'success');
+                return response;
+            },
+            (error) => {
+                observe(error.config, error.response ? 'http_error' : 'network_error');
+                return Promise.reject(error);
+            }
+        );
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @param {Client} client - Discord client (optional)
+     * @returns {string} - Exposition text
+     */
+    render(client = null) {
+        this.uptime.set({}, process.uptime());
+
+        const memory = process.memoryUsage();
+        this.memory.set({ type: 'rss' }, memory.rss);
+        this.memory.set({ type: 'heap_used' }, memory.heapUsed);
+
+        if (client?.isReady()) {
+            this.discordGuilds.set({}, client.guilds.cache.size);
+        }
+
+        return [
+            this.redemptions,
+            this.rateLimitRejections,
+            this.upstreamLatency,
+            this.upstreamUp,
+            this.discordGuilds,
+            this.uptime,
+            this.memory
+        ].map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,16 @@
+// Settings for the code under test. Require this before anything from src,
+// as config reads the environment when it is first loaded.
+const logLevel = process.env.LOG_LEVEL;
+
+Object.assign(process.env, {
+    DATABASE_URL: 'sqlite::memory:',
+    SELLAUTH_API_KEY: 'test-api-key',
+    SELLAUTH_SHOP_ID: '1000',
+    SELLAUTH_WEBHOOK_SECRET: 'test-webhook-secret',
+    KEYAUTH_SECRET: 'test-keyauth-secret',
+    ENCRYPTION_KEY: 'test-encryption-key',
+    LOG_LEVEL: logLevel || 'error'
+});
+
+// Tests provoke API and KeyAuth failures on purpose; set LOG_LEVEL to see the logs
+require('../../src/utils/logger').silent = !logLevel;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Start an Express app on a free local port
+ * @returns {Promise<object>} - { server, url }
+ */
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+        });
+        server.once('error', reject);
+    });
+}
+
+function close(server) {
+    return new Promise((resolve) => {
+        if (!server) {
+            resolve();
+            return;
+        }
+
+        server.close(() => resolve());
+    });
+}
+
+/**
+ * Local stand-in for the SellAuth API. Serves the invoices put into it;
+ * invoices marked as failing answer 500.
+ */
+class FakeSellAuth {
+    constructor() {
+        this.invoices = new Map();
+        this.failing = new Set();
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Add or replace an invoice
+     */
+    setInvoice(invoice) {
+        this.invoices.set(String(invoice.id), invoice);
+    }
+
+    async start() {
+        const app = express();
+
+        app.get('/shops/:shopId/invoices', (req, res) => {
+            res.json({ data: [...this.invoices.values()] });
+        });
+
+        app.get('/shops/:shopId/invoices/:invoiceId', (req, res) => {
+            const { invoiceId } = req.params;
+            this.requests.push(invoiceId);
+
+            if (this.failing.has(invoiceId)) {
+                res.status(500).json({ message: 'Internal Server Error' });
+                return;
+            }
+
+            const invoice = this.invoices.get(invoiceId);
+            if (!invoice) {
+                res.status(404).json({ message: 'Invoice not found' });
+                return;
+            }
+
+            res.json(invoice);
+        });
+
+        ({ server: this.server, url: this.url } = await listen(app));
+        return this.url;
+    }
+
+    async stop() {
+        await close(this.server);
+        this.server = null;
+    }
+}
+
+/**
+ * Local stand-in for the KeyAuth seller API. Keeps the keys it was asked to
+ * create, ban and delete; key creation can be slowed down with delayMs.
+ */
+class FakeKeyAuth {
+    constructor() {
+        this.keys = new Map();
+        this.delayMs = 0;
+        this.server = null;
+        this.url = null;
+    }
+
+    async start() {
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+
+        app.post('/', async (req, res) => {
+            res.json(await this.handle(req.body));
+        });
+
+        ({ server: this.server, url: this.url } = await listen(app));
+        return `${this.url}/`;
+    }
+
+    async handle(form) {
+        switch (form.type) {
+            case 'init':
+                return { success: true, sessionid: crypto.randomUUID() };
+
+            case 'add':
+                await new Promise(resolve => setTimeout(resolve, this.delayMs));
+                if (this.keys.has(form.key)) {
+                    return { success: false, message: 'Key already exists' };
+                }
+                this.keys.set(form.key, { level: form.level, expiry: form.expiry, banned: null });
+                return { success: true, message: 'Licenses successfully generated' };
+
+            case 'ban':
+                if (!this.keys.has(form.key)) {
+                    return { success: false, message: 'Key not found' };
+                }
+                this.keys.get(form.key).banned = form.reason;
+                return { success: true, message: 'Successfully banned key' };
+
+            case 'del':
+                return this.keys.delete(form.key)
+                    ? { success: true, message: 'Successfully deleted key' }
+                    : { success: false, message: 'Key not found' };
+
+            default:
+                return { success: false, message: `Unhandled type ${form.type}` };
+        }
+    }
+
+    async stop() {
+        await close(this.server);
+        this.server = null;
+    }
+}
+
+/**
+ * A paid SellAuth invoice for one unit of a product
+ * @param {string} id - Invoice ID
+ * @param {object} overrides - Fields to change
+ */
+function paidInvoice(id, overrides = {}) {
+    return {
+        id,
+        status: 'paid',
+        paid: true,
+        product_id: '42',
+        product_name: 'Test Product',
+        amount: 9.99,
+        currency: 'EUR',
+        customer_email: 'buyer@example.com',
+        created_at: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+module.exports = {
+    FakeSellAuth,
+    FakeKeyAuth,
+    paidInvoice
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Deliver a webhook the way SellAuth does: a JSON body signed with
+ * HMAC-SHA256 in the X-Signature header
+ * @param {string} url - Webhook endpoint
+ * @param {object} payload - Webhook payload
+ * @param {string} secret - Signing secret (a wrong one sends an invalid signature)
+ * @returns {Promise<object>} - { status, body } of the response
+ */
+async function sendWebhook(url, payload, secret) {
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Signature': signature },
+        body
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+module.exports = { sendWebhook };
@@ -0,0 +1,158 @@
+require('./helpers/env');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const keyGenerator = require('../src/utils/keyGenerator');
+const database = require('../src/api/database');
+const KeyAuthAPI = require('../src/api/keyauth');
+
+const { ALPHABET } = keyGenerator;
+
+describe('Key templates', () => {
+    it('accepts prefixes, random groups and a check character', () => {
+        for (const template of ['XXXX', 'XXXX-XXXX-XXXX-XXXX-XXXX-XXXX', 'LEXIS-UG-XXXX-XXXX-XXXX', 'LEXIS-XXXX-XXXX-#', 'LEXIS-XXXX-XXX#', 'XXXX-PRO']) {
+            assert.ok(keyGenerator.isValidTemplate(template), template);
+        }
+    });
+
+    it('rejects templates without random characters or with stray characters', () => {
+        for (const template of ['', 'LEXIS', 'LEXIS-UG', 'lexis-XXXX', 'LEXIS--XXXX', 'XXXX-#-XXXX', '#', 'XX_XX', 'X'.repeat(65), null, 42]) {
+            assert.equal(keyGenerator.isValidTemplate(template), false, String(template));
+        }
+    });
+
+    it('refuses to generate from an invalid template', () => {
+        assert.throws(() => keyGenerator.generate('LEXIS'), /Invalid key template/);
+    });
+});
+
+describe('Key format', () => {
+    it('generates the original 24-character format by default', () => {
+        assert.match(keyGenerator.generate(), new RegExp(`^[${ALPHABET}]{4}(-[${ALPHABET}]{4}){5}$`));
+    });
+
+    it('keeps fixed groups and fills the random ones', () => {
+        const key = keyGenerator.generate('LEXIS-UG-XXXX-XXXX-XXXX');
+
+        assert.match(key, new RegExp(`^LEXIS-UG-[${ALPHABET}]{4}-[${ALPHABET}]{4}-[${ALPHABET}]{4}$`));
+        assert.deepEqual(keyGenerator.verify(key, 'LEXIS-UG-XXXX-XXXX-XXXX'), { matches: true, checkValid: null });
+    });
+
+    it('appends a check character as its own group or to the last one', () => {
+        assert.match(keyGenerator.generate('LEXIS-XXXX-XXXX-#'), new RegExp(`^LEXIS-[${ALPHABET}]{4}-[${ALPHABET}]{4}-[${ALPHABET}]$`));
+        assert.match(keyGenerator.generate('LEXIS-XXXX-XXX#'), new RegExp(`^LEXIS-[${ALPHABET}]{4}-[${ALPHABET}]{4}$`));
+    });
+
+    it('never uses 0, O, 1 or I', () => {
+        assert.equal(ALPHABET.length, 32);
+        assert.doesNotMatch(ALPHABET, /[0O1I]/);
+        assert.equal(new Set(ALPHABET).size, ALPHABET.length);
+    });
+
+    it('verifies keys as entered by a user', () => {
+        const key = keyGenerator.generate('LEXIS-XXXX-XXXX-#');
+
+        assert.deepEqual(keyGenerator.verify(` ${key.toLowerCase()} `, 'LEXIS-XXXX-XXXX-#'), { matches: true, checkValid: true });
+        assert.deepEqual(keyGenerator.verify(key, 'LEXIS-XXXX-XXXX-XXXX'), { matches: false, checkValid: null });
+        assert.deepEqual(keyGenerator.verify('', 'LEXIS-XXXX-XXXX-#'), { matches: false, checkValid: null });
+    });
+});
+
+describe('Check characters', () => {
+    const TEMPLATE = 'LEXIS-XXXX-XXXX-XXXX-#';
+
+    // Positions of the random characters and the check character in keys of TEMPLATE
+    const checkedPositions = (key) => [...key].map((char, index) => index).filter(index => index > 5 && key[index] !== '-');
+
+    const replaceAt = (key, index, char) => key.slice(0, index) + char + key.slice(index + 1);
+
+    it('catch every single mistyped character', () => {
+        for (let round = 0; round < 20; round++) {
+            const key = keyGenerator.generate(TEMPLATE);
+
+            for (const index of checkedPositions(key)) {
+                for (const char of ALPHABET) {
+                    if (char !== key[index]) {
+                        assert.equal(keyGenerator.verify(replaceAt(key, index, char), TEMPLATE).checkValid, false, `${key} at ${index}`);
+                    }
+                }
+            }
+        }
+    });
+
+    it('catch swapped neighbouring characters except A and 9', () => {
+        for (let round = 0; round < 200; round++) {
+            const key = keyGenerator.generate(TEMPLATE);
+            const positions = checkedPositions(key);
+
+            for (let i = 0; i < positions.length - 1; i++) {
+                const [left, right] = [positions[i], positions[i + 1]];
+                const pair = key[left] + key[right];
+                if (key[left] === key[right] || pair === 'A9' || pair === '9A') {
+                    continue;
+                }
+
+                const swapped = replaceAt(replaceAt(key, left, key[right]), right, key[left]);
+                assert.equal(keyGenerator.verify(swapped, TEMPLATE).checkValid, false, `${key} swapping ${left} and ${right}`);
+            }
+        }
+    });
+});
+
+describe('Key distribution', () => {
+    it('draws every character about equally often at every position', () => {
+        const KEYS = 4000;
+        const counts = Array.from({ length: 24 }, () => new Map());
+
+        for (let i = 0; i < KEYS; i++) {
+            [...keyGenerator.generate().replace(/-/g, '')].forEach((char, position) => {
+                counts[position].set(char, (counts[position].get(char) || 0) + 1);
+            });
+        }
+
+        const expected = KEYS / ALPHABET.length;
+        const chiSquare = (map) => [...ALPHABET].reduce((sum, char) => sum + ((map.get(char) || 0) - expected) ** 2 / expected, 0);
+
+        for (const [position, map] of counts.entries()) {
+            assert.deepEqual([...map.keys()].filter(char => !ALPHABET.includes(char)), [], `position ${position}`);
+            // 31 degrees of freedom; 75 is exceeded by chance about once in 100,000 runs per position
+            assert.ok(chiSquare(map) < 75, `position ${position}: chi-square ${chiSquare(map).toFixed(1)}`);
+        }
+    });
+
+    it('does not repeat keys', () => {
+        const keys = new Set(Array.from({ length: 10000 }, () => keyGenerator.generate('LEXIS-XXXX-XXXX-#')));
+        assert.equal(keys.size, 10000);
+    });
+});
+
+describe('Unique keys', () => {
+    before(async () => {
+        await database.connect();
+    });
+
+    after(async () => {
+        await database.disconnect();
+    });
+
+    it('generates again when a key was already issued', async () => {
+        await database.run(
+            `INSERT INTO redeemed_invoices (invoice_id, discord_user_id, license_key, status) VALUES (?, ?, ?, 'redeemed')`,
+            ['KEYGEN-TAKEN-1', '300000000000000000', 'LEXIS-TAKEN']
+        );
+        assert.ok(await database.isLicenseKeyTaken('LEXIS-TAKEN'));
+
+        const keyauth = new KeyAuthAPI();
+        const drawn = ['LEXIS-TAKEN', 'LEXIS-FRESH'];
+        keyauth.generateLicenseKey = () => drawn.shift();
+
+        assert.equal(await keyauth.generateUniqueKey('LEXIS-XXXX'), 'LEXIS-FRESH');
+    });
+
+    it('gives up when every generated key is taken', async () => {
+        const keyauth = new KeyAuthAPI();
+        keyauth.generateLicenseKey = () => 'LEXIS-TAKEN';
+
+        await assert.rejects(keyauth.generateUniqueKey('LEXIS-XXXX'), /Could not generate an unused license key/);
+    });
+});
@@ -0,0 +1,92 @@
+require('./helpers/env');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../src/config/config');
+const database = require('../src/api/database');
+const catalog = require('../src/api/catalog');
+const redemptionService = require('../src/services/redemptionService');
+const { FakeSellAuth, FakeKeyAuth, paidInvoice } = require('./helpers/fakeApis');
+
+const { RedemptionStatus } = redemptionService;
+
+let nextUserId = 100000000000000000n;
+const newUserId = () => String(nextUserId++);
+
+describe('Parallel redemption of one invoice', () => {
+    const sellauth = new FakeSellAuth();
+    const keyauth = new FakeKeyAuth();
+
+    const redeem = (invoiceId, source = 'slash_command') =>
+        redemptionService.redeem({ invoiceId, userId: newUserId(), username: 'buyer', source });
+
+    before(async () => {
+        config.sellauth.apiUrl = await sellauth.start();
+        config.keyauth.url = await keyauth.start();
+        // Slow key creation so the redemptions overlap for the whole pipeline
+        keyauth.delayMs = 100;
+
+        await database.connect();
+        await catalog.upsertProduct({ productId: '42', name: 'Test Product', level: '1', expiryDays: 30, redeemable: true });
+    });
+
+    after(async () => {
+        await sellauth.stop();
+        await keyauth.stop();
+        await database.disconnect();
+    });
+
+    it('gives the key to one of two users redeeming at the same moment', async () => {
+        sellauth.setInvoice(paidInvoice('RACE-TWO-1'));
+        const keysBefore = keyauth.keys.size;
+
+        const outcomes = await Promise.all([
+            redeem('RACE-TWO-1', 'slash_command'),
+            redeem('RACE-TWO-1', 'panel_modal')
+        ]);
+
+        const winners = outcomes.filter(outcome => outcome.status === RedemptionStatus.SUCCESS);
+        const losers = outcomes.filter(outcome => outcome.status !== RedemptionStatus.SUCCESS);
+
+        assert.equal(winners.length, 1);
+        assert.ok([RedemptionStatus.IN_PROGRESS, RedemptionStatus.ALREADY_REDEEMED].includes(losers[0].status));
+
+        const record = await database.getInvoiceRecord('RACE-TWO-1');
+        assert.equal(record.status, 'redeemed');
+        assert.equal(record.discord_user_id, winners[0].userId);
+        assert.equal(record.license_key, winners[0].licenseKey);
+        assert.ok(keyauth.keys.has(winners[0].licenseKey));
+        assert.equal(keyauth.keys.size, keysBefore + 1);
+    });
+
+    it('creates exactly one KeyAuth key however many redemptions race', async () => {
+        sellauth.setInvoice(paidInvoice('RACE-MANY-1'));
+        const keysBefore = keyauth.keys.size;
+
+        const outcomes = await Promise.all(Array.from({ length: 10 }, () => redeem('RACE-MANY-1')));
+
+        assert.equal(outcomes.filter(outcome => outcome.status === RedemptionStatus.SUCCESS).length, 1);
+        assert.equal(keyauth.keys.size, keysBefore + 1);
+    });
+
+    it('keeps an invoice locked by a reservation from before a restart until it expires', async () => {
+        sellauth.setInvoice(paidInvoice('RACE-RESTART-1'));
+        const keysBefore = keyauth.keys.size;
+
+        // Left behind by a process that stopped in the middle of a redemption
+        const reservedUntil = new Date(Date.now() + 60 * 1000);
+        await database.reserveInvoice('RACE-RESTART-1', newUserId(), crypto.randomUUID(), reservedUntil, { username: 'crashed' });
+
+        const blocked = await redeem('RACE-RESTART-1');
+        assert.equal(blocked.status, RedemptionStatus.IN_PROGRESS);
+        assert.equal(keyauth.keys.size, keysBefore);
+
+        await database.run('UPDATE redeemed_invoices SET reserved_until = ? WHERE invoice_id = ?',
+            [new Date(Date.now() - 1000).toISOString(), 'RACE-RESTART-1']);
+
+        const resumed = await redeem('RACE-RESTART-1');
+        assert.equal(resumed.status, RedemptionStatus.SUCCESS);
+        assert.equal(keyauth.keys.size, keysBefore + 1);
+    });
+});
@@ -0,0 +1,108 @@
+require('./helpers/env');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config/config');
+const database = require('../src/api/database');
+const catalog = require('../src/api/catalog');
+const redemptionService = require('../src/services/redemptionService');
+const refundReconciler = require('../src/services/refundReconciler');
+const { FakeSellAuth, FakeKeyAuth, paidInvoice } = require('./helpers/fakeApis');
+
+let nextUserId = 200000000000000000n;
+
+// Stored timestamps look like CURRENT_TIMESTAMP, which ISO strings do not compare with on SQLite
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+
+describe('Refund reconciler', () => {
+    const sellauth = new FakeSellAuth();
+    const keyauth = new FakeKeyAuth();
+
+    /**
+     * Redeem a paid invoice, then have SellAuth report it with another status
+     * @returns {object} - Redemption record
+     */
+    async function redeemThenSetStatus(invoiceId, status) {
+        sellauth.setInvoice(paidInvoice(invoiceId));
+        const outcome = await redemptionService.redeem({ invoiceId, userId: String(nextUserId++), source: 'slash_command' });
+        assert.equal(outcome.status, redemptionService.RedemptionStatus.SUCCESS);
+
+        sellauth.setInvoice(paidInvoice(invoiceId, { status, paid: status === 'paid' }));
+        return database.getInvoiceRecord(invoiceId);
+    }
+
+    before(async () => {
+        config.sellauth.apiUrl = await sellauth.start();
+        config.keyauth.url = await keyauth.start();
+
+        await database.connect();
+        await catalog.upsertProduct({ productId: '42', name: 'Test Product', level: '1', expiryDays: 30, redeemable: true });
+    });
+
+    after(async () => {
+        await sellauth.stop();
+        await keyauth.stop();
+        await database.disconnect();
+    });
+
+    it('bans the keys of refunded and charged back invoices and leaves paid ones alone', async () => {
+        const refunded = await redeemThenSetStatus('RECON-REFUND-1', 'refunded');
+        const disputed = await redeemThenSetStatus('RECON-DISPUTE-1', 'disputed');
+        const paid = await redeemThenSetStatus('RECON-PAID-1', 'paid');
+
+        const summary = await refundReconciler.runOnce();
+
+        assert.deepEqual(summary, { checked: 3, revoked: 2, failed: 0 });
+
+        assert.equal((await database.getInvoiceRecord('RECON-REFUND-1')).status, 'revoked');
+        assert.equal(keyauth.keys.get(refunded.license_key).banned, 'SellAuth order refunded');
+
+        assert.equal((await database.getInvoiceRecord('RECON-DISPUTE-1')).status, 'revoked');
+        assert.equal(keyauth.keys.get(disputed.license_key).banned, 'SellAuth payment charged back');
+
+        const stillPaid = await database.getInvoiceRecord('RECON-PAID-1');
+        assert.equal(stillPaid.status, 'redeemed');
+        assert.ok(stillPaid.last_reconciled_at);
+        assert.equal(keyauth.keys.get(paid.license_key).banned, null);
+    });
+
+    it('keeps re-checking other invoices while SellAuth fails for one', async () => {
+        await redeemThenSetStatus('RECON-FAILING-1', 'paid');
+        await redeemThenSetStatus('RECON-LATER-1', 'refunded');
+
+        // The failing invoice is the oldest, so it comes first
+        await database.run('UPDATE redeemed_invoices SET redeemed_at = ? WHERE invoice_id = ?', [daysAgo(2), 'RECON-FAILING-1']);
+        await database.run('UPDATE redeemed_invoices SET redeemed_at = ? WHERE invoice_id = ?', [daysAgo(1), 'RECON-LATER-1']);
+        sellauth.failing.add('RECON-FAILING-1');
+
+        const batchSize = config.reconciler.batchSize;
+        config.reconciler.batchSize = 1;
+        try {
+            assert.deepEqual(await refundReconciler.runOnce(), { checked: 1, revoked: 0, failed: 1 });
+            assert.deepEqual(await refundReconciler.runOnce(), { checked: 1, revoked: 1, failed: 0 });
+        } finally {
+            config.reconciler.batchSize = batchSize;
+            sellauth.failing.clear();
+        }
+
+        assert.deepEqual(sellauth.requests.slice(-2), ['RECON-FAILING-1', 'RECON-LATER-1']);
+        assert.equal((await database.getInvoiceRecord('RECON-FAILING-1')).status, 'redeemed');
+        assert.equal((await database.getInvoiceRecord('RECON-LATER-1')).status, 'revoked');
+    });
+
+    it('retries a revocation KeyAuth refused on the next run', async () => {
+        const record = await redeemThenSetStatus('RECON-KEYAUTH-1', 'refunded');
+        const key = keyauth.keys.get(record.license_key);
+        keyauth.keys.delete(record.license_key);
+
+        const first = await refundReconciler.runOnce();
+        assert.equal(first.failed, 1);
+        assert.equal((await database.getInvoiceRecord('RECON-KEYAUTH-1')).status, 'redeemed');
+
+        keyauth.keys.set(record.license_key, key);
+
+        const second = await refundReconciler.runOnce();
+        assert.equal(second.revoked, 1);
+        assert.equal((await database.getInvoiceRecord('RECON-KEYAUTH-1')).status, 'revoked');
+    });
+});
@@ -0,0 +1,111 @@
+require('./helpers/env');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config/config');
+const database = require('../src/api/database');
+const catalog = require('../src/api/catalog');
+const webServer = require('../src/server');
+const { FakeSellAuth, FakeKeyAuth, paidInvoice } = require('./helpers/fakeApis');
+const { sendWebhook } = require('./helpers/webhookSender');
+
+const BUYER_ID = '123456789012345678';
+
+describe('SellAuth webhook', () => {
+    const sellauth = new FakeSellAuth();
+    const keyauth = new FakeKeyAuth();
+    const directMessages = [];
+    let webhookUrl;
+
+    // Discord client that records DMs instead of sending them
+    const discord = {
+        users: {
+            fetch: async (id) => ({ id, send: async (message) => directMessages.push({ id, message }) })
+        }
+    };
+
+    const orderCompleted = (invoice) => ({ event: 'order.completed', data: invoice });
+    const send = (payload, secret = config.sellauth.webhookSecret) => sendWebhook(webhookUrl, payload, secret);
+
+    before(async () => {
+        config.sellauth.apiUrl = await sellauth.start();
+        config.keyauth.url = await keyauth.start();
+
+        await database.connect();
+        await catalog.upsertProduct({ productId: '42', name: 'Test Product', level: '1', expiryDays: 30, redeemable: true });
+
+        const server = await webServer.start(discord, 0);
+        webhookUrl = `http://127.0.0.1:${server.address().port}/webhooks/sellauth`;
+    });
+
+    after(async () => {
+        await webServer.stop();
+        await sellauth.stop();
+        await keyauth.stop();
+        await database.disconnect();
+    });
+
+    it('creates, records and DMs the key of a signed order', async () => {
+        const invoice = paidInvoice('WH-ORDER-1', { custom_fields: { 'Discord ID': BUYER_ID } });
+
+        const response = await send(orderCompleted(invoice));
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'redeemed');
+
+        const record = await database.getInvoiceRecord('WH-ORDER-1');
+        assert.equal(record.status, 'redeemed');
+        assert.equal(record.discord_user_id, BUYER_ID);
+        assert.ok(keyauth.keys.has(record.license_key));
+
+        assert.equal(directMessages.length, 1);
+        assert.equal(directMessages[0].id, BUYER_ID);
+    });
+
+    it('does not create a second key when SellAuth delivers the webhook again', async () => {
+        const invoice = paidInvoice('WH-ORDER-2', { custom_fields: [{ name: 'Discord ID', value: BUYER_ID }] });
+        const keysBefore = keyauth.keys.size;
+
+        assert.equal((await send(orderCompleted(invoice))).status, 200);
+        const redelivery = await send(orderCompleted(invoice));
+
+        assert.equal(redelivery.status, 200);
+        assert.equal(redelivery.body.status, 'already_redeemed');
+        assert.equal(keyauth.keys.size, keysBefore + 1);
+    });
+
+    it('rejects a webhook with an invalid signature', async () => {
+        const invoice = paidInvoice('WH-FORGED-1', { custom_fields: { 'Discord ID': BUYER_ID } });
+
+        const response = await send(orderCompleted(invoice), 'not-the-secret');
+
+        assert.equal(response.status, 401);
+        assert.equal(await database.getInvoiceRecord('WH-FORGED-1'), undefined);
+    });
+
+    it('leaves an order without a Discord ID for /redeem', async () => {
+        const keysBefore = keyauth.keys.size;
+
+        const response = await send(orderCompleted(paidInvoice('WH-NO-DISCORD')));
+
+        assert.equal(response.status, 202);
+        assert.equal(response.body.status, 'awaiting_manual_redemption');
+        assert.equal(keyauth.keys.size, keysBefore);
+    });
+
+    it('answers an unpaid order with 2xx so SellAuth does not retry it', async () => {
+        const invoice = paidInvoice('WH-UNPAID-1', { status: 'pending', paid: false, custom_fields: { 'Discord ID': BUYER_ID } });
+
+        const response = await send(orderCompleted(invoice));
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'invalid_invoice');
+    });
+
+    it('ignores other events', async () => {
+        const response = await send({ event: 'product.updated', data: { id: 42 } });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'ignored');
+    });
+});